@@ -41,8 +41,9 @@ define( require => {
     WATER_TRIPLE_POINT_IN_KELVIN: 273,
     WATER_CRITICAL_POINT_IN_KELVIN: 647,
 
-    // Maximum number of atoms that can be simulated.
-    MAX_NUM_ATOMS: 500,
+    // Maximum number of atoms that can be simulated.  The Verlet algorithms use a neighbor list, so the cost of the
+    // interaction forces grows linearly with this rather than with its square.
+    MAX_NUM_ATOMS: 1000,
 
     // size of container in view, empirically determined
     VIEW_CONTAINER_WIDTH: 280,
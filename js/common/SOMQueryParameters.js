@@ -1,4 +1,4 @@
-// Copyright 2016-2019, University of Colorado Boulder
+// Copyright 2016-2020, University of Colorado Boulder
 
 /**
  * Query parameters supported by this simulation.
@@ -10,12 +10,103 @@ define( require => {
 
   // modules
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
 
   const SOMQueryParameters = QueryStringMachine.getAll( {
 
     // Default to displaying degrees Celsius instead of Kelvin, requested by user(s), see
     // https://github.com/phetsims/states-of-matter/issues/216
-    defaultCelsius: { type: 'flag' }
+    defaultCelsius: { type: 'flag' },
+
+    // Use a cell-based neighbor list to find the pairs of molecules that interact.  Setting this to false switches to
+    // comparing every molecule with every other one, which is slower but can be useful for comparison and debugging.
+    useNeighborList: {
+      type: 'boolean',
+      defaultValue: true
+    },
+
+    // Substances to add to the selection panels on the States and Phase Changes screens, identified by their keys in
+    // SubstanceRegistry, e.g. additionalSubstances=KRYPTON,XENON.  Substances that are already in a panel are ignored.
+    additionalSubstances: {
+      type: 'array',
+      elementSchema: {
+        type: 'string',
+        validValues: SubstanceRegistry.KEYS
+      },
+      defaultValue: []
+    },
+
+    // Substance to mix with the selected one, identified by its key in SubstanceRegistry, e.g. mixtureSubstance=ARGON.
+    // Only monatomic substances can be mixed, see MixingRules, so this has no effect when water or oxygen is selected.
+    mixtureSubstance: {
+      type: 'string',
+      validValues: [ null ].concat( SubstanceRegistry.KEYS ),
+      defaultValue: null
+    },
+
+    // Fraction of the molecules that are the mixture substance, used only when mixtureSubstance is specified.
+    mixtureFraction: {
+      type: 'number',
+      defaultValue: 0.4,
+      isValidValue: value => value >= 0 && value <= 1
+    },
+
+    // How the Lennard-Jones parameters for pairs of unlike molecules are obtained, a key of CombiningRule.
+    combiningRule: {
+      type: 'string',
+      validValues: [ 'TABLE', 'LORENTZ_BERTHELOT' ],
+      defaultValue: 'TABLE'
+    },
+
+    // Thermostat used to control the temperature of the particles, a key of ThermostatType.  NONE turns off temperature
+    // control so that the total energy is conserved, which is useful for comparing ensembles.  THERMAL_WALL holds only
+    // the wall chosen by thermalWall at the set temperature.
+    thermostat: {
+      type: 'string',
+      validValues: [ 'ADAPTIVE', 'ISOKINETIC', 'ANDERSEN', 'NOSE_HOOVER', 'BERENDSEN', 'NONE', 'THERMAL_WALL' ],
+      defaultValue: 'ADAPTIVE'
+    },
+
+    // Wall of the container that is held at the set temperature when the thermostat is THERMAL_WALL, a key of
+    // ContainerWall.
+    thermalWall: {
+      type: 'string',
+      validValues: [ 'BOTTOM', 'LEFT', 'RIGHT', 'TOP' ],
+      defaultValue: 'BOTTOM'
+    },
+
+    // Pressure shown by the pressure gauge.  WALL is calculated from the molecules bouncing off of the container walls,
+    // VIRIAL from the virial theorem, which includes the forces between the molecules and responds more quickly.
+    pressureGauge: {
+      type: 'string',
+      validValues: [ 'WALL', 'VIRIAL' ],
+      defaultValue: 'WALL'
+    },
+
+    // How values from the particle engine are converted into real units.  CLASSIC converts the pressure to atmospheres
+    // using a single empirically determined multiplier for all substances.  REAL treats the engine values as reduced
+    // Lennard-Jones quantities and converts them using the sigma, epsilon, and molecule mass of each substance, see
+    // UnitConverter.
+    unitConversion: {
+      type: 'string',
+      validValues: [ 'CLASSIC', 'REAL' ],
+      defaultValue: 'CLASSIC'
+    },
+
+    // Number of model steps over which the radial distribution function on the Phase Changes screen is averaged.
+    // Larger values give smoother curves that respond more slowly to changes of phase.
+    rdfWindowSize: {
+      type: 'number',
+      defaultValue: 60,
+      isValidValue: value => Number.isInteger( value ) && value >= 1 && value <= 600
+    },
+
+    // Length of time, in seconds of sim time, over which the trail of a selected molecule is drawn.
+    trailDuration: {
+      type: 'number',
+      defaultValue: 3,
+      isValidValue: value => value > 0 && value <= 30
+    }
   } );
 
   statesOfMatter.register( 'SOMQueryParameters', SOMQueryParameters );
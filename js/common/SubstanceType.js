@@ -1,14 +1,16 @@
 // Copyright 2016-2020, University of Colorado Boulder
 
 /**
- * enumeration of the different substances that can be selected to be in the container
+ * enumeration of the different substances that can be selected to be in the container, the values are the keys of the
+ * substances in the SubstanceRegistry, which describes each of them
  */
 define( require => {
   'use strict';
 
   const Enumeration = require( 'PHET_CORE/Enumeration' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
 
-  const SubstanceType = Enumeration.byKeys( [ 'NEON', 'ARGON', 'DIATOMIC_OXYGEN', 'WATER', 'ADJUSTABLE_ATOM' ] );
+  const SubstanceType = Enumeration.byKeys( SubstanceRegistry.KEYS );
   return statesOfMatter.register( 'SubstanceType', SubstanceType );
-} );
\ No newline at end of file
+} );
@@ -0,0 +1,20 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * enumeration of the ways in which the Lennard-Jones parameters for a pair of unlike atoms are obtained when two
+ * substances are mixed, see MixingRules
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // LORENTZ_BERTHELOT - sigma is the arithmetic mean and epsilon the geometric mean of the values for the like pairs
+  // TABLE - values from SigmaTable and InteractionStrengthTable where available, Lorentz-Berthelot otherwise
+  const CombiningRule = Enumeration.byKeys( [ 'LORENTZ_BERTHELOT', 'TABLE' ] );
+  return statesOfMatter.register( 'CombiningRule', CombiningRule );
+} );
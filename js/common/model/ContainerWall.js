@@ -0,0 +1,22 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * enumeration of the walls of the particle container, used to choose the one that is held at the temperature set point
+ * when the thermal wall is used to control the temperature
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // BOTTOM - the floor of the container, which is where the heater/cooler is
+  // LEFT - the fixed wall on the left side
+  // RIGHT - the wall on the right side, which can be moved on some screens
+  // TOP - the lid
+  const ContainerWall = Enumeration.byKeys( [ 'BOTTOM', 'LEFT', 'RIGHT', 'TOP' ] );
+  return statesOfMatter.register( 'ContainerWall', ContainerWall );
+} );
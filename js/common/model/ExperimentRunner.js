@@ -0,0 +1,302 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ExperimentRunner drives a MultipleParticleModel without any view so that experiments can be run in a reproducible,
+ * scripted way, e.g. from Node for parameter sweeps or for regression testing of the physics.  An experiment is
+ * described by a configuration that specifies the substance, initial phase, number of molecules, container height, a
+ * heating/cooling schedule, and how long to run.  The model is stepped at a fixed time step and the temperature,
+ * pressure, and phase are sampled at a fixed interval, producing a time series that can be exported as CSV or JSON.
+ * The phase is the one found by the model's PhaseClassifier, and the fraction of the molecules in each phase is also
+ * recorded so that coexistence can be seen.  The pressures depend on the unit conversion mode selected by the
+ * unitConversion query parameter, while the container area and densities are always converted to real units using the
+ * parameters of the substance, see UnitConverter.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const CombiningRule = require( 'STATES_OF_MATTER/common/model/CombiningRule' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const ThermostatType = require( 'STATES_OF_MATTER/common/model/ThermostatType' );
+
+  // constants
+  const SAMPLE_FIELDS = [
+    'time',
+    'numberOfMolecules',
+    'containerHeight',
+    'heatingCoolingAmount',
+    'temperatureSetPoint',
+    'temperature',
+    'temperatureInKelvin',
+    'pressure',
+    'virialPressure',
+    'pressureInKilopascals',
+    'containerArea',
+    'numberDensity',
+    'massDensity',
+    'phase',
+    'solidFraction',
+    'liquidFraction',
+    'gasFraction'
+  ];
+
+  /**
+   * @param {Object} [options] - the experiment configuration
+   * @constructor
+   */
+  function ExperimentRunner( options ) {
+
+    options = merge( {
+
+      // {SubstanceType}
+      substance: SubstanceType.NEON,
+
+      // {string} - one of SOLID, LIQUID, or GAS from PhaseStateEnum
+      phase: PhaseStateEnum.SOLID,
+
+      // {Object|null} - mixture to simulate, null for a single substance, otherwise of the form
+      // { substance: {SubstanceType}, fraction: {number}, combiningRule: {CombiningRule} }, where the fraction and
+      // combining rule are optional, see MultipleParticleModel.mixtureSubstanceProperty
+      mixture: null,
+
+      // {number|null} - number of molecules to simulate, null to use the default for the substance.  Molecules are
+      // removed immediately if there are too many, and are injected using the pump mechanism if there are too few.
+      numberOfMolecules: null,
+
+      // {number|null} - target height of the container in model units, null for the default.  The lid moves to this
+      // height at the same limited rate used in the sim.
+      containerHeight: null,
+
+      // {Object[]} - heating/cooling schedule, each entry is of the form { time: {number}, amount: {number} } and sets
+      // the heating/cooling amount (-1 to 1) from the specified time (in seconds) onwards
+      heatingSchedule: [],
+
+      // {ThermostatType} - thermostat used to control the temperature, NONE to conserve the total energy
+      thermostat: ThermostatType.ADAPTIVE,
+
+      // {number} - total amount of time to run, in seconds of sim time
+      duration: 10,
+
+      // {number} - time between samples, in seconds of sim time
+      sampleInterval: 0.5,
+
+      // {number} - time step used for each call to the model's step function, in seconds
+      timeStep: SOMConstants.NOMINAL_TIME_STEP,
+
+      // {number|null} - seed for the model's random number generator, null to seed it from the sim-wide generator.
+      // Two runs with the same seed and configuration produce identical results.
+      seed: null,
+
+      // {Object|null} - snapshot obtained from MultipleParticleModel.saveSnapshot, null to start from the phase.  If
+      // provided, the substance, phase, and seed are ignored and the experiment starts from the state in the snapshot.
+      snapshot: null,
+
+      // {Tandem} - used for the model, which is not instrumented by default so that any number of runners can exist
+      tandem: Tandem.OPT_OUT
+    }, options );
+
+    assert && assert(
+      options.phase === PhaseStateEnum.SOLID ||
+      options.phase === PhaseStateEnum.LIQUID ||
+      options.phase === PhaseStateEnum.GAS,
+      `invalid phase: ${options.phase}`
+    );
+    assert && assert( options.duration >= 0, 'duration must not be negative' );
+    assert && assert( options.sampleInterval > 0, 'sample interval must be positive' );
+    assert && assert( options.timeStep > 0, 'time step must be positive' );
+
+    // @private
+    this.options = options;
+
+    // @public (read-only) - the model that is driven by this runner
+    this.model = new MultipleParticleModel( options.tandem, {
+      random: options.seed === null ? null : new Random( { seed: options.seed } )
+    } );
+
+    // @public (read-only) {Object[]} - collected samples, each has a value for every entry in SAMPLE_FIELDS
+    this.samples = [];
+
+    // @public (read-only) - sim time that has elapsed since the start of the experiment
+    this.elapsedTime = 0;
+
+    // @private - heating schedule, sorted by time so that it can be traversed in order
+    this.heatingSchedule = options.heatingSchedule.slice().sort( ( entry1, entry2 ) => entry1.time - entry2.time );
+    this.heatingScheduleIndex = 0;
+
+    this.initializeModel();
+  }
+
+  statesOfMatter.register( 'ExperimentRunner', ExperimentRunner );
+
+  return inherit( Object, ExperimentRunner, {
+
+    /**
+     * Run the experiment for the configured duration and return the collected samples.
+     * @returns {Object[]}
+     * @public
+     */
+    run: function() {
+
+      const numberOfSteps = Math.round( this.options.duration / this.options.timeStep );
+      const stepsPerSample = Math.max( Math.round( this.options.sampleInterval / this.options.timeStep ), 1 );
+
+      this.recordSample();
+      for ( let i = 1; i <= numberOfSteps; i++ ) {
+        this.step();
+        if ( i % stepsPerSample === 0 ) {
+          this.recordSample();
+        }
+      }
+      return this.samples;
+    },
+
+    /**
+     * Advance the experiment by a single time step.
+     * @public
+     */
+    step: function() {
+
+      // Apply any heating schedule entries whose time has come.
+      while ( this.heatingScheduleIndex < this.heatingSchedule.length &&
+              this.heatingSchedule[ this.heatingScheduleIndex ].time <= this.elapsedTime ) {
+        this.model.setHeatingCoolingAmount( this.heatingSchedule[ this.heatingScheduleIndex ].amount );
+        this.heatingScheduleIndex++;
+      }
+
+      // Add molecules in the same way as the pump does if more are needed.
+      if ( this.options.numberOfMolecules !== null &&
+           this.model.moleculeDataSet.getNumberOfMolecules() + this.model.numMoleculesAwaitingInjection <
+           this.options.numberOfMolecules ) {
+        this.model.numberOfMoleculesProperty.set( this.model.numberOfMoleculesProperty.get() + 1 );
+      }
+
+      this.model.step( this.options.timeStep );
+      this.elapsedTime += this.options.timeStep;
+    },
+
+    /**
+     * Get the samples formatted as comma-separated values with a header line.
+     * @returns {string}
+     * @public
+     */
+    toCSV: function() {
+      const lines = [ SAMPLE_FIELDS.join( ',' ) ];
+      this.samples.forEach( sample => {
+        lines.push( SAMPLE_FIELDS.map( field => sample[ field ] === null ? '' : sample[ field ] ).join( ',' ) );
+      } );
+      return lines.join( '\n' ) + '\n';
+    },
+
+    /**
+     * Get the experiment configuration and the samples as a JSON string.
+     * @returns {string}
+     * @public
+     */
+    toJSON: function() {
+      return JSON.stringify( {
+        configuration: {
+          substance: this.model.substanceProperty.get().name,
+          mixture: this.model.isMixture() ? {
+            substance: this.model.mixtureSubstanceProperty.get().name,
+            fraction: this.model.mixtureFractionProperty.get(),
+            combiningRule: this.model.combiningRuleProperty.get().name
+          } : null,
+          phase: this.options.snapshot ? null : this.options.phase,
+          numberOfMolecules: this.options.numberOfMolecules,
+          containerHeight: this.options.containerHeight,
+          heatingSchedule: this.heatingSchedule,
+          thermostat: this.options.thermostat.name,
+          duration: this.options.duration,
+          sampleInterval: this.options.sampleInterval,
+          timeStep: this.options.timeStep,
+          seed: this.options.seed
+        },
+        samples: this.samples
+      }, null, 2 );
+    },
+
+    /**
+     * Put the model into the initial state described by the configuration.
+     * @private
+     */
+    initializeModel: function() {
+
+      const model = this.model;
+
+      if ( this.options.snapshot ) {
+        model.restoreSnapshot( this.options.snapshot );
+      }
+      else {
+        const mixture = this.options.mixture;
+        if ( mixture ) {
+          if ( mixture.fraction !== undefined ) {
+            model.mixtureFractionProperty.set( mixture.fraction );
+          }
+          model.combiningRuleProperty.set( mixture.combiningRule || CombiningRule.TABLE );
+        }
+        model.mixtureSubstanceProperty.set( mixture ? mixture.substance : null );
+        model.substanceProperty.set( this.options.substance );
+        model.setPhase( this.options.phase );
+      }
+
+      // Remove molecules from the end of the data set if there are more than requested.
+      if ( this.options.numberOfMolecules !== null ) {
+        const atomsPerMolecule = model.moleculeDataSet.getAtomsPerMolecule();
+        while ( model.moleculeDataSet.getNumberOfMolecules() > this.options.numberOfMolecules ) {
+          model.moleculeDataSet.removeMolecule( model.moleculeDataSet.getNumberOfMolecules() - 1 );
+          for ( let i = 0; i < atomsPerMolecule; i++ ) {
+            model.particles.pop();
+          }
+        }
+        model.numberOfMoleculesProperty.set( model.moleculeDataSet.getNumberOfMolecules() );
+      }
+
+      if ( this.options.containerHeight !== null ) {
+        model.setTargetParticleContainerHeight( this.options.containerHeight );
+      }
+
+      model.thermostatTypeProperty.set( this.options.thermostat );
+    },
+
+    /**
+     * Record the current state of the model as a sample.
+     * @private
+     */
+    recordSample: function() {
+      const model = this.model;
+      this.samples.push( {
+        time: this.elapsedTime,
+        numberOfMolecules: model.moleculeDataSet.getNumberOfMolecules(),
+        containerHeight: model.particleContainerHeightProperty.get(),
+        heatingCoolingAmount: model.heatingCoolingAmountProperty.get(),
+        temperatureSetPoint: model.temperatureSetPointProperty.get(),
+        temperature: model.moleculeForceAndMotionCalculator.calculatedTemperature,
+        temperatureInKelvin: model.getMeasuredTemperatureInKelvin(),
+        pressure: model.pressureProperty.get(),
+        virialPressure: model.virialPressureProperty.get(),
+        pressureInKilopascals: model.getPressureInKilopascals(),
+        containerArea: model.getContainerArea(),
+        numberDensity: model.getNumberDensity(),
+        massDensity: model.getMassDensity(),
+        phase: model.phaseClassifier.phaseProperty.get(),
+        solidFraction: model.phaseClassifier.solidFractionProperty.get(),
+        liquidFraction: model.phaseClassifier.liquidFractionProperty.get(),
+        gasFraction: model.phaseClassifier.gasFractionProperty.get()
+      } );
+    }
+  }, {
+
+    // @public (read-only) - names of the values in each sample, in the order used for CSV output
+    SAMPLE_FIELDS: SAMPLE_FIELDS
+  } );
+} );
@@ -0,0 +1,235 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * LiquidInitialStateGenerator creates the saved states that the phase state changers load when a substance is put into
+ * the liquid phase, which is hard to do algorithmically on the fly.  It runs a MultipleParticleModel headlessly,
+ * starting from a crystal at the liquid temperature, until the crystal has melted and the liquid has settled, then
+ * captures the positions and motion of the molecules.  The captured state is rounded, adjusted so that the net momentum
+ * is zero, and validated before it is returned.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ExperimentRunner = require( 'STATES_OF_MATTER/common/model/ExperimentRunner' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+
+  // constants
+  const MOMENTUM_TOLERANCE = 1E-6; // max magnitude of the total velocity that is considered to be zero
+
+  /**
+   * @param {Object} [options]
+   * @constructor
+   */
+  function LiquidInitialStateGenerator( options ) {
+
+    options = merge( {
+
+      // {SubstanceType}
+      substance: SubstanceType.NEON,
+
+      // {number|null} - number of molecules in the generated state, null to use the default for the substance
+      numberOfMolecules: null,
+
+      // {number} - seconds of sim time to run before the state is captured, long enough for the crystal to melt
+      equilibrationTime: 20,
+
+      // {number} - seconds of sim time to run between attempts if the captured state fails validation
+      retryInterval: 1,
+
+      // {number} - number of times to run for the retry interval and recapture before giving up
+      maxRetries: 10,
+
+      // {number} - number of decimal places to which the positions, velocities, and rotations are rounded
+      decimalPlaces: 3,
+
+      // {number} - minimum allowed distance between molecule centers, in particle diameters
+      minSeparation: 0.8,
+
+      // {number|null} - seed for the random number generator, null to seed it from the sim-wide generator
+      seed: null,
+
+      // {Tandem} - used for the model, which is not instrumented by default
+      tandem: Tandem.OPT_OUT
+    }, options );
+
+    // @private
+    this.options = options;
+  }
+
+  statesOfMatter.register( 'LiquidInitialStateGenerator', LiquidInitialStateGenerator );
+
+  /**
+   * Adjust the values in an array of integers by one unit at a time so that their sum is zero.
+   * @param {number[]} values
+   */
+  function removeIntegerSum( values ) {
+    let sum = 0;
+    for ( let i = 0; i < values.length; i++ ) {
+      sum += values[ i ];
+    }
+    const adjustment = sum > 0 ? -1 : 1;
+    for ( let i = 0; sum !== 0; i = ( i + 1 ) % values.length ) {
+      values[ i ] += adjustment;
+      sum += adjustment;
+    }
+  }
+
+  return inherit( Object, LiquidInitialStateGenerator, {
+
+    /**
+     * Generate a liquid initial state in the format used by AbstractPhaseStateChanger.loadSavedState.  An error is
+     * thrown if no valid state is found.
+     * @returns {Object}
+     * @public
+     */
+    generate: function() {
+
+      const experimentRunner = new ExperimentRunner( {
+        substance: this.options.substance,
+        phase: PhaseStateEnum.SOLID,
+        numberOfMolecules: this.options.numberOfMolecules,
+        duration: this.options.equilibrationTime,
+        seed: this.options.seed,
+        tandem: this.options.tandem
+      } );
+      const model = experimentRunner.model;
+
+      // Start from a crystal at the liquid temperature so that nothing depends on a previously generated state.
+      model.setTemperature( SOMConstants.LIQUID_TEMPERATURE );
+      experimentRunner.run();
+
+      let state = null;
+      let errors = [];
+      for ( let i = 0; i <= this.options.maxRetries; i++ ) {
+        if ( i > 0 ) {
+          for ( let time = 0; time < this.options.retryInterval; time += SOMConstants.NOMINAL_TIME_STEP ) {
+            experimentRunner.step();
+          }
+        }
+        state = this.captureState( model.moleculeDataSet );
+        errors = LiquidInitialStateGenerator.validate(
+          state,
+          model.normalizedContainerWidth,
+          model.normalizedContainerHeight,
+          this.options.minSeparation
+        );
+        if ( errors.length === 0 ) {
+          return state;
+        }
+      }
+      throw new Error( `no valid liquid state found for ${this.options.substance}: ${errors.join( ', ' )}` );
+    },
+
+    /**
+     * Capture the state of the molecules in the data set, rounding the values and removing any net momentum.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @returns {Object}
+     * @private
+     */
+    captureState: function( moleculeDataSet ) {
+
+      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      const scale = Math.pow( 10, this.options.decimalPlaces );
+      const round = value => Math.round( value * scale ) / scale;
+
+      const state = {
+        numberOfMolecules: numberOfMolecules,
+        atomsPerMolecule: moleculeDataSet.getAtomsPerMolecule(),
+        moleculeCenterOfMassPositions: [],
+        moleculeVelocities: []
+      };
+
+      // Remove the average velocity, then round the velocities to integer multiples of the smallest representable
+      // value and spread whatever the rounding added to the total across the molecules so that it is exactly zero.
+      let averageVelocityX = 0;
+      let averageVelocityY = 0;
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        averageVelocityX += moleculeDataSet.moleculeVelocities[ i ].x / numberOfMolecules;
+        averageVelocityY += moleculeDataSet.moleculeVelocities[ i ].y / numberOfMolecules;
+      }
+      const scaledVelocitiesX = [];
+      const scaledVelocitiesY = [];
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        const velocity = moleculeDataSet.moleculeVelocities[ i ];
+        scaledVelocitiesX.push( Math.round( ( velocity.x - averageVelocityX ) * scale ) );
+        scaledVelocitiesY.push( Math.round( ( velocity.y - averageVelocityY ) * scale ) );
+      }
+      removeIntegerSum( scaledVelocitiesX );
+      removeIntegerSum( scaledVelocitiesY );
+
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        const position = moleculeDataSet.moleculeCenterOfMassPositions[ i ];
+        state.moleculeCenterOfMassPositions.push( { x: round( position.x ), y: round( position.y ) } );
+        state.moleculeVelocities.push( { x: scaledVelocitiesX[ i ] / scale, y: scaledVelocitiesY[ i ] / scale } );
+      }
+
+      // Rotation only matters for molecules with more than one atom.
+      if ( state.atomsPerMolecule > 1 ) {
+        state.moleculeRotationAngles = [];
+        state.moleculeRotationRates = [];
+        for ( let i = 0; i < numberOfMolecules; i++ ) {
+          state.moleculeRotationAngles.push( round( moleculeDataSet.moleculeRotationAngles[ i ] ) );
+          state.moleculeRotationRates.push( round( moleculeDataSet.moleculeRotationRates[ i ] ) );
+        }
+      }
+
+      return state;
+    }
+  }, {
+
+    /**
+     * Check that a saved state has no overlapping molecules, that all molecules are inside the container, and that
+     * there is no net momentum.  All molecules in a state have the same mass, so the net momentum is proportional to
+     * the sum of the velocities.
+     * @param {Object} state - a state in the format used by AbstractPhaseStateChanger.loadSavedState
+     * @param {number} containerWidth - in normalized model units
+     * @param {number} containerHeight - in normalized model units
+     * @param {number} minSeparation - minimum allowed distance between molecule centers, in normalized model units
+     * @returns {string[]} - descriptions of the problems found, empty if the state is valid
+     * @public
+     */
+    validate: function( state, containerWidth, containerHeight, minSeparation ) {
+
+      const errors = [];
+      const positions = state.moleculeCenterOfMassPositions;
+      const velocities = state.moleculeVelocities;
+
+      if ( positions.length !== state.numberOfMolecules || velocities.length !== state.numberOfMolecules ) {
+        errors.push( 'number of positions or velocities does not match number of molecules' );
+      }
+
+      let totalVelocityX = 0;
+      let totalVelocityY = 0;
+      for ( let i = 0; i < positions.length; i++ ) {
+        const position = positions[ i ];
+        if ( position.x < 0 || position.x > containerWidth || position.y < 0 || position.y > containerHeight ) {
+          errors.push( `molecule ${i} is outside the container` );
+        }
+        for ( let j = i + 1; j < positions.length; j++ ) {
+          const dx = positions[ j ].x - position.x;
+          const dy = positions[ j ].y - position.y;
+          if ( dx * dx + dy * dy < minSeparation * minSeparation ) {
+            errors.push( `molecules ${i} and ${j} overlap` );
+          }
+        }
+        totalVelocityX += velocities[ i ].x;
+        totalVelocityY += velocities[ i ].y;
+      }
+
+      if ( Math.abs( totalVelocityX ) > MOMENTUM_TOLERANCE || Math.abs( totalVelocityY ) > MOMENTUM_TOLERANCE ) {
+        errors.push( 'net momentum is not zero' );
+      }
+
+      return errors;
+    }
+  } );
+} );
@@ -0,0 +1,196 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Tracks how far the molecules in a MoleculeForceAndMotionDataSet have moved from where they were when tracking
+ * started, and calculates the mean squared displacement (MSD) as a function of time along with the self-diffusion
+ * coefficient that is derived from it.  In two dimensions the MSD grows as 4 * D * t once the molecules have collided
+ * enough times for their motion to be diffusive, so D is a quarter of the slope of the later part of the curve.  It is
+ * essentially zero for a solid, small for a liquid, and large for a gas.
+ *
+ * The trajectories are unwrapped, i.e. the displacement of each molecule is accumulated from its motion on each step
+ * rather than being found from its current position, so that it isn't affected by anything that moves molecules
+ * discontinuously.  Tracking starts over when that happens, e.g. when the phase is set, when a molecule moves farther
+ * in one step than the particle engine allows, or when molecules are added or removed, since the indices of the
+ * molecules are then no longer the same.  It also starts over periodically so that the curve reflects the current
+ * state of the substance.
+ *
+ * Distances are in normalized model units, i.e. molecule diameters, and times are in seconds of sim time.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Emitter = require( 'AXON/Emitter' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Property = require( 'AXON/Property' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Tandem = require( 'TANDEM/Tandem' );
+
+  // constants
+  const SAMPLE_PERIOD = 0.1; // time between points on the MSD curve
+  const MAX_TRACKING_TIME = 10; // time after which tracking starts over
+
+  // The MSD curve is only fit once it has this many points, and only the later portion of it is used for the fit, since
+  // the motion of the molecules isn't diffusive over short times.
+  const MIN_POINTS_FOR_FIT = 20;
+  const FIT_START_PROPORTION = 0.5;
+
+  // A molecule that moves farther than this in a single step is assumed to have been moved by something other than
+  // the particle engine.  The engine limits velocities, so this can't happen during normal motion.
+  const MAX_DISPLACEMENT_PER_STEP = 1.5;
+
+  /**
+   * @constructor
+   */
+  function MeanSquaredDisplacement() {
+
+    // @private - accumulated displacement of each molecule since tracking started, and its position on the previous
+    // step
+    this.displacementsX = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.displacementsY = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.previousPositionsX = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.previousPositionsY = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+
+    // @private - number of molecules being tracked, null if tracking needs to start on the next step
+    this.numberOfMolecules = null;
+
+    // @private
+    this.trackingTime = 0;
+    this.timeSinceLastPoint = 0;
+
+    // @public (read-only) - the points of the MSD curve for the current tracking period
+    this.times = [];
+    this.values = [];
+
+    // @public (read-only) - self-diffusion coefficient in molecule diameters squared per second, null if it hasn't been
+    // determined yet.  This isn't instrumented, since it is derived from tracking data that isn't part of the state.
+    this.diffusionCoefficientProperty = new Property( null, {
+      tandem: Tandem.OPT_OUT
+    } );
+
+    // @public (listen-only) - fires when a point is added to the curve or tracking starts over
+    this.changedEmitter = new Emitter();
+  }
+
+  statesOfMatter.register( 'MeanSquaredDisplacement', MeanSquaredDisplacement );
+
+  return inherit( Object, MeanSquaredDisplacement, {
+
+    /**
+     * Update the displacements from the current positions of the molecules, which should be called once per model
+     * step after the particle engine has run.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @param {number} dt - sim time since the previous step, in seconds
+     * @public
+     */
+    step: function( moleculeDataSet, dt ) {
+
+      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      const positions = moleculeDataSet.getMoleculeCenterOfMassPositions();
+
+      if ( numberOfMolecules !== this.numberOfMolecules || this.trackingTime >= MAX_TRACKING_TIME ) {
+        this.startTracking( moleculeDataSet );
+        return;
+      }
+
+      // Accumulate the motion of each molecule since the previous step.
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        const dx = positions[ i ].x - this.previousPositionsX[ i ];
+        const dy = positions[ i ].y - this.previousPositionsY[ i ];
+        if ( dx * dx + dy * dy > MAX_DISPLACEMENT_PER_STEP * MAX_DISPLACEMENT_PER_STEP ) {
+          this.startTracking( moleculeDataSet );
+          return;
+        }
+        this.displacementsX[ i ] += dx;
+        this.displacementsY[ i ] += dy;
+        this.previousPositionsX[ i ] = positions[ i ].x;
+        this.previousPositionsY[ i ] = positions[ i ].y;
+      }
+
+      this.trackingTime += dt;
+      this.timeSinceLastPoint += dt;
+      if ( this.timeSinceLastPoint >= SAMPLE_PERIOD && numberOfMolecules > 0 ) {
+        this.timeSinceLastPoint = 0;
+        let totalSquaredDisplacement = 0;
+        for ( let i = 0; i < numberOfMolecules; i++ ) {
+          totalSquaredDisplacement += this.displacementsX[ i ] * this.displacementsX[ i ] +
+                                      this.displacementsY[ i ] * this.displacementsY[ i ];
+        }
+        this.times.push( this.trackingTime );
+        this.values.push( totalSquaredDisplacement / numberOfMolecules );
+        this.updateDiffusionCoefficient();
+        this.changedEmitter.emit();
+      }
+    },
+
+    /**
+     * Start tracking again from the current positions of the molecules.  The diffusion coefficient from the previous
+     * tracking period is retained until there is enough data to calculate a new one.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @private
+     */
+    startTracking: function( moleculeDataSet ) {
+      const positions = moleculeDataSet.getMoleculeCenterOfMassPositions();
+      this.numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      for ( let i = 0; i < this.numberOfMolecules; i++ ) {
+        this.displacementsX[ i ] = 0;
+        this.displacementsY[ i ] = 0;
+        this.previousPositionsX[ i ] = positions[ i ].x;
+        this.previousPositionsY[ i ] = positions[ i ].y;
+      }
+      this.trackingTime = 0;
+      this.timeSinceLastPoint = 0;
+      this.times.length = 0;
+      this.values.length = 0;
+      this.changedEmitter.emit();
+    },
+
+    /**
+     * Find the diffusion coefficient from a least-squares fit of a line to the later part of the MSD curve.
+     * @private
+     */
+    updateDiffusionCoefficient: function() {
+      const numberOfPoints = this.times.length;
+      if ( numberOfPoints < MIN_POINTS_FOR_FIT ) {
+        return;
+      }
+      const firstPoint = Math.floor( numberOfPoints * FIT_START_PROPORTION );
+      const n = numberOfPoints - firstPoint;
+      let sumT = 0;
+      let sumMsd = 0;
+      let sumTT = 0;
+      let sumTMsd = 0;
+      for ( let i = firstPoint; i < numberOfPoints; i++ ) {
+        sumT += this.times[ i ];
+        sumMsd += this.values[ i ];
+        sumTT += this.times[ i ] * this.times[ i ];
+        sumTMsd += this.times[ i ] * this.values[ i ];
+      }
+      const slope = ( n * sumTMsd - sumT * sumMsd ) / ( n * sumTT - sumT * sumT );
+
+      // The MSD of a solid fluctuates around a constant value, so the fit can have a slightly negative slope.
+      this.diffusionCoefficientProperty.set( Math.max( slope / 4, 0 ) );
+    },
+
+    /**
+     * Discard the tracking data and the diffusion coefficient so that tracking starts over on the next step.
+     * @public
+     */
+    clear: function() {
+      this.numberOfMolecules = null;
+      this.trackingTime = 0;
+      this.timeSinceLastPoint = 0;
+      this.times.length = 0;
+      this.values.length = 0;
+      this.diffusionCoefficientProperty.set( null );
+      this.changedEmitter.emit();
+    }
+  }, {
+
+    // @public
+    MAX_TRACKING_TIME: MAX_TRACKING_TIME
+  } );
+} );
@@ -0,0 +1,145 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for MeanSquaredDisplacement, which check the MSD curve and the diffusion coefficient for molecules whose
+ * motion is known, and for the phases of a model.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MeanSquaredDisplacement = require( 'STATES_OF_MATTER/common/model/MeanSquaredDisplacement' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const DT = SOMConstants.NOMINAL_TIME_STEP;
+  const NUMBER_OF_MOLECULES = 200;
+  const MODEL_STEPS = 400;
+
+  /**
+   * Create the part of a data set that is used by MeanSquaredDisplacement, holding molecules at the given positions.
+   * @param {Vector2[]} positions
+   * @returns {Object}
+   */
+  const createDataSet = positions => ( {
+    getNumberOfMolecules: () => positions.length,
+    getMoleculeCenterOfMassPositions: () => positions
+  } );
+
+  /**
+   * Create the positions of molecules that all start at the same place.
+   * @returns {Vector2[]}
+   */
+  const createPositions = () => {
+    const positions = [];
+    for ( let i = 0; i < NUMBER_OF_MOLECULES; i++ ) {
+      positions.push( new Vector2( 10, 10 ) );
+    }
+    return positions;
+  };
+
+  QUnit.module( 'MeanSquaredDisplacement' );
+
+  QUnit.test( 'the MSD grows as the square of the time for molecules moving in straight lines', assert => {
+    const meanSquaredDisplacement = new MeanSquaredDisplacement();
+    const positions = createPositions();
+    const dataSet = createDataSet( positions );
+    const velocity = new Vector2( 0.3, 0.4 );
+    meanSquaredDisplacement.step( dataSet, DT );
+    for ( let i = 0; i < 60; i++ ) {
+      positions.forEach( position => position.add( velocity.times( DT ) ) );
+      meanSquaredDisplacement.step( dataSet, DT );
+    }
+    assert.ok( meanSquaredDisplacement.times.length > 0, 'points were added' );
+    meanSquaredDisplacement.times.forEach( ( time, i ) => {
+      const expectedValue = velocity.magnitudeSquared * time * time;
+      assert.ok( Math.abs( meanSquaredDisplacement.values[ i ] - expectedValue ) < 1E-9,
+        `MSD ${meanSquaredDisplacement.values[ i ]} at ${time}, expected ${expectedValue}` );
+    } );
+  } );
+
+  QUnit.test( 'the diffusion coefficient of a random walk', assert => {
+
+    // Each component of the step of a molecule in a random walk has a variance of 2 * D * dt.
+    const random = new Random( { seed: 1 } );
+    const diffusionCoefficient = 0.5;
+    const stepSize = Math.sqrt( 2 * diffusionCoefficient * DT );
+    const meanSquaredDisplacement = new MeanSquaredDisplacement();
+    const positions = createPositions();
+    const dataSet = createDataSet( positions );
+    meanSquaredDisplacement.step( dataSet, DT );
+    assert.equal( meanSquaredDisplacement.diffusionCoefficientProperty.get(), null, 'not known at first' );
+    for ( let i = 0; i < 300; i++ ) {
+      positions.forEach( position => {
+        position.addXY( random.nextGaussian() * stepSize, random.nextGaussian() * stepSize );
+      } );
+      meanSquaredDisplacement.step( dataSet, DT );
+    }
+    const calculatedDiffusionCoefficient = meanSquaredDisplacement.diffusionCoefficientProperty.get();
+    assert.ok( Math.abs( calculatedDiffusionCoefficient - diffusionCoefficient ) < 0.1 * diffusionCoefficient,
+      `diffusion coefficient ${calculatedDiffusionCoefficient}, expected ${diffusionCoefficient}` );
+  } );
+
+  QUnit.test( 'tracking starts over when the molecules are moved or their number changes', assert => {
+    const meanSquaredDisplacement = new MeanSquaredDisplacement();
+    const positions = createPositions();
+    meanSquaredDisplacement.step( createDataSet( positions ), DT );
+    for ( let i = 0; i < 30; i++ ) {
+      positions.forEach( position => position.addXY( 0.01, 0 ) );
+      meanSquaredDisplacement.step( createDataSet( positions ), DT );
+    }
+    assert.ok( meanSquaredDisplacement.times.length > 0, 'points were added' );
+
+    // A molecule that jumps farther than the particle engine allows has been moved by something else.
+    positions[ 0 ].addXY( 5, 0 );
+    meanSquaredDisplacement.step( createDataSet( positions ), DT );
+    assert.equal( meanSquaredDisplacement.times.length, 0, 'starts over after a jump' );
+
+    for ( let i = 0; i < 30; i++ ) {
+      positions.forEach( position => position.addXY( 0.01, 0 ) );
+      meanSquaredDisplacement.step( createDataSet( positions ), DT );
+    }
+    meanSquaredDisplacement.step( createDataSet( positions.slice( 1 ) ), DT );
+    assert.equal( meanSquaredDisplacement.times.length, 0, 'starts over when a molecule is removed' );
+  } );
+
+  QUnit.test( 'molecules diffuse fastest in a gas and hardly at all in a solid', assert => {
+    const diffusionCoefficients = [ PhaseStateEnum.SOLID, PhaseStateEnum.LIQUID, PhaseStateEnum.GAS ].map( phase => {
+      const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+      model.substanceProperty.set( SubstanceType.ARGON );
+      model.setPhase( phase );
+      model.diffusionChartExpandedProperty.set( true );
+      for ( let i = 0; i < MODEL_STEPS; i++ ) {
+        model.step( DT );
+      }
+      return model.meanSquaredDisplacement.diffusionCoefficientProperty.get();
+    } );
+    assert.ok( diffusionCoefficients.every( diffusionCoefficient => diffusionCoefficient !== null ),
+      `diffusion coefficients ${diffusionCoefficients} were found` );
+    assert.ok( diffusionCoefficients[ 0 ] < 0.1 * diffusionCoefficients[ 1 ],
+      `solid ${diffusionCoefficients[ 0 ]} is much less than liquid ${diffusionCoefficients[ 1 ]}` );
+    assert.ok( diffusionCoefficients[ 1 ] < diffusionCoefficients[ 2 ],
+      `liquid ${diffusionCoefficients[ 1 ]} is less than gas ${diffusionCoefficients[ 2 ]}` );
+  } );
+
+  QUnit.test( 'the model stops tracking while the chart is collapsed', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.diffusionChartExpandedProperty.set( true );
+    for ( let i = 0; i < MODEL_STEPS; i++ ) {
+      model.step( DT );
+    }
+    assert.ok( model.meanSquaredDisplacement.times.length > 0, 'tracked while expanded' );
+    model.diffusionChartExpandedProperty.set( false );
+    model.step( DT );
+    assert.equal( model.meanSquaredDisplacement.times.length, 0, 'cleared when collapsed' );
+    assert.equal( model.meanSquaredDisplacement.diffusionCoefficientProperty.get(), null, 'no diffusion coefficient' );
+  } );
+} );
@@ -0,0 +1,118 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Provides the Lennard-Jones parameters for the pairs of molecules in a mixture of two substances.  The parameters for
+ * like pairs come from the SubstanceRegistry, and those for unlike pairs are obtained using a CombiningRule.  Only
+ * monatomic substances with a fixed interaction strength can be mixed, since the particle engine has no support for
+ * molecules of different shapes in the same data set.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomType = require( 'STATES_OF_MATTER/common/model/AtomType' );
+  const CombiningRule = require( 'STATES_OF_MATTER/common/model/CombiningRule' );
+  const InteractionStrengthTable = require( 'STATES_OF_MATTER/common/model/InteractionStrengthTable' );
+  const SigmaTable = require( 'STATES_OF_MATTER/common/model/SigmaTable' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
+
+  // atom types for which SigmaTable and InteractionStrengthTable have measured values for unlike pairs
+  const TABLE_ATOM_TYPES = [ AtomType.NEON, AtomType.ARGON ];
+
+  // static object (no constructor)
+  const MixingRules = {
+
+    /**
+     * Get whether the two substances can be simulated together.
+     * @param {SubstanceType} substance1
+     * @param {SubstanceType} substance2
+     * @returns {boolean}
+     * @public
+     */
+    canMix: function( substance1, substance2 ) {
+      const substanceDescription1 = SubstanceRegistry.get( substance1 );
+      const substanceDescription2 = SubstanceRegistry.get( substance2 );
+      return substance1 !== substance2 &&
+             substanceDescription1.atomsPerMolecule === 1 && substanceDescription1.epsilon !== null &&
+             substanceDescription2.atomsPerMolecule === 1 && substanceDescription2.epsilon !== null;
+    },
+
+    /**
+     * Get the Lennard-Jones parameters for the interaction between a molecule of each of the specified substances.
+     * @param {SubstanceType} substance1
+     * @param {SubstanceType} substance2
+     * @param {CombiningRule} combiningRule - used when the substances are different
+     * @returns {{sigma: number, epsilon: number}} - sigma in picometers, epsilon divided by k-Boltzmann in Kelvin
+     * @public
+     */
+    getPairParameters: function( substance1, substance2, combiningRule ) {
+
+      const substanceDescription1 = SubstanceRegistry.get( substance1 );
+      const substanceDescription2 = SubstanceRegistry.get( substance2 );
+
+      if ( substance1 === substance2 ) {
+        return { sigma: substanceDescription1.sigma, epsilon: substanceDescription1.epsilon };
+      }
+
+      const atomType1 = substanceDescription1.atoms[ 0 ].type;
+      const atomType2 = substanceDescription2.atoms[ 0 ].type;
+      if ( combiningRule === CombiningRule.TABLE &&
+           TABLE_ATOM_TYPES.indexOf( atomType1 ) >= 0 && TABLE_ATOM_TYPES.indexOf( atomType2 ) >= 0 ) {
+        return {
+          sigma: SigmaTable.getSigma( atomType1, atomType2 ),
+          epsilon: InteractionStrengthTable.getInteractionPotential( atomType1, atomType2 )
+        };
+      }
+
+      // Lorentz-Berthelot
+      return {
+        sigma: ( substanceDescription1.sigma + substanceDescription2.sigma ) / 2,
+        epsilon: Math.sqrt( substanceDescription1.epsilon * substanceDescription2.epsilon )
+      };
+    },
+
+    /**
+     * Get the Lennard-Jones parameters for every pair of components in a mixture, scaled by those of the first
+     * component so that they can be used in the normalized model, where the first component has a sigma and an epsilon
+     * of 1.
+     * @param {SubstanceType[]} substances - the components of the mixture
+     * @param {CombiningRule} combiningRule
+     * @returns {{sigmas: number[][], epsilons: number[][]}} - indexed by the component indices of the pair
+     * @public
+     */
+    getScaledPairParameters: function( substances, combiningRule ) {
+      const referenceParameters = this.getPairParameters( substances[ 0 ], substances[ 0 ], combiningRule );
+      const sigmas = [];
+      const epsilons = [];
+      for ( let i = 0; i < substances.length; i++ ) {
+        sigmas.push( [] );
+        epsilons.push( [] );
+        for ( let j = 0; j < substances.length; j++ ) {
+          const pairParameters = this.getPairParameters( substances[ i ], substances[ j ], combiningRule );
+          sigmas[ i ].push( pairParameters.sigma / referenceParameters.sigma );
+          epsilons[ i ].push( pairParameters.epsilon / referenceParameters.epsilon );
+        }
+      }
+      return { sigmas: sigmas, epsilons: epsilons };
+    },
+
+    /**
+     * Get the masses of the molecules of each component in a mixture, scaled by that of the first component so that
+     * they can be used in the normalized model, where the first component has a mass of 1.
+     * @param {SubstanceType[]} substances - the components of the mixture
+     * @returns {number[]} - indexed by component index
+     * @public
+     */
+    getScaledMasses: function( substances ) {
+      const referenceMass = SubstanceRegistry.get( substances[ 0 ] ).atoms[ 0 ].mass;
+      return substances.map( substance => SubstanceRegistry.get( substance ).atoms[ 0 ].mass / referenceMass );
+    }
+  };
+
+  statesOfMatter.register( 'MixingRules', MixingRules );
+
+  return MixingRules;
+} );
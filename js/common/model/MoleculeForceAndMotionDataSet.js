@@ -19,6 +19,17 @@ define( require => {
   const Vector2 = require( 'DOT/Vector2' );
   const WaterMoleculeStructure = require( 'STATES_OF_MATTER/common/model/engine/WaterMoleculeStructure' );
 
+  // constants
+
+  // Two molecules are touching if any of their atoms are within this distance of one another, which is a little beyond
+  // the minimum of the Lennard-Jones potential so that the neighbors in a vibrating solid are always counted.
+  const CONTACT_DISTANCE = 1.5;
+  const CONTACT_DISTANCE_SQUARED = CONTACT_DISTANCE * CONTACT_DISTANCE;
+
+  // Molecules whose centers of mass are farther apart than this can't have atoms that are touching, since no atom is
+  // more than one particle diameter from the center of mass of its molecule.
+  const CONTACT_CENTER_DISTANCE_SQUARED = Math.pow( CONTACT_DISTANCE + 2, 2 );
+
   /**
    * This creates the data set with the capacity to hold the maximum number of atoms/molecules, but does not create the
    * individual data for them.  That must be done explicitly through other calls.
@@ -50,11 +61,22 @@ define( require => {
     this.moleculeRotationRates = new Array( maxNumMolecules );
     this.moleculeTorques = new Array( maxNumMolecules );
     this.nextMoleculeTorques = new Array( maxNumMolecules );
+
+    // @public - index of the component of a mixture to which each molecule belongs, always 0 for a single substance
+    this.moleculeComponentIndices = new Array( maxNumMolecules );
+
+    // @public (read-only) - identifier of each molecule, which stays with the molecule when others are removed and the
+    // indices shift, unlike the index
+    this.moleculeIds = new Array( maxNumMolecules );
+
+    // @private - identifier that will be given to the next molecule that is added, never reused within this data set
+    this.nextMoleculeId = 0;
     for ( let i = 0; i < SOMConstants.MAX_NUM_ATOMS / this.atomsPerMolecule; i++ ) {
       this.moleculeRotationAngles [ i ] = 0;
       this.moleculeRotationRates[ i ] = 0;
       this.moleculeTorques[ i ] = 0;
       this.nextMoleculeTorques [ i ] = 0;
+      this.moleculeComponentIndices[ i ] = 0;
     }
 
     // Set default values.
@@ -73,6 +95,10 @@ define( require => {
       this.moleculeMass = 1.5; // Three molecules, one relatively heavy and two light
       this.moleculeRotationalInertia = WaterMoleculeStructure.rotationalInertia;
     }
+
+    // @public {number[]} - mass of the molecules of each component of a mixture, indexed by the values in
+    // moleculeComponentIndices, in the same units as moleculeMass.  There is only one for a single substance.
+    this.componentMasses = [ this.moleculeMass ];
   }
 
   statesOfMatter.register( 'MoleculeForceAndMotionDataSet', MoleculeForceAndMotionDataSet );
@@ -81,37 +107,43 @@ define( require => {
 
     /**
      * get the total kinetic energy of the particles in this data set
+     * @returns {number}
+     * @public
      */
     getTotalKineticEnergy: function(){
+      return this.getTotalTranslationalKineticEnergy() + this.getTotalRotationalKineticEnergy();
+    },
 
+    /**
+     * get the total kinetic energy due to the motion of the centers of mass of the molecules in this data set
+     * @returns {number}
+     * @public
+     */
+    getTotalTranslationalKineticEnergy: function() {
       let translationalKineticEnergy = 0;
-      let rotationalKineticEnergy = 0;
-      const particleMass = this.moleculeMass;
-      const numberOfParticles = this.getNumberOfMolecules();
-      let i;
-
-      if ( this.atomsPerMolecule > 1 ) {
-
-        // Include rotational inertia in the calculation.
-        const rotationalInertia = this.getMoleculeRotationalInertia();
-        for ( i = 0; i < numberOfParticles; i++ ) {
-          translationalKineticEnergy += 0.5 * particleMass *
-                                        ( Math.pow( this.moleculeVelocities[ i ].x, 2 ) +
-                                          Math.pow( this.moleculeVelocities[ i ].y, 2 ) );
-          rotationalKineticEnergy += 0.5 * rotationalInertia * Math.pow( this.moleculeRotationRates[ i ], 2 );
-        }
+      const numberOfMolecules = this.getNumberOfMolecules();
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        translationalKineticEnergy += 0.5 * this.getMassOfMolecule( i ) * this.moleculeVelocities[ i ].magnitudeSquared;
       }
-      else {
-        for ( i = 0; i < this.getNumberOfMolecules(); i++ ) {
+      return translationalKineticEnergy;
+    },
 
-          // For single-atom molecules only translational kinetic energy is used.
-          translationalKineticEnergy += 0.5 * particleMass *
-                                        ( Math.pow( this.moleculeVelocities[ i ].x, 2 ) +
-                                          Math.pow( this.moleculeVelocities[ i ].y, 2 ) );
+    /**
+     * get the total kinetic energy due to the rotation of the molecules in this data set, which is zero for single-atom
+     * molecules
+     * @returns {number}
+     * @public
+     */
+    getTotalRotationalKineticEnergy: function() {
+      let rotationalKineticEnergy = 0;
+      if ( this.atomsPerMolecule > 1 ) {
+        const numberOfMolecules = this.getNumberOfMolecules();
+        for ( let i = 0; i < numberOfMolecules; i++ ) {
+          rotationalKineticEnergy += 0.5 * this.moleculeRotationalInertia *
+                                     this.moleculeRotationRates[ i ] * this.moleculeRotationRates[ i ];
         }
       }
-
-      return translationalKineticEnergy + rotationalKineticEnergy;
+      return rotationalKineticEnergy;
     },
 
     getTemperature: function(){
@@ -144,13 +176,23 @@ define( require => {
       return this.moleculeMass;
     },
 
+    /**
+     * Get the mass of the specified molecule, which is the same for all molecules unless this is a mixture.
+     * @param {number} moleculeIndex
+     * @returns {number}
+     * @public
+     */
+    getMassOfMolecule: function( moleculeIndex ) {
+      return this.componentMasses[ this.moleculeComponentIndices[ moleculeIndex ] ];
+    },
+
     /**
      * get the kinetic energy of the specified molecule
      * @param moleculeIndex
      */
     getMoleculeKineticEnergy: function( moleculeIndex ){
       assert && assert ( moleculeIndex >= 0 && moleculeIndex < this.numberOfMolecules );
-      const translationalKineticEnergy = 0.5 * this.moleculeMass *
+      const translationalKineticEnergy = 0.5 * this.getMassOfMolecule( moleculeIndex ) *
                                     ( Math.pow( this.moleculeVelocities[ moleculeIndex ].x, 2 ) +
                                       Math.pow( this.moleculeVelocities[ moleculeIndex ].y, 2 ) );
       const rotationalKineticEnergy = 0.5 * this.moleculeRotationalInertia *
@@ -158,6 +200,45 @@ define( require => {
       return translationalKineticEnergy + rotationalKineticEnergy;
     },
 
+    /**
+     * Get the index of the molecule with the specified identifier.
+     * @param {number} moleculeId
+     * @returns {number} - the index, or -1 if there is no such molecule in the data set
+     * @public
+     */
+    getMoleculeIndex: function( moleculeId ) {
+      const numberOfMolecules = this.getNumberOfMolecules();
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        if ( this.moleculeIds[ i ] === moleculeId ) {
+          return i;
+        }
+      }
+      return -1;
+    },
+
+    /**
+     * Determine whether any of the atoms of two molecules are within the contact distance of one another.
+     * @param {number} moleculeIndex1
+     * @param {number} moleculeIndex2
+     * @returns {boolean}
+     * @public
+     */
+    areMoleculesTouching: function( moleculeIndex1, moleculeIndex2 ) {
+      if ( this.moleculeCenterOfMassPositions[ moleculeIndex1 ].distanceSquared(
+        this.moleculeCenterOfMassPositions[ moleculeIndex2 ] ) > CONTACT_CENTER_DISTANCE_SQUARED ) {
+        return false;
+      }
+      const atomsPerMolecule = this.atomsPerMolecule;
+      for ( let i = moleculeIndex1 * atomsPerMolecule; i < ( moleculeIndex1 + 1 ) * atomsPerMolecule; i++ ) {
+        for ( let j = moleculeIndex2 * atomsPerMolecule; j < ( moleculeIndex2 + 1 ) * atomsPerMolecule; j++ ) {
+          if ( this.atomPositions[ i ].distanceSquared( this.atomPositions[ j ] ) < CONTACT_DISTANCE_SQUARED ) {
+            return true;
+          }
+        }
+      }
+      return false;
+    },
+
     /**
      * Returns a value indicating how many more molecules can be added.
      * @returns {number}
@@ -299,6 +380,8 @@ define( require => {
       this.moleculeVelocities[ numberOfMolecules ] = moleculeVelocity;
       this.moleculeRotationRates[ numberOfMolecules ] = moleculeRotationRate;
       this.insideContainer[ numberOfMolecules ] = insideContainer;
+      this.moleculeComponentIndices[ numberOfMolecules ] = 0;
+      this.moleculeIds[ numberOfMolecules ] = this.nextMoleculeId++;
 
       // Allocate memory for the information that is not specified.
       this.moleculeForces[ numberOfMolecules ] = new Vector2( 0, 0 );
@@ -337,6 +420,8 @@ define( require => {
         this.moleculeRotationRates[ i ] = this.moleculeRotationRates[ i + 1 ];
         this.moleculeTorques[ i ] = this.moleculeTorques[ i + 1 ];
         this.nextMoleculeTorques[ i ] = this.nextMoleculeTorques[ i + 1 ];
+        this.moleculeComponentIndices[ i ] = this.moleculeComponentIndices[ i + 1 ];
+        this.moleculeIds[ i ] = this.moleculeIds[ i + 1 ];
       }
 
       // Handle all data arrays that are maintained on a per-atom basis.
@@ -352,6 +437,80 @@ define( require => {
       this.numberOfMolecules--;
     },
 
+    /**
+     * Get the complete state of this data set - positions, motion, and forces - as an object that can be serialized to
+     * JSON.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      const numberOfMolecules = this.getNumberOfMolecules();
+      const vectorsToStateObjects = ( vectors, count ) =>
+        vectors.slice( 0, count ).map( vector => vector.toStateObject() );
+      return {
+        atomsPerMolecule: this.atomsPerMolecule,
+        atomPositions: vectorsToStateObjects( this.atomPositions, this.numberOfAtoms ),
+        moleculeCenterOfMassPositions: vectorsToStateObjects( this.moleculeCenterOfMassPositions, numberOfMolecules ),
+        moleculeVelocities: vectorsToStateObjects( this.moleculeVelocities, numberOfMolecules ),
+        moleculeForces: vectorsToStateObjects( this.moleculeForces, numberOfMolecules ),
+        nextMoleculeForces: vectorsToStateObjects( this.nextMoleculeForces, numberOfMolecules ),
+        insideContainer: this.insideContainer.slice( 0, numberOfMolecules ),
+        moleculeRotationAngles: this.moleculeRotationAngles.slice( 0, numberOfMolecules ),
+        moleculeRotationRates: this.moleculeRotationRates.slice( 0, numberOfMolecules ),
+        moleculeTorques: this.moleculeTorques.slice( 0, numberOfMolecules ),
+        nextMoleculeTorques: this.nextMoleculeTorques.slice( 0, numberOfMolecules ),
+        moleculeComponentIndices: this.moleculeComponentIndices.slice( 0, numberOfMolecules ),
+        moleculeIds: this.moleculeIds.slice( 0, numberOfMolecules ),
+        nextMoleculeId: this.nextMoleculeId
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState, replacing all molecules currently in the data set.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+
+      assert && assert( state.atomsPerMolecule === this.atomsPerMolecule, 'state has different atoms per molecule' );
+      const numberOfMolecules = state.moleculeCenterOfMassPositions.length;
+      assert && assert(
+        numberOfMolecules <= Math.floor( SOMConstants.MAX_NUM_ATOMS / this.atomsPerMolecule ),
+        'state has too many molecules'
+      );
+
+      // Remove the existing molecules, then add the ones from the state.
+      this.numberOfAtoms = 0;
+      this.numberOfMolecules = 0;
+      const atomPositions = new Array( this.atomsPerMolecule );
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        for ( let j = 0; j < this.atomsPerMolecule; j++ ) {
+          atomPositions[ j ] = Vector2.fromStateObject( state.atomPositions[ i * this.atomsPerMolecule + j ] );
+        }
+        this.addMolecule(
+          atomPositions,
+          Vector2.fromStateObject( state.moleculeCenterOfMassPositions[ i ] ),
+          Vector2.fromStateObject( state.moleculeVelocities[ i ] ),
+          state.moleculeRotationRates[ i ],
+          state.insideContainer[ i ]
+        );
+        this.moleculeForces[ i ].set( Vector2.fromStateObject( state.moleculeForces[ i ] ) );
+        this.nextMoleculeForces[ i ].set( Vector2.fromStateObject( state.nextMoleculeForces[ i ] ) );
+        this.moleculeRotationAngles[ i ] = state.moleculeRotationAngles[ i ];
+        this.moleculeTorques[ i ] = state.moleculeTorques[ i ];
+        this.nextMoleculeTorques[ i ] = state.nextMoleculeTorques[ i ];
+        this.moleculeComponentIndices[ i ] = state.moleculeComponentIndices[ i ];
+      }
+
+      // States saved before molecules had identifiers keep the ones that were assigned as the molecules were added.
+      if ( state.moleculeIds ) {
+        for ( let i = 0; i < numberOfMolecules; i++ ) {
+          this.moleculeIds[ i ] = state.moleculeIds[ i ];
+        }
+        this.nextMoleculeId = state.nextMoleculeId;
+      }
+    },
+
     /**
      * Dump this data set's information in a way that can then be incorporated into a phase state changer that needs to
      * use fixed positions, velocities, etc. to set the state of a substance.  This was created in order to come up with
@@ -0,0 +1,84 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for MoleculeForceAndMotionDataSet, which check that the molecules keep their IDs as others are removed
+ * and when the state of the data set is saved and restored.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+
+  /**
+   * Create a model of oxygen, whose molecules have more than one atom.
+   * @returns {MultipleParticleModel}
+   */
+  const createModel = () => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.DIATOMIC_OXYGEN );
+    model.setPhase( PhaseStateEnum.GAS );
+    return model;
+  };
+
+  /**
+   * Add a molecule with the same position and velocity as the first one in a data set.
+   * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+   * @returns {number} - the ID of the added molecule
+   */
+  const addCopyOfFirstMolecule = moleculeDataSet => {
+    moleculeDataSet.addMolecule(
+      moleculeDataSet.atomPositions.slice( 0, moleculeDataSet.getAtomsPerMolecule() ),
+      moleculeDataSet.moleculeCenterOfMassPositions[ 0 ].copy(),
+      moleculeDataSet.moleculeVelocities[ 0 ].copy(),
+      0,
+      true
+    );
+    return moleculeDataSet.moleculeIds[ moleculeDataSet.getNumberOfMolecules() - 1 ];
+  };
+
+  QUnit.module( 'MoleculeForceAndMotionDataSet' );
+
+  QUnit.test( 'molecules keep their IDs when others are removed', assert => {
+    const moleculeDataSet = createModel().moleculeDataSet;
+    const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+    const moleculeIds = moleculeDataSet.moleculeIds.slice( 0, numberOfMolecules );
+    assert.equal( new Set( moleculeIds ).size, numberOfMolecules, 'the IDs are unique' );
+    moleculeIds.forEach( ( moleculeId, i ) => {
+      assert.equal( moleculeDataSet.getMoleculeIndex( moleculeId ), i, `molecule ${moleculeId} is found` );
+    } );
+
+    // Removing a molecule shifts the indices of the ones after it, but not their IDs.
+    const removedMoleculeId = moleculeIds[ 2 ];
+    const trackedMoleculeId = moleculeIds[ 5 ];
+    const trackedPosition = moleculeDataSet.moleculeCenterOfMassPositions[ 5 ];
+    moleculeDataSet.removeMolecule( 2 );
+    assert.equal( moleculeDataSet.getMoleculeIndex( removedMoleculeId ), -1, 'the removed molecule is gone' );
+    assert.equal( moleculeDataSet.getMoleculeIndex( trackedMoleculeId ), 4, 'a later molecule is at its new index' );
+    assert.equal( moleculeDataSet.moleculeCenterOfMassPositions[ 4 ], trackedPosition, 'with its own position' );
+
+    // The ID of a removed molecule isn't reused.
+    const addedMoleculeId = addCopyOfFirstMolecule( moleculeDataSet );
+    assert.notOk( moleculeIds.includes( addedMoleculeId ), `the added molecule has a new ID, ${addedMoleculeId}` );
+  } );
+
+  QUnit.test( 'the IDs are saved and restored with the state', assert => {
+    const moleculeDataSet = createModel().moleculeDataSet;
+    moleculeDataSet.removeMolecule( 0 );
+    const state = JSON.parse( JSON.stringify( moleculeDataSet.getState() ) );
+    const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+    const moleculeIds = moleculeDataSet.moleculeIds.slice( 0, numberOfMolecules );
+
+    const otherDataSet = createModel().moleculeDataSet;
+    otherDataSet.setState( state );
+    assert.deepEqual( otherDataSet.moleculeIds.slice( 0, numberOfMolecules ), moleculeIds, 'the same IDs' );
+    assert.equal( addCopyOfFirstMolecule( otherDataSet ), addCopyOfFirstMolecule( moleculeDataSet ),
+      'the next molecule that is added gets the same ID' );
+  } );
+} );
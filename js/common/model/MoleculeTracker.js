@@ -0,0 +1,183 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Keeps track of a single molecule that has been selected by the user, recording its recent path and reporting its
+ * speed, kinetic energy, and number of neighbors.  The molecule is identified by its ID in the molecule data set rather
+ * than by its index, since the indices of the molecules shift when others are removed, e.g. when the lid is returned.
+ * The selection is cleared when the molecule no longer exists.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const Property = require( 'AXON/Property' );
+  const SOMQueryParameters = require( 'STATES_OF_MATTER/common/SOMQueryParameters' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+
+  // length of time over which the path of the molecule is recorded, in seconds
+  const TRAIL_DURATION = SOMQueryParameters.trailDuration;
+
+  // distance, in particle diameters, beyond which a move of the molecule in a single step is taken to be a jump, e.g.
+  // when the phase is set, rather than motion, and so isn't connected to the earlier part of the trail
+  const MAX_TRAIL_STEP = 2;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel
+   * @param {number} timeScale - units of particle engine time per second of sim time
+   * @constructor
+   */
+  function MoleculeTracker( multipleParticleModel, timeScale ) {
+
+    const self = this;
+
+    // @private
+    this.multipleParticleModel = multipleParticleModel;
+    this.timeScale = timeScale;
+
+    // @public {Property<number|null>} - ID of the selected molecule in the molecule data set, null if none is selected
+    this.selectedMoleculeIdProperty = new Property( null );
+
+    // @public (read-only) - speed of the selected molecule in particle diameters per second
+    this.speedProperty = new NumberProperty( 0 );
+
+    // @public (read-only) - translational plus rotational kinetic energy of the selected molecule in units of epsilon
+    this.kineticEnergyProperty = new NumberProperty( 0 );
+
+    // @public (read-only) - number of other molecules that the selected molecule is touching
+    this.neighborCountProperty = new NumberProperty( 0 );
+
+    // @public (read-only) - position of the center of mass of the selected molecule in picometers and its velocity in
+    // picometers per second
+    this.position = new Vector2( 0, 0 );
+    this.velocity = new Vector2( 0, 0 );
+
+    // @public (read-only) - positions of the selected molecule over the trail duration, oldest first, in picometers
+    this.trailPositions = [];
+
+    // @private - times at which the trail positions were recorded, in seconds
+    this.trailTimes = [];
+
+    // @private - time since the molecule was selected
+    this.time = 0;
+
+    this.selectedMoleculeIdProperty.lazyLink( function() {
+      self.clearTrail();
+      self.update();
+    } );
+  }
+
+  statesOfMatter.register( 'MoleculeTracker', MoleculeTracker );
+
+  return inherit( Object, MoleculeTracker, {
+
+    /**
+     * Select the molecule with an atom at the specified position, or clear the selection if there is none.  If atoms
+     * overlap, the one that is drawn last, and so appears on top, is chosen.
+     * @param {Vector2} position - in picometers
+     * @public
+     */
+    selectMoleculeAt: function( position ) {
+      const moleculeDataSet = this.multipleParticleModel.moleculeDataSet;
+      const particles = this.multipleParticleModel.particles;
+      let moleculeId = null;
+      for ( let i = 0; i < particles.length; i++ ) {
+        const particle = particles.get( i );
+        if ( particle.positionProperty.get().distance( position ) <= particle.getRadius() ) {
+          moleculeId = moleculeDataSet.moleculeIds[ Math.floor( i / moleculeDataSet.getAtomsPerMolecule() ) ];
+        }
+      }
+      this.selectedMoleculeIdProperty.set( moleculeId );
+    },
+
+    /**
+     * @public
+     */
+    clearSelection: function() {
+      this.selectedMoleculeIdProperty.set( null );
+    },
+
+    /**
+     * Update the readouts and extend the trail of the selected molecule, which should be called once per model step
+     * after the molecules have been moved.
+     * @param {number} dt - sim time since the previous step, in seconds
+     * @public
+     */
+    step: function( dt ) {
+      if ( this.selectedMoleculeIdProperty.get() === null ) {
+        return;
+      }
+      const previousPosition = this.position.copy();
+      this.update();
+      if ( this.selectedMoleculeIdProperty.get() === null ) {
+        return;
+      }
+
+      this.time += dt;
+      if ( previousPosition.distance( this.position ) >
+           MAX_TRAIL_STEP * this.multipleParticleModel.particleDiameter ) {
+        this.clearTrail();
+      }
+      this.trailPositions.push( this.position.copy() );
+      this.trailTimes.push( this.time );
+      while ( this.trailTimes[ 0 ] < this.time - TRAIL_DURATION ) {
+        this.trailPositions.shift();
+        this.trailTimes.shift();
+      }
+    },
+
+    /**
+     * Update the position, velocity, and readouts of the selected molecule from the molecule data set, clearing the
+     * selection if the molecule no longer exists.
+     * @public
+     */
+    update: function() {
+      const moleculeId = this.selectedMoleculeIdProperty.get();
+      if ( moleculeId === null ) {
+        return;
+      }
+      const moleculeDataSet = this.multipleParticleModel.moleculeDataSet;
+      const moleculeIndex = moleculeDataSet.getMoleculeIndex( moleculeId );
+      if ( moleculeIndex === -1 ) {
+        this.clearSelection();
+        return;
+      }
+
+      const particleDiameter = this.multipleParticleModel.particleDiameter;
+      const normalizedVelocity = moleculeDataSet.moleculeVelocities[ moleculeIndex ];
+      this.position.set( moleculeDataSet.moleculeCenterOfMassPositions[ moleculeIndex ] ).multiplyScalar(
+        particleDiameter
+      );
+      this.velocity.set( normalizedVelocity ).multiplyScalar( particleDiameter * this.timeScale );
+
+      let neighborCount = 0;
+      for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
+        if ( i !== moleculeIndex && moleculeDataSet.areMoleculesTouching( moleculeIndex, i ) ) {
+          neighborCount++;
+        }
+      }
+      this.speedProperty.set( normalizedVelocity.magnitude * this.timeScale );
+      this.kineticEnergyProperty.set( moleculeDataSet.getMoleculeKineticEnergy( moleculeIndex ) );
+      this.neighborCountProperty.set( neighborCount );
+    },
+
+    /**
+     * Clear the recorded path of the molecule, e.g. when the molecule has been moved to a new position.
+     * @public
+     */
+    clearTrail: function() {
+      this.trailPositions.length = 0;
+      this.trailTimes.length = 0;
+    }
+  }, {
+
+    // @public
+    TRAIL_DURATION: TRAIL_DURATION
+  } );
+} );
@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for MoleculeTracker, which check that the selected molecule is followed by its ID, that its readouts and
+ * trail match its motion, and that the selection is cleared when the molecule is gone.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MoleculeTracker = require( 'STATES_OF_MATTER/common/model/MoleculeTracker' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const DT = SOMConstants.NOMINAL_TIME_STEP;
+  const TOLERANCE = 1E-9; // relative
+
+  /**
+   * @returns {MultipleParticleModel}
+   */
+  const createModel = () => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.DIATOMIC_OXYGEN );
+    model.setPhase( PhaseStateEnum.GAS );
+    return model;
+  };
+
+  /**
+   * @param {number} value
+   * @param {number} expectedValue
+   * @returns {boolean}
+   */
+  const isClose = ( value, expectedValue ) =>
+    Math.abs( value - expectedValue ) <= TOLERANCE * Math.abs( expectedValue );
+
+  QUnit.module( 'MoleculeTracker' );
+
+  QUnit.test( 'a molecule is selected by the position of one of its atoms', assert => {
+    const model = createModel();
+    const moleculeTracker = model.moleculeTracker;
+    const moleculeDataSet = model.moleculeDataSet;
+
+    // the second atom of the fourth molecule
+    moleculeTracker.selectMoleculeAt( model.particles.get( 7 ).positionProperty.get() );
+    assert.equal( moleculeTracker.selectedMoleculeIdProperty.get(), moleculeDataSet.moleculeIds[ 3 ], 'selected' );
+    assert.ok( moleculeTracker.position.equals(
+      moleculeDataSet.moleculeCenterOfMassPositions[ 3 ].timesScalar( model.particleDiameter )
+    ), `at the center of mass of the molecule, ${moleculeTracker.position}` );
+
+    moleculeTracker.selectMoleculeAt( new Vector2( -1E6, -1E6 ) );
+    assert.equal( moleculeTracker.selectedMoleculeIdProperty.get(), null, 'nothing is selected away from the atoms' );
+  } );
+
+  QUnit.test( 'the readouts and trail follow the selected molecule', assert => {
+    const model = createModel();
+    const moleculeTracker = model.moleculeTracker;
+    const moleculeDataSet = model.moleculeDataSet;
+    const moleculeId = moleculeDataSet.moleculeIds[ 0 ];
+    moleculeTracker.selectedMoleculeIdProperty.set( moleculeId );
+
+    // The speed is in particle diameters per second, so its ratio to the speed in the particle engine is constant.
+    let speedRatio = null;
+    const numberOfSteps = Math.ceil( 2 * MoleculeTracker.TRAIL_DURATION / DT );
+    for ( let i = 0; i < numberOfSteps; i++ ) {
+      model.step( DT );
+      const moleculeIndex = moleculeDataSet.getMoleculeIndex( moleculeId );
+      const velocity = moleculeDataSet.moleculeVelocities[ moleculeIndex ];
+      speedRatio = speedRatio || moleculeTracker.speedProperty.get() / velocity.magnitude;
+      const expectedVelocity = velocity.timesScalar( speedRatio * model.particleDiameter );
+      if ( !isClose( moleculeTracker.speedProperty.get(), speedRatio * velocity.magnitude ) ||
+           moleculeTracker.velocity.distance( expectedVelocity ) > TOLERANCE * expectedVelocity.magnitude ||
+           moleculeTracker.kineticEnergyProperty.get() !== moleculeDataSet.getMoleculeKineticEnergy( moleculeIndex ) ) {
+        assert.ok( false, `the readouts differ from the molecule at step ${i}` );
+        return;
+      }
+    }
+    assert.ok( speedRatio > 0, 'the readouts match the molecule on every step' );
+
+    // The trail ends at the molecule and only covers the trail duration.
+    const trailPositions = moleculeTracker.trailPositions;
+    assert.ok( trailPositions[ trailPositions.length - 1 ].equals( moleculeTracker.position ), 'the trail ends there' );
+    assert.ok( trailPositions.length <= Math.ceil( MoleculeTracker.TRAIL_DURATION / DT ) + 1,
+      `${trailPositions.length} trail positions` );
+    assert.ok( trailPositions.length > 1, 'the trail has more than one position' );
+
+    // Setting the phase moves the molecule, so the trail starts over.
+    model.setPhase( PhaseStateEnum.SOLID );
+    assert.equal( moleculeTracker.selectedMoleculeIdProperty.get(), moleculeId, 'still selected' );
+    assert.equal( trailPositions.length, 0, 'the trail is cleared' );
+  } );
+
+  QUnit.test( 'the molecule is followed when others are removed and deselected when it is removed', assert => {
+    const model = createModel();
+    const moleculeTracker = model.moleculeTracker;
+    const moleculeDataSet = model.moleculeDataSet;
+    const moleculeId = moleculeDataSet.moleculeIds[ 5 ];
+    moleculeTracker.selectedMoleculeIdProperty.set( moleculeId );
+
+    moleculeDataSet.removeMolecule( 0 );
+    moleculeTracker.update();
+    assert.equal( moleculeTracker.selectedMoleculeIdProperty.get(), moleculeId, 'still selected' );
+    assert.ok( moleculeTracker.position.equals(
+      moleculeDataSet.moleculeCenterOfMassPositions[ 4 ].timesScalar( model.particleDiameter )
+    ), 'at the position of the molecule at its new index' );
+
+    moleculeDataSet.removeMolecule( 4 );
+    moleculeTracker.update();
+    assert.equal( moleculeTracker.selectedMoleculeIdProperty.get(), null, 'deselected when the molecule is removed' );
+
+    // The molecules of a new substance have new IDs.
+    moleculeTracker.selectedMoleculeIdProperty.set( moleculeDataSet.moleculeIds[ 0 ] );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    assert.equal( moleculeTracker.selectedMoleculeIdProperty.get(), null, 'deselected when the substance changes' );
+  } );
+} );
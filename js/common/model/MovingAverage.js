@@ -51,6 +51,35 @@ define( require => {
       this.total = this.initialValue * this.size;
       this.average = this.total / this.size;
       this.currentIndex = 0;
+    },
+
+    /**
+     * Get the internal state as an object that can be serialized to JSON.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      return {
+        array: this.array.slice(),
+        currentIndex: this.currentIndex,
+        total: this.total,
+        average: this.average
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+      assert && assert( state.array.length === this.size, 'state is for a moving average of a different size' );
+      for ( let i = 0; i < this.size; i++ ) {
+        this.array[ i ] = state.array[ i ];
+      }
+      this.currentIndex = state.currentIndex;
+      this.total = state.total;
+      this.average = state.average;
     }
   } );
 } );
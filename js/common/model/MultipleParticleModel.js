@@ -19,10 +19,10 @@ define( require => {
 
   // modules
   const AndersenThermostat = require( 'STATES_OF_MATTER/common/model/engine/kinetic/AndersenThermostat' );
-  const ArgonAtom = require( 'STATES_OF_MATTER/common/model/particle/ArgonAtom' );
-  const AtomType = require( 'STATES_OF_MATTER/common/model/AtomType' );
+  const BerendsenThermostat = require( 'STATES_OF_MATTER/common/model/engine/kinetic/BerendsenThermostat' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
-  const ConfigurableStatesOfMatterAtom = require( 'STATES_OF_MATTER/common/model/particle/ConfigurableStatesOfMatterAtom' );
+  const CombiningRule = require( 'STATES_OF_MATTER/common/model/CombiningRule' );
+  const ContainerWall = require( 'STATES_OF_MATTER/common/model/ContainerWall' );
   const DiatomicAtomPositionUpdater = require( 'STATES_OF_MATTER/common/model/engine/DiatomicAtomPositionUpdater' );
   const DiatomicPhaseStateChanger = require( 'STATES_OF_MATTER/common/model/engine/DiatomicPhaseStateChanger' );
   const DiatomicVerletAlgorithm = require( 'STATES_OF_MATTER/common/model/engine/DiatomicVerletAlgorithm' );
@@ -30,23 +30,41 @@ define( require => {
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const HydrogenAtom = require( 'STATES_OF_MATTER/common/model/particle/HydrogenAtom' );
   const inherit = require( 'PHET_CORE/inherit' );
-  const InteractionStrengthTable = require( 'STATES_OF_MATTER/common/model/InteractionStrengthTable' );
   const IsokineticThermostat = require( 'STATES_OF_MATTER/common/model/engine/kinetic/IsokineticThermostat' );
+  const MeanSquaredDisplacement = require( 'STATES_OF_MATTER/common/model/MeanSquaredDisplacement' );
+  const merge = require( 'PHET_CORE/merge' );
+  const MixingRules = require( 'STATES_OF_MATTER/common/model/MixingRules' );
+  const MixtureVerletAlgorithm = require( 'STATES_OF_MATTER/common/model/engine/MixtureVerletAlgorithm' );
   const MoleculeForceAndMotionDataSet = require( 'STATES_OF_MATTER/common/model/MoleculeForceAndMotionDataSet' );
+  const MoleculeTracker = require( 'STATES_OF_MATTER/common/model/MoleculeTracker' );
   const MonatomicAtomPositionUpdater = require( 'STATES_OF_MATTER/common/model/engine/MonatomicAtomPositionUpdater' );
   const MonatomicPhaseStateChanger = require( 'STATES_OF_MATTER/common/model/engine/MonatomicPhaseStateChanger' );
   const MonatomicVerletAlgorithm = require( 'STATES_OF_MATTER/common/model/engine/MonatomicVerletAlgorithm' );
   const MovingAverage = require( 'STATES_OF_MATTER/common/model/MovingAverage' );
-  const NeonAtom = require( 'STATES_OF_MATTER/common/model/particle/NeonAtom' );
+  const NoseHooverThermostat = require( 'STATES_OF_MATTER/common/model/engine/kinetic/NoseHooverThermostat' );
   const NumberProperty = require( 'AXON/NumberProperty' );
   const ObservableArray = require( 'AXON/ObservableArray' );
   const OxygenAtom = require( 'STATES_OF_MATTER/common/model/particle/OxygenAtom' );
+  const ParticleColoringMode = require( 'STATES_OF_MATTER/common/model/ParticleColoringMode' );
+  const ParticleColorValueCalculator = require( 'STATES_OF_MATTER/common/model/ParticleColorValueCalculator' );
+  const PhaseClassifier = require( 'STATES_OF_MATTER/common/model/PhaseClassifier' );
   const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
   const Property = require( 'AXON/Property' );
+  const RadialDistributionFunction = require( 'STATES_OF_MATTER/common/model/RadialDistributionFunction' );
+  const Random = require( 'DOT/Random' );
   const Range = require( 'DOT/Range' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SOMQueryParameters = require( 'STATES_OF_MATTER/common/SOMQueryParameters' );
+  const SpeedHistogram = require( 'STATES_OF_MATTER/common/model/SpeedHistogram' );
+  const StateTargetController = require( 'STATES_OF_MATTER/common/model/StateTargetController' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceAtom = require( 'STATES_OF_MATTER/common/model/particle/SubstanceAtom' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
   const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TemperaturePressureHistory = require( 'STATES_OF_MATTER/common/model/TemperaturePressureHistory' );
+  const ThermostatType = require( 'STATES_OF_MATTER/common/model/ThermostatType' );
+  const UnitConverter = require( 'STATES_OF_MATTER/common/model/UnitConverter' );
   const Utils = require( 'DOT/Utils' );
   const Vector2 = require( 'DOT/Vector2' );
   const WaterAtomPositionUpdater = require( 'STATES_OF_MATTER/common/model/engine/WaterAtomPositionUpdater' );
@@ -54,18 +72,31 @@ define( require => {
   const WaterVerletAlgorithm = require( 'STATES_OF_MATTER/common/model/engine/WaterVerletAlgorithm' );
 
   // constants (general)
-  const PARTICLE_CONTAINER_WIDTH = 10000; // essentially arbitrary
+  const PARTICLE_CONTAINER_WIDTH = 10000; // essentially arbitrary, also the max width when the side wall is moved
   const PARTICLE_CONTAINER_INITIAL_HEIGHT = 10000;  // essentially arbitrary
   const DEFAULT_SUBSTANCE = SubstanceType.NEON;
   const MAX_TEMPERATURE = 50.0;
   const MIN_TEMPERATURE = 0.00001;
   const NOMINAL_GRAVITATIONAL_ACCEL = -0.045;
+  const MAX_GRAVITY_STRENGTH = 5; // as a multiple of the nominal value, strong enough to visibly compress a gas
+  const DEFAULT_GRAVITY_DIRECTION = -Math.PI / 2; // in radians, straight down
+
+  // unit vectors for the directions of gravity that are a whole number of quarter turns counterclockwise from the
+  // positive x axis
+  const QUARTER_TURN_DIRECTIONS = [
+    new Vector2( 1, 0 ),
+    new Vector2( 0, 1 ),
+    new Vector2( -1, 0 ),
+    new Vector2( 0, -1 )
+  ];
+
   const TEMPERATURE_CHANGE_RATE = 0.07; // empirically determined to make temperate change at a reasonable rate
   const INJECTED_MOLECULE_SPEED = 2.0; // in normalized model units per second, empirically determined to look reasonable
   const INJECTED_MOLECULE_ANGLE_SPREAD = Math.PI * 0.25; // in radians, empirically determined to look reasonable
   const INJECTION_POINT_HORIZ_PROPORTION = 0.00;
   const INJECTION_POINT_VERT_PROPORTION = 0.25;
   const MIN_ALLOWABLE_CONTAINER_HEIGHT = 1500; // empirically determined, almost all the way to the bottom
+  const MIN_ALLOWABLE_CONTAINER_WIDTH = 2500; // leaves room for the solid when the side wall is pushed in
 
   // constants related to how time steps are handled
   const PARTICLE_SPEED_UP_FACTOR = 4; // empirically determined to make the particles move at a speed that looks reasonable
@@ -83,26 +114,25 @@ define( require => {
   const MAX_CONTAINER_EXPAND_RATE = 1500; // in model units per second
   const POST_EXPLOSION_CONTAINER_EXPANSION_RATE = 9000; // in model units per second
 
+  // The weighted lid is a piston that is pushed up by the molecules that bounce off of it and down by its weight, see
+  // updateWeightedLid.  The weights are the forces exerted by the lid at the nominal strength of gravity and the mass
+  // is in molecule masses, all in normalized model units.  The weights span the forces that a few hundred molecules of
+  // gas exert on the lid over the range of temperatures in the sim, and the friction is about enough to stop the lid
+  // from bouncing on the gas below it.
+  const MIN_LID_WEIGHT = 0.5;
+  const MAX_LID_WEIGHT = 10;
+  const DEFAULT_LID_WEIGHT = 3;
+  const LID_MASS = 5;
+  const LID_FRICTION = 1; // in force per unit of lid velocity
+
+  // multiplier for converting the pressure calculated by the particle engine to atmospheres, empirically determined,
+  // used in the classic unit conversion mode, see convertModelPressureToAtmospheres
+  const MODEL_PRESSURE_TO_ATMOSPHERES = 5;
+  const KILOPASCALS_PER_ATMOSPHERE = 101.325;
+
   // Range for deciding if the temperature is near the current set point. The units are internal model units.
   const TEMPERATURE_CLOSENESS_RANGE = 0.15;
 
-  // Values used for converting from model temperature to the temperature for a given particle.
-  const NEON_TRIPLE_POINT_IN_KELVIN = SOMConstants.NEON_TRIPLE_POINT_IN_KELVIN;
-  const NEON_CRITICAL_POINT_IN_KELVIN = SOMConstants.NEON_CRITICAL_POINT_IN_KELVIN;
-  const ARGON_TRIPLE_POINT_IN_KELVIN = SOMConstants.ARGON_TRIPLE_POINT_IN_KELVIN;
-  const ARGON_CRITICAL_POINT_IN_KELVIN = SOMConstants.ARGON_CRITICAL_POINT_IN_KELVIN;
-  const O2_TRIPLE_POINT_IN_KELVIN = SOMConstants.O2_TRIPLE_POINT_IN_KELVIN;
-  const O2_CRITICAL_POINT_IN_KELVIN = SOMConstants.O2_CRITICAL_POINT_IN_KELVIN;
-  const WATER_TRIPLE_POINT_IN_KELVIN = SOMConstants.WATER_TRIPLE_POINT_IN_KELVIN;
-  const WATER_CRITICAL_POINT_IN_KELVIN = SOMConstants.WATER_CRITICAL_POINT_IN_KELVIN;
-
-  // The following values are used for temperature conversion for the adjustable molecule.  These are somewhat
-  // arbitrary, since in the real world the values would change if epsilon were changed.  They have been chosen to be
-  // similar to argon, because the default epsilon value is half of the allowable range, and this value ends up being
-  // similar to argon.
-  const ADJUSTABLE_ATOM_TRIPLE_POINT_IN_KELVIN = 75;
-  const ADJUSTABLE_ATOM_CRITICAL_POINT_IN_KELVIN = 140;
-
   // Min a max values for adjustable epsilon.  Originally there was a wider allowable range, but the simulation did not
   // work so well, so the range below was arrived at empirically and seems to work reasonably well.
   const MIN_ADJUSTABLE_EPSILON = SOMConstants.MIN_ADJUSTABLE_EPSILON;
@@ -113,14 +143,36 @@ define( require => {
   const MOLECULE_INJECTION_HOLDOFF_TIME = 0.25; // seconds, empirically determined
   const MAX_MOLECULES_QUEUED_FOR_INJECTION = 3;
 
+  // largest number of model steps over which the radial distribution function can be averaged, limits memory use
+  const MAX_RDF_WINDOW_SIZE = 600;
+
+  // version of the format used for snapshots, must be incremented if the format changes in an incompatible way
+  const SNAPSHOT_VERSION = 3;
+
   /**
    * @param {Tandem} tandem
+   * @param {Object} [options]
    * @constructor
    */
-  function MultipleParticleModel( tandem ) {
+  function MultipleParticleModel( tandem, options ) {
 
     const self = this;
 
+    options = merge( {
+
+      // {Random|null} - source of the random numbers used by the model and the strategies that operate on the molecule
+      // data set, null to create one that is seeded from the sim-wide generator.  Supplying a seeded generator allows a
+      // run to be reproduced.  The generator must not be reseeded by other code, since its seed and number of calls are
+      // saved in snapshots.
+      random: null
+    }, options );
+
+    // @public (read-only) {Random}
+    this.random = options.random || new Random( { seed: phet.joist.random.nextDouble() } );
+
+    // @private {number} - number of values drawn from the generator before it was last seeded, see saveSnapshot
+    this.randomCallsBeforeSeeding = 0;
+
     //-----------------------------------------------------------------------------------------------------------------
     // observable model properties
     //-----------------------------------------------------------------------------------------------------------------
@@ -137,6 +189,31 @@ define( require => {
       range: new Range( MIN_ALLOWABLE_CONTAINER_HEIGHT, PARTICLE_CONTAINER_INITIAL_HEIGHT )
     } );
 
+    // @public (read-only) - the width of the container, which changes as the movable side wall on the right moves
+    this.particleContainerWidthProperty = new NumberProperty( PARTICLE_CONTAINER_WIDTH, {
+      tandem: tandem.createTandem( 'particleContainerWidthProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-write)
+    this.targetContainerWidthProperty = new NumberProperty( PARTICLE_CONTAINER_WIDTH, {
+      tandem: tandem.createTandem( 'targetContainerWidthProperty' ),
+      range: new Range( MIN_ALLOWABLE_CONTAINER_WIDTH, PARTICLE_CONTAINER_WIDTH )
+    } );
+
+    // @public (read-write) - whether the lid is a weighted piston that moves freely in response to the molecules, which
+    // holds the pressure constant, rather than being moved to the target height
+    this.weightedLidEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'weightedLidEnabledProperty' )
+    } );
+
+    // @public (read-write) - weight of the lid when it is weighted at the nominal strength of gravity, in normalized
+    // model units
+    this.lidWeightProperty = new NumberProperty( DEFAULT_LID_WEIGHT, {
+      tandem: tandem.createTandem( 'lidWeightProperty' ),
+      range: new Range( MIN_LID_WEIGHT, MAX_LID_WEIGHT )
+    } );
+
     // @public (read-only)
     this.isExplodedProperty = new BooleanProperty( false, {
       tandem: tandem.createTandem( 'isExplodedProperty' ),
@@ -153,6 +230,31 @@ define( require => {
       tandem: tandem.createTandem( 'interactionPotentialDiagramExpandedProperty' )
     } );
 
+    // @public (read-write)
+    this.energyChartExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'energyChartExpandedProperty' )
+    } );
+
+    // @public (read-write)
+    this.historyChartExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'historyChartExpandedProperty' )
+    } );
+
+    // @public (read-write) - the radial distribution function is only calculated while this is true, since it is costly
+    this.radialDistributionExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'radialDistributionExpandedProperty' )
+    } );
+
+    // @public (read-write) - the speed histogram is only updated while this is true
+    this.speedHistogramExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'speedHistogramExpandedProperty' )
+    } );
+
+    // @public (read-write) - the mean squared displacement is only tracked while this is true
+    this.diffusionChartExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'diffusionChartExpandedProperty' )
+    } );
+
     // @public (read-write)
     this.temperatureSetPointProperty = new NumberProperty( INITIAL_TEMPERATURE, {
       tandem: tandem.createTandem( 'temperatureSetPointProperty' ),
@@ -165,11 +267,64 @@ define( require => {
       phetioReadOnly: true
     } );
 
+    // @public (read-only) - pressure in atmospheres calculated from the virial theorem, which can be compared with the
+    // wall-based value in pressureProperty, see AbstractVerletAlgorithm.updateVirialPressure
+    this.virialPressureProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'virialPressureProperty' ),
+      phetioReadOnly: true
+    } );
+
     // @public (read-write)
     this.substanceProperty = new EnumerationProperty( SubstanceType, DEFAULT_SUBSTANCE, {
       tandem: tandem.createTandem( 'substanceProperty' )
     } );
 
+    // @public (read-write) - substance that is mixed with the selected one, null for no mixture.  Only monatomic
+    // substances can be mixed, see MixingRules, and this is ignored when the selected substance can't be mixed with it.
+    // The mixture Properties are not instrumented, since mixtures are only set up through query parameters and
+    // ExperimentRunner.
+    const mixtureSubstanceKey = SOMQueryParameters.mixtureSubstance;
+    const initialMixtureSubstance = mixtureSubstanceKey === null ? null : SubstanceType[ mixtureSubstanceKey ];
+    this.mixtureSubstanceProperty = new Property( initialMixtureSubstance, {
+      validValues: [ null ].concat( SubstanceType.VALUES ),
+      tandem: Tandem.OPT_OUT
+    } );
+
+    // @public (read-write) - fraction of the molecules that are the mixture substance
+    this.mixtureFractionProperty = new NumberProperty( SOMQueryParameters.mixtureFraction, {
+      range: new Range( 0, 1 ),
+      tandem: Tandem.OPT_OUT
+    } );
+
+    // @public (read-write) - how the interaction parameters for pairs of unlike molecules in a mixture are obtained
+    this.combiningRuleProperty = new EnumerationProperty(
+      CombiningRule,
+      CombiningRule[ SOMQueryParameters.combiningRule ],
+      { tandem: Tandem.OPT_OUT }
+    );
+
+    // @public (read-write) - the thermostat used to control the temperature of the particles
+    this.thermostatTypeProperty = new EnumerationProperty(
+      ThermostatType,
+      ThermostatType[ SOMQueryParameters.thermostat ],
+      {
+        tandem: tandem.createTandem( 'thermostatTypeProperty' ),
+        phetioDocumentation: 'The thermostat used to control the temperature.  ADAPTIVE switches between the ' +
+                             'isokinetic and Andersen thermostats as needed, NONE turns off temperature control so ' +
+                             'that the total energy is conserved, THERMAL_WALL holds only one wall of the container ' +
+                             'at the set temperature.'
+      }
+    );
+
+    // @public (read-write) - the wall that is held at the temperature set point when the thermostat is THERMAL_WALL
+    this.thermalWallProperty = new EnumerationProperty(
+      ContainerWall,
+      ContainerWall[ SOMQueryParameters.thermalWall ],
+      {
+        tandem: tandem.createTandem( 'thermalWallProperty' )
+      }
+    );
+
     // @public (read-write)
     this.isPlayingProperty = new BooleanProperty( true, {
       tandem: tandem.createTandem( 'isPlayingProperty' )
@@ -187,6 +342,30 @@ define( require => {
       range: new Range( MIN_ADJUSTABLE_EPSILON, MAX_ADJUSTABLE_EPSILON )
     } );
 
+    // @public (read-write) - strength of gravity as a multiple of the nominal value, zero for no gravity
+    this.gravityStrengthProperty = new NumberProperty( 1, {
+      tandem: tandem.createTandem( 'gravityStrengthProperty' ),
+      range: new Range( 0, MAX_GRAVITY_STRENGTH )
+    } );
+
+    // @public (read-write) - direction of gravity, counterclockwise from the positive x axis, so the default is down
+    this.gravityDirectionProperty = new NumberProperty( DEFAULT_GRAVITY_DIRECTION, {
+      tandem: tandem.createTandem( 'gravityDirectionProperty' ),
+      range: new Range( -Math.PI, Math.PI ),
+      units: 'radians'
+    } );
+
+    // @public (read-write)
+    this.gravityControlExpandedProperty = new BooleanProperty( false );
+
+    // @public (read-write) - the quantity by which the molecules are tinted, or ELEMENT for the colors of the elements
+    this.particleColoringModeProperty = new EnumerationProperty( ParticleColoringMode, ParticleColoringMode.ELEMENT, {
+      tandem: tandem.createTandem( 'particleColoringModeProperty' )
+    } );
+
+    // @public (read-write)
+    this.particleColoringControlExpandedProperty = new BooleanProperty( false );
+
     // @public (read-write)
     this.numberOfMoleculesProperty = new NumberProperty( 0, {
       tandem: tandem.createTandem( 'numberOfMoleculesProperty' ),
@@ -196,6 +375,30 @@ define( require => {
     // @public (read-only)
     this.numberOfMoleculesRangeProperty = new Property( new Range( 0, SOMConstants.MAX_NUM_ATOMS ) );
 
+    // @public (read-only) - energies of the molecules, averaged per molecule, in normalized model units, i.e. in units
+    // of the Lennard-Jones epsilon of the substance.  The potential energy is that of the interactions between the
+    // molecules and doesn't include gravity, so it is negative when they are bound together.  The kinetic energy
+    // includes the rotational kinetic energy of multi-atom molecules, which is also available on its own.
+    this.kineticEnergyProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'kineticEnergyProperty' ),
+      phetioReadOnly: true
+    } );
+    this.rotationalKineticEnergyProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'rotationalKineticEnergyProperty' ),
+      phetioReadOnly: true
+    } );
+    this.potentialEnergyProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'potentialEnergyProperty' ),
+      phetioReadOnly: true
+    } );
+    this.totalEnergyProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'totalEnergyProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) - recent history of the temperature and pressure
+    this.temperaturePressureHistory = new TemperaturePressureHistory();
+
     this.resetEmitter = new Emitter(); // listen only, fires when a reset occurs
 
     //-----------------------------------------------------------------------------------------------------------------
@@ -210,7 +413,21 @@ define( require => {
 
     // @public, various non-property attributes
     this.normalizedContainerWidth = PARTICLE_CONTAINER_WIDTH / this.particleDiameter;
-    this.gravitationalAcceleration = NOMINAL_GRAVITATIONAL_ACCEL;
+
+    // @public (read-only) {Vector2} - acceleration due to gravity in normalized model units, set from the strength and
+    // direction of gravity
+    this.gravitationalAcceleration = null;
+    Property.multilink( [ this.gravityStrengthProperty, this.gravityDirectionProperty ], ( strength, direction ) => {
+
+      // The sine and cosine of a multiple of 90 degrees aren't always exactly zero in floating point, e.g. the cosine
+      // of -pi/2, so gravity in those directions is set from the exact components, which keeps the molecules from
+      // drifting sideways when gravity points straight down.
+      const magnitude = -NOMINAL_GRAVITATIONAL_ACCEL * strength;
+      const quarterTurns = direction / ( Math.PI / 2 );
+      this.gravitationalAcceleration = Number.isInteger( quarterTurns ) ?
+                                       QUARTER_TURN_DIRECTIONS[ ( quarterTurns % 4 + 4 ) % 4 ].times( magnitude ) :
+                                       Vector2.createPolar( magnitude, direction );
+    } );
 
     // @public, read-only, normalized version of the container height, changes as the lid position changes
     this.normalizedContainerHeight = this.particleContainerHeightProperty.get() / this.particleDiameter;
@@ -221,6 +438,14 @@ define( require => {
     // @public, normalized velocity at which lid is moving in y direction
     this.normalizedLidVelocityY = 0;
 
+    // @public, normalized velocity at which the movable side wall is moving in x direction
+    this.normalizedSideWallVelocityX = 0;
+
+    // @public (read-only) - velocity of the weighted lid in normalized distance per unit of particle engine time, and
+    // its mass, which the particle engine uses when molecules bounce off of it
+    this.weightedLidVelocity = 0;
+    this.weightedLidMass = LID_MASS;
+
     // @private, various internal model variables
     this.particleDiameter = 1;
     this.minModelTemperature = null;
@@ -230,18 +455,65 @@ define( require => {
     this.injectionPointX = 0;
     this.injectionPointY = 0;
     this.heightChangeThisStep = 0;
+    this.widthChangeThisStep = 0;
     this.particleInjectedThisStep = false;
 
+    // @private {UnitConverter|null} - converts reduced quantities from the particle engine into real units for the
+    // current substance, set when the substance changes
+    this.unitConverter = null;
+
+    // @private {SubstanceType[]} - substances being simulated, indexed by the component indices in the data set, there
+    // is more than one only if the container holds a mixture
+    this.componentSubstances = [ DEFAULT_SUBSTANCE ];
+
     // @private, strategy patterns that are applied to the data set
     this.atomPositionUpdater = null;
     this.moleculeForceAndMotionCalculator = null;
     this.phaseStateChanger = null;
     this.isoKineticThermostat = null;
     this.andersenThermostat = null;
+    this.noseHooverThermostat = null;
+    this.berendsenThermostat = null;
+
+    // @private {Map.<ThermostatType, Object>|null} - the thermostats that can be selected, keyed by their type
+    this.thermostatsByType = null;
 
     // moving average calculator that tracks the average difference between the calculated and target temperatures
     this.averageTemperatureDifference = new MovingAverage( 10 );
 
+    // @public (read-only) - radial distribution function of the molecules, averaged over a number of model steps
+    this.radialDistributionFunction = new RadialDistributionFunction( {
+      windowSize: SOMQueryParameters.rdfWindowSize
+    } );
+
+    // @public (read-write) - number of model steps over which the radial distribution function is averaged
+    this.radialDistributionWindowSizeProperty = new NumberProperty( SOMQueryParameters.rdfWindowSize, {
+      tandem: tandem.createTandem( 'radialDistributionWindowSizeProperty' ),
+      range: new Range( 1, MAX_RDF_WINDOW_SIZE ),
+      numberType: 'Integer'
+    } );
+    this.radialDistributionWindowSizeProperty.lazyLink( windowSize => {
+      this.radialDistributionFunction.setWindowSize( windowSize );
+    } );
+
+    // @public (read-only) - distribution of the speeds of the molecules
+    this.speedHistogram = new SpeedHistogram();
+
+    // @public (read-only) - mean squared displacement of the molecules and the diffusion coefficient derived from it
+    this.meanSquaredDisplacement = new MeanSquaredDisplacement();
+
+    // @public (read-only) - the phase of the molecules as determined from their structure and motion
+    this.phaseClassifier = new PhaseClassifier();
+
+    // @public (read-only) - drives the heater/cooler and lid toward a target temperature and pressure
+    this.stateTargetController = new StateTargetController( this );
+
+    // @public (read-only) - the values used to tint the molecules, only updated when they aren't colored by element
+    this.particleColorValueCalculator = new ParticleColorValueCalculator();
+
+    // @public (read-only) - follows a molecule that has been selected by the user
+    this.moleculeTracker = new MoleculeTracker( this, PARTICLE_SPEED_UP_FACTOR );
+
     //-----------------------------------------------------------------------------------------------------------------
     // other initialization
     //-----------------------------------------------------------------------------------------------------------------
@@ -251,6 +523,34 @@ define( require => {
       self.handleSubstanceChanged();
     } );
 
+    // changes to the mixture change the molecules and the forces between them, so they are handled in the same way
+    [ this.mixtureSubstanceProperty, this.mixtureFractionProperty, this.combiningRuleProperty ].forEach( property => {
+      property.lazyLink( function() {
+        self.handleSubstanceChanged();
+      } );
+    } );
+
+    // The molecules aren't tracked for the mean squared displacement while its chart is collapsed or the lid is blown
+    // off, so the data from before then no longer matches their motion.
+    [ this.diffusionChartExpandedProperty, this.isExplodedProperty ].forEach( property => {
+      property.lazyLink( () => {
+        this.meanSquaredDisplacement.clear();
+      } );
+    } );
+
+    // When the weighted lid is turned off, the lid stays where it is rather than moving to an old target height.
+    this.weightedLidEnabledProperty.lazyLink( weightedLidEnabled => {
+      this.weightedLidVelocity = 0;
+      if ( !weightedLidEnabled ) {
+        this.targetContainerHeightProperty.set( this.particleContainerHeightProperty.get() );
+      }
+    } );
+
+    // Calculate the values for a new coloring right away so that the molecules are tinted correctly while paused.
+    this.particleColoringModeProperty.lazyLink( () => {
+      this.updateParticleColorValues();
+    } );
+
     // listen for new molecules being added with the pump
     this.numberOfMoleculesProperty.lazyLink( ( newValue, oldValue ) => {
       const currentNumberOfMolecules = Math.floor( this.moleculeDataSet.numberOfAtoms / this.moleculeDataSet.atomsPerMolecule );
@@ -300,12 +600,7 @@ define( require => {
         this.phaseStateChanger.setParticleConfigurationForPhase( targetPhase );
 
         // set the thermostats to the new temperature
-        if ( this.isoKineticThermostat !== null ) {
-          this.isoKineticThermostat.targetTemperature = targetTemperature;
-        }
-        if ( this.andersenThermostat !== null ) {
-          this.andersenThermostat.targetTemperature = targetTemperature;
-        }
+        this.setThermostatTargetTemperatures( targetTemperature );
 
         if ( minDistanceFromTargetTemperature > 0 ) {
 
@@ -339,19 +634,68 @@ define( require => {
         this.temperatureSetPointProperty.set( newTemperature );
       }
 
+      this.setThermostatTargetTemperatures( newTemperature );
+    },
+
+    /**
+     * Set the target temperature of all of the thermostats, which is done for the ones that aren't in use too so that
+     * they are ready if the thermostat is switched.
+     * @param {number} targetTemperature
+     * @private
+     */
+    setThermostatTargetTemperatures: function( targetTemperature ) {
       if ( this.isoKineticThermostat !== null ) {
-        this.isoKineticThermostat.targetTemperature = newTemperature;
+        this.getThermostats().forEach( thermostat => {
+          thermostat.targetTemperature = targetTemperature;
+        } );
       }
+    },
 
-      if ( this.andersenThermostat !== null ) {
-        this.andersenThermostat.targetTemperature = newTemperature;
-      }
+    /**
+     * Get the thermostats that operate on the current data set, keyed by the names used in snapshots.
+     * @returns {Object}
+     * @private
+     */
+    getNamedThermostats: function() {
+      return {
+        isokinetic: this.isoKineticThermostat,
+        andersen: this.andersenThermostat,
+        noseHoover: this.noseHooverThermostat,
+        berendsen: this.berendsenThermostat
+      };
+    },
+
+    /**
+     * @returns {Object[]} - all of the thermostats that operate on the current data set
+     * @private
+     */
+    getThermostats: function() {
+      return _.values( this.getNamedThermostats() );
+    },
+
+    /**
+     * Create the thermostats that operate on the current data set.
+     * @private
+     */
+    createThermostats: function() {
+      this.isoKineticThermostat = new IsokineticThermostat(
+        this.moleculeDataSet,
+        this.minModelTemperature,
+        this.random
+      );
+      this.andersenThermostat = new AndersenThermostat( this.moleculeDataSet, this.minModelTemperature, this.random );
+      this.noseHooverThermostat = new NoseHooverThermostat( this.moleculeDataSet, this.minModelTemperature );
+      this.berendsenThermostat = new BerendsenThermostat( this.moleculeDataSet, this.minModelTemperature );
+      this.thermostatsByType = new Map( [
+        [ ThermostatType.ISOKINETIC, this.isoKineticThermostat ],
+        [ ThermostatType.ANDERSEN, this.andersenThermostat ],
+        [ ThermostatType.NOSE_HOOVER, this.noseHooverThermostat ],
+        [ ThermostatType.BERENDSEN, this.berendsenThermostat ]
+      ] );
     },
 
     /**
-     * Get the current temperature in degrees Kelvin.  The calculations done are dependent on the type of molecule
-     * selected.  The values and ranges used in this method were derived from information provided by Paul Beale, dept
-     * of Physics, University of Colorado Boulder.  If no particles are in the container, this returns null.
+     * Get the current temperature in degrees Kelvin.  If no particles are in the container, this returns null.
      * @returns {number|null}
      * @public
      */
@@ -363,60 +707,50 @@ define( require => {
         return null;
       }
 
-      let temperatureInKelvin;
-      let triplePointInKelvin = 0;
-      let criticalPointInKelvin = 0;
-      let triplePointInModelUnits = 0;
-      let criticalPointInModelUnits = 0;
-
-      switch( this.substanceProperty.get() ) {
-
-        case SubstanceType.NEON:
-          triplePointInKelvin = NEON_TRIPLE_POINT_IN_KELVIN;
-          criticalPointInKelvin = NEON_CRITICAL_POINT_IN_KELVIN;
-          triplePointInModelUnits = SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE;
-          criticalPointInModelUnits = SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE;
-          break;
+      return this.convertModelTemperatureToKelvin( this.temperatureSetPointProperty.get() );
+    },
 
-        case SubstanceType.ARGON:
-          triplePointInKelvin = ARGON_TRIPLE_POINT_IN_KELVIN;
-          criticalPointInKelvin = ARGON_CRITICAL_POINT_IN_KELVIN;
-          triplePointInModelUnits = SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE;
-          criticalPointInModelUnits = SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE;
-          break;
+    /**
+     * Get the temperature of the molecules, as calculated from their kinetic energy by the particle engine, in degrees
+     * Kelvin.  Unlike the set point, this fluctuates from step to step and lags behind when heating or cooling.  If no
+     * particles are in the container, this returns null.
+     * @returns {number|null}
+     * @public
+     */
+    getMeasuredTemperatureInKelvin: function() {
 
-        case SubstanceType.ADJUSTABLE_ATOM:
-          triplePointInKelvin = ADJUSTABLE_ATOM_TRIPLE_POINT_IN_KELVIN;
-          criticalPointInKelvin = ADJUSTABLE_ATOM_CRITICAL_POINT_IN_KELVIN;
-          triplePointInModelUnits = SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE;
-          criticalPointInModelUnits = SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE;
-          break;
+      if ( this.particles.length === 0 ) {
+        return null;
+      }
 
-        case SubstanceType.WATER:
-          triplePointInKelvin = WATER_TRIPLE_POINT_IN_KELVIN;
-          criticalPointInKelvin = WATER_CRITICAL_POINT_IN_KELVIN;
-          triplePointInModelUnits = SOMConstants.TRIPLE_POINT_WATER_MODEL_TEMPERATURE;
-          criticalPointInModelUnits = SOMConstants.CRITICAL_POINT_WATER_MODEL_TEMPERATURE;
-          break;
+      return this.convertModelTemperatureToKelvin( this.moleculeForceAndMotionCalculator.calculatedTemperature );
+    },
 
-        case SubstanceType.DIATOMIC_OXYGEN:
-          triplePointInKelvin = O2_TRIPLE_POINT_IN_KELVIN;
-          criticalPointInKelvin = O2_CRITICAL_POINT_IN_KELVIN;
-          triplePointInModelUnits = SOMConstants.TRIPLE_POINT_DIATOMIC_MODEL_TEMPERATURE;
-          criticalPointInModelUnits = SOMConstants.CRITICAL_POINT_DIATOMIC_MODEL_TEMPERATURE;
-          break;
+    /**
+     * Convert a temperature in normalized model units to degrees Kelvin.  The calculations done are dependent on the
+     * type of molecule selected.  The values and ranges used in this method were derived from information provided by
+     * Paul Beale, dept of Physics, University of Colorado Boulder.
+     * @param {number} modelTemperature
+     * @returns {number}
+     * @public
+     */
+    convertModelTemperatureToKelvin: function( modelTemperature ) {
 
-        default:
-          throw( new Error( 'unsupported substance' ) ); // should never happen, debug if it does
-      }
+      // Get the values used for converting from model temperature to the temperature for the current substance.
+      const substanceDescription = SubstanceRegistry.get( this.substanceProperty.get() );
+      const triplePointInKelvin = substanceDescription.triplePointInKelvin;
+      const criticalPointInKelvin = substanceDescription.criticalPointInKelvin;
+      const triplePointInModelUnits = substanceDescription.triplePointInModelUnits;
+      const criticalPointInModelUnits = substanceDescription.criticalPointInModelUnits;
 
-      if ( this.temperatureSetPointProperty.get() <= this.minModelTemperature ) {
+      let temperatureInKelvin;
+      if ( modelTemperature <= this.minModelTemperature ) {
 
         // we treat anything below the minimum temperature as absolute zero
         temperatureInKelvin = 0;
       }
-      else if ( this.temperatureSetPointProperty.get() < triplePointInModelUnits ) {
-        temperatureInKelvin = this.temperatureSetPointProperty.get() * triplePointInKelvin / triplePointInModelUnits;
+      else if ( modelTemperature < triplePointInModelUnits ) {
+        temperatureInKelvin = modelTemperature * triplePointInKelvin / triplePointInModelUnits;
 
         if ( temperatureInKelvin < 0.5 ) {
 
@@ -425,19 +759,48 @@ define( require => {
           temperatureInKelvin = 0.5;
         }
       }
-      else if ( this.temperatureSetPointProperty.get() < criticalPointInModelUnits ) {
+      else if ( modelTemperature < criticalPointInModelUnits ) {
         const slope = ( criticalPointInKelvin - triplePointInKelvin ) /
                       ( criticalPointInModelUnits - triplePointInModelUnits );
         const offset = triplePointInKelvin - ( slope * triplePointInModelUnits );
-        temperatureInKelvin = this.temperatureSetPointProperty.get() * slope + offset;
+        temperatureInKelvin = modelTemperature * slope + offset;
       }
       else {
-        temperatureInKelvin = this.temperatureSetPointProperty.get() * criticalPointInKelvin /
-                              criticalPointInModelUnits;
+        temperatureInKelvin = modelTemperature * criticalPointInKelvin / criticalPointInModelUnits;
       }
       return temperatureInKelvin;
     },
 
+    /**
+     * Convert a temperature in degrees Kelvin to normalized model units, which is the inverse of
+     * convertModelTemperatureToKelvin.
+     * @param {number} temperatureInKelvin
+     * @returns {number}
+     * @public
+     */
+    convertKelvinToModelTemperature: function( temperatureInKelvin ) {
+
+      const substanceDescription = SubstanceRegistry.get( this.substanceProperty.get() );
+      const triplePointInKelvin = substanceDescription.triplePointInKelvin;
+      const criticalPointInKelvin = substanceDescription.criticalPointInKelvin;
+      const triplePointInModelUnits = substanceDescription.triplePointInModelUnits;
+      const criticalPointInModelUnits = substanceDescription.criticalPointInModelUnits;
+
+      let modelTemperature;
+      if ( temperatureInKelvin < triplePointInKelvin ) {
+        modelTemperature = temperatureInKelvin * triplePointInModelUnits / triplePointInKelvin;
+      }
+      else if ( temperatureInKelvin < criticalPointInKelvin ) {
+        const slope = ( criticalPointInModelUnits - triplePointInModelUnits ) /
+                      ( criticalPointInKelvin - triplePointInKelvin );
+        modelTemperature = triplePointInModelUnits + ( temperatureInKelvin - triplePointInKelvin ) * slope;
+      }
+      else {
+        modelTemperature = temperatureInKelvin * criticalPointInModelUnits / criticalPointInKelvin;
+      }
+      return Utils.clamp( modelTemperature, this.minModelTemperature, MAX_TEMPERATURE );
+    },
+
     /**
      * Get the pressure value which is being calculated by the model and is not adjusted to represent any "real" units
      * (such as atmospheres).
@@ -448,6 +811,51 @@ define( require => {
       return this.moleculeForceAndMotionCalculator.pressureProperty.get();
     },
 
+    /**
+     * Get whether the container holds a mixture of two substances.
+     * @returns {boolean}
+     * @public
+     */
+    isMixture: function() {
+      return this.componentSubstances.length > 1;
+    },
+
+    /**
+     * Get the diameter of the largest molecules in the container, in normalized model units, i.e. relative to the
+     * diameter of the molecules of the selected substance.
+     * @returns {number}
+     * @public
+     */
+    getMaxNormalizedMoleculeDiameter: function() {
+      return this.isMixture() ? MixtureVerletAlgorithm.getMaxSigma( this.getScaledPairParameters() ) : 1;
+    },
+
+    /**
+     * @returns {{sigmas: number[][], epsilons: number[][]}} - see MixingRules.getScaledPairParameters
+     * @private
+     */
+    getScaledPairParameters: function() {
+      return MixingRules.getScaledPairParameters( this.componentSubstances, this.combiningRuleProperty.get() );
+    },
+
+    /**
+     * Create the component indices for the molecules in a new data set, with the components in the proportions set
+     * for the mixture and randomly distributed.
+     * @param {number} numberOfMolecules
+     * @returns {number[]}
+     * @private
+     */
+    createComponentIndices: function( numberOfMolecules ) {
+      const componentIndices = [];
+      const numberOfMixtureMolecules = this.isMixture() ?
+                                       Utils.roundSymmetric( numberOfMolecules * this.mixtureFractionProperty.get() ) :
+                                       0;
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        componentIndices.push( i < numberOfMixtureMolecules ? 1 : 0 );
+      }
+      return numberOfMixtureMolecules > 0 ? this.random.shuffle( componentIndices ) : componentIndices;
+    },
+
     /**
      * Set the substance to be simulated.
      * @param {SubstanceType} substance
@@ -457,63 +865,41 @@ define( require => {
 
       const substance = this.substanceProperty.get();
 
-      assert && assert(
-        substance === SubstanceType.DIATOMIC_OXYGEN ||
-        substance === SubstanceType.NEON ||
-        substance === SubstanceType.ARGON ||
-        substance === SubstanceType.WATER ||
-        substance === SubstanceType.ADJUSTABLE_ATOM,
-        'unsupported substance'
-      );
+      const substanceDescription = SubstanceRegistry.get( substance );
+
+      // Determine the components, which are the selected substance plus the mixture substance if the two can be mixed.
+      // The model is normalized using the parameters of the selected substance in either case.
+      const mixtureSubstance = this.mixtureSubstanceProperty.get();
+      this.componentSubstances = mixtureSubstance !== null && MixingRules.canMix( substance, mixtureSubstance ) ?
+                                 [ substance, mixtureSubstance ] :
+                                 [ substance ];
 
       // Retain the current phase so that we can set the particles back to this phase once they have been created and
       // initialized.
       const phase = this.mapTemperatureToPhase();
 
+      // A target state is in the units of the previous substance, so it no longer applies.
+      this.stateTargetController.cancel();
+
       // Remove existing particles and reset the global model parameters.
       this.removeAllParticles();
       this.initializeModelParameters();
 
       // Set the model parameters that are dependent upon the substance being simulated.
-      switch( substance ) {
-
-        case SubstanceType.DIATOMIC_OXYGEN:
-          this.particleDiameter = OxygenAtom.RADIUS * 2;
-          this.minModelTemperature = 0.5 * SOMConstants.TRIPLE_POINT_DIATOMIC_MODEL_TEMPERATURE /
-                                     O2_TRIPLE_POINT_IN_KELVIN;
-          break;
-
-        case SubstanceType.NEON:
-          this.particleDiameter = NeonAtom.RADIUS * 2;
-          this.minModelTemperature = 0.5 * SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE /
-                                     NEON_TRIPLE_POINT_IN_KELVIN;
-          break;
-
-        case SubstanceType.ARGON:
-          this.particleDiameter = ArgonAtom.RADIUS * 2;
-          this.minModelTemperature = 0.5 * SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE /
-                                     ARGON_TRIPLE_POINT_IN_KELVIN;
-          break;
-
-        case SubstanceType.WATER:
-
-          // Use a radius value that is artificially large, because the educators have requested that water look
-          // "spaced out" so that users can see the crystal structure better, and so that the solid form will look
-          // larger (since water expands when frozen).
-          this.particleDiameter = OxygenAtom.RADIUS * 2.9;
-          this.minModelTemperature = 0.5 * SOMConstants.TRIPLE_POINT_WATER_MODEL_TEMPERATURE /
-                                     WATER_TRIPLE_POINT_IN_KELVIN;
-          break;
-
-        case SubstanceType.ADJUSTABLE_ATOM:
-          this.particleDiameter = ConfigurableStatesOfMatterAtom.DEFAULT_RADIUS * 2;
-          this.minModelTemperature = 0.5 * SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE /
-                                     ADJUSTABLE_ATOM_TRIPLE_POINT_IN_KELVIN;
-          break;
-
-        default:
-          throw( new Error( 'unsupported substance' ) ); // should never happen, debug if it does
-      }
+      this.particleDiameter = substanceDescription.particleDiameter;
+      this.minModelTemperature = 0.5 * substanceDescription.triplePointInModelUnits /
+                                 substanceDescription.triplePointInKelvin;
+
+      // The particle engine's unit of energy is the epsilon of the substance, except for the adjustable atom, whose
+      // epsilon is set by scaling the engine's interaction strength.
+      const engineEpsilon = substance === SubstanceType.ADJUSTABLE_ATOM ?
+                            this.convertScaledEpsilonToEpsilon( 1 ) :
+                            substanceDescription.epsilon;
+      this.unitConverter = new UnitConverter(
+        substanceDescription.sigma,
+        engineEpsilon,
+        SubstanceRegistry.getMoleculeMass( substance )
+      );
 
       // Reset the container size. This must be done after the diameter is initialized because the normalized size is
       // dependent upon the particle diameter.
@@ -529,6 +915,12 @@ define( require => {
       // Reset the moving average of temperature differences.
       this.averageTemperatureDifference.reset();
 
+      // The molecules are now a different size, so the old radial distribution, diffusion, and phase data no longer
+      // apply.
+      this.radialDistributionFunction.clear();
+      this.meanSquaredDisplacement.clear();
+      this.phaseClassifier.clear();
+
       // Set the number of molecules and range for the current substance
       const atomsPerMolecule = this.moleculeDataSet.atomsPerMolecule;
       this.numberOfMoleculesProperty.set( Math.floor( this.moleculeDataSet.numberOfAtoms / atomsPerMolecule ) );
@@ -558,34 +950,27 @@ define( require => {
       ) );
     },
 
+    /**
+     * Sets the target width of the container, which moves the side wall on the right.  Like the height, the width
+     * moves gradually toward the target.
+     * @param {number} desiredContainerWidth
+     * @public
+     */
+    setTargetParticleContainerWidth: function( desiredContainerWidth ) {
+      this.targetContainerWidthProperty.set( Utils.clamp(
+        desiredContainerWidth,
+        MIN_ALLOWABLE_CONTAINER_WIDTH,
+        PARTICLE_CONTAINER_WIDTH
+      ) );
+    },
+
     /**
      * Get the sigma value, which is one of the two parameters that describes the Lennard-Jones potential.
      * @returns {number}
      * @public
      */
     getSigma: function() {
-      let sigma;
-      switch( this.substanceProperty.get() ) {
-        case SubstanceType.NEON:
-          sigma = NeonAtom.RADIUS * 2;
-          break;
-        case SubstanceType.ARGON:
-          sigma = ArgonAtom.RADIUS * 2;
-          break;
-        case SubstanceType.DIATOMIC_OXYGEN:
-          sigma = SOMConstants.SIGMA_FOR_DIATOMIC_OXYGEN;
-          break;
-        case SubstanceType.WATER:
-          sigma = SOMConstants.SIGMA_FOR_WATER;
-          break;
-        case SubstanceType.ADJUSTABLE_ATOM:
-          sigma = ConfigurableStatesOfMatterAtom.DEFAULT_RADIUS * 2;
-          break;
-        default:
-          throw( new Error( 'unsupported substance' ) ); // should never happen, debug if it does
-      }
-
-      return sigma;
+      return SubstanceRegistry.get( this.substanceProperty.get() ).sigma;
     },
 
     /**
@@ -595,26 +980,12 @@ define( require => {
      */
     getEpsilon: function() {
       let epsilon;
-      switch( this.substanceProperty.get() ) {
-        case SubstanceType.NEON:
-          epsilon = InteractionStrengthTable.getInteractionPotential( AtomType.NEON, AtomType.NEON );
-          break;
-        case SubstanceType.ARGON:
-          epsilon = InteractionStrengthTable.getInteractionPotential( AtomType.ARGON, AtomType.ARGON );
-          break;
-        case SubstanceType.DIATOMIC_OXYGEN:
-          epsilon = SOMConstants.EPSILON_FOR_DIATOMIC_OXYGEN;
-          break;
-        case SubstanceType.WATER:
-          epsilon = SOMConstants.EPSILON_FOR_WATER;
-          break;
-        case SubstanceType.ADJUSTABLE_ATOM:
-          epsilon = this.convertScaledEpsilonToEpsilon( this.moleculeForceAndMotionCalculator.getScaledEpsilon() );
-          break;
-        default:
-          throw( new Error( 'unsupported substance' ) ); // should never happen, debug if it does
+      if ( this.substanceProperty.get() === SubstanceType.ADJUSTABLE_ATOM ) {
+        epsilon = this.convertScaledEpsilonToEpsilon( this.moleculeForceAndMotionCalculator.getScaledEpsilon() );
+      }
+      else {
+        epsilon = SubstanceRegistry.get( this.substanceProperty.get() ).epsilon;
       }
-
       return epsilon;
     },
 
@@ -626,22 +997,46 @@ define( require => {
 
       const substanceAtStartOfReset = this.substanceProperty.get();
 
+      this.stateTargetController.cancel();
+
       // reset observable properties
       this.particleContainerHeightProperty.reset();
       this.targetContainerHeightProperty.reset();
+      this.particleContainerWidthProperty.reset();
+      this.targetContainerWidthProperty.reset();
+      this.weightedLidEnabledProperty.reset();
+      this.lidWeightProperty.reset();
       this.isExplodedProperty.reset();
       this.phaseDiagramExpandedProperty.reset();
       this.interactionPotentialDiagramExpandedProperty.reset();
+      this.energyChartExpandedProperty.reset();
+      this.historyChartExpandedProperty.reset();
+      this.radialDistributionExpandedProperty.reset();
+      this.radialDistributionWindowSizeProperty.reset();
+      this.speedHistogramExpandedProperty.reset();
+      this.diffusionChartExpandedProperty.reset();
       this.temperatureSetPointProperty.reset();
       this.pressureProperty.reset();
+      this.virialPressureProperty.reset();
       this.substanceProperty.reset();
+      this.mixtureSubstanceProperty.reset();
+      this.mixtureFractionProperty.reset();
+      this.combiningRuleProperty.reset();
       this.interactionStrengthProperty.reset();
       this.isPlayingProperty.reset();
       this.heatingCoolingAmountProperty.reset();
+      this.thermostatTypeProperty.reset();
+      this.thermalWallProperty.reset();
+      this.gravityStrengthProperty.reset();
+      this.gravityDirectionProperty.reset();
+      this.gravityControlExpandedProperty.reset();
+      this.particleColoringModeProperty.reset();
+      this.particleColoringControlExpandedProperty.reset();
 
       // reset thermostats
-      this.isoKineticThermostat.clearAccumulatedBias();
-      this.andersenThermostat.clearAccumulatedBias();
+      this.getThermostats().forEach( thermostat => {
+        thermostat.clearAccumulatedBias();
+      } );
 
       // if the substance wasn't changed during reset, so some additional work is necessary
       if ( substanceAtStartOfReset === this.substanceProperty.get() ) {
@@ -651,7 +1046,10 @@ define( require => {
       }
 
       // other reset
-      this.gravitationalAcceleration = NOMINAL_GRAVITATIONAL_ACCEL;
+      this.temperaturePressureHistory.clear();
+      this.radialDistributionFunction.clear();
+      this.meanSquaredDisplacement.clear();
+      this.phaseClassifier.clear();
       this.resetEmitter.emit();
     },
 
@@ -667,6 +1065,13 @@ define( require => {
       );
       this.phaseStateChanger.setPhase( phaseSate );
       this.syncParticlePositions();
+      this.moleculeTracker.clearTrail();
+      this.moleculeTracker.update();
+
+      // The molecules were moved to new positions, so their previous motion says nothing about the new phase.  They are
+      // known to be in the new phase until the classifier has had a chance to look at them.
+      this.meanSquaredDisplacement.clear();
+      this.phaseClassifier.clear( phaseSate );
     },
 
     /**
@@ -712,14 +1117,14 @@ define( require => {
       }
 
       // Choose an injection angle with some amount of randomness.
-      const injectionAngle = ( phet.joist.random.nextDouble() - 0.5 ) * INJECTED_MOLECULE_ANGLE_SPREAD;
+      const injectionAngle = ( this.random.nextDouble() - 0.5 ) * INJECTED_MOLECULE_ANGLE_SPREAD;
 
       // Set the molecule's velocity.
       const xVel = Math.cos( injectionAngle ) * INJECTED_MOLECULE_SPEED;
       const yVel = Math.sin( injectionAngle ) * INJECTED_MOLECULE_SPEED;
 
       // Set the rotational velocity to a random value within a range (will be ignored for single atom cases).
-      const moleculeRotationRate = ( phet.joist.random.nextDouble() - 0.5 ) * ( Math.PI / 4 );
+      const moleculeRotationRate = ( this.random.nextDouble() - 0.5 ) * ( Math.PI / 4 );
 
       // Set the position(s) of the atom(s).
       const atomsPerMolecule = this.moleculeDataSet.atomsPerMolecule;
@@ -739,54 +1144,24 @@ define( require => {
         true
       );
 
+      // Choose the component of a mixture at random using the proportions of the mixture.
+      if ( this.isMixture() ) {
+        this.moleculeDataSet.moleculeComponentIndices[ this.moleculeDataSet.getNumberOfMolecules() - 1 ] =
+          this.random.nextDouble() < this.mixtureFractionProperty.get() ? 1 : 0;
+      }
+
       if ( atomsPerMolecule > 1 ) {
 
         // randomize the rotational angle of multi-atom molecules
         this.moleculeDataSet.moleculeRotationAngles[ this.moleculeDataSet.getNumberOfMolecules() - 1 ] =
-          phet.joist.random.nextDouble() * 2 * Math.PI;
+          this.random.nextDouble() * 2 * Math.PI;
       }
 
       // Position the atoms that comprise the molecules.
       this.atomPositionUpdater.updateAtomPositions( this.moleculeDataSet );
 
-      if ( atomsPerMolecule === 1 ) {
-
-        // Add particle to model set.
-        let particle;
-        switch( this.substanceProperty.get() ) {
-          case SubstanceType.ARGON:
-            particle = new ArgonAtom( 0, 0 );
-            break;
-          case SubstanceType.NEON:
-            particle = new NeonAtom( 0, 0 );
-            break;
-          case SubstanceType.ADJUSTABLE_ATOM:
-            particle = new ConfigurableStatesOfMatterAtom( 0, 0 );
-            break;
-          default:
-            // Use the default.
-            particle = new NeonAtom( 0, 0 );
-            break;
-        }
-        this.particles.add( particle );
-      }
-      else if ( atomsPerMolecule === 2 ) {
-
-        assert && assert( this.substanceProperty.get() === SubstanceType.DIATOMIC_OXYGEN );
-
-        // Add particles to model set.
-        this.particles.add( new OxygenAtom( 0, 0 ) );
-        this.particles.add( new OxygenAtom( 0, 0 ) );
-      }
-      else if ( atomsPerMolecule === 3 ) {
-
-        assert && assert( this.substanceProperty.get() === SubstanceType.WATER );
-
-        // Add atoms to model set.
-        this.particles.add( new OxygenAtom( 0, 0 ) );
-        this.particles.add( new HydrogenAtom( 0, 0, true ) );
-        this.particles.add( new HydrogenAtom( 0, 0, phet.joist.random.nextDouble() > 0.5 ) );
-      }
+      // Add the non-normalized particles to the model set.
+      this.addParticlesForMolecule( this.moleculeDataSet.getNumberOfMolecules() - 1 );
 
       this.syncParticlePositions();
 
@@ -798,6 +1173,9 @@ define( require => {
      */
     removeAllParticles: function() {
 
+      // The molecules in a new data set are given new IDs, so a selected molecule can't be tracked into it.
+      this.moleculeTracker.clearSelection();
+
       // Get rid of any existing particles from the model set.
       this.particles.clear();
 
@@ -813,22 +1191,17 @@ define( require => {
      */
     initializeParticles: function( phase ) {
 
-      // Initialize the particles.
-      switch( this.substanceProperty.get() ) {
-        case SubstanceType.DIATOMIC_OXYGEN:
-          this.initializeDiatomic( this.substanceProperty.get(), phase );
-          break;
-        case SubstanceType.NEON:
-          this.initializeMonatomic( this.substanceProperty.get(), phase );
-          break;
-        case SubstanceType.ARGON:
-          this.initializeMonatomic( this.substanceProperty.get(), phase );
+      // Initialize the particles using the strategies that are appropriate for the number of atoms per molecule.
+      const substance = this.substanceProperty.get();
+      switch( SubstanceRegistry.get( substance ).atomsPerMolecule ) {
+        case 1:
+          this.initializeMonatomic( substance, phase );
           break;
-        case SubstanceType.ADJUSTABLE_ATOM:
-          this.initializeMonatomic( this.substanceProperty.get(), phase );
+        case 2:
+          this.initializeDiatomic( substance, phase );
           break;
-        case SubstanceType.WATER:
-          this.initializeTriatomic( this.substanceProperty.get(), phase );
+        case 3:
+          this.initializeTriatomic( substance, phase );
           break;
         default:
           throw( new Error( 'unsupported substance' ) ); // should never happen, debug if it does
@@ -843,8 +1216,7 @@ define( require => {
      */
     initializeModelParameters: function() {
 
-      // Initialize the system parameters.
-      this.gravitationalAcceleration = NOMINAL_GRAVITATIONAL_ACCEL;
+      // Initialize the system parameters.  Gravity is set by the user, so it is left as it is.
       this.heatingCoolingAmountProperty.reset();
       this.temperatureSetPointProperty.reset();
       this.isExplodedProperty.reset();
@@ -852,15 +1224,25 @@ define( require => {
 
     /**
      * Reduce the upward motion of the particles.  This is generally done to reduce some behavior that is sometimes
-     * seen where the particles float rapidly upwards after being heated.
+     * seen where the particles float rapidly upwards after being heated.  Upward is the direction opposite to gravity,
+     * so nothing is done when there is no gravity.
      * @param {number} dt
      * @private
      */
     dampUpwardMotion: function( dt ) {
 
+      const gravityMagnitude = this.gravitationalAcceleration.magnitude;
+      if ( gravityMagnitude === 0 ) {
+        return;
+      }
+      const upX = -this.gravitationalAcceleration.x / gravityMagnitude;
+      const upY = -this.gravitationalAcceleration.y / gravityMagnitude;
       for ( let i = 0; i < this.moleculeDataSet.getNumberOfMolecules(); i++ ) {
-        if ( this.moleculeDataSet.moleculeVelocities[ i ].y > 0 ) {
-          this.moleculeDataSet.moleculeVelocities[ i ].y *= 1 - ( dt * 0.9 );
+        const velocity = this.moleculeDataSet.moleculeVelocities[ i ];
+        const upwardSpeed = velocity.x * upX + velocity.y * upY;
+        if ( upwardSpeed > 0 ) {
+          const speedReduction = upwardSpeed * dt * 0.9;
+          velocity.setXY( velocity.x - speedReduction * upX, velocity.y - speedReduction * upY );
         }
       }
     },
@@ -875,11 +1257,50 @@ define( require => {
       // Set the initial size of the container.
       this.particleContainerHeightProperty.reset();
       this.targetContainerHeightProperty.reset();
-      this.normalizedContainerWidth = PARTICLE_CONTAINER_WIDTH / this.particleDiameter;
+      this.particleContainerWidthProperty.reset();
+      this.targetContainerWidthProperty.reset();
+      this.weightedLidVelocity = 0;
+      this.normalizedContainerWidth = this.particleContainerWidthProperty.get() / this.particleDiameter;
       this.normalizedContainerHeight = this.particleContainerHeightProperty.get() / this.particleDiameter;
       this.normalizedTotalContainerHeight = this.particleContainerHeightProperty.get() / this.particleDiameter;
     },
 
+    /**
+     * Move the weighted lid in response to the molecules that have bounced off of it during the latest particle engine
+     * step and its weight.  The lid moves freely, so it settles where the force from the bounces balances the weight,
+     * which holds the pressure constant and makes the container expand or contract as the substance is heated or
+     * cooled.  The weight is scaled by the component of gravity along the direction in which the lid moves, so the lid
+     * floats freely when there is no gravity and is pulled up if gravity points up.  Friction damps the oscillation of
+     * the lid on the gas below it, and the lid is limited to the same rates and heights as when it is moved to a target
+     * height.
+     * @param {number} timeStep - time step of the particle engine
+     * @private
+     */
+    updateWeightedLid: function( timeStep ) {
+
+      const weight = this.lidWeightProperty.get() * this.gravitationalAcceleration.y / NOMINAL_GRAVITATIONAL_ACCEL;
+      const lidForce = weight + LID_FRICTION * this.weightedLidVelocity;
+      const impulse = this.moleculeForceAndMotionCalculator.lidImpulse - lidForce * timeStep;
+      this.moleculeForceAndMotionCalculator.lidImpulse = 0;
+
+      // Convert the limits, which are in picometers and seconds, to normalized units.
+      const normalizedDistancePerTimeStep = this.particleDiameter * PARTICLE_SPEED_UP_FACTOR;
+      this.weightedLidVelocity = Utils.clamp(
+        this.weightedLidVelocity + impulse / LID_MASS,
+        -MAX_CONTAINER_SHRINK_RATE / normalizedDistancePerTimeStep,
+        MAX_CONTAINER_EXPAND_RATE / normalizedDistancePerTimeStep
+      );
+      const minHeight = MIN_ALLOWABLE_CONTAINER_HEIGHT / this.particleDiameter;
+      const maxHeight = PARTICLE_CONTAINER_INITIAL_HEIGHT / this.particleDiameter;
+      const height = this.normalizedContainerHeight + this.weightedLidVelocity * timeStep;
+      if ( height <= minHeight || height >= maxHeight ) {
+
+        // The lid has hit a stop.
+        this.weightedLidVelocity = 0;
+      }
+      this.normalizedContainerHeight = Utils.clamp( height, minHeight, maxHeight );
+    },
+
     /**
      * Step the model.
      * @public
@@ -888,10 +1309,17 @@ define( require => {
 
       this.particleInjectedThisStep = false;
 
+      // Move the heater/cooler and lid toward the target state, if there is one, before they are used below.
+      this.stateTargetController.step( dt );
+
       if ( !this.isExplodedProperty.get() ) {
 
-        // Adjust the particle container height if needed.
-        if ( this.targetContainerHeightProperty.get() !== this.particleContainerHeightProperty.get() ) {
+        // Adjust the particle container height if needed.  The weighted lid is moved as the particle engine runs below.
+        if ( this.weightedLidEnabledProperty.get() ) {
+          this.heightChangeThisStep = 0;
+          this.normalizedLidVelocityY = 0;
+        }
+        else if ( this.targetContainerHeightProperty.get() !== this.particleContainerHeightProperty.get() ) {
           this.heightChangeThisStep = this.targetContainerHeightProperty.get() - this.particleContainerHeightProperty.get();
           if ( this.heightChangeThisStep > 0 ) {
 
@@ -920,6 +1348,27 @@ define( require => {
           this.heightChangeThisStep = 0;
           this.normalizedLidVelocityY = 0;
         }
+
+        // Adjust the particle container width if needed, limiting the rate of change in the same way as for the height.
+        const currentWidth = this.particleContainerWidthProperty.get();
+        if ( this.targetContainerWidthProperty.get() !== currentWidth ) {
+          this.widthChangeThisStep = Utils.clamp(
+            this.targetContainerWidthProperty.get() - currentWidth,
+            -MAX_CONTAINER_SHRINK_RATE * dt,
+            MAX_CONTAINER_EXPAND_RATE * dt
+          );
+          this.particleContainerWidthProperty.set( Utils.clamp(
+            currentWidth + this.widthChangeThisStep,
+            MIN_ALLOWABLE_CONTAINER_WIDTH,
+            PARTICLE_CONTAINER_WIDTH
+          ) );
+          this.normalizedContainerWidth = this.particleContainerWidthProperty.get() / this.particleDiameter;
+          this.normalizedSideWallVelocityX = ( this.widthChangeThisStep / this.particleDiameter ) / dt;
+        }
+        else {
+          this.widthChangeThisStep = 0;
+          this.normalizedSideWallVelocityX = 0;
+        }
       }
       else {
 
@@ -970,8 +1419,17 @@ define( require => {
       }
 
       // Execute the Verlet algorithm, a.k.a. the "particle engine", in order to determine the new particle positions.
+      const moveWeightedLid = this.weightedLidEnabledProperty.get() && !this.isExplodedProperty.get();
       for ( let i = 0; i < numParticleEngineSteps; i++ ) {
         this.moleculeForceAndMotionCalculator.updateForcesAndMotion( particleMotionTimeStep );
+        if ( moveWeightedLid ) {
+          this.updateWeightedLid( particleMotionTimeStep );
+        }
+      }
+      if ( moveWeightedLid ) {
+        const containerHeight = this.normalizedContainerHeight * this.particleDiameter;
+        this.heightChangeThisStep = containerHeight - this.particleContainerHeightProperty.get();
+        this.particleContainerHeightProperty.set( containerHeight );
       }
 
       // Sync up the positions of the normalized particles (the molecule data set) with the particles being monitored by
@@ -981,10 +1439,46 @@ define( require => {
       // run the thermostat to keep particle energies from getting out of hand
       this.runThermostat();
 
+      // Update the energies now that the thermostat has had its effect on the kinetic energy.
+      this.updateEnergies();
+
+      // Track the motion of the molecules for the mean squared displacement if it is being shown, except when the lid
+      // has blown off, since the molecules that leave the container are no longer interacting.
+      if ( this.diffusionChartExpandedProperty.get() && !this.isExplodedProperty.get() ) {
+        this.meanSquaredDisplacement.step( this.moleculeDataSet, dt );
+      }
+      this.moleculeTracker.step( dt );
+
+      // Classify the molecules to find the phase that they are actually in, using the pairs that the particle engine
+      // has already found.
+      this.phaseClassifier.step( this.moleculeDataSet, this.moleculeForceAndMotionCalculator.neighborList, dt );
+
+      // Sample the radial distribution function if it is being shown.  The container has no top once the lid has blown
+      // off, so it isn't sampled then.
+      if ( this.radialDistributionExpandedProperty.get() && !this.isExplodedProperty.get() ) {
+        this.radialDistributionFunction.addSample(
+          this.moleculeDataSet,
+          this.normalizedContainerWidth,
+          this.normalizedContainerHeight
+        );
+      }
+
+      // Update the speed histogram if it is being shown.  The theoretical distribution is for the set point rather than
+      // the measured temperature so that the effect of the thermostat can be seen.
+      if ( this.speedHistogramExpandedProperty.get() ) {
+        this.speedHistogram.update(
+          this.moleculeDataSet,
+          this.moleculeForceAndMotionCalculator.getThermalEnergy( this.temperatureSetPointProperty.get() )
+        );
+      }
+
       // If the pressure changed, update it.
       if ( this.getModelPressure() !== pressureBeforeAlgorithm ) {
         this.updatePressure();
       }
+      this.virialPressureProperty.set(
+        this.convertModelPressureToAtmospheres( this.moleculeForceAndMotionCalculator.virialPressureProperty.get() )
+      );
 
       // Adjust the temperature set point if needed.
       const currentTemperature = this.temperatureSetPointProperty.get(); // convenience variable
@@ -1029,8 +1523,32 @@ define( require => {
 
         // record the new set point
         this.temperatureSetPointProperty.set( newTemperature );
-        this.isoKineticThermostat.targetTemperature = this.temperatureSetPointProperty.get();
-        this.andersenThermostat.targetTemperature = this.temperatureSetPointProperty.get();
+        this.setThermostatTargetTemperatures( this.temperatureSetPointProperty.get() );
+      }
+    },
+
+    /**
+     * Update the energy Properties from the current state of the molecules and the particle engine.
+     * @private
+     */
+    updateEnergies: function() {
+      const numberOfMolecules = this.moleculeDataSet.getNumberOfMolecules();
+      if ( numberOfMolecules > 0 ) {
+        const translationalKineticEnergy =
+          this.moleculeDataSet.getTotalTranslationalKineticEnergy() / numberOfMolecules;
+        const rotationalKineticEnergy =
+          this.moleculeDataSet.getTotalRotationalKineticEnergy() / numberOfMolecules;
+        const potentialEnergy = this.moleculeForceAndMotionCalculator.getPotentialEnergy() / numberOfMolecules;
+        this.kineticEnergyProperty.set( translationalKineticEnergy + rotationalKineticEnergy );
+        this.rotationalKineticEnergyProperty.set( rotationalKineticEnergy );
+        this.potentialEnergyProperty.set( potentialEnergy );
+        this.totalEnergyProperty.set( translationalKineticEnergy + rotationalKineticEnergy + potentialEnergy );
+      }
+      else {
+        this.kineticEnergyProperty.set( 0 );
+        this.rotationalKineticEnergyProperty.set( 0 );
+        this.potentialEnergyProperty.set( 0 );
+        this.totalEnergyProperty.set( 0 );
       }
     },
 
@@ -1042,10 +1560,22 @@ define( require => {
     step: function( dt ) {
 
       if ( this.isPlayingProperty.get() ) {
-        this.stepInternal( dt );
+        this.stepAndRecordHistory( dt );
       }
     },
 
+    /**
+     * Step the model and record the resulting temperature and pressure in the history.  This is used for normal
+     * stepping and for the step button, but not for the steps that are taken to move the particles to a new phase,
+     * since those would show up in the history as time that the user never saw.
+     * @param {number} dt
+     * @public
+     */
+    stepAndRecordHistory: function( dt ) {
+      this.stepInternal( dt );
+      this.temperaturePressureHistory.step( dt, this.getTemperatureInKelvin(), this.pressureProperty.get() );
+    },
+
     /**
      * Run the appropriate thermostat based on the settings and the state of the simulation.  This serves to either
      * maintain the particle motions in a range that corresponds to a steady temperature or to increase or decrease the
@@ -1061,6 +1591,27 @@ define( require => {
       }
 
       const calculatedTemperature = this.moleculeForceAndMotionCalculator.calculatedTemperature;
+      const thermostatType = this.thermostatTypeProperty.get();
+
+      if ( thermostatType === ThermostatType.NONE ) {
+
+        // Nothing controls the temperature, so the total energy is conserved.  The set point follows the temperature of
+        // the particles so that the thermometer shows the actual temperature, which means that heating and cooling have
+        // no lasting effect.
+        this.setTemperature( calculatedTemperature );
+        this.moleculeForceAndMotionCalculator.lidChangedParticleVelocity = false;
+        this.thermostatRunPreviousStep = null;
+        return;
+      }
+      else if ( thermostatType === ThermostatType.THERMAL_WALL ) {
+
+        // The temperature is controlled by the particle engine, which gives the molecules that hit the thermal wall
+        // velocities for the set point, so the set point is the temperature of the wall and nothing else is done here.
+        this.moleculeForceAndMotionCalculator.lidChangedParticleVelocity = false;
+        this.thermostatRunPreviousStep = null;
+        return;
+      }
+
       const temperatureSetPoint = this.temperatureSetPointProperty.get();
       let temperatureAdjustmentNeeded = false;
       let thermostatRunThisStep = null;
@@ -1084,14 +1635,18 @@ define( require => {
       }
       else if ( this.moleculeForceAndMotionCalculator.lidChangedParticleVelocity ) {
 
-        // The velocity of one or more particles was changed through interaction with the lid.  Since this can change
-        // the total kinetic energy of the particles in the system, no thermostat is run.  Instead, the temperature is
-        // determined by looking at the kinetic energy of the particles, and that value is used to determine the new
-        // system temperature set point.  However, sometimes the calculation can return some unexpected results,
-        // probably due to some of the energy being tied up in potential rather than kinetic energy, so there are some
-        // constraints here. See https://github.com/phetsims/states-of-matter/issues/169 for more information.
-        if ( this.heightChangeThisStep > 0 && calculatedTemperature < temperatureSetPoint ||
-             this.heightChangeThisStep < 0 && calculatedTemperature > temperatureSetPoint ) {
+        // The velocity of one or more particles was changed through interaction with the lid or the side wall.  Since
+        // this can change the total kinetic energy of the particles in the system, no thermostat is run.  Instead, the
+        // temperature is determined by looking at the kinetic energy of the particles, and that value is used to
+        // determine the new system temperature set point.  However, sometimes the calculation can return some
+        // unexpected results, probably due to some of the energy being tied up in potential rather than kinetic energy,
+        // so there are some constraints here. See https://github.com/phetsims/states-of-matter/issues/169 for more
+        // information.  The lid and side wall can move at the same time, so the change in the area of the container is
+        // used to decide whether it is expanding or being compressed.
+        const relativeAreaChange = this.heightChangeThisStep / this.particleContainerHeightProperty.get() +
+                                   this.widthChangeThisStep / this.particleContainerWidthProperty.get();
+        if ( relativeAreaChange > 0 && calculatedTemperature < temperatureSetPoint ||
+             relativeAreaChange < 0 && calculatedTemperature > temperatureSetPoint ) {
 
           // Set the target temperature to the calculated value adjusted by the average error that has been recorded.
           // This adjustment is necessary because otherwise big, or strange, temperature changes can occur.
@@ -1101,6 +1656,18 @@ define( require => {
         // Clear the flag for the next time through.
         this.moleculeForceAndMotionCalculator.lidChangedParticleVelocity = false;
       }
+      else if ( thermostatType !== ThermostatType.ADAPTIVE ) {
+
+        // A specific thermostat has been selected, so use it regardless of the state of the system.
+        const thermostat = this.thermostatsByType.get( thermostatType );
+
+        // If this is the first run of this thermostat in a while, clear its accumulated biases
+        if ( this.thermostatRunPreviousStep !== thermostat ) {
+          thermostat.clearAccumulatedBias();
+        }
+        thermostat.adjustTemperature( calculatedTemperature );
+        thermostatRunThisStep = thermostat;
+      }
       else if ( temperatureAdjustmentNeeded ||
                 temperatureSetPoint > LIQUID_TEMPERATURE ||
                 temperatureSetPoint < SOLID_TEMPERATURE / 5 ) {
@@ -1148,12 +1715,14 @@ define( require => {
     initializeDiatomic: function( substance, phase ) {
 
       // Verify that a valid molecule ID was provided.
-      assert && assert( ( substance === SubstanceType.DIATOMIC_OXYGEN ) );
+      const substanceDescription = SubstanceRegistry.get( substance );
+      assert && assert( substanceDescription.atomsPerMolecule === 2 );
 
       // Determine the number of atoms/molecules to create.  This will be a cube (really a square, since it's 2D, but
       // you get the idea) that takes up a fixed amount of the bottom of the container, so the number of molecules that
       // can fit depends on the size of the individual atom.
-      let numberOfAtoms = Math.pow( Utils.roundSymmetric( PARTICLE_CONTAINER_WIDTH / ( ( OxygenAtom.RADIUS * 2.1 ) * 3 ) ), 2 );
+      const atomDiameter = substanceDescription.particleDiameter * 1.05;
+      let numberOfAtoms = Math.pow( Utils.roundSymmetric( PARTICLE_CONTAINER_WIDTH / ( atomDiameter * 3 ) ), 2 );
       if ( numberOfAtoms % 2 !== 0 ) {
         numberOfAtoms--;
       }
@@ -1165,8 +1734,7 @@ define( require => {
       this.phaseStateChanger = new DiatomicPhaseStateChanger( this );
       this.atomPositionUpdater = DiatomicAtomPositionUpdater;
       this.moleculeForceAndMotionCalculator = new DiatomicVerletAlgorithm( this );
-      this.isoKineticThermostat = new IsokineticThermostat( this.moleculeDataSet, this.minModelTemperature );
-      this.andersenThermostat = new AndersenThermostat( this.moleculeDataSet, this.minModelTemperature );
+      this.createThermostats();
 
       const numberOfMolecules = numberOfAtoms / 2;
       const atomPositionInVector = new Vector2( 0, 0 );
@@ -1185,8 +1753,7 @@ define( require => {
         this.moleculeDataSet.addMolecule( atomPositions, moleculeCenterOfMassPosition, moleculeVelocity, 0, true );
 
         // Add atoms to model set.
-        this.particles.push( new OxygenAtom( 0, 0 ) );
-        this.particles.push( new OxygenAtom( 0, 0 ) );
+        this.addParticlesForMolecule( i );
       }
 
       // Initialize the particle positions according the to requested phase.
@@ -1219,8 +1786,7 @@ define( require => {
       this.phaseStateChanger = new WaterPhaseStateChanger( this );
       this.atomPositionUpdater = WaterAtomPositionUpdater;
       this.moleculeForceAndMotionCalculator = new WaterVerletAlgorithm( this );
-      this.isoKineticThermostat = new IsokineticThermostat( this.moleculeDataSet, this.minModelTemperature );
-      this.andersenThermostat = new AndersenThermostat( this.moleculeDataSet, this.minModelTemperature );
+      this.createThermostats();
 
       // Create the individual atoms and add them to the data set.
       const atomPositionInVector = new Vector2( 0, 0 );
@@ -1238,12 +1804,7 @@ define( require => {
         this.moleculeDataSet.addMolecule( atomPositions, moleculeCenterOfMassPosition, moleculeVelocity, 0, true );
 
         // Add atoms to model set.
-        this.particles.add( new OxygenAtom( 0, 0 ) );
-        this.particles.add( new HydrogenAtom( 0, 0, true ) );
-
-        // In order to look more varied, some of the hydrogen atoms are set up to render behing the oxygen atom and
-        // some to render in front of it.
-        this.particles.add( new HydrogenAtom( 0, 0, ( i % 2 === 0 ) ) );
+        this.addParticlesForMolecule( i );
       }
       // Initialize the particle positions according the to requested phase.
       this.setPhase( phase );
@@ -1278,44 +1839,35 @@ define( require => {
     initializeMonatomic: function( substance, phase ) {
 
       // Verify that a valid molecule ID was provided.
-      assert && assert( substance === SubstanceType.ADJUSTABLE_ATOM ||
-                        substance === SubstanceType.NEON ||
-                        substance === SubstanceType.ARGON );
+      const substanceDescription = SubstanceRegistry.get( substance );
+      assert && assert( substanceDescription.atomsPerMolecule === 1 );
 
       // Determine the number of atoms/molecules to create.  This will be a cube (really a square, since it's 2D, but
       // you get the idea) that takes up a fixed amount of the bottom of the container, so the number of molecules that
-      // can fit depends on the size of the individual.
-      let particleDiameter;
-      if ( substance === SubstanceType.NEON ) {
-        particleDiameter = NeonAtom.RADIUS * 2;
-      }
-      else if ( substance === SubstanceType.ARGON ) {
-        particleDiameter = ArgonAtom.RADIUS * 2;
-      }
-      else if ( substance === SubstanceType.ADJUSTABLE_ATOM ) {
-        particleDiameter = ConfigurableStatesOfMatterAtom.DEFAULT_RADIUS * 2;
-      }
-      else {
-        // Force it to neon.
-        substance = SubstanceType.NEON;
-        particleDiameter = NeonAtom.RADIUS * 2;
-      }
+      // can fit depends on the size of the individual.  For a mixture, the size of the larger molecules is used.
+      const particleDiameter = substanceDescription.particleDiameter * this.getMaxNormalizedMoleculeDiameter();
 
       // Initialize the number of atoms assuming that the solid form, when made into a square, will consume about 1/3
       // the width of the container.
       const numberOfAtoms = Math.pow( Utils.roundSymmetric( PARTICLE_CONTAINER_WIDTH / ( ( particleDiameter * 1.05 ) * 3 ) ), 2 );
 
-      // Create the normalized data set for the one-atom-per-molecule case.
+      // Create the normalized data set for the one-atom-per-molecule case.  In a mixture, the molecules of each
+      // component have their own mass.
       this.moleculeDataSet = new MoleculeForceAndMotionDataSet( 1 );
+      if ( this.isMixture() ) {
+        this.moleculeDataSet.componentMasses = MixingRules.getScaledMasses( this.componentSubstances );
+      }
 
       // Create the strategies that will work on this data set.
       this.phaseStateChanger = new MonatomicPhaseStateChanger( this );
       this.atomPositionUpdater = MonatomicAtomPositionUpdater;
-      this.moleculeForceAndMotionCalculator = new MonatomicVerletAlgorithm( this );
-      this.isoKineticThermostat = new IsokineticThermostat( this.moleculeDataSet, this.minModelTemperature );
-      this.andersenThermostat = new AndersenThermostat( this.moleculeDataSet, this.minModelTemperature );
+      this.moleculeForceAndMotionCalculator = this.isMixture() ?
+                                              new MixtureVerletAlgorithm( this, this.getScaledPairParameters() ) :
+                                              new MonatomicVerletAlgorithm( this );
+      this.createThermostats();
 
       // Create the individual atoms and add them to the data set.
+      const componentIndices = this.createComponentIndices( numberOfAtoms );
       const atomPositions = [];
       atomPositions.push( new Vector2( 0, 0 ) );
       for ( let i = 0; i < numberOfAtoms; i++ ) {
@@ -1325,22 +1877,10 @@ define( require => {
         const moleculeVelocity = new Vector2( 0, 0 );
         // Add the atom to the data set.
         this.moleculeDataSet.addMolecule( atomPositions, moleculeCenterOfMassPosition, moleculeVelocity, 0, true );
+        this.moleculeDataSet.moleculeComponentIndices[ i ] = componentIndices[ i ];
 
         // Add particle to model set.
-        var atom;
-        if ( substance === SubstanceType.NEON ) {
-          atom = new NeonAtom( 0, 0 );
-        }
-        else if ( substance === SubstanceType.ARGON ) {
-          atom = new ArgonAtom( 0, 0 );
-        }
-        else if ( substance === SubstanceType.ADJUSTABLE_ATOM ) {
-          atom = new ConfigurableStatesOfMatterAtom( 0, 0 );
-        }
-        else {
-          atom = new NeonAtom( 0, 0 );
-        }
-        this.particles.push( atom );
+        this.addParticlesForMolecule( i );
       }
 
       // Initialize the particle positions according the to requested phase.
@@ -1364,26 +1904,128 @@ define( require => {
           atomPositions[ i ].y * positionMultiplier
         );
       }
+      this.updateParticleColorValues();
     },
 
     /**
-     * Take the internal pressure value and convert it to atmospheres.  In the original Java version of this sim the
-     * conversion multiplier was dependent upon the type of molecule in order to be somewhat realistic.  However, this
-     * was problematic, since it would cause the container to explode at different pressure readings.  A single
-     * multiplier is now used, which is perhaps less realistic, but works better in practice.  Please see
-     * https://github.com/phetsims/states-of-matter/issues/124 for more information.
+     * Update the values used to tint the molecules, which is skipped when they are colored by element since some of the
+     * quantities are costly to calculate.
+     * @private
+     */
+    updateParticleColorValues: function() {
+      const particleColoringMode = this.particleColoringModeProperty.get();
+      if ( particleColoringMode !== ParticleColoringMode.ELEMENT ) {
+        this.particleColorValueCalculator.update(
+          this.moleculeDataSet,
+          particleColoringMode,
+          this.moleculeForceAndMotionCalculator
+        );
+      }
+    },
+
+    /**
+     * Take the internal pressure value and convert it to atmospheres, see convertModelPressureToAtmospheres.
      * @returns {number}
      * @public
      */
     getPressureInAtmospheres: function() {
-      return 5 * this.getModelPressure(); // multiplier empirically determined
+      return this.convertModelPressureToAtmospheres( this.getModelPressure() );
     },
 
     /**
-     * Return a phase value based on the current temperature.
-     * @return{number}
+     * @returns {number}
+     * @public
+     */
+    getPressureInKilopascals: function() {
+      return this.getPressureInAtmospheres() * KILOPASCALS_PER_ATMOSPHERE;
+    },
+
+    /**
+     * Convert a pressure calculated by the particle engine to atmospheres using the unitConversion query parameter.
+     *
+     * In the classic mode a single multiplier is used.  In the original Java version of this sim the conversion
+     * multiplier was dependent upon the type of molecule in order to be somewhat realistic.  However, this was
+     * problematic, since it would cause the container to explode at different pressure readings.  A single multiplier
+     * is used in this mode, which is perhaps less realistic, but works better in practice.  Please see
+     * https://github.com/phetsims/states-of-matter/issues/124 for more information.
+     *
+     * In the real mode the pressure is converted to a reduced Lennard-Jones pressure and then to atmospheres using the
+     * sigma and epsilon of the substance, see UnitConverter.  The container still explodes at the same model pressure,
+     * so the reading at which it explodes depends on the substance.
+     * @param {number} modelPressure
+     * @returns {number}
      * @private
      */
+    convertModelPressureToAtmospheres: function( modelPressure ) {
+      if ( SOMQueryParameters.unitConversion === 'REAL' ) {
+        const reducedPressure = this.convertModelPressureToReducedPressure( modelPressure );
+        return this.unitConverter.reducedPressureToAtmospheres( reducedPressure );
+      }
+      return MODEL_PRESSURE_TO_ATMOSPHERES * modelPressure;
+    },
+
+    /**
+     * Convert a pressure calculated by the particle engine, which is the sum of the speeds of the molecules that bounce
+     * off of the walls per unit time, into a reduced pressure, i.e. force per unit length of wall, by multiplying it by
+     * the momentum transferred by a bounce per unit speed and dividing it by the length of the walls.  The walls move
+     * as the lid does, so the current length is used as an approximation for the time over which the bounces were
+     * accumulated.
+     * @param {number} modelPressure
+     * @returns {number}
+     * @private
+     */
+    convertModelPressureToReducedPressure: function( modelPressure ) {
+      const wallLength = this.moleculeForceAndMotionCalculator.getPressureWallLength();
+      return wallLength > 0 ? modelPressure * 2 * this.moleculeDataSet.getMoleculeMass() / wallLength : 0;
+    },
+
+    /**
+     * Get the area of the container in real units, which is found from its size in normalized model units, i.e. as a
+     * reduced area, using the sigma of the substance.
+     * @returns {number} - in square nanometers
+     * @public
+     */
+    getContainerArea: function() {
+      return this.unitConverter.reducedAreaToSquareNanometers(
+        this.normalizedContainerWidth * this.normalizedContainerHeight
+      );
+    },
+
+    /**
+     * Get the number density of the molecules in the container.  This is the number per unit area in the model, which
+     * is reported as the number per unit volume of a slab of the substance that is one molecule thick, see
+     * UnitConverter.
+     * @returns {number} - in molecules per cubic nanometer
+     * @public
+     */
+    getNumberDensity: function() {
+      return this.unitConverter.reducedNumberDensityToPerCubicNanometer( this.getReducedNumberDensity() );
+    },
+
+    /**
+     * Get the mass density of the molecules in the container, see getNumberDensity.
+     * @returns {number} - in kilograms per cubic meter
+     * @public
+     */
+    getMassDensity: function() {
+      return this.unitConverter.reducedNumberDensityToMassDensity( this.getReducedNumberDensity() );
+    },
+
+    /**
+     * @returns {number}
+     * @private
+     */
+    getReducedNumberDensity: function() {
+      return this.moleculeDataSet.getNumberOfMolecules() /
+             ( this.normalizedContainerWidth * this.normalizedContainerHeight );
+    },
+
+    /**
+     * Return a phase value based on the current temperature.  This is the phase that the temperature set point will
+     * eventually bring the molecules to, see phaseClassifier for the phase that they are currently in.
+     * @return{number}
+     * @public
+     */
     mapTemperatureToPhase: function() {
       let phase;
       if ( this.temperatureSetPointProperty.get() < SOLID_TEMPERATURE + ( ( LIQUID_TEMPERATURE - SOLID_TEMPERATURE ) / 2 ) ) {
@@ -1465,18 +2107,21 @@ define( require => {
           }
         }
         if ( firstOutsideParticleIndex < this.moleculeDataSet.getNumberOfMolecules() ) {
-          // Remove the particle that was found.
+
+          // Remove the particle that was found along with the non-normalized particles for its atoms.  These must be
+          // the particles at the same indices, since in a mixture they are not all of the same substance.
+          const atomsPerMolecule = this.moleculeDataSet.getAtomsPerMolecule();
+          const firstAtomIndex = firstOutsideParticleIndex * atomsPerMolecule;
+          for ( let i = 0; i < atomsPerMolecule; i++ ) {
+            this.particles.remove( this.particles.get( firstAtomIndex ) );
+          }
           this.moleculeDataSet.removeMolecule( firstOutsideParticleIndex );
           numParticlesOutsideContainer++;
         }
       } while ( firstOutsideParticleIndex !== this.moleculeDataSet.getNumberOfMolecules() );
 
-      // Remove enough of the non-normalized particles so that we have the same number as the normalized.  They don't
-      // have to be the same particles since the normalized and non-normalized particles are explicitly synced up
-      // during each model step.
-      for ( let i = 0; i < numParticlesOutsideContainer * this.moleculeDataSet.getAtomsPerMolecule(); i++ ) {
-        this.particles.pop();
-      }
+      // This clears the selection if the selected molecule was one of those that were removed.
+      this.moleculeTracker.update();
 
       // Set the container to be unexploded.
       this.setContainerExploded( false );
@@ -1489,10 +2134,229 @@ define( require => {
       }
     },
 
+    /**
+     * Save the complete state of the model in an object that can be serialized to JSON and later restored using
+     * restoreSnapshot.  This includes the molecule data set (positions, motion, and forces), the container, the
+     * temperature set point, and the internal state of the particle engine and thermostats, so that a restored model
+     * continues exactly as the saved one would have.  The random number generator is captured as its seed and the
+     * number of values drawn from it since it was seeded, which is enough to recreate it since the model only draws
+     * values using nextDouble, directly or through the other methods of Random.
+     * @returns {Object}
+     * @public
+     */
+    saveSnapshot: function() {
+
+      const thermostatRunPreviousStep = _.findKey( this.getNamedThermostats(), thermostat => {
+        return thermostat === this.thermostatRunPreviousStep;
+      } ) || null;
+      const mixtureSubstance = this.mixtureSubstanceProperty.get();
+
+      return {
+        version: SNAPSHOT_VERSION,
+        substance: this.substanceProperty.get().name,
+        mixtureSubstance: mixtureSubstance === null ? null : mixtureSubstance.name,
+        mixtureFraction: this.mixtureFractionProperty.get(),
+        combiningRule: this.combiningRuleProperty.get().name,
+        temperatureSetPoint: this.temperatureSetPointProperty.get(),
+        heatingCoolingAmount: this.heatingCoolingAmountProperty.get(),
+        thermostatType: this.thermostatTypeProperty.get().name,
+        thermalWall: this.thermalWallProperty.get().name,
+        interactionStrength: this.interactionStrengthProperty.get(),
+        pressure: this.pressureProperty.get(),
+        particleContainerHeight: this.particleContainerHeightProperty.get(),
+        targetContainerHeight: this.targetContainerHeightProperty.get(),
+        particleContainerWidth: this.particleContainerWidthProperty.get(),
+        targetContainerWidth: this.targetContainerWidthProperty.get(),
+        isExploded: this.isExplodedProperty.get(),
+        normalizedContainerWidth: this.normalizedContainerWidth,
+        normalizedContainerHeight: this.normalizedContainerHeight,
+        normalizedTotalContainerHeight: this.normalizedTotalContainerHeight,
+        normalizedLidVelocityY: this.normalizedLidVelocityY,
+        normalizedSideWallVelocityX: this.normalizedSideWallVelocityX,
+        weightedLidEnabled: this.weightedLidEnabledProperty.get(),
+        lidWeight: this.lidWeightProperty.get(),
+        weightedLidVelocity: this.weightedLidVelocity,
+        gravityStrength: this.gravityStrengthProperty.get(),
+        gravityDirection: this.gravityDirectionProperty.get(),
+        residualTime: this.residualTime,
+        numMoleculesAwaitingInjection: this.numMoleculesAwaitingInjection,
+        moleculeInjectionHoldoffTimer: this.moleculeInjectionHoldoffTimer,
+        heightChangeThisStep: this.heightChangeThisStep,
+        widthChangeThisStep: this.widthChangeThisStep,
+        particleInjectedThisStep: this.particleInjectedThisStep,
+        averageTemperatureDifference: this.averageTemperatureDifference.getState(),
+        thermostatRunPreviousStep: thermostatRunPreviousStep,
+        isoKineticThermostat: this.isoKineticThermostat.getState(),
+        andersenThermostat: this.andersenThermostat.getState(),
+        noseHooverThermostat: this.noseHooverThermostat.getState(),
+        berendsenThermostat: this.berendsenThermostat.getState(),
+        moleculeForceAndMotionCalculator: this.moleculeForceAndMotionCalculator.getState(),
+        moleculeDataSet: this.moleculeDataSet.getState(),
+        random: {
+          seed: this.random.getSeed(),
+          numberOfCalls: this.random.numberOfCalls - this.randomCallsBeforeSeeding
+        }
+      };
+    },
+
+    /**
+     * Restore a snapshot that was previously created using saveSnapshot, which may have come from a different instance
+     * of this model.  Snapshots that were saved in a different version of the format are rejected.
+     * @param {Object} snapshot
+     * @public
+     */
+    restoreSnapshot: function( snapshot ) {
+
+      if ( snapshot.version !== SNAPSHOT_VERSION ) {
+        throw new Error( `unsupported snapshot version: ${snapshot.version}` );
+      }
+
+      // Set the substance and the mixture first, since these create the data set and the strategies that operate on it.
+      const substance = SubstanceType[ snapshot.substance ];
+      if ( !SubstanceType.includes( substance ) ) {
+        throw new Error( `unsupported substance: ${snapshot.substance}` );
+      }
+      const mixtureSubstance = snapshot.mixtureSubstance === null ? null : SubstanceType[ snapshot.mixtureSubstance ];
+      if ( mixtureSubstance !== null && !SubstanceType.includes( mixtureSubstance ) ) {
+        throw new Error( `unsupported mixture substance: ${snapshot.mixtureSubstance}` );
+      }
+      this.mixtureSubstanceProperty.set( mixtureSubstance );
+      const combiningRule = CombiningRule[ snapshot.combiningRule ];
+      if ( !CombiningRule.includes( combiningRule ) ) {
+        throw new Error( `unsupported combining rule: ${snapshot.combiningRule}` );
+      }
+      this.mixtureFractionProperty.set( snapshot.mixtureFraction );
+      this.combiningRuleProperty.set( combiningRule );
+      this.substanceProperty.set( substance );
+
+      // Restore the molecules, then create a matching set of non-normalized particles.  The IDs of the restored
+      // molecules are unrelated to those of the current ones, so any selection is cleared.
+      this.moleculeTracker.clearSelection();
+      this.moleculeDataSet.setState( snapshot.moleculeDataSet );
+      this.particles.clear();
+      for ( let i = 0; i < this.moleculeDataSet.getNumberOfMolecules(); i++ ) {
+        this.addParticlesForMolecule( i );
+      }
+      this.numberOfMoleculesProperty.set( this.moleculeDataSet.getNumberOfMolecules() );
+
+      // Restore the container.  The exploded state is set directly rather than through setContainerExploded, since the
+      // latter would reset the container size.  The weighted lid mode is set first, since changing it can change the
+      // target height, and snapshots that were saved before the lid could be weighted don't include it.
+      this.weightedLidEnabledProperty.set( !!snapshot.weightedLidEnabled );
+      this.lidWeightProperty.set( snapshot.lidWeight || DEFAULT_LID_WEIGHT );
+      this.isExplodedProperty.set( snapshot.isExploded );
+      this.particleContainerHeightProperty.set( snapshot.particleContainerHeight );
+      this.targetContainerHeightProperty.set( snapshot.targetContainerHeight );
+      this.normalizedContainerWidth = snapshot.normalizedContainerWidth;
+      this.normalizedContainerHeight = snapshot.normalizedContainerHeight;
+      this.normalizedTotalContainerHeight = snapshot.normalizedTotalContainerHeight;
+      this.normalizedLidVelocityY = snapshot.normalizedLidVelocityY;
+      this.weightedLidVelocity = snapshot.weightedLidVelocity || 0;
+
+      // snapshots that were saved before the side wall could be moved don't include its state
+      this.particleContainerWidthProperty.set( snapshot.particleContainerWidth || PARTICLE_CONTAINER_WIDTH );
+      this.targetContainerWidthProperty.set( snapshot.targetContainerWidth || PARTICLE_CONTAINER_WIDTH );
+      this.normalizedSideWallVelocityX = snapshot.normalizedSideWallVelocityX || 0;
+
+      // Restore the settings that are controlled by the user.
+      this.temperatureSetPointProperty.set( snapshot.temperatureSetPoint );
+      this.heatingCoolingAmountProperty.set( snapshot.heatingCoolingAmount );
+      this.interactionStrengthProperty.set( snapshot.interactionStrength );
+      const thermostatType = ThermostatType[ snapshot.thermostatType ];
+      if ( !ThermostatType.includes( thermostatType ) ) {
+        throw new Error( `unsupported thermostat type: ${snapshot.thermostatType}` );
+      }
+      this.thermostatTypeProperty.set( thermostatType );
+      const thermalWall = ContainerWall[ snapshot.thermalWall ];
+      if ( !ContainerWall.includes( thermalWall ) ) {
+        throw new Error( `unsupported thermal wall: ${snapshot.thermalWall}` );
+      }
+      this.thermalWallProperty.set( thermalWall );
+      if ( substance === SubstanceType.ADJUSTABLE_ATOM ) {
+        this.setEpsilon( snapshot.interactionStrength );
+      }
+
+      // Restore the internal state of the model and the strategies.
+      if ( snapshot.gravityStrength !== undefined ) {
+        this.gravityStrengthProperty.set( snapshot.gravityStrength );
+        this.gravityDirectionProperty.set( snapshot.gravityDirection );
+      }
+      else {
+
+        // snapshots that were saved before gravity could be adjusted only include the acceleration, which was downward
+        this.gravityStrengthProperty.set( snapshot.gravitationalAcceleration / NOMINAL_GRAVITATIONAL_ACCEL );
+        this.gravityDirectionProperty.reset();
+      }
+      this.residualTime = snapshot.residualTime;
+      this.numMoleculesAwaitingInjection = snapshot.numMoleculesAwaitingInjection;
+      this.moleculeInjectionHoldoffTimer = snapshot.moleculeInjectionHoldoffTimer;
+      this.heightChangeThisStep = snapshot.heightChangeThisStep;
+      this.widthChangeThisStep = snapshot.widthChangeThisStep || 0;
+      this.particleInjectedThisStep = snapshot.particleInjectedThisStep;
+      this.averageTemperatureDifference.setState( snapshot.averageTemperatureDifference );
+      this.isoKineticThermostat.setState( snapshot.isoKineticThermostat );
+      this.andersenThermostat.setState( snapshot.andersenThermostat );
+      this.noseHooverThermostat.setState( snapshot.noseHooverThermostat );
+      this.berendsenThermostat.setState( snapshot.berendsenThermostat );
+      this.thermostatRunPreviousStep = snapshot.thermostatRunPreviousStep ?
+                                       this.getNamedThermostats()[ snapshot.thermostatRunPreviousStep ] :
+                                       null;
+      this.moleculeForceAndMotionCalculator.setState( snapshot.moleculeForceAndMotionCalculator );
+      this.pressureProperty.set( snapshot.pressure );
+      this.virialPressureProperty.set(
+        this.convertModelPressureToAtmospheres( this.moleculeForceAndMotionCalculator.virialPressureProperty.get() )
+      );
+
+      // Recreate the state of the random number generator by reseeding it and drawing the same number of values.  This
+      // is done last, since setting the substance above may have drawn values.
+      this.random.setSeed( snapshot.random.seed );
+      this.randomCallsBeforeSeeding = this.random.numberOfCalls;
+      for ( let i = 0; i < snapshot.random.numberOfCalls; i++ ) {
+        this.random.nextDouble();
+      }
+
+      this.syncParticlePositions();
+      this.updateEnergies();
+      this.phaseClassifier.clear();
+    },
+
+    /**
+     * Add the non-normalized particles that correspond to the specified molecule in the normalized data set.
+     * @param {number} moleculeIndex
+     * @private
+     */
+    addParticlesForMolecule: function( moleculeIndex ) {
+      if ( this.substanceProperty.get() === SubstanceType.WATER ) {
+        this.particles.add( new OxygenAtom( 0, 0 ) );
+        this.particles.add( new HydrogenAtom( 0, 0, true ) );
+
+        // In order to look more varied, some of the hydrogen atoms are set up to render behind the oxygen atom and
+        // some to render in front of it.
+        this.particles.add( new HydrogenAtom( 0, 0, ( moleculeIndex % 2 === 0 ) ) );
+      }
+      else {
+
+        // The molecule is made of the atoms of its component, which is the selected substance unless this is a mixture.
+        // The atoms are described once per distinct type, so the atoms in a diatomic molecule share a description.
+        const componentIndex = this.moleculeDataSet.moleculeComponentIndices[ moleculeIndex ];
+        const substanceDescription = SubstanceRegistry.get( this.componentSubstances[ componentIndex ] );
+        const atoms = substanceDescription.atoms;
+        for ( let i = 0; i < substanceDescription.atomsPerMolecule; i++ ) {
+          this.particles.add( new SubstanceAtom( 0, 0, atoms[ Math.min( i, atoms.length - 1 ) ] ) );
+        }
+      }
+    },
+
     getInitialParticleContainerHeight: function() {
       return PARTICLE_CONTAINER_INITIAL_HEIGHT;
     },
 
+    /**
+     * Get the width of the container when the side wall is all the way out, which is the width of the area that the
+     * view reserves for it.  See particleContainerWidthProperty for the current width.
+     * @returns {number}
+     * @public
+     */
     getParticleContainerWidth: function() {
       return PARTICLE_CONTAINER_WIDTH;
     }
@@ -1501,8 +2365,12 @@ define( require => {
 
     // static constants
     MAX_ADJUSTABLE_EPSILON: MAX_ADJUSTABLE_EPSILON,
+    MAX_GRAVITY_STRENGTH: MAX_GRAVITY_STRENGTH,
+    MIN_LID_WEIGHT: MIN_LID_WEIGHT,
+    MAX_LID_WEIGHT: MAX_LID_WEIGHT,
     PARTICLE_CONTAINER_WIDTH: PARTICLE_CONTAINER_WIDTH,
     PARTICLE_CONTAINER_INITIAL_HEIGHT: PARTICLE_CONTAINER_INITIAL_HEIGHT,
-    PARTICLE_CONTAINER_MIN_HEIGHT: MIN_ALLOWABLE_CONTAINER_HEIGHT
+    PARTICLE_CONTAINER_MIN_HEIGHT: MIN_ALLOWABLE_CONTAINER_HEIGHT,
+    PARTICLE_CONTAINER_MIN_WIDTH: MIN_ALLOWABLE_CONTAINER_WIDTH
   } );
 } );
\ No newline at end of file
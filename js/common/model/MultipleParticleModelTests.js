@@ -0,0 +1,447 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for MultipleParticleModel.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ContainerWall = require( 'STATES_OF_MATTER/common/model/ContainerWall' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const ThermostatType = require( 'STATES_OF_MATTER/common/model/ThermostatType' );
+
+  // constants
+  const NUMBER_OF_STEPS = 200;
+  const THERMOSTAT_STEPS = 1500;
+  const THERMOSTAT_SAMPLED_STEPS = 500; // at the end of the run, over which the temperature is averaged
+  const THERMAL_WALL_STEPS = 4000; // heat has to conduct through the liquid from the wall, which takes longer
+  const THERMAL_WALL_SAMPLED_STEPS = 2000;
+  const ENERGY_CONSERVATION_STEPS = 1000;
+  const ENERGY_TOLERANCE = 1E-9; // relative
+  const PRESSURE_STEPS = 3600;
+  const PRESSURE_EQUILIBRATION_STEPS = 720; // long enough to fill the time window of the wall-based pressure
+  const WIDTH_CHANGE_STEPS = 1000;
+  const WEIGHTED_LID_EQUILIBRATION_STEPS = 1500; // long enough for the lid to settle
+  const WEIGHTED_LID_SAMPLED_STEPS = 1500;
+
+  /**
+   * Create a model of oxygen in the specified phase that uses a generator with the specified seed.
+   * @param {number} seed
+   * @param {string} phase - a value from PhaseStateEnum
+   * @returns {MultipleParticleModel}
+   */
+  const createOxygenModel = ( seed, phase ) => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: seed } ) } );
+    model.substanceProperty.set( SubstanceType.DIATOMIC_OXYGEN );
+    model.setPhase( phase );
+    return model;
+  };
+
+  /**
+   * Get the positions and velocities of the molecules in a model as an array of numbers.
+   * @param {MultipleParticleModel} model
+   * @returns {number[]}
+   */
+  const getMotion = model => {
+    const moleculeDataSet = model.moleculeDataSet;
+    const motion = [];
+    for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
+      const position = moleculeDataSet.moleculeCenterOfMassPositions[ i ];
+      const velocity = moleculeDataSet.moleculeVelocities[ i ];
+      motion.push( position.x, position.y, velocity.x, velocity.y, moleculeDataSet.moleculeRotationRates[ i ] );
+    }
+    return motion;
+  };
+
+  /**
+   * Get the potential energy of the interactions between the atoms in a model of a monatomic substance, calculated
+   * directly from their positions.  The potential is shifted so that it is zero at the cutoff distance used by the
+   * algorithm, which keeps the total from jumping when a pair moves out of range.
+   * @param {MultipleParticleModel} model
+   * @returns {number}
+   */
+  const getMonatomicPotentialEnergy = model => {
+    const moleculeDataSet = model.moleculeDataSet;
+    const algorithm = model.moleculeForceAndMotionCalculator;
+    const positions = moleculeDataSet.moleculeCenterOfMassPositions;
+    const cutoffDistanceSquared = algorithm.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD;
+    const cutoffR6inv = 1 / Math.pow( cutoffDistanceSquared, 3 );
+    const cutoffPotential = 4 * cutoffR6inv * ( cutoffR6inv - 1 );
+    let potentialEnergy = 0;
+    for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
+      for ( let j = i + 1; j < moleculeDataSet.getNumberOfMolecules(); j++ ) {
+        const distanceSquared = positions[ i ].distanceSquared( positions[ j ] );
+        if ( distanceSquared < cutoffDistanceSquared ) {
+          const r6inv = 1 / Math.pow( distanceSquared, 3 );
+          potentialEnergy += ( 4 * r6inv * ( r6inv - 1 ) - cutoffPotential ) * algorithm.epsilon;
+        }
+      }
+    }
+    return potentialEnergy;
+  };
+
+  /**
+   * Get the total energy of a model of a monatomic substance, which is the kinetic energy plus the potential energy of
+   * the interactions and of gravity.
+   * @param {MultipleParticleModel} model
+   * @returns {number}
+   */
+  const getMonatomicTotalEnergy = model => {
+    const moleculeDataSet = model.moleculeDataSet;
+    let totalEnergy = moleculeDataSet.getTotalKineticEnergy() + getMonatomicPotentialEnergy( model );
+    for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
+      totalEnergy -= model.gravitationalAcceleration.dot( moleculeDataSet.moleculeCenterOfMassPositions[ i ] );
+    }
+    return totalEnergy;
+  };
+
+  /**
+   * @param {number} energy
+   * @param {number} expectedEnergy
+   * @returns {boolean}
+   */
+  const isEnergyClose = ( energy, expectedEnergy ) =>
+    Math.abs( energy - expectedEnergy ) <= ENERGY_TOLERANCE * Math.abs( expectedEnergy );
+
+  /**
+   * Step a model and get the average of its virial pressure over the steps.
+   * @param {MultipleParticleModel} model
+   * @returns {number}
+   */
+  const getAverageVirialPressure = model => {
+    let totalPressure = 0;
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      totalPressure += model.virialPressureProperty.get();
+    }
+    return totalPressure / NUMBER_OF_STEPS;
+  };
+
+  QUnit.module( 'MultipleParticleModel' );
+
+  QUnit.test( 'runs are reproduced by the same seed', assert => {
+
+    // The models are stepped alternately, with values drawn from another generator in between, so that any state that
+    // is shared between generators would come into play.
+    const otherRandom = new Random( { seed: 3 } );
+    const model = createOxygenModel( 1, PhaseStateEnum.GAS );
+    otherRandom.nextGaussian();
+    const sameSeedModel = createOxygenModel( 1, PhaseStateEnum.GAS );
+    const otherSeedModel = createOxygenModel( 2, PhaseStateEnum.GAS );
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      [ model, sameSeedModel, otherSeedModel ].forEach( steppedModel => {
+        steppedModel.step( SOMConstants.NOMINAL_TIME_STEP );
+        otherRandom.nextGaussian();
+      } );
+    }
+
+    const motion = getMotion( model );
+    assert.ok( motion.length > 0, 'there are molecules' );
+    assert.deepEqual( getMotion( sameSeedModel ), motion, 'same seed gives identical positions and velocities' );
+    assert.notDeepEqual( getMotion( otherSeedModel ), motion, 'different seed gives different motion' );
+  } );
+
+  QUnit.test( 'a restored snapshot continues exactly as the saved model does', assert => {
+
+    // The Andersen thermostat, which draws random numbers, is used for a liquid at a steady temperature.
+    const model = createOxygenModel( 1, PhaseStateEnum.LIQUID );
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    const snapshot = JSON.parse( JSON.stringify( model.saveSnapshot() ) );
+
+    // The model that restores the snapshot starts with a different substance and generator.
+    const restoredModel = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 2 } ) } );
+    restoredModel.restoreSnapshot( snapshot );
+    assert.deepEqual( getMotion( restoredModel ), getMotion( model ), 'restored positions and velocities' );
+
+    const numberOfCalls = model.random.numberOfCalls;
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      restoredModel.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    assert.ok( model.random.numberOfCalls > numberOfCalls, 'random numbers were drawn after the snapshot was saved' );
+    assert.deepEqual( getMotion( restoredModel ), getMotion( model ), 'same motion after the restore' );
+    assert.equal( restoredModel.temperatureSetPointProperty.get(), model.temperatureSetPointProperty.get(),
+      'same temperature set point after the restore' );
+  } );
+
+  QUnit.test( 'snapshots from other versions of the format are rejected', assert => {
+    const model = createOxygenModel( 1, PhaseStateEnum.GAS );
+    const snapshot = model.saveSnapshot();
+    snapshot.version = 0;
+    assert.throws( () => model.restoreSnapshot( snapshot ), /unsupported snapshot version/, 'old version rejected' );
+  } );
+
+  QUnit.test( 'every thermostat brings the temperature to the set point', assert => {
+
+    // Oxygen is used since its molecules rotate, which gives them the three degrees of freedom that the Andersen
+    // thermostat assumes.
+    const thermostatTypes = ThermostatType.VALUES.filter( thermostatType => thermostatType !== ThermostatType.NONE );
+    thermostatTypes.forEach( thermostatType => {
+      const model = createOxygenModel( 1, PhaseStateEnum.LIQUID );
+      model.thermostatTypeProperty.set( thermostatType );
+      const targetTemperature = model.temperatureSetPointProperty.get() * 1.25;
+      model.setTemperature( targetTemperature );
+      let totalTemperature = 0;
+      for ( let i = 0; i < THERMOSTAT_STEPS; i++ ) {
+        model.step( SOMConstants.NOMINAL_TIME_STEP );
+        if ( i >= THERMOSTAT_STEPS - THERMOSTAT_SAMPLED_STEPS ) {
+          totalTemperature += model.moleculeForceAndMotionCalculator.calculatedTemperature;
+        }
+      }
+      const averageTemperature = totalTemperature / THERMOSTAT_SAMPLED_STEPS;
+      assert.ok( Math.abs( averageTemperature - targetTemperature ) < 0.1 * targetTemperature,
+        `${thermostatType.name}: average temperature ${averageTemperature}, set point ${targetTemperature}` );
+    } );
+  } );
+
+  QUnit.test( 'the thermal wall brings the temperature to the set point from every side', assert => {
+
+    // Gravity is pointed at the thermal wall, so that the liquid rests against it.
+    [
+      [ ContainerWall.BOTTOM, -Math.PI / 2 ],
+      [ ContainerWall.LEFT, Math.PI ],
+      [ ContainerWall.RIGHT, 0 ],
+      [ ContainerWall.TOP, Math.PI / 2 ]
+    ].forEach( ( [ thermalWall, gravityDirection ] ) => {
+      const model = createOxygenModel( 1, PhaseStateEnum.LIQUID );
+      model.gravityDirectionProperty.set( gravityDirection );
+      model.thermostatTypeProperty.set( ThermostatType.THERMAL_WALL );
+      model.thermalWallProperty.set( thermalWall );
+      const targetTemperature = model.temperatureSetPointProperty.get() * 1.25;
+      model.setTemperature( targetTemperature );
+      let totalTemperature = 0;
+      for ( let i = 0; i < THERMAL_WALL_STEPS; i++ ) {
+        model.step( SOMConstants.NOMINAL_TIME_STEP );
+        if ( i >= THERMAL_WALL_STEPS - THERMAL_WALL_SAMPLED_STEPS ) {
+          totalTemperature += model.moleculeForceAndMotionCalculator.calculatedTemperature;
+        }
+      }
+      const averageTemperature = totalTemperature / THERMAL_WALL_SAMPLED_STEPS;
+      assert.ok( Math.abs( averageTemperature - targetTemperature ) < 0.1 * targetTemperature,
+        `${thermalWall.name}: average temperature ${averageTemperature}, set point ${targetTemperature}` );
+    } );
+  } );
+
+  QUnit.test( 'the total energy is conserved without a thermostat', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    model.setPhase( PhaseStateEnum.LIQUID );
+    model.thermostatTypeProperty.set( ThermostatType.NONE );
+    const initialEnergy = getMonatomicTotalEnergy( model );
+    const tolerance = 0.05 * model.moleculeDataSet.getTotalKineticEnergy();
+    let maxEnergyChange = 0;
+    for ( let i = 0; i < ENERGY_CONSERVATION_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      maxEnergyChange = Math.max( maxEnergyChange, Math.abs( getMonatomicTotalEnergy( model ) - initialEnergy ) );
+    }
+    assert.ok( maxEnergyChange < tolerance, `largest change in the total energy ${maxEnergyChange}` );
+
+    // As a check on the test, the same run with a thermostat changes the energy by much more.
+    model.setPhase( PhaseStateEnum.LIQUID );
+    model.thermostatTypeProperty.set( ThermostatType.ISOKINETIC );
+    const initialThermostattedEnergy = getMonatomicTotalEnergy( model );
+    for ( let i = 0; i < ENERGY_CONSERVATION_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    assert.ok( Math.abs( getMonatomicTotalEnergy( model ) - initialThermostattedEnergy ) > tolerance,
+      'the energy changes when a thermostat is used' );
+  } );
+
+  QUnit.test( 'the energies are those of the molecules', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    model.setPhase( PhaseStateEnum.LIQUID );
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    const numberOfMolecules = model.moleculeDataSet.getNumberOfMolecules();
+    const kineticEnergy = model.moleculeDataSet.getTotalKineticEnergy() / numberOfMolecules;
+    const potentialEnergy = getMonatomicPotentialEnergy( model ) / numberOfMolecules;
+    assert.ok( isEnergyClose( model.kineticEnergyProperty.get(), kineticEnergy ), 'kinetic energy' );
+    assert.ok( isEnergyClose( model.potentialEnergyProperty.get(), potentialEnergy ), 'potential energy' );
+    assert.ok( isEnergyClose( model.totalEnergyProperty.get(), kineticEnergy + potentialEnergy ), 'total energy' );
+    assert.equal( model.rotationalKineticEnergyProperty.get(), 0, 'atoms have no rotational kinetic energy' );
+
+    // Diatomic molecules rotate, and the rotational kinetic energy is part of the kinetic energy.
+    const oxygenModel = createOxygenModel( 1, PhaseStateEnum.LIQUID );
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      oxygenModel.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    const rotationalKineticEnergy = oxygenModel.rotationalKineticEnergyProperty.get();
+    assert.ok( rotationalKineticEnergy > 0, 'molecules have rotational kinetic energy' );
+    assert.ok( isEnergyClose( oxygenModel.kineticEnergyProperty.get(),
+      oxygenModel.moleculeDataSet.getTotalKineticEnergy() / oxygenModel.moleculeDataSet.getNumberOfMolecules() ),
+      'kinetic energy of the molecules' );
+  } );
+
+  QUnit.test( 'the potential energy is lower when the molecules are bound together', assert => {
+    const potentialEnergies = [ PhaseStateEnum.SOLID, PhaseStateEnum.LIQUID, PhaseStateEnum.GAS ].map( phase => {
+      const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+      model.substanceProperty.set( SubstanceType.ARGON );
+      model.setPhase( phase );
+      for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+        model.step( SOMConstants.NOMINAL_TIME_STEP );
+      }
+      return model.potentialEnergyProperty.get();
+    } );
+    assert.ok( potentialEnergies[ 0 ] < 0, `solid potential energy ${potentialEnergies[ 0 ]} is negative` );
+    assert.ok( potentialEnergies[ 0 ] < potentialEnergies[ 1 ] && potentialEnergies[ 1 ] < potentialEnergies[ 2 ],
+      `potential energies ${potentialEnergies} increase from solid to liquid to gas` );
+  } );
+
+  QUnit.test( 'the virial pressure of a dilute gas is the wall-based pressure', assert => {
+
+    // Gravity is turned off, since the wall-based pressure is only measured on the lid and the upper part of the side
+    // walls, where gravity makes the gas thinner.
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    model.setPhase( PhaseStateEnum.GAS );
+    model.setTemperature( 2 * SOMConstants.GAS_TEMPERATURE );
+    model.gravityStrengthProperty.set( 0 );
+    let totalWallPressure = 0;
+    let totalVirialPressure = 0;
+    for ( let i = 0; i < PRESSURE_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      if ( i >= PRESSURE_EQUILIBRATION_STEPS ) {
+        totalWallPressure += model.pressureProperty.get();
+        totalVirialPressure += model.virialPressureProperty.get();
+      }
+    }
+    const wallPressure = totalWallPressure / ( PRESSURE_STEPS - PRESSURE_EQUILIBRATION_STEPS );
+    const virialPressure = totalVirialPressure / ( PRESSURE_STEPS - PRESSURE_EQUILIBRATION_STEPS );
+    assert.ok( wallPressure > 0, 'the gas pushes on the walls' );
+    assert.ok( Math.abs( virialPressure - wallPressure ) < 0.05 * wallPressure,
+      `average virial pressure ${virialPressure}, wall-based pressure ${wallPressure}` );
+  } );
+
+  QUnit.test( 'the virial pressure goes below zero when the attraction between the molecules dominates', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    model.setPhase( PhaseStateEnum.LIQUID );
+    let minVirialPressure = Number.POSITIVE_INFINITY;
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      minVirialPressure = Math.min( minVirialPressure, model.virialPressureProperty.get() );
+    }
+    assert.ok( minVirialPressure < 0, `lowest virial pressure ${minVirialPressure}` );
+  } );
+
+  QUnit.test( 'the side wall moves to the target width and keeps the molecules inside', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    model.setPhase( PhaseStateEnum.GAS );
+    const initialArea = model.getContainerArea();
+    const initialPressure = getAverageVirialPressure( model );
+
+    model.setTargetParticleContainerWidth( 0 );
+    assert.equal( model.targetContainerWidthProperty.get(), MultipleParticleModel.PARTICLE_CONTAINER_MIN_WIDTH,
+      'the target is limited to the minimum width' );
+
+    // Halving the width of the container doubles the density of the gas.
+    const targetWidth = MultipleParticleModel.PARTICLE_CONTAINER_WIDTH / 2;
+    model.setTargetParticleContainerWidth( targetWidth );
+    model.step( SOMConstants.NOMINAL_TIME_STEP );
+    const width = model.particleContainerWidthProperty.get();
+    assert.ok( width < MultipleParticleModel.PARTICLE_CONTAINER_WIDTH && width > targetWidth,
+      `the wall moves gradually, width ${width}` );
+    for ( let i = 0; i < WIDTH_CHANGE_STEPS && model.particleContainerWidthProperty.get() !== targetWidth; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    assert.equal( model.particleContainerWidthProperty.get(), targetWidth, 'the wall reaches the target' );
+    assert.ok( Math.abs( model.getContainerArea() / initialArea - 0.5 ) < 1E-9, 'the area follows the width' );
+
+    const pressure = getAverageVirialPressure( model );
+    assert.ok( pressure > 1.5 * initialPressure, `pressure ${pressure} rises from ${initialPressure}` );
+    assert.notOk( model.isExplodedProperty.get(), 'the container is intact' );
+    const positions = model.moleculeDataSet.getMoleculeCenterOfMassPositions();
+    let maxX = 0;
+    for ( let i = 0; i < model.moleculeDataSet.getNumberOfMolecules(); i++ ) {
+      maxX = Math.max( maxX, positions[ i ].x );
+    }
+    assert.ok( maxX <= model.normalizedContainerWidth, `rightmost molecule at ${maxX}` );
+
+    model.reset();
+    assert.equal( model.particleContainerWidthProperty.get(), MultipleParticleModel.PARTICLE_CONTAINER_WIDTH,
+      'reset moves the wall back out' );
+  } );
+
+  QUnit.test( 'gravity is exactly vertical or horizontal at every multiple of 90 degrees', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    const strength = model.gravityStrengthProperty.get();
+    const magnitude = model.gravitationalAcceleration.magnitude;
+    assert.ok( magnitude > 0, 'there is gravity by default' );
+    [
+      [ -Math.PI, -1, 0 ],
+      [ -Math.PI / 2, 0, -1 ],
+      [ 0, 1, 0 ],
+      [ Math.PI / 2, 0, 1 ],
+      [ Math.PI, -1, 0 ]
+    ].forEach( ( [ direction, x, y ] ) => {
+      model.gravityDirectionProperty.set( direction );
+      const gravitationalAcceleration = model.gravitationalAcceleration;
+      assert.ok( gravitationalAcceleration.x === x * magnitude && gravitationalAcceleration.y === y * magnitude,
+        `gravity ${gravitationalAcceleration} at ${direction}` );
+    } );
+
+    // Other directions are in between, with the same magnitude.
+    model.gravityDirectionProperty.set( Math.PI / 4 );
+    assert.ok( Math.abs( model.gravitationalAcceleration.magnitude - magnitude ) < 1E-12, 'the same magnitude' );
+    assert.ok( model.gravitationalAcceleration.x > 0 && model.gravitationalAcceleration.y > 0, 'up and to the right' );
+
+    model.gravityStrengthProperty.set( 0 );
+    assert.equal( model.gravitationalAcceleration.magnitude, 0, 'no gravity' );
+    model.gravityStrengthProperty.set( 2 * strength );
+    assert.ok( Math.abs( model.gravitationalAcceleration.magnitude - 2 * magnitude ) < 1E-12, 'twice the gravity' );
+  } );
+
+  QUnit.test( 'the pressure under a weighted lid balances the weight', assert => {
+    const heights = [];
+    [ 5, 10 ].forEach( lidWeight => {
+      const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+      model.substanceProperty.set( SubstanceType.ARGON );
+      model.setPhase( PhaseStateEnum.GAS );
+      model.weightedLidEnabledProperty.set( true );
+      model.lidWeightProperty.set( lidWeight );
+      for ( let i = 0; i < WEIGHTED_LID_EQUILIBRATION_STEPS; i++ ) {
+        model.step( SOMConstants.NOMINAL_TIME_STEP );
+      }
+
+      // The virial pressure from the particle engine is converted to force per unit length of wall.
+      const algorithm = model.moleculeForceAndMotionCalculator;
+      const moleculeMass = model.moleculeDataSet.getMoleculeMass();
+      let totalPressure = 0;
+      let totalHeight = 0;
+      for ( let i = 0; i < WEIGHTED_LID_SAMPLED_STEPS; i++ ) {
+        model.step( SOMConstants.NOMINAL_TIME_STEP );
+        totalPressure += algorithm.virialPressureProperty.get() * 2 * moleculeMass / algorithm.getPressureWallLength();
+        totalHeight += model.normalizedContainerHeight;
+      }
+      const pressure = totalPressure / WEIGHTED_LID_SAMPLED_STEPS;
+      const height = totalHeight / WEIGHTED_LID_SAMPLED_STEPS;
+      heights.push( height );
+      assert.notOk( model.isExplodedProperty.get(), `the container is intact with a weight of ${lidWeight}` );
+      assert.ok( height < MultipleParticleModel.PARTICLE_CONTAINER_INITIAL_HEIGHT / model.particleDiameter,
+        `the lid floats at ${height} with a weight of ${lidWeight}` );
+
+      // The virial pressure is the average over the container, which is higher than that at the lid by the weight of
+      // half of the gas.
+      const gasWeight = model.moleculeDataSet.getNumberOfMolecules() * moleculeMass *
+                        -model.gravitationalAcceleration.y;
+      const expectedPressure = ( lidWeight + gasWeight / 2 ) /
+                               ( model.normalizedContainerWidth - 2 * algorithm.sideBounceInset );
+      assert.ok( Math.abs( pressure - expectedPressure ) < 0.1 * expectedPressure,
+        `pressure ${pressure}, expected ${expectedPressure} with a weight of ${lidWeight}` );
+    } );
+    assert.ok( heights[ 1 ] < 0.8 * heights[ 0 ], `the heavier lid compresses the gas, heights ${heights}` );
+  } );
+} );
@@ -0,0 +1,163 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Calculates the values that are used to tint the molecules when they are colored by a quantity other than their
+ * element.  A value between 0 and 1 is produced for every atom, and all of the atoms in a molecule get the value of the
+ * molecule, so that the view can look up the color for each particle by its index.
+ *
+ * The quantities are calculated from the normalized molecule data set, so distances are in particle diameters and
+ * energies and temperatures are in the units used by the particle engine.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const ParticleColoringMode = require( 'STATES_OF_MATTER/common/model/ParticleColoringMode' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Utils = require( 'DOT/Utils' );
+
+  // constants
+
+  // values of the quantities that map to the top of the color scale, chosen so that a gas at the temperature used for
+  // the gas phase is in the middle of the scale
+  const MAX_SPEED = 3;
+  const MAX_KINETIC_ENERGY = 3;
+  const MAX_COORDINATION_NUMBER = 8;
+  const MAX_LOCAL_TEMPERATURE = SOMConstants.GAS_TEMPERATURE * 2;
+
+  // distance between the centers of mass of two molecules within which they are included in each other's local
+  // temperature
+  const LOCAL_TEMPERATURE_RADIUS = 3;
+  const LOCAL_TEMPERATURE_RADIUS_SQUARED = LOCAL_TEMPERATURE_RADIUS * LOCAL_TEMPERATURE_RADIUS;
+
+  /**
+   * @constructor
+   */
+  function ParticleColorValueCalculator() {
+
+    // @public (read-only) - value between 0 and 1 for each atom, indexed the same as the particles in the model
+    this.values = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+
+    // @private - per-molecule working values, allocated once for performance and sized for monatomic substances, which
+    // have the most molecules
+    this.moleculeValues = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.neighborCounts = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.neighborKineticEnergies = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+  }
+
+  statesOfMatter.register( 'ParticleColorValueCalculator', ParticleColorValueCalculator );
+
+  return inherit( Object, ParticleColorValueCalculator, {
+
+    /**
+     * Calculate the values of the specified quantity for all molecules in the data set.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @param {ParticleColoringMode} mode - must not be ELEMENT
+     * @param {AbstractVerletAlgorithm} moleculeForceAndMotionCalculator - the algorithm that moves the molecules, whose
+     * ratio of kinetic energy to temperature is used for the local temperature
+     * @public
+     */
+    update: function( moleculeDataSet, mode, moleculeForceAndMotionCalculator ) {
+      assert && assert( mode !== ParticleColoringMode.ELEMENT, 'no values are needed when coloring by element' );
+
+      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      const moleculeVelocities = moleculeDataSet.moleculeVelocities;
+      const moleculeValues = this.moleculeValues;
+      let i;
+
+      if ( mode === ParticleColoringMode.SPEED ) {
+        for ( i = 0; i < numberOfMolecules; i++ ) {
+          moleculeValues[ i ] = moleculeVelocities[ i ].magnitude / MAX_SPEED;
+        }
+      }
+      else if ( mode === ParticleColoringMode.KINETIC_ENERGY ) {
+        for ( i = 0; i < numberOfMolecules; i++ ) {
+          moleculeValues[ i ] = moleculeDataSet.getMoleculeKineticEnergy( i ) / MAX_KINETIC_ENERGY;
+        }
+      }
+      else if ( mode === ParticleColoringMode.COORDINATION_NUMBER ) {
+        this.countNeighbors( moleculeDataSet );
+        for ( i = 0; i < numberOfMolecules; i++ ) {
+          moleculeValues[ i ] = this.neighborCounts[ i ] / MAX_COORDINATION_NUMBER;
+        }
+      }
+      else if ( mode === ParticleColoringMode.LOCAL_TEMPERATURE ) {
+        this.sumNeighborKineticEnergies( moleculeDataSet );
+
+        // This uses the same relationship between kinetic energy and temperature as the particle engine, which differs
+        // between substances.
+        const kineticEnergyPerTemperature = moleculeForceAndMotionCalculator.KINETIC_ENERGY_PER_TEMPERATURE;
+        for ( i = 0; i < numberOfMolecules; i++ ) {
+          moleculeValues[ i ] = this.neighborKineticEnergies[ i ] / ( this.neighborCounts[ i ] + 1 ) /
+                                kineticEnergyPerTemperature / MAX_LOCAL_TEMPERATURE;
+        }
+      }
+
+      // Copy the value of each molecule to its atoms.
+      const atomsPerMolecule = moleculeDataSet.getAtomsPerMolecule();
+      for ( i = 0; i < moleculeDataSet.getNumberOfAtoms(); i++ ) {
+        this.values[ i ] = Utils.clamp( moleculeValues[ Math.floor( i / atomsPerMolecule ) ], 0, 1 );
+      }
+    },
+
+    /**
+     * Count the number of other molecules that each molecule is touching.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @private
+     */
+    countNeighbors: function( moleculeDataSet ) {
+      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      this.neighborCounts.fill( 0, 0, numberOfMolecules );
+
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        for ( let j = i + 1; j < numberOfMolecules; j++ ) {
+          if ( moleculeDataSet.areMoleculesTouching( i, j ) ) {
+            this.neighborCounts[ i ]++;
+            this.neighborCounts[ j ]++;
+          }
+        }
+      }
+    },
+
+    /**
+     * For each molecule, add up its kinetic energy and that of the other molecules within the local temperature radius,
+     * and count those other molecules.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @private
+     */
+    sumNeighborKineticEnergies: function( moleculeDataSet ) {
+      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      const centerOfMassPositions = moleculeDataSet.moleculeCenterOfMassPositions;
+      this.neighborCounts.fill( 0, 0, numberOfMolecules );
+
+      // Start each sum with the kinetic energy of the molecule itself, which is saved in the molecule values array so
+      // that it isn't recalculated for each pair.
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        this.moleculeValues[ i ] = moleculeDataSet.getMoleculeKineticEnergy( i );
+        this.neighborKineticEnergies[ i ] = this.moleculeValues[ i ];
+      }
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        for ( let j = i + 1; j < numberOfMolecules; j++ ) {
+          if ( centerOfMassPositions[ i ].distanceSquared( centerOfMassPositions[ j ] ) <
+               LOCAL_TEMPERATURE_RADIUS_SQUARED ) {
+            this.neighborKineticEnergies[ i ] += this.moleculeValues[ j ];
+            this.neighborKineticEnergies[ j ] += this.moleculeValues[ i ];
+            this.neighborCounts[ i ]++;
+            this.neighborCounts[ j ]++;
+          }
+        }
+      }
+    }
+  }, {
+
+    // @public - values of the quantities at the top of the color scale, which are used to label the legend
+    MAX_SPEED: MAX_SPEED,
+    MAX_KINETIC_ENERGY: MAX_KINETIC_ENERGY,
+    MAX_COORDINATION_NUMBER: MAX_COORDINATION_NUMBER,
+    MAX_LOCAL_TEMPERATURE: MAX_LOCAL_TEMPERATURE
+  } );
+} );
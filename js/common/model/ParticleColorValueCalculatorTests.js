@@ -0,0 +1,134 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ParticleColorValueCalculator, which check the values that the molecules are tinted by in each of the
+ * coloring modes.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const ParticleColoringMode = require( 'STATES_OF_MATTER/common/model/ParticleColoringMode' );
+  const ParticleColorValueCalculator = require( 'STATES_OF_MATTER/common/model/ParticleColorValueCalculator' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+
+  // constants
+  const NUMBER_OF_STEPS = 200;
+  const TOLERANCE = 1E-9;
+
+  /**
+   * Create a model of a substance in the specified phase.
+   * @param {SubstanceType} substance
+   * @param {string} phase - a value from PhaseStateEnum
+   * @returns {MultipleParticleModel}
+   */
+  const createModel = ( substance, phase ) => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( substance );
+    model.setPhase( phase );
+    return model;
+  };
+
+  /**
+   * Get the average of the values of the molecules in a model, taking one atom from each molecule.
+   * @param {MultipleParticleModel} model
+   * @returns {number}
+   */
+  const getAverageValue = model => {
+    const moleculeDataSet = model.moleculeDataSet;
+    const values = model.particleColorValueCalculator.values;
+    let totalValue = 0;
+    for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
+      totalValue += values[ i * moleculeDataSet.getAtomsPerMolecule() ];
+    }
+    return totalValue / moleculeDataSet.getNumberOfMolecules();
+  };
+
+  QUnit.module( 'ParticleColorValueCalculator' );
+
+  QUnit.test( 'the speed and kinetic energy are scaled and shared by the atoms of a molecule', assert => {
+    const model = createModel( SubstanceType.DIATOMIC_OXYGEN, PhaseStateEnum.GAS );
+    const moleculeDataSet = model.moleculeDataSet;
+    const calculator = model.particleColorValueCalculator;
+    const values = calculator.values;
+    moleculeDataSet.moleculeVelocities[ 0 ].setXY( 0.3 * ParticleColorValueCalculator.MAX_SPEED, 0 );
+    moleculeDataSet.moleculeVelocities[ 1 ].setXY( 0, -2 * ParticleColorValueCalculator.MAX_SPEED );
+
+    // Changing the mode calculates the values right away.
+    model.particleColoringModeProperty.set( ParticleColoringMode.SPEED );
+    assert.ok( Math.abs( values[ 0 ] - 0.3 ) < TOLERANCE, `speed value ${values[ 0 ]}` );
+    assert.equal( values[ 1 ], values[ 0 ], 'the atoms of a molecule have the same value' );
+    assert.equal( values[ 2 ], 1, 'a value above the top of the scale is limited to it' );
+
+    model.particleColoringModeProperty.set( ParticleColoringMode.KINETIC_ENERGY );
+    for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
+      const expectedValue = Math.min(
+        moleculeDataSet.getMoleculeKineticEnergy( i ) / ParticleColorValueCalculator.MAX_KINETIC_ENERGY,
+        1
+      );
+      assert.ok( Math.abs( values[ 2 * i ] - expectedValue ) < TOLERANCE && values[ 2 * i + 1 ] === values[ 2 * i ],
+        `kinetic energy value ${values[ 2 * i ]} of molecule ${i}, expected ${expectedValue}` );
+    }
+  } );
+
+  QUnit.test( 'the coordination number is higher in a solid than in a gas', assert => {
+    const solidModel = createModel( SubstanceType.ARGON, PhaseStateEnum.SOLID );
+    solidModel.particleColoringModeProperty.set( ParticleColoringMode.COORDINATION_NUMBER );
+    const solidValues = solidModel.particleColorValueCalculator.values;
+
+    // The atoms inside of a close-packed crystal each touch six others.
+    let maxCoordinationNumber = 0;
+    for ( let i = 0; i < solidModel.moleculeDataSet.getNumberOfMolecules(); i++ ) {
+      maxCoordinationNumber = Math.max( maxCoordinationNumber,
+        solidValues[ i ] * ParticleColorValueCalculator.MAX_COORDINATION_NUMBER );
+    }
+    assert.equal( maxCoordinationNumber, 6, 'most neighbors in the solid' );
+
+    const gasModel = createModel( SubstanceType.ARGON, PhaseStateEnum.GAS );
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      gasModel.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    gasModel.particleColoringModeProperty.set( ParticleColoringMode.COORDINATION_NUMBER );
+    const solidAverage = getAverageValue( solidModel );
+    const gasAverage = getAverageValue( gasModel );
+    assert.ok( gasAverage < solidAverage / 2, `average values, solid ${solidAverage}, gas ${gasAverage}` );
+  } );
+
+  QUnit.test( 'the local temperature of a gas averages to the temperature of the gas', assert => {
+    const model = createModel( SubstanceType.ARGON, PhaseStateEnum.GAS );
+    model.particleColoringModeProperty.set( ParticleColoringMode.LOCAL_TEMPERATURE );
+    let totalLocalTemperature = 0;
+    let totalTemperature = 0;
+    for ( let i = 0; i < NUMBER_OF_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      totalLocalTemperature += getAverageValue( model ) * ParticleColorValueCalculator.MAX_LOCAL_TEMPERATURE;
+      totalTemperature += model.moleculeForceAndMotionCalculator.calculatedTemperature;
+    }
+    assert.ok( Math.abs( totalLocalTemperature - totalTemperature ) < 0.1 * totalTemperature,
+      `average local temperature ${totalLocalTemperature / NUMBER_OF_STEPS}, ` +
+      `temperature ${totalTemperature / NUMBER_OF_STEPS}` );
+  } );
+
+  QUnit.test( 'the values are only calculated when the molecules are tinted', assert => {
+    const model = createModel( SubstanceType.ARGON, PhaseStateEnum.GAS );
+    const values = model.particleColorValueCalculator.values;
+    model.step( SOMConstants.NOMINAL_TIME_STEP );
+    assert.ok( values.every( value => value === 0 ), 'no values when colored by element' );
+
+    model.particleColoringModeProperty.set( ParticleColoringMode.SPEED );
+    const speedValue = values[ 0 ];
+    model.moleculeDataSet.moleculeVelocities[ 0 ].setXY( 0, 0 );
+    model.step( SOMConstants.NOMINAL_TIME_STEP );
+    assert.notEqual( values[ 0 ], speedValue, 'the values are updated as the model is stepped' );
+
+    model.reset();
+    assert.equal( model.particleColoringModeProperty.get(), ParticleColoringMode.ELEMENT, 'reset to element colors' );
+  } );
+} );
@@ -0,0 +1,28 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * enumeration of the ways in which the molecules in the container can be colored
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // ELEMENT - each atom is drawn in the color of its element
+  // SPEED - each molecule is tinted by the speed of its center of mass
+  // KINETIC_ENERGY - each molecule is tinted by its translational plus rotational kinetic energy
+  // COORDINATION_NUMBER - each molecule is tinted by the number of other molecules that it is touching
+  // LOCAL_TEMPERATURE - each molecule is tinted by the temperature of the molecules in its neighborhood
+  const ParticleColoringMode = Enumeration.byKeys( [
+    'ELEMENT',
+    'SPEED',
+    'KINETIC_ENERGY',
+    'COORDINATION_NUMBER',
+    'LOCAL_TEMPERATURE'
+  ] );
+  return statesOfMatter.register( 'ParticleColoringMode', ParticleColoringMode );
+} );
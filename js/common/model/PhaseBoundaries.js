@@ -0,0 +1,159 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The boundaries between the phases of a substance on its pressure-temperature phase diagram, generated from the
+ * triple and critical points and the slope of the melting curve in SubstanceRegistry.
+ *
+ * - The vaporization curve, which separates liquid from gas, follows the Clausius-Clapeyron equation
+ *   ln( P ) = ln( Pt ) + B * ( 1 / Tt - 1 / T ), where B is the enthalpy of vaporization divided by R.  B is chosen
+ *   so that the curve runs from the triple point to the critical point.
+ * - The sublimation curve, which separates solid from gas, follows the same equation below the triple point, but with
+ *   B increased to account for the enthalpy of fusion, since the enthalpy of sublimation is the sum of the two.
+ * - The melting curve, which separates solid from liquid, is a straight line through the triple point.
+ *
+ * Temperatures are in Kelvin and pressures are in atmospheres.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+
+  // ratio of the enthalpy of sublimation to the enthalpy of vaporization, which is between 1.1 and 1.2 for the simple
+  // substances in the sim, e.g. about 1.18 for argon
+  const SUBLIMATION_TO_VAPORIZATION_ENTHALPY_RATIO = 1.15;
+
+  /**
+   * @param {Object} substanceDescription - from SubstanceRegistry, must have values for the points in atmospheres
+   * @constructor
+   */
+  function PhaseBoundaries( substanceDescription ) {
+
+    assert && assert(
+      substanceDescription.triplePointInAtmospheres !== null &&
+      substanceDescription.criticalPointInAtmospheres !== null &&
+      substanceDescription.meltingCurveSlope !== null,
+      `no phase diagram data for substance: ${substanceDescription.key}`
+    );
+
+    // @public (read-only)
+    this.triplePointTemperature = substanceDescription.triplePointInKelvin;
+    this.triplePointPressure = substanceDescription.triplePointInAtmospheres;
+    this.criticalPointTemperature = substanceDescription.criticalPointInKelvin;
+    this.criticalPointPressure = substanceDescription.criticalPointInAtmospheres;
+    this.meltingCurveSlope = substanceDescription.meltingCurveSlope;
+
+    // @private - the B values of the Clausius-Clapeyron equation for the vaporization and sublimation curves
+    this.vaporizationCoefficient = Math.log( this.criticalPointPressure / this.triplePointPressure ) /
+                                   ( 1 / this.triplePointTemperature - 1 / this.criticalPointTemperature );
+    this.sublimationCoefficient = this.vaporizationCoefficient * SUBLIMATION_TO_VAPORIZATION_ENTHALPY_RATIO;
+  }
+
+  statesOfMatter.register( 'PhaseBoundaries', PhaseBoundaries );
+
+  return inherit( Object, PhaseBoundaries, {
+
+    /**
+     * Get the pressure of the solid-gas boundary, which is only valid below the triple point temperature.
+     * @param {number} temperature
+     * @returns {number}
+     * @public
+     */
+    getSublimationPressure: function( temperature ) {
+      return this.getClausiusClapeyronPressure( temperature, this.sublimationCoefficient );
+    },
+
+    /**
+     * Get the pressure of the liquid-gas boundary, which is only valid between the triple and critical points.
+     * @param {number} temperature
+     * @returns {number}
+     * @public
+     */
+    getVaporizationPressure: function( temperature ) {
+      return this.getClausiusClapeyronPressure( temperature, this.vaporizationCoefficient );
+    },
+
+    /**
+     * Get the temperature of the solid-gas boundary at the specified pressure, which is the inverse of
+     * getSublimationPressure.
+     * @param {number} pressure
+     * @returns {number}
+     * @public
+     */
+    getSublimationTemperature: function( pressure ) {
+      return 1 / ( 1 / this.triplePointTemperature -
+                   Math.log( pressure / this.triplePointPressure ) / this.sublimationCoefficient );
+    },
+
+    /**
+     * Get the temperature of the solid-liquid boundary at the specified pressure, which is only valid above the triple
+     * point pressure.
+     * @param {number} pressure
+     * @returns {number}
+     * @public
+     */
+    getMeltingTemperature: function( pressure ) {
+      return this.triplePointTemperature + ( pressure - this.triplePointPressure ) / this.meltingCurveSlope;
+    },
+
+    /**
+     * @param {number} temperature
+     * @param {number} coefficient
+     * @returns {number}
+     * @private
+     */
+    getClausiusClapeyronPressure: function( temperature, coefficient ) {
+      if ( temperature <= 0 ) {
+        return 0;
+      }
+      return this.triplePointPressure *
+             Math.exp( coefficient * ( 1 / this.triplePointTemperature - 1 / temperature ) );
+    },
+
+    /**
+     * Move a temperature and pressure, if needed, to the part of the phase diagram where the specified phase can
+     * exist.  The molecules in the sim are often in a condensed phase with little or no vapor above them, in which case
+     * the measured pressure is below the boundary, and a substance that is actually in that state would be at its
+     * vapor pressure, i.e. on the boundary.  Similarly, a gas can't be at a higher pressure than the vapor pressure
+     * at its temperature, and a solid that has been heated past its melting point but hasn't melted yet is shown on the
+     * melting curve.
+     * @param {number} temperature
+     * @param {number} pressure
+     * @param {PhaseStateEnum} phase
+     * @returns {Vector2} - x is the temperature and y is the pressure
+     * @public
+     */
+    constrainToPhase: function( temperature, pressure, phase ) {
+      if ( phase === PhaseStateEnum.SOLID ) {
+        temperature = Math.min( temperature, this.triplePointTemperature );
+        pressure = Math.max( pressure, this.getSublimationPressure( temperature ) );
+        if ( pressure > this.triplePointPressure ) {
+          temperature = Math.min( temperature, this.getMeltingTemperature( pressure ) );
+        }
+      }
+      else if ( phase === PhaseStateEnum.LIQUID ) {
+        temperature = Math.max( temperature, this.triplePointTemperature );
+        if ( temperature < this.criticalPointTemperature ) {
+          pressure = Math.max( pressure, this.getVaporizationPressure( temperature ) );
+        }
+        temperature = Math.max( temperature, this.getMeltingTemperature( pressure ) );
+      }
+      else if ( phase === PhaseStateEnum.GAS ) {
+        if ( temperature < this.triplePointTemperature ) {
+          pressure = Math.min( pressure, this.getSublimationPressure( temperature ) );
+        }
+        else if ( temperature < this.criticalPointTemperature ) {
+          pressure = Math.min( pressure, this.getVaporizationPressure( temperature ) );
+        }
+      }
+      return new Vector2( temperature, pressure );
+    }
+  } );
+} );
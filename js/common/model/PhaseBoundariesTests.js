@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for PhaseBoundaries, which check the boundaries of every substance that has the data for a phase diagram.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const PhaseBoundaries = require( 'STATES_OF_MATTER/common/model/PhaseBoundaries' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
+
+  // constants
+  const TOLERANCE = 1E-9; // relative
+
+  /**
+   * @param {number} value
+   * @param {number} expectedValue
+   * @returns {boolean}
+   */
+  const isClose = ( value, expectedValue ) =>
+    Math.abs( value - expectedValue ) <= TOLERANCE * Math.abs( expectedValue );
+
+  /**
+   * Call a function with the phase boundaries of each substance that has the data for a phase diagram.
+   * @param {Object} assert
+   * @param {function(PhaseBoundaries, string)} callback - called with the boundaries and the key of the substance
+   */
+  const forEachSubstance = ( assert, callback ) => {
+    const substanceDescriptions = SubstanceRegistry.SUBSTANCES.filter( substanceDescription =>
+      substanceDescription.triplePointInAtmospheres !== null );
+    assert.ok( substanceDescriptions.length > 0, 'substances have phase diagram data' );
+    substanceDescriptions.forEach( substanceDescription => {
+      callback( new PhaseBoundaries( substanceDescription ), substanceDescription.key );
+    } );
+  };
+
+  QUnit.module( 'PhaseBoundaries' );
+
+  QUnit.test( 'the boundaries pass through the triple and critical points', assert => {
+    forEachSubstance( assert, ( phaseBoundaries, key ) => {
+      const triplePointTemperature = phaseBoundaries.triplePointTemperature;
+      const triplePointPressure = phaseBoundaries.triplePointPressure;
+      assert.ok( isClose( phaseBoundaries.getVaporizationPressure( triplePointTemperature ), triplePointPressure ),
+        `${key} vaporization pressure at the triple point` );
+      assert.ok( isClose(
+        phaseBoundaries.getVaporizationPressure( phaseBoundaries.criticalPointTemperature ),
+        phaseBoundaries.criticalPointPressure
+      ), `${key} vaporization pressure at the critical point` );
+      assert.ok( isClose( phaseBoundaries.getSublimationPressure( triplePointTemperature ), triplePointPressure ),
+        `${key} sublimation pressure at the triple point` );
+      assert.ok( isClose( phaseBoundaries.getMeltingTemperature( triplePointPressure ), triplePointTemperature ),
+        `${key} melting temperature at the triple point` );
+    } );
+  } );
+
+  QUnit.test( 'the boundaries have the expected shapes', assert => {
+    forEachSubstance( assert, ( phaseBoundaries, key ) => {
+      const triplePointTemperature = phaseBoundaries.triplePointTemperature;
+      const criticalPointTemperature = phaseBoundaries.criticalPointTemperature;
+
+      // The vapor pressure rises with temperature between the triple and critical points.
+      let previousPressure = 0;
+      for ( let i = 0; i <= 10; i++ ) {
+        const temperature = triplePointTemperature + ( criticalPointTemperature - triplePointTemperature ) * i / 10;
+        const pressure = phaseBoundaries.getVaporizationPressure( temperature );
+        assert.ok( pressure > previousPressure, `${key} vaporization pressure rises at ${temperature}` );
+        previousPressure = pressure;
+      }
+
+      // Below the triple point the sublimation curve is steeper, so it is below the extension of the vaporization
+      // curve, and it can be inverted.
+      [ 0.5, 0.8, 0.95 ].forEach( proportion => {
+        const temperature = triplePointTemperature * proportion;
+        const pressure = phaseBoundaries.getSublimationPressure( temperature );
+        assert.ok( pressure < phaseBoundaries.getVaporizationPressure( temperature ),
+          `${key} sublimation curve is below the vaporization curve at ${temperature}` );
+        assert.ok( isClose( phaseBoundaries.getSublimationTemperature( pressure ), temperature ),
+          `${key} sublimation temperature at ${pressure}` );
+      } );
+
+      // Raising the pressure raises the melting point, except for water, whose solid is less dense than its liquid.
+      const meltingTemperatureChange =
+        phaseBoundaries.getMeltingTemperature( phaseBoundaries.criticalPointPressure ) - triplePointTemperature;
+      if ( key === 'WATER' ) {
+        assert.ok( meltingTemperatureChange < 0, 'water melting temperature falls with pressure' );
+      }
+      else {
+        assert.ok( meltingTemperatureChange > 0, `${key} melting temperature rises with pressure` );
+      }
+    } );
+  } );
+
+  QUnit.test( 'points are only moved when they are outside of the region for their phase', assert => {
+    forEachSubstance( assert, ( phaseBoundaries, key ) => {
+      const triplePointTemperature = phaseBoundaries.triplePointTemperature;
+      const liquidTemperature = ( triplePointTemperature + phaseBoundaries.criticalPointTemperature ) / 2;
+      const vaporPressure = phaseBoundaries.getVaporizationPressure( liquidTemperature );
+
+      // points that are inside the regions for their phases
+      [
+        [ PhaseStateEnum.SOLID, triplePointTemperature * 0.8, phaseBoundaries.triplePointPressure * 0.9 ],
+        [ PhaseStateEnum.LIQUID, liquidTemperature, vaporPressure * 1.5 ],
+        [ PhaseStateEnum.GAS, liquidTemperature, vaporPressure * 0.5 ],
+        [ PhaseStateEnum.GAS, phaseBoundaries.criticalPointTemperature * 1.5, phaseBoundaries.criticalPointPressure ]
+      ].forEach( ( [ phase, temperature, pressure ] ) => {
+        const point = phaseBoundaries.constrainToPhase( temperature, pressure, phase );
+        assert.ok( point.x === temperature && point.y === pressure,
+          `${key} ${phase} point at ${temperature}, ${pressure} stays at ${point}` );
+      } );
+
+      // A liquid with no vapor above it is moved up onto the vaporization curve, and a gas that is above it is moved
+      // down onto it.
+      const liquidPoint = phaseBoundaries.constrainToPhase( liquidTemperature, 0, PhaseStateEnum.LIQUID );
+      assert.ok( isClose( liquidPoint.y, vaporPressure ), `${key} liquid pressure ${liquidPoint.y}` );
+      const gasPoint = phaseBoundaries.constrainToPhase( liquidTemperature, vaporPressure * 2, PhaseStateEnum.GAS );
+      assert.ok( isClose( gasPoint.y, vaporPressure ), `${key} gas pressure ${gasPoint.y}` );
+    } );
+  } );
+} );
@@ -0,0 +1,326 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Determines the phase of the molecules in a MoleculeForceAndMotionDataSet from their structure and motion rather than
+ * from the temperature set point, which allows it to report what the molecules are actually doing, e.g. that a solid
+ * hasn't melted yet even though it has been heated past its melting point, or that part of it has.  Each molecule is
+ * classified individually and the fraction of the molecules in each phase is reported along with the overall phase,
+ * which is the one that the most molecules are in.
+ *
+ * Three local quantities are used to classify a molecule:
+ *
+ * - coordination number: the number of neighbors within the first shell, which is low for a molecule in a gas
+ * - order: for the monatomic substances, the magnitude of psi6, the average of exp( 6i * theta ) over the bonds to the
+ *   neighbors, which is near 1 for a molecule in a hexagonal crystal and lower in a liquid, and for water, the
+ *   coordination number, which is lower in ice than in the liquid because of its open, hydrogen-bonded lattice
+ * - mobility: the distance that the molecule has moved over the classification period relative to its neighbors, which
+ *   is small in a solid even when the solid as a whole slides along the floor of the container
+ *
+ * These are averaged over each molecule and its neighbors, which reduces the fluctuations of the individual values, see
+ * Lechner and Dellago, J. Chem. Phys. 129, 114707 (2008).  The diatomic solid has no order that distinguishes it from
+ * the liquid, so it is identified by mobility alone.  The thresholds depend on the molecular structure and were
+ * determined empirically by running the model in each phase.
+ *
+ * The neighbors are found among the pairs in the neighbor list of the particle engine rather than by comparing every
+ * molecule with every other one, so the cost of a classification grows with the number of molecules, not its square.
+ *
+ * Distances are in normalized model units, i.e. molecule diameters, and times are in seconds of sim time.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Property = require( 'AXON/Property' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // constants
+  const CLASSIFICATION_PERIOD = 1; // time between classifications, also the time over which mobility is measured
+
+  // Molecules whose coordination number, averaged with that of their neighbors, is less than this are in the gas phase.
+  const MIN_CONDENSED_COORDINATION = 2.5;
+
+  const MAX_NEIGHBORS = 16; // more than can fit within the neighbor distance
+
+  // Parameters for the classification of the molecules of each molecular structure, keyed by the number of atoms per
+  // molecule.  The values are:
+  // - neighborDistance: molecules closer than this are neighbors, roughly the first minimum of the radial distribution
+  //   function, which is farther out for the elongated diatomic molecules
+  // - maxSolidDisplacement: molecules that have moved less than this, on average with their neighbors, can be in the
+  //   solid phase
+  // - minSolidOrder: minimum averaged magnitude of psi6 for a molecule to be in the solid phase
+  // - maxSolidCoordination: maximum averaged coordination number for a molecule to be in the solid phase
+  const CLASSIFICATION_PARAMETERS = {
+    1: {
+      neighborDistance: 1.5,
+      maxSolidDisplacement: 0.15,
+      minSolidOrder: 0.6,
+      maxSolidCoordination: Number.POSITIVE_INFINITY
+    },
+    2: {
+      neighborDistance: 2.2,
+      maxSolidDisplacement: 0.1,
+      minSolidOrder: 0,
+      maxSolidCoordination: Number.POSITIVE_INFINITY
+    },
+    3: {
+      neighborDistance: 1.5,
+      maxSolidDisplacement: 0.3,
+      minSolidOrder: 0,
+      maxSolidCoordination: 4
+    }
+  };
+
+  /**
+   * @constructor
+   */
+  function PhaseClassifier() {
+
+    // @public (read-only) - the phase that the most molecules are in, UNKNOWN until the molecules have been classified
+    this.phaseProperty = new Property( PhaseStateEnum.UNKNOWN );
+
+    // @public (read-only) - the fraction of the molecules that are in each phase
+    this.solidFractionProperty = new NumberProperty( 0 );
+    this.liquidFractionProperty = new NumberProperty( 0 );
+    this.gasFractionProperty = new NumberProperty( 0 );
+
+    // @private - positions of the molecules at the start of the classification period
+    this.previousPositionsX = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.previousPositionsY = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+
+    // @private - number of molecules at the start of the classification period, null if the period needs to start on
+    // the next step
+    this.numberOfMolecules = null;
+    this.timeSinceClassification = 0;
+
+    // @private - reusable arrays for the per-molecule values, allocated here to avoid doing so on every classification
+    this.neighborCounts = new Uint8Array( SOMConstants.MAX_NUM_ATOMS );
+    this.neighborIndices = new Uint16Array( SOMConstants.MAX_NUM_ATOMS * MAX_NEIGHBORS );
+    this.orderReal = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.orderImaginary = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.displacementsX = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.displacementsY = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+    this.mobilities = new Float64Array( SOMConstants.MAX_NUM_ATOMS );
+  }
+
+  statesOfMatter.register( 'PhaseClassifier', PhaseClassifier );
+
+  return inherit( Object, PhaseClassifier, {
+
+    /**
+     * Classify the molecules if a classification period has passed, which should be called once per model step after
+     * the particle engine has run.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @param {NeighborList} neighborList - the pairs of molecules found by the particle engine on its latest step
+     * @param {number} dt - sim time since the previous step, in seconds
+     * @public
+     */
+    step: function( moleculeDataSet, neighborList, dt ) {
+
+      // The mobility can't be measured if molecules were added or removed, since the indices may have changed.
+      if ( moleculeDataSet.getNumberOfMolecules() !== this.numberOfMolecules ) {
+        this.startPeriod( moleculeDataSet );
+        return;
+      }
+
+      this.timeSinceClassification += dt;
+      if ( this.timeSinceClassification >= CLASSIFICATION_PERIOD ) {
+        this.classify( moleculeDataSet, neighborList );
+        this.startPeriod( moleculeDataSet );
+      }
+    },
+
+    /**
+     * Record the current positions of the molecules as the start of a classification period.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @private
+     */
+    startPeriod: function( moleculeDataSet ) {
+      const positions = moleculeDataSet.getMoleculeCenterOfMassPositions();
+      this.numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      for ( let i = 0; i < this.numberOfMolecules; i++ ) {
+        this.previousPositionsX[ i ] = positions[ i ].x;
+        this.previousPositionsY[ i ] = positions[ i ].y;
+      }
+      this.timeSinceClassification = 0;
+    },
+
+    /**
+     * Classify each molecule and update the phase fractions and the overall phase.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @param {NeighborList} neighborList
+     * @private
+     */
+    classify: function( moleculeDataSet, neighborList ) {
+
+      const numberOfMolecules = this.numberOfMolecules;
+      if ( numberOfMolecules === 0 ) {
+        this.setFractions( 0, 0, 0 );
+        return;
+      }
+      const parameters = CLASSIFICATION_PARAMETERS[ moleculeDataSet.atomsPerMolecule ];
+      const neighborDistance = parameters.neighborDistance;
+      assert && assert( neighborList.interactionRange >= neighborDistance, 'neighbor list misses some neighbors' );
+      const positions = moleculeDataSet.getMoleculeCenterOfMassPositions();
+
+      // Find the neighbors of each molecule along with the sums for psi6.  The pairs are taken from the neighbor list
+      // of the particle engine, which holds every pair within the interaction range, so only those that are also
+      // within the neighbor distance are used.
+      this.neighborCounts.fill( 0, 0, numberOfMolecules );
+      this.orderReal.fill( 0, 0, numberOfMolecules );
+      this.orderImaginary.fill( 0, 0, numberOfMolecules );
+      const pairCount = neighborList.pairCount;
+      const firstMoleculeIndices = neighborList.firstMoleculeIndices;
+      const secondMoleculeIndices = neighborList.secondMoleculeIndices;
+      for ( let k = 0; k < pairCount; k++ ) {
+        const i = firstMoleculeIndices[ k ];
+        const j = secondMoleculeIndices[ k ];
+        const dx = positions[ j ].x - positions[ i ].x;
+        const dy = positions[ j ].y - positions[ i ].y;
+        if ( dx * dx + dy * dy < neighborDistance * neighborDistance ) {
+          this.addNeighbor( i, j );
+          this.addNeighbor( j, i );
+
+          // The bond angle from j to i differs by pi, which doesn't change exp( 6i * theta ).
+          const bondAngle = Math.atan2( dy, dx );
+          const cosine = Math.cos( 6 * bondAngle );
+          const sine = Math.sin( 6 * bondAngle );
+          this.orderReal[ i ] += cosine;
+          this.orderImaginary[ i ] += sine;
+          this.orderReal[ j ] += cosine;
+          this.orderImaginary[ j ] += sine;
+        }
+      }
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        const neighborCount = this.neighborCounts[ i ];
+        if ( neighborCount > 0 ) {
+          this.orderReal[ i ] /= neighborCount;
+          this.orderImaginary[ i ] /= neighborCount;
+        }
+        this.displacementsX[ i ] = positions[ i ].x - this.previousPositionsX[ i ];
+        this.displacementsY[ i ] = positions[ i ].y - this.previousPositionsY[ i ];
+      }
+
+      // Find the mobility of each molecule, which is the distance that it has moved relative to the average motion of
+      // itself and its neighbors.
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        const neighborCount = this.neighborCounts[ i ];
+        let totalDisplacementX = this.displacementsX[ i ];
+        let totalDisplacementY = this.displacementsY[ i ];
+        for ( let j = 0; j < neighborCount; j++ ) {
+          const neighborIndex = this.neighborIndices[ i * MAX_NEIGHBORS + j ];
+          totalDisplacementX += this.displacementsX[ neighborIndex ];
+          totalDisplacementY += this.displacementsY[ neighborIndex ];
+        }
+        const relativeDisplacementX = this.displacementsX[ i ] - totalDisplacementX / ( neighborCount + 1 );
+        const relativeDisplacementY = this.displacementsY[ i ] - totalDisplacementY / ( neighborCount + 1 );
+        this.mobilities[ i ] = Math.sqrt(
+          relativeDisplacementX * relativeDisplacementX + relativeDisplacementY * relativeDisplacementY
+        );
+      }
+
+      // Classify each molecule using the values averaged over it and its neighbors.
+      let numberSolid = 0;
+      let numberLiquid = 0;
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        const neighborCount = this.neighborCounts[ i ];
+        let coordination = neighborCount;
+        let orderReal = this.orderReal[ i ];
+        let orderImaginary = this.orderImaginary[ i ];
+        let mobility = this.mobilities[ i ];
+        for ( let j = 0; j < neighborCount; j++ ) {
+          const neighborIndex = this.neighborIndices[ i * MAX_NEIGHBORS + j ];
+          coordination += this.neighborCounts[ neighborIndex ];
+          orderReal += this.orderReal[ neighborIndex ];
+          orderImaginary += this.orderImaginary[ neighborIndex ];
+          mobility += this.mobilities[ neighborIndex ];
+        }
+        const averagedCoordination = coordination / ( neighborCount + 1 );
+        if ( averagedCoordination < MIN_CONDENSED_COORDINATION ) {
+          continue;
+        }
+        const averagedOrder = Math.sqrt( orderReal * orderReal + orderImaginary * orderImaginary ) /
+                              ( neighborCount + 1 );
+        const averagedMobility = mobility / ( neighborCount + 1 );
+        if ( averagedMobility < parameters.maxSolidDisplacement &&
+             averagedOrder >= parameters.minSolidOrder &&
+             averagedCoordination <= parameters.maxSolidCoordination ) {
+          numberSolid++;
+        }
+        else {
+          numberLiquid++;
+        }
+      }
+
+      const numberGas = numberOfMolecules - numberSolid - numberLiquid;
+      this.setFractions(
+        numberSolid / numberOfMolecules,
+        numberLiquid / numberOfMolecules,
+        numberGas / numberOfMolecules
+      );
+    },
+
+    /**
+     * Add a molecule to the neighbors of another, ignoring it if there is no room, which can only happen if molecules
+     * overlap.
+     * @param {number} moleculeIndex
+     * @param {number} neighborIndex
+     * @private
+     */
+    addNeighbor: function( moleculeIndex, neighborIndex ) {
+      const neighborCount = this.neighborCounts[ moleculeIndex ];
+      if ( neighborCount < MAX_NEIGHBORS ) {
+        this.neighborIndices[ moleculeIndex * MAX_NEIGHBORS + neighborCount ] = neighborIndex;
+        this.neighborCounts[ moleculeIndex ] = neighborCount + 1;
+      }
+    },
+
+    /**
+     * Set the phase fractions and the overall phase, which is the one with the largest fraction.
+     * @param {number} solidFraction
+     * @param {number} liquidFraction
+     * @param {number} gasFraction
+     * @private
+     */
+    setFractions: function( solidFraction, liquidFraction, gasFraction ) {
+      this.solidFractionProperty.set( solidFraction );
+      this.liquidFractionProperty.set( liquidFraction );
+      this.gasFractionProperty.set( gasFraction );
+      let phase;
+      if ( solidFraction === 0 && liquidFraction === 0 && gasFraction === 0 ) {
+        phase = PhaseStateEnum.UNKNOWN;
+      }
+      else if ( solidFraction >= liquidFraction && solidFraction >= gasFraction ) {
+        phase = PhaseStateEnum.SOLID;
+      }
+      else if ( liquidFraction >= gasFraction ) {
+        phase = PhaseStateEnum.LIQUID;
+      }
+      else {
+        phase = PhaseStateEnum.GAS;
+      }
+      this.phaseProperty.set( phase );
+    },
+
+    /**
+     * Discard the classification so that a new classification period starts on the next step.  If the molecules were
+     * just placed in a known phase, that phase is reported until they have been classified.
+     * @param {PhaseStateEnum} [phase]
+     * @public
+     */
+    clear: function( phase ) {
+      this.numberOfMolecules = null;
+      this.timeSinceClassification = 0;
+      this.setFractions(
+        phase === PhaseStateEnum.SOLID ? 1 : 0,
+        phase === PhaseStateEnum.LIQUID ? 1 : 0,
+        phase === PhaseStateEnum.GAS ? 1 : 0
+      );
+    }
+  } );
+} );
@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for PhaseClassifier, which check the phase found for molecules whose arrangement and motion are known,
+ * and for models started in each phase.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const NeighborList = require( 'STATES_OF_MATTER/common/model/engine/NeighborList' );
+  const PhaseClassifier = require( 'STATES_OF_MATTER/common/model/PhaseClassifier' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const DT = SOMConstants.NOMINAL_TIME_STEP;
+  const INTERACTION_RANGE = 2.5;
+  const LATTICE_SPACING = Math.pow( 2, 1 / 6 ); // where the interaction potential is lowest
+  const MODEL_STEPS = 180;
+
+  /**
+   * Create the part of a monatomic data set that is used by PhaseClassifier, holding molecules at the given positions.
+   * @param {Vector2[]} positions
+   * @returns {Object}
+   */
+  const createDataSet = positions => ( {
+    atomsPerMolecule: 1,
+    getNumberOfMolecules: () => positions.length,
+    getMoleculeCenterOfMassPositions: () => positions
+  } );
+
+  /**
+   * Get the positions of molecules on a hexagonal lattice.
+   * @param {number} spacing
+   * @returns {Vector2[]}
+   */
+  const createHexagonalLatticePositions = spacing => {
+    const positions = [];
+    for ( let row = 0; row < 8; row++ ) {
+      for ( let column = 0; column < 8; column++ ) {
+        positions.push( new Vector2( ( column + ( row % 2 ) / 2 ) * spacing, row * spacing * Math.sqrt( 3 ) / 2 ) );
+      }
+    }
+    return positions;
+  };
+
+  /**
+   * Step a classifier for one classification period while moving the molecules.
+   * @param {PhaseClassifier} phaseClassifier
+   * @param {Vector2[]} positions
+   * @param {function(Vector2,number)} move - moves the molecule at the given index
+   */
+  const stepClassifier = ( phaseClassifier, positions, move ) => {
+    const dataSet = createDataSet( positions );
+    const neighborList = new NeighborList( INTERACTION_RANGE );
+    phaseClassifier.step( dataSet, neighborList, DT );
+    for ( let time = 0; time < 1 + DT / 2; time += DT ) {
+      positions.forEach( move );
+      neighborList.update( positions, positions.length );
+      phaseClassifier.step( dataSet, neighborList, DT );
+    }
+  };
+
+  QUnit.module( 'PhaseClassifier' );
+
+  QUnit.test( 'the phase of molecules whose arrangement and motion are known', assert => {
+    const phaseClassifier = new PhaseClassifier();
+    assert.equal( phaseClassifier.phaseProperty.get(), PhaseStateEnum.UNKNOWN, 'unknown at first' );
+
+    // A lattice whose molecules stay in place is a solid, even if the whole lattice is moving.
+    stepClassifier( phaseClassifier, createHexagonalLatticePositions( LATTICE_SPACING ), position => {
+      position.addXY( 0.01, 0 );
+    } );
+    assert.equal( phaseClassifier.phaseProperty.get(), PhaseStateEnum.SOLID, 'a moving lattice is a solid' );
+    assert.equal( phaseClassifier.solidFractionProperty.get(), 1, 'every molecule is in the solid' );
+
+    // Molecules that move away from their neighbors are a liquid.
+    const random = new Random( { seed: 1 } );
+    stepClassifier( phaseClassifier, createHexagonalLatticePositions( LATTICE_SPACING ), position => {
+      position.addXY( random.nextGaussian() * 0.05, random.nextGaussian() * 0.05 );
+    } );
+    assert.equal( phaseClassifier.phaseProperty.get(), PhaseStateEnum.LIQUID, 'a wandering lattice is a liquid' );
+
+    // Molecules that are too far apart to be neighbors are a gas.
+    stepClassifier( phaseClassifier, createHexagonalLatticePositions( 2 ), () => {} );
+    assert.equal( phaseClassifier.phaseProperty.get(), PhaseStateEnum.GAS, 'a sparse lattice is a gas' );
+    assert.equal( phaseClassifier.gasFractionProperty.get(), 1, 'every molecule is in the gas' );
+
+    phaseClassifier.clear( PhaseStateEnum.LIQUID );
+    assert.equal( phaseClassifier.phaseProperty.get(), PhaseStateEnum.LIQUID, 'the phase given when cleared' );
+    assert.equal( phaseClassifier.liquidFractionProperty.get(), 1, 'every molecule is in the phase given' );
+  } );
+
+  QUnit.test( 'the phase of a model is the one that it was started in', assert => {
+    const substances = [ SubstanceType.NEON, SubstanceType.ARGON, SubstanceType.DIATOMIC_OXYGEN, SubstanceType.WATER ];
+    substances.forEach( substance => {
+      [ PhaseStateEnum.SOLID, PhaseStateEnum.LIQUID, PhaseStateEnum.GAS ].forEach( phase => {
+        const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+        model.substanceProperty.set( substance );
+        model.setPhase( phase );
+        for ( let i = 0; i < MODEL_STEPS; i++ ) {
+          model.step( DT );
+        }
+        const phaseClassifier = model.phaseClassifier;
+        const fractions = [
+          phaseClassifier.solidFractionProperty.get(),
+          phaseClassifier.liquidFractionProperty.get(),
+          phaseClassifier.gasFractionProperty.get()
+        ];
+        assert.equal( phaseClassifier.phaseProperty.get(), phase,
+          `${substance.name} started in ${phase}, fractions ${fractions}` );
+      } );
+    } );
+  } );
+} );
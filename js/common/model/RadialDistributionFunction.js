@@ -0,0 +1,200 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Calculates the radial distribution function, g(r), of the molecules in a MoleculeForceAndMotionDataSet from the
+ * positions of their centers of mass.  The value for each distance is the density of molecules at that distance from
+ * a molecule relative to the average density, so it is close to 1 everywhere for a gas, has a few broadening peaks for
+ * a liquid, and has sharp peaks at the lattice spacings for a crystal.  The result is averaged over a sliding window of
+ * samples, which are normally taken once per model step.
+ *
+ * The container isn't periodic, so the shell around a molecule that is near a wall is partially outside of the
+ * container, where there can be no other molecules.  This is corrected for by dividing the contribution of each pair
+ * to the count around each of its molecules by the fraction of the circle around that molecule that is inside the
+ * container.  The average density used for normalization is that of the whole container, so the values for a solid or
+ * liquid that occupies only part of the container are higher overall than they would be for the bulk material.
+ *
+ * All lengths are in normalized model units, i.e. molecule diameters.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // constants
+
+  // Smallest fraction of a circle that can be inside the container for a pair to be counted.  Pairs beyond this would
+  // have huge weights and only occur when the container is squeezed to a few molecules high.
+  const MIN_INSIDE_FRACTION = 0.1;
+
+  /**
+   * @param {Object} [options]
+   * @constructor
+   */
+  function RadialDistributionFunction( options ) {
+
+    options = merge( {
+      maxRadius: 5, // largest distance for which g(r) is calculated
+      numberOfBins: 50,
+      windowSize: 60 // number of samples that are averaged
+    }, options );
+
+    // @public (read-only)
+    this.maxRadius = options.maxRadius;
+    this.numberOfBins = options.numberOfBins;
+    this.binWidth = options.maxRadius / options.numberOfBins;
+
+    // @private - pre-allocated arrays, see setWindowSize
+    this.windowSize = 0;
+    this.sampleValues = null;
+    this.totals = new Float64Array( this.numberOfBins );
+    this.values = new Float64Array( this.numberOfBins );
+    this.sampleIndex = 0; // index in the window where the next sample goes
+    this.numberOfSamples = 0;
+    this.setWindowSize( options.windowSize );
+  }
+
+  statesOfMatter.register( 'RadialDistributionFunction', RadialDistributionFunction );
+
+  /**
+   * Get the fraction of the circumference of a circle that is inside a rectangle that contains its center.  Each wall
+   * that is closer than the radius cuts off an arc, and near a corner the arcs from the two walls overlap.  Opposite
+   * walls are assumed to be far enough apart that their arcs don't overlap.
+   * @param {number} x - position of the center relative to the left side of the rectangle
+   * @param {number} y - position of the center relative to the bottom of the rectangle
+   * @param {number} radius
+   * @param {number} width - of the rectangle
+   * @param {number} height - of the rectangle
+   * @returns {number}
+   */
+  function getFractionInside( x, y, radius, width, height ) {
+
+    // half angles of the arcs cut off by the left, right, bottom, and top walls
+    const left = x < radius ? Math.acos( Math.max( x, 0 ) / radius ) : 0;
+    const right = width - x < radius ? Math.acos( Math.max( width - x, 0 ) / radius ) : 0;
+    const bottom = y < radius ? Math.acos( Math.max( y, 0 ) / radius ) : 0;
+    const top = height - y < radius ? Math.acos( Math.max( height - y, 0 ) / radius ) : 0;
+
+    // The arcs of adjacent walls overlap by this much if the corner is inside the circle.
+    const halfPi = Math.PI / 2;
+    const cornerOverlaps = Math.max( left + bottom - halfPi, 0 ) + Math.max( bottom + right - halfPi, 0 ) +
+                           Math.max( right + top - halfPi, 0 ) + Math.max( top + left - halfPi, 0 );
+
+    return 1 - ( 2 * ( left + right + bottom + top ) - cornerOverlaps ) / ( 2 * Math.PI );
+  }
+
+  return inherit( Object, RadialDistributionFunction, {
+
+    /**
+     * Calculate g(r) for the current positions of the molecules and add it to the window, replacing the oldest sample
+     * if the window is full.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @param {number} containerWidth - in normalized model units
+     * @param {number} containerHeight - in normalized model units
+     * @public
+     */
+    addSample: function( moleculeDataSet, containerWidth, containerHeight ) {
+
+      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      const positions = moleculeDataSet.getMoleculeCenterOfMassPositions();
+      const numberOfBins = this.numberOfBins;
+      const maxRadiusSquared = this.maxRadius * this.maxRadius;
+      const offset = this.sampleIndex * numberOfBins;
+
+      // Remove the sample that is being replaced from the totals.
+      for ( let k = 0; k < numberOfBins; k++ ) {
+        this.totals[ k ] -= this.sampleValues[ offset + k ];
+        this.sampleValues[ offset + k ] = 0;
+      }
+
+      if ( numberOfMolecules > 1 ) {
+
+        // Count the pairs in each bin, weighted by the edge correction for each molecule of the pair.
+        for ( let i = 0; i < numberOfMolecules; i++ ) {
+          const xi = positions[ i ].x;
+          const yi = positions[ i ].y;
+          for ( let j = i + 1; j < numberOfMolecules; j++ ) {
+            const dx = positions[ j ].x - xi;
+            const dy = positions[ j ].y - yi;
+            const distanceSquared = dx * dx + dy * dy;
+            if ( distanceSquared < maxRadiusSquared ) {
+              const distance = Math.sqrt( distanceSquared );
+              const bin = Math.floor( distance / this.binWidth );
+              const fractionInsideI = getFractionInside( xi, yi, distance, containerWidth, containerHeight );
+              const fractionInsideJ = getFractionInside(
+                positions[ j ].x, positions[ j ].y, distance, containerWidth, containerHeight
+              );
+              if ( fractionInsideI > MIN_INSIDE_FRACTION ) {
+                this.sampleValues[ offset + bin ] += 1 / fractionInsideI;
+              }
+              if ( fractionInsideJ > MIN_INSIDE_FRACTION ) {
+                this.sampleValues[ offset + bin ] += 1 / fractionInsideJ;
+              }
+            }
+          }
+        }
+
+        // Normalize by the number of molecules that would be in each shell if they were spread evenly.
+        const density = numberOfMolecules / ( containerWidth * containerHeight );
+        for ( let k = 0; k < numberOfBins; k++ ) {
+          const shellArea = Math.PI * this.binWidth * this.binWidth * ( 2 * k + 1 );
+          this.sampleValues[ offset + k ] /= numberOfMolecules * density * shellArea;
+          this.totals[ k ] += this.sampleValues[ offset + k ];
+        }
+      }
+
+      this.sampleIndex = ( this.sampleIndex + 1 ) % this.windowSize;
+      this.numberOfSamples = Math.min( this.numberOfSamples + 1, this.windowSize );
+    },
+
+    /**
+     * Get g(r) averaged over the samples in the window.  The returned array is reused, so it should not be modified or
+     * kept.
+     * @returns {Float64Array} - the value for each bin, zero if there are no samples
+     * @public
+     */
+    getValues: function() {
+      for ( let k = 0; k < this.numberOfBins; k++ ) {
+        this.values[ k ] = this.numberOfSamples > 0 ? this.totals[ k ] / this.numberOfSamples : 0;
+      }
+      return this.values;
+    },
+
+    /**
+     * Get the distance at the center of a bin.
+     * @param {number} bin
+     * @returns {number}
+     * @public
+     */
+    getBinCenter: function( bin ) {
+      return ( bin + 0.5 ) * this.binWidth;
+    },
+
+    /**
+     * Set the number of samples that are averaged, which clears the existing samples.
+     * @param {number} windowSize
+     * @public
+     */
+    setWindowSize: function( windowSize ) {
+      assert && assert( windowSize > 0, 'window size must be positive' );
+      this.windowSize = windowSize;
+      this.sampleValues = new Float64Array( windowSize * this.numberOfBins );
+      this.clear();
+    },
+
+    /**
+     * Remove all samples.
+     * @public
+     */
+    clear: function() {
+      this.sampleValues.fill( 0 );
+      this.totals.fill( 0 );
+      this.sampleIndex = 0;
+      this.numberOfSamples = 0;
+    }
+  } );
+} );
@@ -0,0 +1,163 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for RadialDistributionFunction, which check g(r) for molecules whose arrangement is known.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const RadialDistributionFunction = require( 'STATES_OF_MATTER/common/model/RadialDistributionFunction' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const CONTAINER_SIZE = 40;
+  const LATTICE_SPACING = 1.5;
+
+  /**
+   * Create the part of a data set that is used by RadialDistributionFunction, holding molecules at the given positions.
+   * @param {Vector2[]} positions
+   * @returns {Object}
+   */
+  const createDataSet = positions => ( {
+    getNumberOfMolecules: () => positions.length,
+    getMoleculeCenterOfMassPositions: () => positions
+  } );
+
+  /**
+   * Get the positions of molecules on a square lattice that fills the container.
+   * @returns {Vector2[]}
+   */
+  const createLatticePositions = () => {
+    const positions = [];
+    for ( let x = LATTICE_SPACING / 2; x < CONTAINER_SIZE; x += LATTICE_SPACING ) {
+      for ( let y = LATTICE_SPACING / 2; y < CONTAINER_SIZE; y += LATTICE_SPACING ) {
+        positions.push( new Vector2( x, y ) );
+      }
+    }
+    return positions;
+  };
+
+  /**
+   * Get the bin with the largest value in a range of distances.
+   * @param {RadialDistributionFunction} radialDistributionFunction
+   * @param {number} minDistance
+   * @param {number} maxDistance
+   * @returns {number}
+   */
+  const getPeakBin = ( radialDistributionFunction, minDistance, maxDistance ) => {
+    const values = radialDistributionFunction.getValues();
+    let peakBin = -1;
+    for ( let bin = 0; bin < radialDistributionFunction.numberOfBins; bin++ ) {
+      const distance = radialDistributionFunction.getBinCenter( bin );
+      const isInRange = distance >= minDistance && distance <= maxDistance;
+      if ( isInRange && ( peakBin === -1 || values[ bin ] > values[ peakBin ] ) ) {
+        peakBin = bin;
+      }
+    }
+    return peakBin;
+  };
+
+  QUnit.module( 'RadialDistributionFunction' );
+
+  QUnit.test( 'peaks at the spacings of a lattice', assert => {
+    const radialDistributionFunction = new RadialDistributionFunction( { windowSize: 1 } );
+    radialDistributionFunction.addSample( createDataSet( createLatticePositions() ), CONTAINER_SIZE, CONTAINER_SIZE );
+    const values = radialDistributionFunction.getValues();
+    const binWidth = radialDistributionFunction.binWidth;
+
+    // Nothing is closer than the lattice spacing.
+    for ( let bin = 0; radialDistributionFunction.getBinCenter( bin ) < LATTICE_SPACING - binWidth; bin++ ) {
+      assert.equal( values[ bin ], 0, `no pairs at ${radialDistributionFunction.getBinCenter( bin )}` );
+    }
+
+    // The peaks are at the distances to the nearest neighbors on the lattice.
+    [ 1, Math.SQRT2, 2, Math.sqrt( 5 ) ].forEach( multiple => {
+      const spacing = multiple * LATTICE_SPACING;
+      const peakBin = getPeakBin( radialDistributionFunction, spacing - 0.2, spacing + 0.2 );
+      assert.ok( Math.abs( radialDistributionFunction.getBinCenter( peakBin ) - spacing ) <= binWidth,
+        `peak near ${spacing}` );
+      assert.ok( values[ peakBin ] > 2, `peak at ${spacing} is ${values[ peakBin ]}` );
+    } );
+  } );
+
+  QUnit.test( 'close to one for molecules that are spread at random', assert => {
+
+    // The edge correction is what keeps the values near one, since most of the molecules are near a wall at the
+    // larger distances.
+    const random = new Random( { seed: 1 } );
+    const windowSize = 20;
+    const width = CONTAINER_SIZE / 2;
+    const height = CONTAINER_SIZE / 4;
+    const radialDistributionFunction = new RadialDistributionFunction( { windowSize: windowSize } );
+    for ( let sample = 0; sample < windowSize; sample++ ) {
+      const positions = [];
+      for ( let i = 0; i < 300; i++ ) {
+        positions.push( new Vector2( random.nextDouble() * width, random.nextDouble() * height ) );
+      }
+      radialDistributionFunction.addSample( createDataSet( positions ), width, height );
+    }
+    const values = radialDistributionFunction.getValues();
+    for ( let bin = 0; bin < radialDistributionFunction.numberOfBins; bin++ ) {
+      if ( radialDistributionFunction.getBinCenter( bin ) > 1 ) {
+        assert.ok( Math.abs( values[ bin ] - 1 ) < 0.15,
+          `value ${values[ bin ]} at ${radialDistributionFunction.getBinCenter( bin )}` );
+      }
+    }
+  } );
+
+  QUnit.test( 'averaged over the most recent samples', assert => {
+    const windowSize = 3;
+    const radialDistributionFunction = new RadialDistributionFunction( { windowSize: windowSize } );
+    const latticeDataSet = createDataSet( createLatticePositions() );
+    radialDistributionFunction.addSample( latticeDataSet, CONTAINER_SIZE, CONTAINER_SIZE );
+    const latticeValues = Array.from( radialDistributionFunction.getValues() );
+
+    // A sample with no pairs halves the values, and they are back once that sample has left the window.
+    radialDistributionFunction.addSample( createDataSet( [] ), CONTAINER_SIZE, CONTAINER_SIZE );
+    const peakBin = getPeakBin( radialDistributionFunction, 0, CONTAINER_SIZE );
+    assert.ok( Math.abs( radialDistributionFunction.getValues()[ peakBin ] - latticeValues[ peakBin ] / 2 ) < 1E-9,
+      'average of two samples' );
+    for ( let i = 0; i < windowSize; i++ ) {
+      radialDistributionFunction.addSample( latticeDataSet, CONTAINER_SIZE, CONTAINER_SIZE );
+    }
+    Array.from( radialDistributionFunction.getValues() ).forEach( ( value, bin ) => {
+      assert.ok( Math.abs( value - latticeValues[ bin ] ) < 1E-9, `bin ${bin} after the window is refilled` );
+    } );
+
+    radialDistributionFunction.clear();
+    assert.ok( radialDistributionFunction.getValues().every( value => value === 0 ), 'all zero after clearing' );
+  } );
+
+  QUnit.test( 'the model samples only while the chart is shown', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    model.setPhase( PhaseStateEnum.SOLID );
+    const radialDistributionFunction = model.radialDistributionFunction;
+    model.step( SOMConstants.NOMINAL_TIME_STEP );
+    assert.equal( radialDistributionFunction.numberOfSamples, 0, 'not sampled while collapsed' );
+
+    model.radialDistributionExpandedProperty.set( true );
+    for ( let i = 0; i < 10; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    assert.ok( radialDistributionFunction.numberOfSamples > 0, 'sampled while expanded' );
+
+    // The atoms of a solid are at about the distance where the interaction potential is lowest, 2^(1/6).
+    const peakBin = getPeakBin( radialDistributionFunction, 0, radialDistributionFunction.maxRadius );
+    const peakDistance = radialDistributionFunction.getBinCenter( peakBin );
+    assert.ok( Math.abs( peakDistance - Math.pow( 2, 1 / 6 ) ) < 0.15, `nearest neighbors at ${peakDistance}` );
+
+    model.radialDistributionWindowSizeProperty.set( 5 );
+    assert.equal( radialDistributionFunction.windowSize, 5, 'window size set from the model' );
+    assert.equal( radialDistributionFunction.numberOfSamples, 0, 'samples cleared when the window size changes' );
+  } );
+} );
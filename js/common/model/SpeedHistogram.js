@@ -0,0 +1,137 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A histogram of the speeds of the molecules in a MoleculeForceAndMotionDataSet, along with the two-dimensional
+ * Maxwell-Boltzmann distribution that the speeds should follow when the molecules are in thermal equilibrium.  For a
+ * mixture, the theoretical distribution is the sum of those of its components, since the heavier molecules are slower.
+ * The range of speeds that is covered is based on the thermal energy, so that the distribution has the same shape on
+ * the histogram at any temperature.
+ *
+ * All values are in normalized model units.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // constants
+
+  // upper end of the range of speeds as a multiple of the most probable speed, chosen so that only a tiny fraction of
+  // the molecules of a thermal distribution are faster
+  const MAX_SPEED_PROPORTION = 4;
+
+  // smallest upper end of the range, which keeps the bins from collapsing to nothing near absolute zero
+  const MIN_MAX_SPEED = 0.05;
+
+  /**
+   * @param {Object} [options]
+   * @constructor
+   */
+  function SpeedHistogram( options ) {
+
+    options = merge( {
+      numberOfBins: 25
+    }, options );
+
+    // @public (read-only) - the fraction of the molecules in each bin divided by the bin width, so that the histogram
+    // can be compared directly with the probability density of the theoretical distribution
+    this.numberOfBins = options.numberOfBins;
+    this.densities = new Float64Array( options.numberOfBins );
+
+    // @public (read-only) - speed at the upper end of the last bin, molecules that are faster are counted in that bin
+    // so that they can still be seen
+    this.maxSpeed = MIN_MAX_SPEED;
+
+    // @public (read-only) - number of molecules faster than maxSpeed when the histogram was last updated
+    this.numberAboveMaxSpeed = 0;
+
+    // @private - parameters of the theoretical distribution, which is the sum of the distributions for the components
+    // of a mixture weighted by the fraction of the molecules in each
+    this.thermalEnergy = 0;
+    this.componentMasses = [ 1 ];
+    this.componentFractions = [ 1 ];
+  }
+
+  statesOfMatter.register( 'SpeedHistogram', SpeedHistogram );
+
+  return inherit( Object, SpeedHistogram, {
+
+    /**
+     * Count the molecules in each speed range.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @param {number} thermalEnergy - k times the temperature that the distribution is expected to match
+     * @public
+     */
+    update: function( moleculeDataSet, thermalEnergy ) {
+
+      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+      this.thermalEnergy = thermalEnergy;
+      this.componentMasses = moleculeDataSet.componentMasses;
+      this.componentFractions = this.componentMasses.map( () => 0 );
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        this.componentFractions[ moleculeDataSet.moleculeComponentIndices[ i ] ] += 1 / numberOfMolecules;
+      }
+      this.maxSpeed = Math.max( MAX_SPEED_PROPORTION * this.getMostProbableSpeed(), MIN_MAX_SPEED );
+
+      const velocities = moleculeDataSet.getMoleculeVelocities();
+      const binWidth = this.getBinWidth();
+      this.densities.fill( 0 );
+      this.numberAboveMaxSpeed = 0;
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        const speed = velocities[ i ].magnitude;
+        if ( speed >= this.maxSpeed ) {
+          this.numberAboveMaxSpeed++;
+        }
+        this.densities[ Math.min( Math.floor( speed / binWidth ), this.numberOfBins - 1 ) ]++;
+      }
+      if ( numberOfMolecules > 0 ) {
+        for ( let i = 0; i < this.numberOfBins; i++ ) {
+          this.densities[ i ] /= numberOfMolecules * binWidth;
+        }
+      }
+    },
+
+    /**
+     * @returns {number}
+     * @public
+     */
+    getBinWidth: function() {
+      return this.maxSpeed / this.numberOfBins;
+    },
+
+    /**
+     * Get the speed at which the theoretical distribution peaks, which is sqrt( kT / m ) in two dimensions.  For a
+     * mixture, this is the value for the lightest component, which has the fastest molecules.
+     * @returns {number}
+     * @public
+     */
+    getMostProbableSpeed: function() {
+      return Math.sqrt( this.thermalEnergy / _.min( this.componentMasses ) );
+    },
+
+    /**
+     * Get the probability density of the two-dimensional Maxwell-Boltzmann speed distribution, which is
+     * ( m * v / kT ) * exp( -m * v^2 / 2kT ), for the thermal energy and molecule masses of the last update.
+     * @param {number} speed
+     * @returns {number}
+     * @public
+     */
+    getTheoreticalDensity: function( speed ) {
+      if ( this.thermalEnergy <= 0 ) {
+        return 0;
+      }
+      let density = 0;
+      this.componentMasses.forEach( ( mass, componentIndex ) => {
+        const massOverThermalEnergy = mass / this.thermalEnergy;
+        density += this.componentFractions[ componentIndex ] * massOverThermalEnergy * speed *
+                   Math.exp( -massOverThermalEnergy * speed * speed / 2 );
+      } );
+      return density;
+    }
+  } );
+} );
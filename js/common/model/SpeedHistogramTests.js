@@ -0,0 +1,184 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for SpeedHistogram, which check the theoretical distribution and that the speeds of the molecules in a
+ * model at equilibrium follow it.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SpeedHistogram = require( 'STATES_OF_MATTER/common/model/SpeedHistogram' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const ThermostatType = require( 'STATES_OF_MATTER/common/model/ThermostatType' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const INTEGRATION_STEPS = 1000;
+  const EQUILIBRATION_STEPS = 500;
+  const SAMPLED_STEPS = 500;
+  const SAMPLE_INTERVAL = 10; // in steps
+
+  /**
+   * Create the part of a data set that is used by SpeedHistogram, holding molecules with the given velocities.
+   * @param {Vector2[]} velocities
+   * @param {number[]} componentIndices
+   * @param {number[]} componentMasses
+   * @returns {Object}
+   */
+  const createDataSet = ( velocities, componentIndices, componentMasses ) => ( {
+    componentMasses: componentMasses,
+    moleculeComponentIndices: componentIndices,
+    getNumberOfMolecules: () => velocities.length,
+    getMoleculeVelocities: () => velocities
+  } );
+
+  /**
+   * Integrate a function of the speed from zero to the largest speed of a histogram.
+   * @param {SpeedHistogram} speedHistogram
+   * @param {function(number):number} integrand
+   * @returns {number}
+   */
+  const integrate = ( speedHistogram, integrand ) => {
+    const step = speedHistogram.maxSpeed / INTEGRATION_STEPS;
+    let integral = 0;
+    for ( let i = 0; i < INTEGRATION_STEPS; i++ ) {
+      integral += integrand( ( i + 0.5 ) * step ) * step;
+    }
+    return integral;
+  };
+
+  /**
+   * Get the total probability of the theoretical distribution of a histogram, which should be one.
+   * @param {SpeedHistogram} speedHistogram
+   * @returns {number}
+   */
+  const getTheoreticalTotalProbability = speedHistogram =>
+    integrate( speedHistogram, speed => speedHistogram.getTheoreticalDensity( speed ) );
+
+  /**
+   * Get the mean speed of the theoretical distribution of a histogram.
+   * @param {SpeedHistogram} speedHistogram
+   * @returns {number}
+   */
+  const getTheoreticalMeanSpeed = speedHistogram =>
+    integrate( speedHistogram, speed => speed * speedHistogram.getTheoreticalDensity( speed ) );
+
+  /**
+   * Get the mean speed of the molecules in a model.
+   * @param {MultipleParticleModel} model
+   * @returns {number}
+   */
+  const getMeanSpeed = model => {
+    const numberOfMolecules = model.moleculeDataSet.getNumberOfMolecules();
+    let totalSpeed = 0;
+    for ( let i = 0; i < numberOfMolecules; i++ ) {
+      totalSpeed += model.moleculeDataSet.moleculeVelocities[ i ].magnitude;
+    }
+    return totalSpeed / numberOfMolecules;
+  };
+
+  /**
+   * Check that the mean speed of the molecules in a model at equilibrium is that of the theoretical distribution for
+   * the temperature set point.  The isokinetic thermostat is used, since it holds the measured temperature at the set
+   * point.
+   * @param {Object} assert
+   * @param {MultipleParticleModel} model
+   * @param {string} description
+   */
+  const checkEquilibriumSpeeds = ( assert, model, description ) => {
+    model.thermostatTypeProperty.set( ThermostatType.ISOKINETIC );
+    model.speedHistogramExpandedProperty.set( true );
+    let totalMeanSpeed = 0;
+    let totalTheoreticalMeanSpeed = 0;
+    let numberOfSamples = 0;
+    for ( let i = 0; i < EQUILIBRATION_STEPS + SAMPLED_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      if ( i >= EQUILIBRATION_STEPS && i % SAMPLE_INTERVAL === 0 ) {
+        totalMeanSpeed += getMeanSpeed( model );
+        totalTheoreticalMeanSpeed += getTheoreticalMeanSpeed( model.speedHistogram );
+        numberOfSamples++;
+      }
+    }
+    const meanSpeed = totalMeanSpeed / numberOfSamples;
+    const theoreticalMeanSpeed = totalTheoreticalMeanSpeed / numberOfSamples;
+    assert.ok( Math.abs( meanSpeed - theoreticalMeanSpeed ) < 0.05 * theoreticalMeanSpeed,
+      `${description}: mean speed ${meanSpeed}, expected ${theoreticalMeanSpeed}` );
+  };
+
+  QUnit.module( 'SpeedHistogram' );
+
+  QUnit.test( 'the theoretical distribution is normalized and peaks at the most probable speed', assert => {
+    const speedHistogram = new SpeedHistogram();
+    speedHistogram.update( createDataSet( [ Vector2.ZERO ], [ 0 ], [ 2 ] ), 0.5 );
+    const mostProbableSpeed = speedHistogram.getMostProbableSpeed();
+    assert.equal( mostProbableSpeed, 0.5, 'sqrt( kT / m )' );
+    assert.ok( Math.abs( getTheoreticalTotalProbability( speedHistogram ) - 1 ) < 1E-3,
+      'the probability densities add up to one' );
+    const peakDensity = speedHistogram.getTheoreticalDensity( mostProbableSpeed );
+    assert.ok( peakDensity > speedHistogram.getTheoreticalDensity( mostProbableSpeed * 0.99 ) &&
+               peakDensity > speedHistogram.getTheoreticalDensity( mostProbableSpeed * 1.01 ), 'peak' );
+  } );
+
+  QUnit.test( 'speeds drawn from the theoretical distribution match it', assert => {
+
+    // In two dimensions, each component of the velocity of a molecule at equilibrium is normally distributed with a
+    // variance of kT / m.
+    const random = new Random( { seed: 1 } );
+    const thermalEnergy = 0.3;
+    const velocities = [];
+    for ( let i = 0; i < 20000; i++ ) {
+      const velocity = new Vector2( random.nextGaussian(), random.nextGaussian() );
+      velocities.push( velocity.times( Math.sqrt( thermalEnergy ) ) );
+    }
+    const speedHistogram = new SpeedHistogram();
+    speedHistogram.update( createDataSet( velocities, velocities.map( () => 0 ), [ 1 ] ), thermalEnergy );
+    const binWidth = speedHistogram.getBinWidth();
+    const tolerance = 0.1 * speedHistogram.getTheoreticalDensity( speedHistogram.getMostProbableSpeed() );
+    let totalDensity = 0;
+    speedHistogram.densities.forEach( ( density, bin ) => {
+      totalDensity += density * binWidth;
+      const expectedDensity = speedHistogram.getTheoreticalDensity( ( bin + 0.5 ) * binWidth );
+      assert.ok( Math.abs( density - expectedDensity ) < tolerance,
+        `bin ${bin}: ${density}, expected ${expectedDensity}` );
+    } );
+    assert.ok( Math.abs( totalDensity - 1 ) < 1E-9, 'every molecule is counted' );
+    assert.ok( speedHistogram.numberAboveMaxSpeed < 0.001 * velocities.length, 'hardly any are off the scale' );
+  } );
+
+  QUnit.test( 'the distribution of a mixture is that of its components', assert => {
+    const speedHistogram = new SpeedHistogram();
+    const heavyMass = 4;
+    speedHistogram.update( createDataSet( [ Vector2.ZERO, Vector2.ZERO ], [ 0, 1 ], [ 1, heavyMass ] ), 1 );
+    assert.equal( speedHistogram.getMostProbableSpeed(), 1, 'the range is set by the lighter molecules' );
+    assert.ok( Math.abs( getTheoreticalTotalProbability( speedHistogram ) - 1 ) < 1E-3,
+      'the probability densities add up to one' );
+
+    // The mean speed in two dimensions is sqrt( pi * kT / ( 2 * m ) ).
+    const expectedMeanSpeed = ( Math.sqrt( Math.PI / 2 ) + Math.sqrt( Math.PI / ( 2 * heavyMass ) ) ) / 2;
+    assert.ok( Math.abs( getTheoreticalMeanSpeed( speedHistogram ) - expectedMeanSpeed ) < 1E-3, 'mean speed' );
+  } );
+
+  QUnit.test( 'the speeds in a model at equilibrium follow the distribution', assert => {
+    [ SubstanceType.ARGON, SubstanceType.DIATOMIC_OXYGEN ].forEach( substance => {
+      const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+      model.substanceProperty.set( substance );
+      model.setPhase( PhaseStateEnum.GAS );
+      checkEquilibriumSpeeds( assert, model, substance.name );
+    } );
+
+    const mixtureModel = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    mixtureModel.mixtureSubstanceProperty.set( SubstanceType.ARGON );
+    mixtureModel.mixtureFractionProperty.set( 0.5 );
+    mixtureModel.substanceProperty.set( SubstanceType.NEON );
+    mixtureModel.setPhase( PhaseStateEnum.GAS );
+    checkEquilibriumSpeeds( assert, mixtureModel, 'mixture' );
+  } );
+} );
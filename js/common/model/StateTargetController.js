@@ -0,0 +1,211 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Drives the heater/cooler and the lid of the container so that the substance moves toward a target temperature and
+ * pressure, which allows a point on the phase diagram to be used as a control.  The heater/cooler is set in proportion
+ * to the difference between the target temperature and the measured temperature of the molecules, which can differ from
+ * the set point, e.g. while the thermostat is catching up, and the target height of the container is moved at a rate
+ * that depends on the ratio of the target pressure to the current one.
+ *
+ * The pressure that is used for the feedback is the virial pressure, since it is averaged over a much shorter time than
+ * the wall-based pressure and so responds to the lid without the lag that would make the control overshoot.  Both it
+ * and the measured temperature are smoothed over a couple of seconds so that their fluctuations don't end the control.
+ * The lid is never lowered while the wall-based pressure is near the level at which the container explodes.
+ *
+ * The control stops when the target has been reached, when the lid can't move any farther in the needed direction,
+ * or when the heater/cooler or the lid are changed by anything other than this controller, e.g. by the user.  When the
+ * lid is weighted, only the temperature is controlled, since the weight of the lid sets the pressure.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AbstractVerletAlgorithm = require( 'STATES_OF_MATTER/common/model/engine/AbstractVerletAlgorithm' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Property = require( 'AXON/Property' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Utils = require( 'DOT/Utils' );
+
+  // constants
+
+  // difference between the target and measured temperatures, in model units, at and above which the heater/cooler is
+  // used at full strength
+  const FULL_HEATING_TEMPERATURE_DIFFERENCE = 0.2;
+
+  // time over which the measured temperature and pressure are averaged to smooth out their fluctuations, in seconds
+  const AVERAGING_TIME = 2;
+
+  // The temperature has been reached when it is within this proportion of the target, and the pressure when the
+  // logarithm of the ratio of the target to the current pressure is within this tolerance, i.e. about 10%.
+  const TEMPERATURE_TOLERANCE = 0.02;
+  const PRESSURE_TOLERANCE = 0.1;
+
+  // rate at which the target height of the container is changed when the pressure differs from the target by a factor
+  // of e or more, in picometers per second, empirically determined to be slow enough for the pressure to keep up
+  const MAX_HEIGHT_CHANGE_RATE = 500;
+
+  // wall-based pressure above which the lid is not lowered any further, in model units
+  const MAX_MODEL_PRESSURE = AbstractVerletAlgorithm.prototype.EXPLOSION_PRESSURE * 0.75;
+
+  // time that the target must be held before the control stops, in seconds
+  const SETTLING_TIME = 2;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel
+   * @constructor
+   */
+  function StateTargetController( multipleParticleModel ) {
+
+    const self = this;
+
+    // @private
+    this.multipleParticleModel = multipleParticleModel;
+
+    // @public {Property<Vector2|null>} - the state being moved toward, with the temperature in Kelvin as x and the
+    // pressure in atmospheres as y, null when there is no target
+    this.targetProperty = new Property( null );
+
+    // @private - whether this controller is changing the heater/cooler or lid, which is used to tell its own changes
+    // from those made by other means
+    this.isAdjusting = false;
+
+    // @private - time that the target has been held
+    this.timeAtTarget = 0;
+
+    // @private {number|null} - the measured temperature of the molecules in model units and the virial pressure in
+    // atmospheres, averaged over recent steps, null until they have been measured
+    this.averageTemperature = null;
+    this.averagePressure = null;
+
+    this.targetProperty.lazyLink( function() {
+      self.timeAtTarget = 0;
+      self.averageTemperature = null;
+      self.averagePressure = null;
+    } );
+
+    // Changes to the heater/cooler or lid that weren't made by this controller mean that something else has taken
+    // control.
+    const cancelIfNotAdjusting = function() {
+      if ( !self.isAdjusting ) {
+        self.cancel();
+      }
+    };
+    multipleParticleModel.heatingCoolingAmountProperty.lazyLink( cancelIfNotAdjusting );
+    multipleParticleModel.targetContainerHeightProperty.lazyLink( cancelIfNotAdjusting );
+  }
+
+  statesOfMatter.register( 'StateTargetController', StateTargetController );
+
+  /**
+   * Add a measured value to an average that gives more weight to the recent values.
+   * @param {number|null} average - null if nothing has been measured yet
+   * @param {number} value
+   * @param {number} dt - time since the previous value, in seconds
+   * @returns {number}
+   */
+  function updateAverage( average, value, dt ) {
+    return average === null ? value : average + ( value - average ) * Math.min( dt / AVERAGING_TIME, 1 );
+  }
+
+  return inherit( Object, StateTargetController, {
+
+    /**
+     * Adjust the heater/cooler and the lid to move toward the target, which should be called once per model step
+     * before the container height and temperature set point are updated.
+     * @param {number} dt - sim time since the previous step, in seconds
+     * @public
+     */
+    step: function( dt ) {
+
+      const target = this.targetProperty.get();
+      if ( target === null ) {
+        return;
+      }
+      const model = this.multipleParticleModel;
+      if ( model.isExplodedProperty.get() || model.particles.length === 0 ) {
+        this.finish();
+        return;
+      }
+
+      this.averageTemperature = updateAverage(
+        this.averageTemperature, model.moleculeForceAndMotionCalculator.calculatedTemperature, dt
+      );
+      this.averagePressure = updateAverage( this.averagePressure, model.virialPressureProperty.get(), dt );
+
+      // Heat or cool in proportion to the remaining difference between the target and the measured temperature.
+      const targetTemperature = model.convertKelvinToModelTemperature( target.x );
+      const temperatureDifference = targetTemperature - this.averageTemperature;
+      const temperatureReached = Math.abs( temperatureDifference ) < TEMPERATURE_TOLERANCE * targetTemperature;
+      const heatingCoolingAmount = temperatureReached ?
+                                   0 :
+                                   Utils.clamp( temperatureDifference / FULL_HEATING_TEMPERATURE_DIFFERENCE, -1, 1 );
+      this.adjust( function() {
+        model.setHeatingCoolingAmount( heatingCoolingAmount );
+      } );
+
+      // Move the lid down to raise the pressure or up to lower it.  The model limits the height of the container, so
+      // if the height doesn't change, the lid can't go any farther and the pressure is as close as it can get.  The
+      // virial pressure is zero or negative when the attraction between the molecules outweighs their motion, which is
+      // below any target on the phase diagram, so the lid is lowered at the full rate.  A weighted lid moves on its own
+      // and sets the pressure, so it is left alone.
+      const logPressureRatio = this.averagePressure > 0 ? Math.log( target.y / this.averagePressure ) : 1;
+      let pressureReached = Math.abs( logPressureRatio ) < PRESSURE_TOLERANCE ||
+                            model.weightedLidEnabledProperty.get();
+      if ( logPressureRatio > 0 && model.getModelPressure() > MAX_MODEL_PRESSURE ) {
+        pressureReached = true;
+      }
+      if ( !pressureReached ) {
+        const containerHeight = model.targetContainerHeightProperty.get();
+        this.adjust( function() {
+          model.setTargetParticleContainerHeight(
+            containerHeight - Utils.clamp( logPressureRatio, -1, 1 ) * MAX_HEIGHT_CHANGE_RATE * dt
+          );
+        } );
+        pressureReached = model.targetContainerHeightProperty.get() === containerHeight;
+      }
+
+      if ( temperatureReached && pressureReached ) {
+        this.timeAtTarget += dt;
+        if ( this.timeAtTarget >= SETTLING_TIME ) {
+          this.finish();
+        }
+      }
+      else {
+        this.timeAtTarget = 0;
+      }
+    },
+
+    /**
+     * Make changes to the heater/cooler or lid without cancelling the control.
+     * @param {function} makeChanges
+     * @private
+     */
+    adjust: function( makeChanges ) {
+      this.isAdjusting = true;
+      makeChanges();
+      this.isAdjusting = false;
+    },
+
+    /**
+     * Turn off the heater/cooler, which was set by this controller, and stop the control.
+     * @private
+     */
+    finish: function() {
+      const model = this.multipleParticleModel;
+      this.adjust( function() {
+        model.setHeatingCoolingAmount( 0 );
+      } );
+      this.cancel();
+    },
+
+    /**
+     * Stop the control, leaving the heater/cooler and lid as they are.
+     * @public
+     */
+    cancel: function() {
+      this.targetProperty.set( null );
+    }
+  } );
+} );
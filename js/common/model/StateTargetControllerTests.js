@@ -0,0 +1,88 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for StateTargetController, which check that a model is driven to a target state and that the control
+ * stops when something else takes over.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const DT = SOMConstants.NOMINAL_TIME_STEP;
+  const MAX_CONTROL_STEPS = 3600;
+  const SAMPLED_STEPS = 300;
+
+  // a liquid state of neon, in Kelvin and atmospheres
+  const TARGET_STATE = new Vector2( 30, 10 );
+
+  /**
+   * Create a model of solid neon, whose measured temperature starts well below its set point.
+   * @returns {MultipleParticleModel}
+   */
+  const createModel = () => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.NEON );
+    model.setPhase( PhaseStateEnum.SOLID );
+    return model;
+  };
+
+  QUnit.module( 'StateTargetController' );
+
+  QUnit.test( 'the measured temperature and the pressure are driven to the target', assert => {
+    const model = createModel();
+    const stateTargetController = model.stateTargetController;
+    assert.ok( model.getMeasuredTemperatureInKelvin() < 0.8 * model.getTemperatureInKelvin(),
+      `measured temperature ${model.getMeasuredTemperatureInKelvin()}, set point ${model.getTemperatureInKelvin()}` );
+
+    stateTargetController.targetProperty.set( TARGET_STATE );
+    let controlSteps = 0;
+    while ( stateTargetController.targetProperty.get() !== null && controlSteps < MAX_CONTROL_STEPS ) {
+      model.step( DT );
+      controlSteps++;
+    }
+    assert.equal( stateTargetController.targetProperty.get(), null, `the target was reached in ${controlSteps} steps` );
+    assert.equal( model.heatingCoolingAmountProperty.get(), 0, 'the heater/cooler is turned off' );
+
+    // The state stays at the target once the control has stopped.
+    let totalTemperature = 0;
+    let totalPressure = 0;
+    for ( let i = 0; i < SAMPLED_STEPS; i++ ) {
+      model.step( DT );
+      totalTemperature += model.getMeasuredTemperatureInKelvin();
+      totalPressure += model.virialPressureProperty.get();
+    }
+    const temperature = totalTemperature / SAMPLED_STEPS;
+    const pressure = totalPressure / SAMPLED_STEPS;
+    assert.ok( Math.abs( temperature - TARGET_STATE.x ) < 0.05 * TARGET_STATE.x, `temperature ${temperature}` );
+    assert.ok( Math.abs( pressure - TARGET_STATE.y ) < 0.2 * TARGET_STATE.y, `virial pressure ${pressure}` );
+  } );
+
+  QUnit.test( 'the control stops when the heater/cooler or the lid are changed by something else', assert => {
+    const model = createModel();
+    const stateTargetController = model.stateTargetController;
+
+    stateTargetController.targetProperty.set( TARGET_STATE );
+    model.step( DT );
+    assert.notEqual( model.heatingCoolingAmountProperty.get(), 0, 'the controller is heating' );
+    model.setHeatingCoolingAmount( -0.5 );
+    assert.equal( stateTargetController.targetProperty.get(), null, 'cancelled by the heater/cooler' );
+    model.step( DT );
+    assert.equal( model.heatingCoolingAmountProperty.get(), -0.5, 'the heater/cooler is left as it was set' );
+
+    stateTargetController.targetProperty.set( TARGET_STATE );
+    model.step( DT );
+    model.setTargetParticleContainerHeight( model.targetContainerHeightProperty.get() / 2 );
+    assert.equal( stateTargetController.targetProperty.get(), null, 'cancelled by the lid' );
+  } );
+} );
@@ -0,0 +1,354 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Descriptions of the substances that can be simulated in the container.  Each substance is described by data - the
+ * atoms that make up its molecules, its Lennard-Jones parameters, its triple and critical points, and how it is
+ * displayed - so that a substance can be added by adding an entry here.  The keys of the entries are the values of the
+ * SubstanceType enumeration.
+ *
+ * The particle engine only supports certain kinds of molecules, so new substances must be monatomic, diatomic with
+ * both atoms the same, or water.  Substances that are only approximately spherical, such as methane, can be simulated
+ * as monatomic.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArgonAtom = require( 'STATES_OF_MATTER/common/model/particle/ArgonAtom' );
+  const AtomType = require( 'STATES_OF_MATTER/common/model/AtomType' );
+  const ConfigurableStatesOfMatterAtom = require( 'STATES_OF_MATTER/common/model/particle/ConfigurableStatesOfMatterAtom' );
+  const HydrogenAtom = require( 'STATES_OF_MATTER/common/model/particle/HydrogenAtom' );
+  const InteractionStrengthTable = require( 'STATES_OF_MATTER/common/model/InteractionStrengthTable' );
+  const NeonAtom = require( 'STATES_OF_MATTER/common/model/particle/NeonAtom' );
+  const OxygenAtom = require( 'STATES_OF_MATTER/common/model/particle/OxygenAtom' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // strings
+  const adjustableAttractionString = require( 'string!STATES_OF_MATTER/adjustableAttraction' );
+  const argonString = require( 'string!STATES_OF_MATTER/argon' );
+  const diatomicNitrogenString = require( 'string!STATES_OF_MATTER/diatomicNitrogen' );
+  const diatomicOxygenString = require( 'string!STATES_OF_MATTER/diatomicOxygen' );
+  const kryptonString = require( 'string!STATES_OF_MATTER/krypton' );
+  const methaneString = require( 'string!STATES_OF_MATTER/methane' );
+  const neonString = require( 'string!STATES_OF_MATTER/neon' );
+  const waterString = require( 'string!STATES_OF_MATTER/water' );
+  const xenonString = require( 'string!STATES_OF_MATTER/xenon' );
+
+  // Descriptions of the atoms, {type: string, radius: number, mass: number, color: string}.  The type identifies the
+  // atom when rendering, and is an AtomType value for the atoms that are also used in the Atomic Interactions screen.
+  // Radii are in picometers and masses are in atomic mass units.
+  const NEON_ATOM = {
+    type: AtomType.NEON,
+    radius: NeonAtom.RADIUS,
+    mass: NeonAtom.MASS,
+    color: SOMConstants.NEON_COLOR
+  };
+  const ARGON_ATOM = {
+    type: AtomType.ARGON,
+    radius: ArgonAtom.RADIUS,
+    mass: ArgonAtom.MASS,
+    color: SOMConstants.ARGON_COLOR
+  };
+  const OXYGEN_ATOM = {
+    type: AtomType.OXYGEN,
+    radius: OxygenAtom.RADIUS,
+    mass: OxygenAtom.MASS,
+    color: SOMConstants.OXYGEN_COLOR
+  };
+  const HYDROGEN_ATOM = {
+    type: AtomType.HYDROGEN,
+    radius: HydrogenAtom.RADIUS,
+    mass: HydrogenAtom.MASS,
+    color: SOMConstants.HYDROGEN_COLOR
+  };
+  const ADJUSTABLE_ATOM = {
+    type: AtomType.ADJUSTABLE,
+    radius: ConfigurableStatesOfMatterAtom.DEFAULT_RADIUS,
+    mass: ConfigurableStatesOfMatterAtom.MASS,
+    color: SOMConstants.ADJUSTABLE_ATTRACTION_COLOR
+  };
+  const KRYPTON_ATOM = { type: 'KRYPTON', radius: 202, mass: 83.798, color: '#5CB8D1' };
+  const XENON_ATOM = { type: 'XENON', radius: 216, mass: 131.293, color: '#429EB0' };
+  const NITROGEN_ATOM = { type: 'NITROGEN', radius: 155, mass: 14.007, color: '#3050F8' };
+
+  // methane is simulated as a single sphere, a common approximation, so the radius is half the Lennard-Jones sigma
+  const METHANE_MOLECULE = { type: 'METHANE', radius: 186.5, mass: 16.043, color: '#909090' };
+
+  /*
+   * The fields of each substance description are:
+   *
+   * key {string} - value of the substance in the SubstanceType enumeration
+   * name {string} - camel-case name, used to create tandem names
+   * displayName {string} - name shown in the user interface
+   * atomsPerMolecule {number} - 1, 2, or 3, selects the strategies used for simulating the substance
+   * atoms {Object[]} - descriptions of the atoms, one per distinct type, see above
+   * particleDiameter {number} - in picometers, the unit of length for the normalized model
+   * sigma {number} - Lennard-Jones sigma, in picometers
+   * epsilon {number|null} - Lennard-Jones epsilon divided by k-Boltzmann, in Kelvin, null if set by the user
+   * triplePointInKelvin {number}
+   * criticalPointInKelvin {number}
+   * triplePointInAtmospheres {number|null}
+   * criticalPointInAtmospheres {number|null}
+   * meltingCurveSlope {number|null} - slope of the solid-liquid boundary on the phase diagram near the triple point,
+   *   in atmospheres per Kelvin, approximated from the enthalpy of fusion and the change in molar volume using the
+   *   Clausius-Clapeyron equation, negative for water since ice is less dense than liquid water
+   * triplePointInModelUnits {number} - normalized model temperature at the triple point
+   * criticalPointInModelUnits {number} - normalized model temperature at the critical point
+   * molecular {boolean} - whether the interaction potential is depicted as being between molecules rather than atoms
+   * liquidStateName {string|null} - name of the saved liquid state used when the phase is set to liquid, null if
+   *   there isn't one, in which case a crystal is formed and then melts
+   */
+  const SUBSTANCES = [
+    {
+      key: 'NEON',
+      name: 'neon',
+      displayName: neonString,
+      atomsPerMolecule: 1,
+      atoms: [ NEON_ATOM ],
+      particleDiameter: NeonAtom.RADIUS * 2,
+      sigma: NeonAtom.RADIUS * 2,
+      epsilon: InteractionStrengthTable.getInteractionPotential( AtomType.NEON, AtomType.NEON ),
+      triplePointInKelvin: SOMConstants.NEON_TRIPLE_POINT_IN_KELVIN,
+      criticalPointInKelvin: SOMConstants.NEON_CRITICAL_POINT_IN_KELVIN,
+      triplePointInAtmospheres: 0.43,
+      criticalPointInAtmospheres: 26.5,
+      meltingCurveSlope: 60,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      molecular: false,
+      liquidStateName: 'neon'
+    },
+    {
+      key: 'ARGON',
+      name: 'argon',
+      displayName: argonString,
+      atomsPerMolecule: 1,
+      atoms: [ ARGON_ATOM ],
+      particleDiameter: ArgonAtom.RADIUS * 2,
+      sigma: ArgonAtom.RADIUS * 2,
+      epsilon: InteractionStrengthTable.getInteractionPotential( AtomType.ARGON, AtomType.ARGON ),
+      triplePointInKelvin: SOMConstants.ARGON_TRIPLE_POINT_IN_KELVIN,
+      criticalPointInKelvin: SOMConstants.ARGON_CRITICAL_POINT_IN_KELVIN,
+      triplePointInAtmospheres: 0.68,
+      criticalPointInAtmospheres: 48.0,
+      meltingCurveSlope: 40,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      molecular: false,
+      liquidStateName: 'argon'
+    },
+    {
+      key: 'DIATOMIC_OXYGEN',
+      name: 'oxygen',
+      displayName: diatomicOxygenString,
+      atomsPerMolecule: 2,
+      atoms: [ OXYGEN_ATOM ],
+      particleDiameter: OxygenAtom.RADIUS * 2,
+      sigma: SOMConstants.SIGMA_FOR_DIATOMIC_OXYGEN,
+      epsilon: SOMConstants.EPSILON_FOR_DIATOMIC_OXYGEN,
+      triplePointInKelvin: SOMConstants.O2_TRIPLE_POINT_IN_KELVIN,
+      criticalPointInKelvin: SOMConstants.O2_CRITICAL_POINT_IN_KELVIN,
+      triplePointInAtmospheres: 0.0015,
+      criticalPointInAtmospheres: 49.8,
+      meltingCurveSlope: 90,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_DIATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_DIATOMIC_MODEL_TEMPERATURE,
+      molecular: true,
+      liquidStateName: 'oxygen'
+    },
+    {
+      key: 'WATER',
+      name: 'water',
+      displayName: waterString,
+      atomsPerMolecule: 3,
+      atoms: [ OXYGEN_ATOM, HYDROGEN_ATOM ],
+
+      // Use a diameter that is artificially large, because the educators have requested that water look "spaced out"
+      // so that users can see the crystal structure better, and so that the solid form will look larger (since water
+      // expands when frozen).
+      particleDiameter: OxygenAtom.RADIUS * 2.9,
+      sigma: SOMConstants.SIGMA_FOR_WATER,
+      epsilon: SOMConstants.EPSILON_FOR_WATER,
+      triplePointInKelvin: SOMConstants.WATER_TRIPLE_POINT_IN_KELVIN,
+      criticalPointInKelvin: SOMConstants.WATER_CRITICAL_POINT_IN_KELVIN,
+      triplePointInAtmospheres: 0.006,
+      criticalPointInAtmospheres: 217.7,
+      meltingCurveSlope: -133,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_WATER_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_WATER_MODEL_TEMPERATURE,
+      molecular: true,
+      liquidStateName: 'water'
+    },
+    {
+      key: 'ADJUSTABLE_ATOM',
+      name: 'adjustableAtom',
+      displayName: adjustableAttractionString,
+      atomsPerMolecule: 1,
+      atoms: [ ADJUSTABLE_ATOM ],
+      particleDiameter: ConfigurableStatesOfMatterAtom.DEFAULT_RADIUS * 2,
+      sigma: ConfigurableStatesOfMatterAtom.DEFAULT_RADIUS * 2,
+      epsilon: null,
+
+      // These are somewhat arbitrary, since in the real world the values would change if epsilon were changed.  They
+      // have been chosen to be similar to argon, because the default epsilon value is half of the allowable range, and
+      // this value ends up being similar to argon.
+      triplePointInKelvin: 75,
+      criticalPointInKelvin: 140,
+      triplePointInAtmospheres: null,
+      criticalPointInAtmospheres: null,
+      meltingCurveSlope: null,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      molecular: true,
+      liquidStateName: 'adjustableAttraction'
+    },
+    {
+      key: 'KRYPTON',
+      name: 'krypton',
+      displayName: kryptonString,
+      atomsPerMolecule: 1,
+      atoms: [ KRYPTON_ATOM ],
+      particleDiameter: KRYPTON_ATOM.radius * 2,
+      sigma: 360,
+      epsilon: 171,
+      triplePointInKelvin: 115.8,
+      criticalPointInKelvin: 209.5,
+      triplePointInAtmospheres: 0.72,
+      criticalPointInAtmospheres: 54.5,
+      meltingCurveSlope: 31,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      molecular: false,
+
+      // same number of atoms as argon and the saved positions fit in the container, so argon's state can be used
+      liquidStateName: 'argon'
+    },
+    {
+      key: 'XENON',
+      name: 'xenon',
+      displayName: xenonString,
+      atomsPerMolecule: 1,
+      atoms: [ XENON_ATOM ],
+      particleDiameter: XENON_ATOM.radius * 2,
+      sigma: 410,
+      epsilon: 221,
+      triplePointInKelvin: 161.4,
+      criticalPointInKelvin: 289.7,
+      triplePointInAtmospheres: 0.81,
+      criticalPointInAtmospheres: 57.7,
+      meltingCurveSlope: 25,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      molecular: false,
+      liquidStateName: null
+    },
+    {
+      key: 'DIATOMIC_NITROGEN',
+      name: 'nitrogen',
+      displayName: diatomicNitrogenString,
+      atomsPerMolecule: 2,
+      atoms: [ NITROGEN_ATOM ],
+      particleDiameter: NITROGEN_ATOM.radius * 2,
+      sigma: 370,
+      epsilon: 95,
+      triplePointInKelvin: 63.2,
+      criticalPointInKelvin: 126.2,
+      triplePointInAtmospheres: 0.12,
+      criticalPointInAtmospheres: 33.5,
+      meltingCurveSlope: 43,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_DIATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_DIATOMIC_MODEL_TEMPERATURE,
+      molecular: true,
+
+      // same number of molecules as oxygen and the saved positions fit in the container, so oxygen's state can be used
+      liquidStateName: 'oxygen'
+    },
+    {
+      key: 'METHANE',
+      name: 'methane',
+      displayName: methaneString,
+      atomsPerMolecule: 1,
+      atoms: [ METHANE_MOLECULE ],
+      particleDiameter: METHANE_MOLECULE.radius * 2,
+      sigma: 373,
+      epsilon: 149,
+      triplePointInKelvin: 90.7,
+      criticalPointInKelvin: 190.6,
+      triplePointInAtmospheres: 0.12,
+      criticalPointInAtmospheres: 45.4,
+      meltingCurveSlope: 39,
+      triplePointInModelUnits: SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      criticalPointInModelUnits: SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE,
+      molecular: true,
+      liquidStateName: null
+    }
+  ];
+
+  // map of keys to descriptions, for fast lookup
+  const SUBSTANCES_BY_KEY = {};
+  SUBSTANCES.forEach( substance => {
+    assert && assert( !SUBSTANCES_BY_KEY[ substance.key ], `duplicate substance key: ${substance.key}` );
+    assert && assert( substance.atomsPerMolecule >= 1 && substance.atomsPerMolecule <= 3,
+      `unsupported number of atoms per molecule: ${substance.atomsPerMolecule}` );
+    SUBSTANCES_BY_KEY[ substance.key ] = substance;
+  } );
+
+  // static object (no constructor)
+  const SubstanceRegistry = {
+
+    // @public (read-only) {Object[]} - descriptions of all substances, in the order in which they are presented
+    SUBSTANCES: SUBSTANCES,
+
+    // @public (read-only) {string[]} - keys of all substances, used to create the SubstanceType enumeration
+    KEYS: SUBSTANCES.map( substance => substance.key ),
+
+    /**
+     * Get the description of the specified substance.
+     * @param {SubstanceType} substance
+     * @returns {Object}
+     * @public
+     */
+    get: function( substance ) {
+      const substanceDescription = SUBSTANCES_BY_KEY[ substance ];
+      assert && assert( substanceDescription, `unsupported substance: ${substance}` );
+      return substanceDescription;
+    },
+
+    /**
+     * Get the mass of a molecule of the specified substance.  Molecules with more than one atom are made of one atom of
+     * the first type and the rest of the last type, e.g. one oxygen and two hydrogen atoms for water.
+     * @param {SubstanceType} substance
+     * @returns {number} - in atomic mass units
+     * @public
+     */
+    getMoleculeMass: function( substance ) {
+      const substanceDescription = this.get( substance );
+      const atoms = substanceDescription.atoms;
+      return atoms[ 0 ].mass + ( substanceDescription.atomsPerMolecule - 1 ) * atoms[ atoms.length - 1 ].mass;
+    },
+
+    /**
+     * Get the descriptions of all of the distinct atoms used by the substances.
+     * @returns {Object[]}
+     * @public
+     */
+    getAtomDescriptions: function() {
+      const atomDescriptions = [];
+      SUBSTANCES.forEach( substance => {
+        substance.atoms.forEach( atom => {
+          if ( !_.some( atomDescriptions, atomDescription => atomDescription.type === atom.type ) ) {
+            atomDescriptions.push( atom );
+          }
+        } );
+      } );
+      return atomDescriptions;
+    }
+  };
+
+  statesOfMatter.register( 'SubstanceRegistry', SubstanceRegistry );
+
+  return SubstanceRegistry;
+} );
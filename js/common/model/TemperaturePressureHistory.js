@@ -0,0 +1,131 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Records the temperature and pressure of a MultipleParticleModel at regular intervals of sim time so that their recent
+ * history can be plotted and exported.  Time only advances when the history is stepped, which the model does as it
+ * runs, so the time while the sim is paused is not included.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Emitter = require( 'AXON/Emitter' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const TimeSpanDataQueue = require( 'STATES_OF_MATTER/common/model/TimeSpanDataQueue' );
+
+  // constants
+  const SAMPLE_PERIOD = 0.5; // in seconds of sim time
+  const TIME_SPAN = 300; // in seconds of sim time, i.e. five minutes
+
+  // number of samples that the queues can hold, includes some margin for sample periods that run slightly short
+  const QUEUE_LENGTH = Math.ceil( TIME_SPAN / SAMPLE_PERIOD * 1.1 );
+
+  /**
+   * @constructor
+   */
+  function TemperaturePressureHistory() {
+
+    // @private - the recorded values, a temperature in Kelvin and a pressure in atmospheres for each sample, with null
+    // used for the temperature when there are no particles
+    this.temperatureQueue = new TimeSpanDataQueue( QUEUE_LENGTH, TIME_SPAN );
+    this.pressureQueue = new TimeSpanDataQueue( QUEUE_LENGTH, TIME_SPAN );
+
+    // @public (read-only) - sim time since recording started, in seconds
+    this.elapsedTime = 0;
+
+    // @private - sim time since the last sample was recorded
+    this.timeSinceLastSample = 0;
+
+    // @public (listen-only) - fires when a sample is recorded or the history is cleared
+    this.changedEmitter = new Emitter();
+  }
+
+  statesOfMatter.register( 'TemperaturePressureHistory', TemperaturePressureHistory );
+
+  return inherit( Object, TemperaturePressureHistory, {
+
+    /**
+     * Advance the time and record a sample if a sample period has passed since the last one.
+     * @param {number} dt - in seconds of sim time
+     * @param {number|null} temperature - in Kelvin, null if there are no particles
+     * @param {number} pressure - in atmospheres
+     * @public
+     */
+    step: function( dt, temperature, pressure ) {
+      this.elapsedTime += dt;
+      this.timeSinceLastSample += dt;
+      if ( this.timeSinceLastSample >= SAMPLE_PERIOD ) {
+        this.temperatureQueue.add( temperature, this.timeSinceLastSample );
+        this.pressureQueue.add( pressure, this.timeSinceLastSample );
+        this.timeSinceLastSample = 0;
+        this.changedEmitter.emit();
+      }
+    },
+
+    /**
+     * Get the recorded samples, starting with the oldest.
+     * @returns {{time: number, temperature: number|null, pressure: number}[]} - time is the sim time since recording
+     * started, in seconds
+     * @public
+     */
+    getSamples: function() {
+
+      // The queues only store the time between samples, so work back from the time of the most recent one.
+      const samples = [];
+      const deltaTimes = [];
+      this.temperatureQueue.forEach( ( temperature, deltaTime ) => {
+        samples.push( { time: 0, temperature: temperature, pressure: 0 } );
+        deltaTimes.push( deltaTime );
+      } );
+      let index = 0;
+      this.pressureQueue.forEach( pressure => {
+        samples[ index++ ].pressure = pressure;
+      } );
+      let time = this.elapsedTime - this.timeSinceLastSample;
+      for ( let i = samples.length - 1; i >= 0; i-- ) {
+        samples[ i ].time = time;
+        time -= deltaTimes[ i ];
+      }
+      return samples;
+    },
+
+    /**
+     * Get the recorded samples as comma-separated values with a header row, suitable for saving to a file and loading
+     * into a spreadsheet.
+     * @returns {string}
+     * @public
+     */
+    toCSV: function() {
+      const rows = [ 'time (s),temperature (K),temperature (C),pressure (atm)' ];
+      this.getSamples().forEach( sample => {
+        const hasTemperature = sample.temperature !== null;
+        rows.push( [
+          sample.time.toFixed( 2 ),
+          hasTemperature ? sample.temperature.toFixed( 2 ) : '',
+          hasTemperature ? ( sample.temperature - 273.15 ).toFixed( 2 ) : '',
+          sample.pressure.toFixed( 4 )
+        ].join( ',' ) );
+      } );
+      return rows.join( '\n' );
+    },
+
+    /**
+     * Remove all recorded samples and start the time over.
+     * @public
+     */
+    clear: function() {
+      this.temperatureQueue.clear();
+      this.pressureQueue.clear();
+      this.elapsedTime = 0;
+      this.timeSinceLastSample = 0;
+      this.changedEmitter.emit();
+    }
+  }, {
+
+    // @public - the span of sim time that is recorded, in seconds
+    TIME_SPAN: TIME_SPAN
+  } );
+} );
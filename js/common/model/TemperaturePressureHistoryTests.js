@@ -0,0 +1,93 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for TemperaturePressureHistory, which check the recorded samples and the exported data.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TemperaturePressureHistory = require( 'STATES_OF_MATTER/common/model/TemperaturePressureHistory' );
+
+  // constants
+  const DT = 0.1; // in seconds
+  const TIME_TOLERANCE = 1E-9; // in seconds
+
+  QUnit.module( 'TemperaturePressureHistory' );
+
+  QUnit.test( 'samples are recorded every half second of sim time', assert => {
+    const history = new TemperaturePressureHistory();
+    for ( let i = 0; i < 20; i++ ) {
+      history.step( DT, 100 + i, i / 10 );
+    }
+    const samples = history.getSamples();
+    assert.equal( samples.length, 4, 'one sample per half second' );
+    samples.forEach( ( sample, i ) => {
+      const expectedTime = ( i + 1 ) * 0.5;
+      assert.ok( Math.abs( sample.time - expectedTime ) < TIME_TOLERANCE, `sample ${i} time ${sample.time}` );
+    } );
+    assert.equal( samples[ 0 ].temperature, 104, 'temperature at the time of the first sample' );
+    assert.equal( samples[ 0 ].pressure, 0.4, 'pressure at the time of the first sample' );
+  } );
+
+  QUnit.test( 'samples older than the time span are dropped', assert => {
+    const history = new TemperaturePressureHistory();
+    const numberOfSteps = Math.round( ( TemperaturePressureHistory.TIME_SPAN + 60 ) / DT );
+    for ( let i = 0; i < numberOfSteps; i++ ) {
+      history.step( DT, 300, 1 );
+    }
+    const samples = history.getSamples();
+    const span = samples[ samples.length - 1 ].time - samples[ 0 ].time;
+    assert.ok( span <= TemperaturePressureHistory.TIME_SPAN, `span of the samples ${span}` );
+    assert.ok( samples[ 0 ].time >= 60 - TIME_TOLERANCE, `oldest sample at ${samples[ 0 ].time}` );
+    assert.ok( Math.abs( samples[ samples.length - 1 ].time - history.elapsedTime ) < TIME_TOLERANCE,
+      'the newest sample is at the current time' );
+  } );
+
+  QUnit.test( 'export as comma-separated values', assert => {
+    const history = new TemperaturePressureHistory();
+    for ( let i = 0; i < 5; i++ ) {
+      history.step( DT, 300, 1.5 );
+    }
+    for ( let i = 0; i < 5; i++ ) {
+      history.step( DT, null, 0 );
+    }
+    const rows = history.toCSV().split( '\n' );
+    assert.deepEqual( rows, [
+      'time (s),temperature (K),temperature (C),pressure (atm)',
+      '0.50,300.00,26.85,1.5000',
+      '1.00,,,0.0000'
+    ], 'a header, then a row per sample with empty temperatures when there are no particles' );
+
+    history.clear();
+    assert.equal( history.getSamples().length, 0, 'no samples after clearing' );
+    assert.equal( history.toCSV(), 'time (s),temperature (K),temperature (C),pressure (atm)', 'only the header' );
+  } );
+
+  QUnit.test( 'the model records its temperature and pressure', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    let numberOfSamples = 0;
+    const checkSample = () => {
+      numberOfSamples++;
+      const samples = model.temperaturePressureHistory.getSamples();
+      const sample = samples[ samples.length - 1 ];
+      assert.equal( sample.temperature, model.getTemperatureInKelvin(), `temperature of sample ${numberOfSamples}` );
+      assert.equal( sample.pressure, model.pressureProperty.get(), `pressure of sample ${numberOfSamples}` );
+    };
+    model.temperaturePressureHistory.changedEmitter.addListener( checkSample );
+    for ( let i = 0; i < 3 / SOMConstants.NOMINAL_TIME_STEP; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+    model.temperaturePressureHistory.changedEmitter.removeListener( checkSample );
+    assert.ok( numberOfSamples >= 5, `${numberOfSamples} samples were recorded` );
+
+    model.reset();
+    assert.equal( model.temperaturePressureHistory.getSamples().length, 0, 'the history is cleared by a reset' );
+  } );
+} );
@@ -0,0 +1,35 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * enumeration of the thermostats that can be used to control the temperature of the particles in a
+ * MultipleParticleModel
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // ADAPTIVE - switches between the isokinetic and Andersen thermostats based on the state of the system, which is what
+  //            looks best and is the default
+  // ISOKINETIC - always uses the isokinetic thermostat
+  // ANDERSEN - always uses the Andersen thermostat
+  // NOSE_HOOVER - uses the Nosé-Hoover thermostat
+  // BERENDSEN - uses the Berendsen thermostat
+  // NONE - no thermostat, so the total energy is conserved (NVE ensemble) and heating and cooling have no effect
+  // THERMAL_WALL - only the molecules that hit one wall of the container are given velocities for the temperature set
+  //                point, so heat has to conduct through the substance from that wall
+  const ThermostatType = Enumeration.byKeys( [
+    'ADAPTIVE',
+    'ISOKINETIC',
+    'ANDERSEN',
+    'NOSE_HOOVER',
+    'BERENDSEN',
+    'NONE',
+    'THERMAL_WALL'
+  ] );
+  return statesOfMatter.register( 'ThermostatType', ThermostatType );
+} );
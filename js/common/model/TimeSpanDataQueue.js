@@ -82,6 +82,54 @@ define( require => {
       this.tail = 0;
       this.total = 0;
       this.timeSpan = 0;
+    },
+
+    /**
+     * Call the provided function for each data item in the queue, starting with the oldest.
+     * @param {function(value:*, deltaTime:number)} callback
+     * @public
+     */
+    forEach: function( callback ) {
+      for ( let i = this.tail; i !== this.head; i = ( i + 1 ) % this.length ) {
+        callback( this.dataQueue[ i ].value, this.dataQueue[ i ].deltaTime );
+      }
+    },
+
+    /**
+     * Get the data items and totals as an object that can be serialized to JSON.  Only the data items that are
+     * currently in the queue are included, starting with the oldest.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      const dataItems = [];
+      for ( let i = this.tail; i !== this.head; i = ( i + 1 ) % this.length ) {
+        dataItems.push( { deltaTime: this.dataQueue[ i ].deltaTime, value: this.dataQueue[ i ].value } );
+      }
+      return {
+        dataItems: dataItems,
+        total: this.total,
+        timeSpan: this.timeSpan
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+      assert && assert( state.dataItems.length < this.length, 'too many data items for this queue' );
+      this.clear();
+      state.dataItems.forEach( dataItem => {
+        this.dataQueue[ this.head ].deltaTime = dataItem.deltaTime;
+        this.dataQueue[ this.head ].value = dataItem.value;
+        this.head++;
+      } );
+
+      // The totals are restored rather than recalculated so that they exactly match the values that were saved.
+      this.total = state.total;
+      this.timeSpan = state.timeSpan;
     }
   } );
 } );
\ No newline at end of file
@@ -0,0 +1,100 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Converts reduced Lennard-Jones quantities, i.e. those in which lengths are in units of sigma and energies are in
+ * units of epsilon, into real units using the sigma, epsilon, and molecule mass of a substance.  The particle engine
+ * works in reduced units, so this allows values such as the pressure to be reported in a way that is consistent with
+ * the parameters of the substance being simulated rather than with a single empirical multiplier.
+ *
+ * The model is two dimensional, so its pressure is a force per unit length and its density is a number per unit area.
+ * These are converted to the three dimensional values that would be measured in a slab of the substance that is one
+ * molecule, i.e. one sigma, thick.  The reduced pressure P* is therefore P * sigma^3 / epsilon and the reduced number
+ * density rho* is rho * sigma^3, which are the usual definitions for three dimensional Lennard-Jones systems.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // constants
+  const BOLTZMANN_CONSTANT = 1.380649E-23; // in joules per Kelvin
+  const ATOMIC_MASS_UNIT = 1.66053906660E-27; // in kilograms
+  const PASCALS_PER_ATMOSPHERE = 101325;
+  const PICOMETERS_PER_METER = 1E12;
+  const PICOMETERS_PER_NANOMETER = 1E3;
+
+  /**
+   * @param {number} sigma - Lennard-Jones sigma, in picometers
+   * @param {number} epsilon - Lennard-Jones epsilon divided by k-Boltzmann, in Kelvin
+   * @param {number} moleculeMass - in atomic mass units
+   * @constructor
+   */
+  function UnitConverter( sigma, epsilon, moleculeMass ) {
+
+    assert && assert( sigma > 0 && epsilon > 0 && moleculeMass > 0, 'parameters must be positive' );
+
+    // @public (read-only)
+    this.sigma = sigma;
+    this.epsilon = epsilon;
+    this.moleculeMass = moleculeMass;
+
+    // @private - the units of the reduced quantities in SI units
+    this.lengthUnit = sigma / PICOMETERS_PER_METER;
+    this.pressureUnit = epsilon * BOLTZMANN_CONSTANT / Math.pow( this.lengthUnit, 3 );
+  }
+
+  statesOfMatter.register( 'UnitConverter', UnitConverter );
+
+  return inherit( Object, UnitConverter, {
+
+    /**
+     * @param {number} reducedPressure
+     * @returns {number}
+     * @public
+     */
+    reducedPressureToPascals: function( reducedPressure ) {
+      return reducedPressure * this.pressureUnit;
+    },
+
+    /**
+     * @param {number} reducedPressure
+     * @returns {number}
+     * @public
+     */
+    reducedPressureToAtmospheres: function( reducedPressure ) {
+      return this.reducedPressureToPascals( reducedPressure ) / PASCALS_PER_ATMOSPHERE;
+    },
+
+    /**
+     * @param {number} reducedArea
+     * @returns {number} - in square nanometers
+     * @public
+     */
+    reducedAreaToSquareNanometers: function( reducedArea ) {
+      const sigmaInNanometers = this.sigma / PICOMETERS_PER_NANOMETER;
+      return reducedArea * sigmaInNanometers * sigmaInNanometers;
+    },
+
+    /**
+     * @param {number} reducedNumberDensity
+     * @returns {number} - in molecules per cubic nanometer
+     * @public
+     */
+    reducedNumberDensityToPerCubicNanometer: function( reducedNumberDensity ) {
+      return reducedNumberDensity / Math.pow( this.sigma / PICOMETERS_PER_NANOMETER, 3 );
+    },
+
+    /**
+     * @param {number} reducedNumberDensity
+     * @returns {number} - in kilograms per cubic meter
+     * @public
+     */
+    reducedNumberDensityToMassDensity: function( reducedNumberDensity ) {
+      return reducedNumberDensity / Math.pow( this.lengthUnit, 3 ) * this.moleculeMass * ATOMIC_MASS_UNIT;
+    }
+  } );
+} );
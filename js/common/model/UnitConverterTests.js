@@ -0,0 +1,113 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for UnitConverter, which check the conversions against the well known units of reduced argon, against
+ * each other, and for the molecules in a model.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const UnitConverter = require( 'STATES_OF_MATTER/common/model/UnitConverter' );
+
+  // constants
+  const TOLERANCE = 1E-9; // relative
+  const PASCALS_PER_ATMOSPHERE = 101325;
+  const ATOMIC_MASS_UNIT = 1.66053906660E-27; // in kilograms
+  const CUBIC_NANOMETERS_PER_CUBIC_METER = 1E27;
+  const PICOMETERS_PER_NANOMETER = 1E3;
+
+  // the commonly used Lennard-Jones parameters of argon and the units of reduced pressure and density that they give
+  const ARGON_SIGMA = 340.5; // in picometers
+  const ARGON_EPSILON = 119.8; // in Kelvin
+  const ARGON_MASS = 39.948; // in atomic mass units
+  const ARGON_PRESSURE_UNIT = 41.9E6; // in pascals
+  const ARGON_MASS_DENSITY_UNIT = 1680; // in kilograms per cubic meter
+  const REFERENCE_TOLERANCE = 1E-3; // relative, the reference values are rounded
+
+  // substances whose densities are checked in a model
+  const SUBSTANCES = [ SubstanceType.NEON, SubstanceType.ARGON, SubstanceType.DIATOMIC_OXYGEN, SubstanceType.WATER ];
+
+  /**
+   * @param {number} value
+   * @param {number} expectedValue
+   * @param {number} tolerance - relative
+   * @returns {boolean}
+   */
+  const isClose = ( value, expectedValue, tolerance ) =>
+    Math.abs( value - expectedValue ) <= tolerance * Math.abs( expectedValue );
+
+  QUnit.module( 'UnitConverter' );
+
+  QUnit.test( 'the reduced units of argon', assert => {
+    const unitConverter = new UnitConverter( ARGON_SIGMA, ARGON_EPSILON, ARGON_MASS );
+    const pressureUnit = unitConverter.reducedPressureToPascals( 1 );
+    assert.ok( isClose( pressureUnit, ARGON_PRESSURE_UNIT, REFERENCE_TOLERANCE ), `pressure unit ${pressureUnit}` );
+    const massDensityUnit = unitConverter.reducedNumberDensityToMassDensity( 1 );
+    assert.ok( isClose( massDensityUnit, ARGON_MASS_DENSITY_UNIT, REFERENCE_TOLERANCE ),
+      `mass density unit ${massDensityUnit}` );
+  } );
+
+  QUnit.test( 'the conversions are consistent with each other', assert => {
+    const unitConverter = new UnitConverter( ARGON_SIGMA, ARGON_EPSILON, ARGON_MASS );
+    const sigmaInNanometers = ARGON_SIGMA / PICOMETERS_PER_NANOMETER;
+    [ 0.01, 0.5, 3 ].forEach( reducedValue => {
+
+      // Atmospheres and pascals differ by the standard atmosphere.
+      assert.ok( isClose(
+        unitConverter.reducedPressureToAtmospheres( reducedValue ) * PASCALS_PER_ATMOSPHERE,
+        unitConverter.reducedPressureToPascals( reducedValue ),
+        TOLERANCE
+      ), `pressure in atmospheres for ${reducedValue}` );
+
+      // Converting back to reduced units with sigma gives the original values.
+      assert.ok( isClose(
+        unitConverter.reducedAreaToSquareNanometers( reducedValue ) / ( sigmaInNanometers * sigmaInNanometers ),
+        reducedValue,
+        TOLERANCE
+      ), `area for ${reducedValue}` );
+      const numberDensity = unitConverter.reducedNumberDensityToPerCubicNanometer( reducedValue );
+      assert.ok( isClose( numberDensity * Math.pow( sigmaInNanometers, 3 ), reducedValue, TOLERANCE ),
+        `number density for ${reducedValue}` );
+
+      // The mass density is the number density times the mass of a molecule.
+      assert.ok( isClose(
+        unitConverter.reducedNumberDensityToMassDensity( reducedValue ),
+        numberDensity * CUBIC_NANOMETERS_PER_CUBIC_METER * ARGON_MASS * ATOMIC_MASS_UNIT,
+        TOLERANCE
+      ), `mass density for ${reducedValue}` );
+    } );
+    assert.equal( unitConverter.reducedPressureToPascals( 0 ), 0, 'zero pressure' );
+  } );
+
+  QUnit.test( 'the densities of a model are those of the molecules in its container', assert => {
+    SUBSTANCES.forEach( substance => {
+      const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+      model.substanceProperty.set( substance );
+      model.setPhase( PhaseStateEnum.GAS );
+      const numberDensity = model.getNumberDensity();
+
+      // The number density is that of a slab that is one sigma thick.
+      const sigmaInNanometers = SubstanceRegistry.get( substance ).sigma / PICOMETERS_PER_NANOMETER;
+      assert.ok( isClose(
+        numberDensity * model.getContainerArea() * sigmaInNanometers,
+        model.moleculeDataSet.getNumberOfMolecules(),
+        TOLERANCE
+      ), `number of ${substance.name} molecules` );
+      assert.ok( isClose(
+        model.getMassDensity(),
+        numberDensity * CUBIC_NANOMETERS_PER_CUBIC_METER * SubstanceRegistry.getMoleculeMass( substance ) *
+        ATOMIC_MASS_UNIT,
+        TOLERANCE
+      ), `mass density of ${substance.name}` );
+    } );
+  } );
+} );
@@ -12,6 +12,7 @@ define( require => {
 
   // modules
   const inherit = require( 'PHET_CORE/inherit' );
+  const nextGaussian = require( 'STATES_OF_MATTER/common/model/engine/nextGaussian' );
   const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
@@ -32,7 +33,7 @@ define( require => {
     // @private
     this.multipleParticleModel = multipleParticleModel;
     this.moleculeLocation = new Vector2( 0, 0 );
-    this.random = phet.joist.random;
+    this.random = multipleParticleModel.random;
     this.reusableVector = new Vector2( 0, 0 );
   }
 
@@ -219,8 +220,8 @@ define( require => {
           moleculesPlaced++;
 
           // Assign each molecule an initial velocity.
-          const xVel = temperatureSqrt * this.random.nextGaussian();
-          const yVel = temperatureSqrt * this.random.nextGaussian();
+          const xVel = temperatureSqrt * nextGaussian( this.random );
+          const yVel = temperatureSqrt * nextGaussian( this.random );
           moleculeVelocities[ moleculeIndex ].setXY( xVel, yVel );
 
           // Track total velocity in the X direction.
@@ -265,8 +266,8 @@ define( require => {
 
         // Assign each molecule an initial velocity.
         moleculeVelocities[ i ].setXY(
-          temperatureSqrt * this.random.nextGaussian(),
-          temperatureSqrt * this.random.nextGaussian()
+          temperatureSqrt * nextGaussian( this.random ),
+          temperatureSqrt * nextGaussian( this.random )
         );
 
         // Assign each molecule an initial rotational angle and rate.  This isn't used in the monatomic case, but it
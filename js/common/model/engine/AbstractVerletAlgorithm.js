@@ -11,9 +11,16 @@ define( require => {
   'use strict';
 
   // modules
+  const ContainerWall = require( 'STATES_OF_MATTER/common/model/ContainerWall' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const MovingAverage = require( 'STATES_OF_MATTER/common/model/MovingAverage' );
+  const NeighborList = require( 'STATES_OF_MATTER/common/model/engine/NeighborList' );
+  const nextGaussian = require( 'STATES_OF_MATTER/common/model/engine/nextGaussian' );
   const Property = require( 'AXON/Property' );
+  const SOMQueryParameters = require( 'STATES_OF_MATTER/common/SOMQueryParameters' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const ThermostatType = require( 'STATES_OF_MATTER/common/model/ThermostatType' );
   const TimeSpanDataQueue = require( 'STATES_OF_MATTER/common/model/TimeSpanDataQueue' );
 
   // Constants that control the pressure calculation.  The size of the pressure accumulator assumes a max sim rate of
@@ -21,20 +28,45 @@ define( require => {
   const PRESSURE_CALC_TIME_WINDOW = 12; // in seconds, empirically determined to be responsive but not jumpy
   const PRESSURE_ACCUMULATOR_LENGTH = Math.ceil( PRESSURE_CALC_TIME_WINDOW / ( 1 / 60 ) * 1.1 );
 
+  // Number of steps over which the virial pressure is averaged.  The virial pressure is available on every step, so
+  // a much shorter window than that of the wall-based pressure is enough to smooth out its fluctuations.
+  const VIRIAL_PRESSURE_AVERAGING_STEPS = 60;
+
+  // Proportion of the container height above which collisions with the side walls are counted for the wall-based
+  // pressure, see updateMoleculePositions.
+  const PRESSURE_ACCUMULATION_MIN_HEIGHT_PROPORTION = 0.3;
+
   // constants that control when the container explodes
   const EXPLOSION_PRESSURE = 41; // in model units, empirically determined
   const EXPLOSION_TIME = 1; // in seconds, time that the pressure must be above the threshold before explosion occurs
 
+  // relative tolerance used when verifying the forces found using the neighbor list against those found by brute force
+  const FORCE_VERIFICATION_TOLERANCE = 1E-9;
+
   /**
    * @param {MultipleParticleModel} multipleParticleModel of the simulation
+   * @param {Object} [options]
    * @constructor
    */
-  function AbstractVerletAlgorithm( multipleParticleModel ) {
+  function AbstractVerletAlgorithm( multipleParticleModel, options ) {
+
+    options = merge( {
+
+      // {number} - max distance between molecule centers at which the molecules can interact, in normalized units
+      interactionRange: Math.sqrt( this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD )
+    }, options );
 
     this.multipleParticleModel = multipleParticleModel; // @protected, read only
 
+    // @private - pseudo-random number generator, shared with the model so that a seeded run is reproduced
+    this.random = multipleParticleModel.random;
+
     this.pressureProperty = new Property( 0 ); // @public, read-only, in atm (atmospheres)
 
+    // @public, read-only - pressure calculated from the virial theorem, in the same units as pressureProperty so that
+    // the two can be compared, see updateVirialPressure
+    this.virialPressureProperty = new Property( 0 );
+
     // @protected, read-write, used to set where particles bounce
     this.sideBounceInset = 1;
     this.bottomBounceInset = 1;
@@ -44,15 +76,30 @@ define( require => {
     this.potentialEnergy = 0;
     this.calculatedTemperature = 0;
 
-    // @public, read-write, flag that indicates whether the lid affected the velocity of one or more particles, set
-    // during execution of the Verlet algorithm, must be cleared by the client.
+    // @protected - sum over the interacting pairs of molecules of the dot product of their separation and the force
+    // between them, accumulated as the forces are calculated
+    this.virial = 0;
+
+    // @public, read-write, flag that indicates whether the lid or the movable side wall affected the velocity of one or
+    // more particles, set during execution of the Verlet algorithm, must be cleared by the client.
     this.lidChangedParticleVelocity = false;
 
+    // @public, read-write, momentum transferred to the weighted lid by the molecules that bounced off of it,
+    // accumulated during execution of the Verlet algorithm, must be cleared by the client.
+    this.lidImpulse = 0;
+
     // @private, moving time window queue for tracking the pressure data
     this.pressureAccumulatorQueue = new TimeSpanDataQueue( PRESSURE_ACCUMULATOR_LENGTH, PRESSURE_CALC_TIME_WINDOW );
 
+    // @private
+    this.virialPressureAverage = new MovingAverage( VIRIAL_PRESSURE_AVERAGING_STEPS );
+
     // @private, tracks time above the explosion threshold
     this.timeAboveExplosionPressure = 0;
+
+    // @public (read-only) - pairs of molecules that are close enough to interact, updated on each step before the
+    // forces are calculated
+    this.neighborList = new NeighborList( options.interactionRange );
   }
 
   statesOfMatter.register( 'AbstractVerletAlgorithm', AbstractVerletAlgorithm );
@@ -86,10 +133,12 @@ define( require => {
       const moleculeRotationAngles = moleculeDataSet.getMoleculeRotationAngles();
       const moleculeRotationRates = moleculeDataSet.getMoleculeRotationRates();
       const moleculeTorques = moleculeDataSet.getMoleculeTorques();
-      const massInverse = 1 / moleculeDataSet.getMoleculeMass();
+      const componentMasses = moleculeDataSet.componentMasses;
+      const moleculeComponentIndices = moleculeDataSet.moleculeComponentIndices;
       const inertiaInverse = 1 / moleculeDataSet.getMoleculeRotationalInertia();
       const timeStepSqrHalf = timeStep * timeStep * 0.5;
-      const pressureAccumulationMinHeight = this.multipleParticleModel.normalizedContainerHeight * 0.3;
+      const pressureAccumulationMinHeight = this.multipleParticleModel.normalizedContainerHeight *
+                                            PRESSURE_ACCUMULATION_MIN_HEIGHT_PROPORTION;
       let accumulatedPressure = 0;
 
       // Since the normalized particle diameter is 1.0, and this is a diatomic particle joined at the center, use a
@@ -98,6 +147,12 @@ define( require => {
       const minY = this.bottomBounceInset;
       const maxX = this.multipleParticleModel.normalizedContainerWidth - this.sideBounceInset;
       const maxY = this.multipleParticleModel.normalizedContainerHeight - this.topBounceInset;
+      const lidIsWeighted = this.multipleParticleModel.weightedLidEnabledProperty.get();
+
+      // the wall that rethermalizes the molecules that hit it, null if the temperature isn't controlled by a wall
+      const thermalWall = this.multipleParticleModel.thermostatTypeProperty.get() === ThermostatType.THERMAL_WALL ?
+                          this.multipleParticleModel.thermalWallProperty.get() :
+                          null;
 
       for ( let i = 0; i < numberOfMolecules; i++ ) {
 
@@ -106,6 +161,12 @@ define( require => {
         const moleculeVelocityY = moleculeVelocity.y; // optimization
         const moleculeCenterOfMassPosition = moleculeCenterOfMassPositions[ i ];
 
+        // The mass differs between molecules only in a mixture.  The contribution to the pressure is relative to the
+        // molecules of the first component, so that it is unchanged for a single substance.
+        const moleculeMass = componentMasses[ moleculeComponentIndices[ i ] ];
+        const massInverse = 1 / moleculeMass;
+        const relativeMass = moleculeMass / componentMasses[ 0 ];
+
         // calculate new position based on time, velocity, and acceleration
         let xPos = moleculeCenterOfMassPosition.x +
                    ( timeStep * moleculeVelocityX ) +
@@ -123,24 +184,42 @@ define( require => {
         // handle any bouncing off of the walls of the container
         if ( moleculeDataSet.insideContainer[ i ] ) {
 
+          // the wall that the molecule bounced off of, if any
+          let wallHit = null;
+
           // handle bounce off the walls
           if ( xPos <= minX && moleculeVelocityX < 0 ) {
+            wallHit = ContainerWall.LEFT;
             xPos = minX;
             moleculeVelocity.x = -moleculeVelocityX;
             if ( yPos > pressureAccumulationMinHeight ) {
-              accumulatedPressure += -moleculeVelocityX;
+              accumulatedPressure += -moleculeVelocityX * relativeMass;
             }
           }
-          else if ( xPos >= maxX && moleculeVelocityX > 0 ) {
+          else if ( xPos >= maxX ) {
+
+            // The wall on the right can move, so it is handled like the lid, which also means that a molecule that it
+            // has moved past is pushed back inside.
             xPos = maxX;
-            moleculeVelocity.x = -moleculeVelocityX;
-            if ( yPos > pressureAccumulationMinHeight ) {
-              accumulatedPressure += moleculeVelocityX;
+            const sideWallVelocity = this.multipleParticleModel.normalizedSideWallVelocityX;
+            if ( sideWallVelocity !== 0 ) {
+              this.lidChangedParticleVelocity = true;
+            }
+            if ( moleculeVelocityX > 0 ) {
+              wallHit = ContainerWall.RIGHT;
+              moleculeVelocity.x = -moleculeVelocityX + sideWallVelocity * 0.3;
+              if ( yPos > pressureAccumulationMinHeight ) {
+                accumulatedPressure += moleculeVelocityX * relativeMass;
+              }
+            }
+            else if ( Math.abs( moleculeVelocityX ) < Math.abs( sideWallVelocity ) ) {
+              moleculeVelocity.x = sideWallVelocity;
             }
           }
 
           // handle bounce off the bottom
           if ( yPos <= minY && moleculeVelocityY <= 0 ) {
+            wallHit = ContainerWall.BOTTOM;
             yPos = minY;
             moleculeVelocity.y = -moleculeVelocityY;
           }
@@ -151,6 +230,9 @@ define( require => {
             if ( !this.multipleParticleModel.isExplodedProperty.get() ) {
 
               yPos = maxY;
+              if ( moleculeVelocityY > 0 ) {
+                wallHit = ContainerWall.TOP;
+              }
               const lidVelocity = this.multipleParticleModel.normalizedLidVelocityY;
 
               // if the lid velocity is non-zero, set a flag that indicates that the lid changed a particle's velocity
@@ -158,7 +240,14 @@ define( require => {
                 this.lidChangedParticleVelocity = true;
               }
 
-              if ( moleculeVelocityY > 0 ) {
+              if ( lidIsWeighted ) {
+
+                // A molecule that is rethermalized by the lid is given a new velocity below instead of bouncing.
+                if ( wallHit !== ContainerWall.TOP || thermalWall !== ContainerWall.TOP ) {
+                  this.bounceOffWeightedLid( moleculeVelocity, moleculeMass );
+                }
+              }
+              else if ( moleculeVelocityY > 0 ) {
 
                 // Bounce the particle off of the lid and factor in the lid velocity.  Not quite all of the lid
                 // velocity is used, and the multiplier was empirically determined to look reasonable without causing
@@ -168,13 +257,22 @@ define( require => {
               else if ( Math.abs( moleculeVelocityY ) < Math.abs( lidVelocity ) ) {
                 moleculeVelocity.y = lidVelocity;
               }
-              accumulatedPressure += Math.abs( moleculeVelocityY );
+              accumulatedPressure += Math.abs( moleculeVelocityY ) * relativeMass;
             }
             else {
               // This particle has left the container.
               moleculeDataSet.insideContainer[ i ] = false;
             }
           }
+
+          if ( thermalWall !== null && wallHit === thermalWall ) {
+            this.thermalizeMolecule( moleculeDataSet, i, moleculeMass, wallHit );
+
+            // The weighted lid is pushed by the momentum that the molecule loses when it is rethermalized.
+            if ( wallHit === ContainerWall.TOP && lidIsWeighted ) {
+              this.lidImpulse += moleculeMass * ( moleculeVelocityY - moleculeVelocity.y );
+            }
+          }
         }
 
         // set new position
@@ -192,6 +290,68 @@ define( require => {
       this.updatePressure( accumulatedPressure, timeStep );
     },
 
+    /**
+     * Give a molecule that has hit the thermal wall a velocity and rotation rate drawn from the distributions for the
+     * temperature of the wall, which is the temperature set point, so that the wall heats or cools the molecules that
+     * touch it.  The component of the velocity away from the wall has a Rayleigh distribution, since faster molecules
+     * leave the wall more often, and the other component and the rotation rate have normal distributions, as in the
+     * Andersen thermostat.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @param {number} moleculeIndex
+     * @param {number} moleculeMass
+     * @param {ContainerWall} wall
+     * @private
+     */
+    thermalizeMolecule: function( moleculeDataSet, moleculeIndex, moleculeMass, wall ) {
+
+      const temperatureSetPoint = this.multipleParticleModel.temperatureSetPointProperty.get();
+      const thermalEnergy = temperatureSetPoint > this.multipleParticleModel.minModelTemperature ?
+                            this.getThermalEnergy( temperatureSetPoint ) :
+                            0;
+      const speedScale = Math.sqrt( thermalEnergy / moleculeMass );
+      const normalSpeed = speedScale * Math.sqrt( -2 * Math.log( 1 - this.random.nextDouble() ) );
+      const tangentialVelocity = speedScale * nextGaussian( this.random );
+      const moleculeVelocity = moleculeDataSet.moleculeVelocities[ moleculeIndex ];
+      if ( wall === ContainerWall.BOTTOM ) {
+        moleculeVelocity.setXY( tangentialVelocity, normalSpeed );
+      }
+      else if ( wall === ContainerWall.TOP ) {
+        moleculeVelocity.setXY( tangentialVelocity, -normalSpeed );
+      }
+      else if ( wall === ContainerWall.LEFT ) {
+        moleculeVelocity.setXY( normalSpeed, tangentialVelocity );
+      }
+      else {
+        moleculeVelocity.setXY( -normalSpeed, tangentialVelocity );
+      }
+
+      // Monatomic molecules don't rotate.
+      const rotationalInertia = moleculeDataSet.getMoleculeRotationalInertia();
+      if ( rotationalInertia > 0 ) {
+        moleculeDataSet.moleculeRotationRates[ moleculeIndex ] = Math.sqrt( thermalEnergy / rotationalInertia ) *
+                                                                 nextGaussian( this.random );
+      }
+    },
+
+    /**
+     * Bounce a molecule off of the weighted lid, which is an elastic collision with a body of finite mass, so the lid
+     * recoils and the momentum that it gains is accumulated.  Unlike the lid that is moved to a target height, this
+     * doesn't set lidChangedParticleVelocity, since the lid is always moving and the thermostat needs to keep running
+     * for the pressure to be held constant at the set temperature.
+     * @param {Vector2} moleculeVelocity - updated by this method
+     * @param {number} moleculeMass
+     * @private
+     */
+    bounceOffWeightedLid: function( moleculeVelocity, moleculeMass ) {
+      const relativeVelocity = moleculeVelocity.y - this.multipleParticleModel.weightedLidVelocity;
+      if ( relativeVelocity > 0 ) {
+        const lidMass = this.multipleParticleModel.weightedLidMass;
+        const impulse = 2 * moleculeMass * lidMass / ( moleculeMass + lidMass ) * relativeVelocity;
+        moleculeVelocity.y -= impulse / moleculeMass;
+        this.lidImpulse += impulse;
+      }
+    },
+
     /**
      * Update the motion of the particles and the forces that are acting upon them.  This is the heart of this class,
      * and it is here that the actual Verlet algorithm is contained.
@@ -208,11 +368,115 @@ define( require => {
       // Set initial values for the forces that are acting on each atom or molecule, will be further updated below.
       this.initializeForces( moleculeDataSet );
 
-      // Calculate the forces created through interactions with other atoms/molecules.
+      // Find the pairs of molecules that are close enough to interact with one another.
+      this.updateNeighborList( moleculeDataSet );
+
+      // Calculate the forces created through interactions with other atoms/molecules.  The potential energy and the
+      // virial are accumulated as the forces are calculated, so they're cleared first.
+      this.potentialEnergy = 0;
+      this.virial = 0;
       this.updateInteractionForces( moleculeDataSet );
 
+      // Make sure that the neighbor list didn't change the results.  This is expensive, hence the use of assertSlow.
+      if ( assertSlow && SOMQueryParameters.useNeighborList ) {
+        this.verifyInteractionForces( moleculeDataSet );
+      }
+
       // Update the velocities and rotation rates based on the forces acting on the atoms/molecules.
       this.updateVelocitiesAndRotationRates( moleculeDataSet, timeStep );
+
+      // Now that the velocities and forces are for the same point in time, calculate the virial pressure.
+      this.updateVirialPressure( moleculeDataSet );
+    },
+
+    /**
+     * Update the list of molecule pairs that are close enough to interact.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @private
+     */
+    updateNeighborList: function( moleculeDataSet ) {
+      if ( SOMQueryParameters.useNeighborList ) {
+        this.neighborList.update( moleculeDataSet.moleculeCenterOfMassPositions, moleculeDataSet.numberOfMolecules );
+      }
+      else {
+        this.neighborList.updateBruteForce(
+          moleculeDataSet.moleculeCenterOfMassPositions,
+          moleculeDataSet.numberOfMolecules
+        );
+      }
+    },
+
+    /**
+     * Verify that the interaction forces and torques that were calculated using the cell-based neighbor list match
+     * those calculated when every molecule is compared with every other one.  The state of this algorithm and of the
+     * data set are left unchanged.  This is a debugging aid, and is too slow to be used in normal operation.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @private
+     */
+    verifyInteractionForces: function( moleculeDataSet ) {
+
+      const numberOfMolecules = moleculeDataSet.numberOfMolecules;
+      const nextMoleculeForces = moleculeDataSet.nextMoleculeForces;
+      const nextMoleculeTorques = moleculeDataSet.nextMoleculeTorques;
+      const potentialEnergy = this.potentialEnergy;
+      const virial = this.virial;
+      let i;
+
+      // Save the values that were calculated using the neighbor list.
+      const forces = [];
+      const torques = [];
+      for ( i = 0; i < numberOfMolecules; i++ ) {
+        forces.push( nextMoleculeForces[ i ].copy() );
+        torques.push( nextMoleculeTorques[ i ] );
+      }
+
+      // Recalculate using brute force.
+      this.initializeForces( moleculeDataSet );
+      this.neighborList.updateBruteForce( moleculeDataSet.moleculeCenterOfMassPositions, numberOfMolecules );
+      this.updateInteractionForces( moleculeDataSet );
+
+      // Compare, then restore the original values.
+      const isClose = ( value1, value2 ) =>
+        Math.abs( value1 - value2 ) <= FORCE_VERIFICATION_TOLERANCE * Math.max( 1, Math.abs( value1 ) );
+      for ( i = 0; i < numberOfMolecules; i++ ) {
+        assertSlow(
+          isClose( forces[ i ].x, nextMoleculeForces[ i ].x ) && isClose( forces[ i ].y, nextMoleculeForces[ i ].y ),
+          `neighbor list force mismatch for molecule ${i}: ${forces[ i ]} vs ${nextMoleculeForces[ i ]}`
+        );
+        assertSlow(
+          isClose( torques[ i ], nextMoleculeTorques[ i ] ),
+          `neighbor list torque mismatch for molecule ${i}: ${torques[ i ]} vs ${nextMoleculeTorques[ i ]}`
+        );
+        nextMoleculeForces[ i ].set( forces[ i ] );
+        nextMoleculeTorques[ i ] = torques[ i ];
+      }
+      this.potentialEnergy = potentialEnergy;
+      this.virial = virial;
+      this.updateNeighborList( moleculeDataSet );
+    },
+
+    /**
+     * Get the potential energy of the interactions between the molecules as of the most recent step, in normalized
+     * model units.
+     * @returns {number}
+     * @public
+     */
+    getPotentialEnergy: function() {
+      return this.potentialEnergy;
+    },
+
+    /**
+     * Get the thermal energy, i.e. k times the temperature, that sets the distribution of the molecule velocities when
+     * the particles are at the provided temperature.  In two dimensions each degree of freedom - two for translation
+     * and one for rotation of multi-atom molecules - has half of this energy on average, but the temperature is
+     * calculated from the kinetic energy using a fixed ratio, so the thermal energy is not simply the temperature.
+     * @param {number} temperature - in normalized model units
+     * @returns {number}
+     * @public
+     */
+    getThermalEnergy: function( temperature ) {
+      const degreesOfFreedom = this.multipleParticleModel.moleculeDataSet.atomsPerMolecule > 1 ? 3 : 2;
+      return temperature * this.KINETIC_ENERGY_PER_TEMPERATURE * 2 / degreesOfFreedom;
     },
 
     // @protected
@@ -294,9 +558,113 @@ define( require => {
       }
     },
 
+    /**
+     * Calculate the pressure from the virial theorem, which in two dimensions is P = ( N * k * T + W / 2 ) / A, where
+     * N * k * T is the translational kinetic energy of the molecules, W is the virial, and A is the area in which they
+     * can move.  Unlike the wall-based pressure, this includes the effect of the forces between the molecules and
+     * responds immediately, but it assumes that the molecules are spread throughout the container, so it doesn't match
+     * the wall-based value when gravity has pulled a liquid or solid to the bottom.
+     *
+     * The wall-based pressure is the sum of the speeds of the molecules that bounce off of the lid and the upper part
+     * of the side walls per unit time, so this is converted to the same units by multiplying it by the length of those
+     * walls and dividing it by twice the molecule mass, which is the momentum transferred by a bounce per unit speed.
+     * @param {MoleculeForceAndMotionDataSet} moleculeDataSet
+     * @private
+     */
+    updateVirialPressure: function( moleculeDataSet ) {
+
+      if ( this.multipleParticleModel.isExplodedProperty.get() || moleculeDataSet.getNumberOfMolecules() === 0 ) {
+        this.virialPressureAverage.reset();
+        this.virialPressureProperty.set( 0 );
+        return;
+      }
+
+      const containerWidth = this.multipleParticleModel.normalizedContainerWidth;
+      const containerHeight = this.multipleParticleModel.normalizedContainerHeight;
+      const accessibleWidth = containerWidth - 2 * this.sideBounceInset;
+      const accessibleHeight = containerHeight - this.bottomBounceInset - this.topBounceInset;
+      if ( accessibleWidth <= 0 || accessibleHeight <= 0 ) {
+        return;
+      }
+      const pressure = ( moleculeDataSet.getTotalTranslationalKineticEnergy() + this.virial / 2 ) /
+                       ( accessibleWidth * accessibleHeight );
+      this.virialPressureAverage.addValue(
+        pressure * this.getPressureWallLength() / ( 2 * moleculeDataSet.getMoleculeMass() )
+      );
+      this.virialPressureProperty.set( this.virialPressureAverage.average );
+    },
+
+    /**
+     * Get the length of the walls that are included in the pressure calculation, i.e. the lid and the part of the side
+     * walls that is above the minimum height for accumulating pressure, within which the molecules can move.
+     * @returns {number} - in normalized model units
+     * @public
+     */
+    getPressureWallLength: function() {
+      const containerHeight = this.multipleParticleModel.normalizedContainerHeight;
+      return this.multipleParticleModel.normalizedContainerWidth - 2 * this.sideBounceInset + 2 * Math.max(
+        containerHeight - this.topBounceInset - containerHeight * PRESSURE_ACCUMULATION_MIN_HEIGHT_PROPORTION,
+        0
+      );
+    },
+
+    /**
+     * Get the internal state of this algorithm as an object that can be serialized to JSON.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      return {
+        pressure: this.pressureProperty.get(),
+        virialPressure: this.virialPressureProperty.get(),
+        virialPressureAverage: this.virialPressureAverage.getState(),
+        potentialEnergy: this.potentialEnergy,
+        calculatedTemperature: this.calculatedTemperature,
+        lidChangedParticleVelocity: this.lidChangedParticleVelocity,
+        pressureAccumulatorQueue: this.pressureAccumulatorQueue.getState(),
+        timeAboveExplosionPressure: this.timeAboveExplosionPressure
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+      this.pressureProperty.set( state.pressure );
+
+      // snapshots that were saved before the virial pressure was added don't include it
+      if ( state.virialPressureAverage ) {
+        this.virialPressureProperty.set( state.virialPressure );
+        this.virialPressureAverage.setState( state.virialPressureAverage );
+      }
+      else {
+        this.virialPressureProperty.set( 0 );
+        this.virialPressureAverage.reset();
+      }
+      this.potentialEnergy = state.potentialEnergy;
+      this.calculatedTemperature = state.calculatedTemperature;
+      this.lidChangedParticleVelocity = state.lidChangedParticleVelocity;
+      this.pressureAccumulatorQueue.setState( state.pressureAccumulatorQueue );
+      this.timeAboveExplosionPressure = state.timeAboveExplosionPressure;
+    },
+
     // static final
     PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD: 6.25,
 
+    // wall-based pressure above which the container explodes, in model units
+    EXPLOSION_PRESSURE: EXPLOSION_PRESSURE,
+
+    // Offset that is added to the Lennard-Jones potential so that it is zero at the distance where the interaction is
+    // cut off, i.e. the negative of 4 * ( r^-12 - r^-6 ) at r = 2.5, so that the potential energy doesn't jump when a
+    // pair of molecules moves in or out of range.
+    POTENTIAL_ENERGY_CUTOFF_OFFSET: 0.016316891136,
+
+    // Ratio of the average kinetic energy of a molecule to the temperature, i.e. the factor that is used when the
+    // temperature is calculated from the velocities, see getThermalEnergy.
+    KINETIC_ENERGY_PER_TEMPERATURE: 1.5,
+
     // Constant used to limit the proximity of atoms when calculating the interaction potential.  This does NOT actually
     // limit how close they can get to one another, just the value used in the LJ calculation.  Having such a limit
     // helps to prevent getting huge potential value numbers and thus unmanageably high particle velocities.  It is in
@@ -0,0 +1,133 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for AbstractVerletAlgorithm, which check how the molecules are rethermalized by the thermal wall,
+ * including when the thermal wall is the weighted lid.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ContainerWall = require( 'STATES_OF_MATTER/common/model/ContainerWall' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const ThermostatType = require( 'STATES_OF_MATTER/common/model/ThermostatType' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const NUMBER_OF_SAMPLES = 20000;
+  const DISTRIBUTION_TOLERANCE = 0.03; // relative, about four times the standard error of the averages
+  const WEIGHTED_LID_EQUILIBRATION_STEPS = 1500;
+  const WEIGHTED_LID_SAMPLED_STEPS = 1500;
+  const LID_WEIGHT = 10;
+
+  // the direction away from each wall, into the container
+  const INWARD_NORMALS = new Map( [
+    [ ContainerWall.BOTTOM, new Vector2( 0, 1 ) ],
+    [ ContainerWall.TOP, new Vector2( 0, -1 ) ],
+    [ ContainerWall.LEFT, new Vector2( 1, 0 ) ],
+    [ ContainerWall.RIGHT, new Vector2( -1, 0 ) ]
+  ] );
+
+  /**
+   * @param {number} value
+   * @param {number} expectedValue
+   * @returns {boolean}
+   */
+  const isClose = ( value, expectedValue ) =>
+    Math.abs( value - expectedValue ) <= DISTRIBUTION_TOLERANCE * Math.abs( expectedValue );
+
+  QUnit.module( 'AbstractVerletAlgorithm' );
+
+  QUnit.test( 'molecules leave the thermal wall with the distribution for the temperature of the wall', assert => {
+
+    // Oxygen is used so that the rotation rates are checked too.
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.DIATOMIC_OXYGEN );
+    model.setPhase( PhaseStateEnum.GAS );
+    const moleculeDataSet = model.moleculeDataSet;
+    const algorithm = model.moleculeForceAndMotionCalculator;
+    const moleculeMass = moleculeDataSet.getMoleculeMass();
+    const thermalEnergy = algorithm.getThermalEnergy( model.temperatureSetPointProperty.get() );
+    const speedScaleSquared = thermalEnergy / moleculeMass;
+    const moleculeVelocity = moleculeDataSet.moleculeVelocities[ 0 ];
+
+    ContainerWall.VALUES.forEach( wall => {
+      const inwardNormal = INWARD_NORMALS.get( wall );
+      let minNormalSpeed = Number.POSITIVE_INFINITY;
+      let totalNormalSpeed = 0;
+      let totalNormalSpeedSquared = 0;
+      let totalTangentialVelocity = 0;
+      let totalTangentialVelocitySquared = 0;
+      let totalRotationRateSquared = 0;
+      for ( let i = 0; i < NUMBER_OF_SAMPLES; i++ ) {
+        algorithm.thermalizeMolecule( moleculeDataSet, 0, moleculeMass, wall );
+        const normalSpeed = moleculeVelocity.dot( inwardNormal );
+        const tangentialVelocity = moleculeVelocity.crossScalar( inwardNormal );
+        minNormalSpeed = Math.min( minNormalSpeed, normalSpeed );
+        totalNormalSpeed += normalSpeed;
+        totalNormalSpeedSquared += normalSpeed * normalSpeed;
+        totalTangentialVelocity += tangentialVelocity;
+        totalTangentialVelocitySquared += tangentialVelocity * tangentialVelocity;
+        totalRotationRateSquared += Math.pow( moleculeDataSet.moleculeRotationRates[ 0 ], 2 );
+      }
+
+      // The speed away from the wall has a Rayleigh distribution, and the other component of the velocity and the
+      // rotation rate have normal distributions, all for the thermal energy of the wall.
+      assert.ok( minNormalSpeed >= 0, `${wall.name}: the molecules move away from the wall` );
+      const meanNormalSpeed = totalNormalSpeed / NUMBER_OF_SAMPLES;
+      assert.ok( isClose( meanNormalSpeed, Math.sqrt( Math.PI / 2 * speedScaleSquared ) ),
+        `${wall.name}: mean speed away from the wall ${meanNormalSpeed}` );
+      const meanNormalSpeedSquared = totalNormalSpeedSquared / NUMBER_OF_SAMPLES;
+      assert.ok( isClose( meanNormalSpeedSquared, 2 * speedScaleSquared ),
+        `${wall.name}: mean squared speed away from the wall ${meanNormalSpeedSquared}` );
+      const meanTangentialVelocity = totalTangentialVelocity / NUMBER_OF_SAMPLES;
+      assert.ok( Math.abs( meanTangentialVelocity ) < DISTRIBUTION_TOLERANCE * Math.sqrt( speedScaleSquared ),
+        `${wall.name}: mean velocity along the wall ${meanTangentialVelocity}` );
+      const meanTangentialVelocitySquared = totalTangentialVelocitySquared / NUMBER_OF_SAMPLES;
+      assert.ok( isClose( meanTangentialVelocitySquared, speedScaleSquared ),
+        `${wall.name}: mean squared velocity along the wall ${meanTangentialVelocitySquared}` );
+      const meanRotationRateSquared = totalRotationRateSquared / NUMBER_OF_SAMPLES;
+      assert.ok( isClose( meanRotationRateSquared, thermalEnergy / moleculeDataSet.getMoleculeRotationalInertia() ),
+        `${wall.name}: mean squared rotation rate ${meanRotationRateSquared}` );
+    } );
+  } );
+
+  QUnit.test( 'the pressure under a weighted lid balances the weight when the lid is the thermal wall', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: 1 } ) } );
+    model.substanceProperty.set( SubstanceType.ARGON );
+    model.setPhase( PhaseStateEnum.GAS );
+    model.thermostatTypeProperty.set( ThermostatType.THERMAL_WALL );
+    model.thermalWallProperty.set( ContainerWall.TOP );
+    model.weightedLidEnabledProperty.set( true );
+    model.lidWeightProperty.set( LID_WEIGHT );
+    for ( let i = 0; i < WEIGHTED_LID_EQUILIBRATION_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+    }
+
+    // The virial pressure from the particle engine is converted to force per unit length of wall.
+    const algorithm = model.moleculeForceAndMotionCalculator;
+    const moleculeMass = model.moleculeDataSet.getMoleculeMass();
+    let totalPressure = 0;
+    for ( let i = 0; i < WEIGHTED_LID_SAMPLED_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      totalPressure += algorithm.virialPressureProperty.get() * 2 * moleculeMass / algorithm.getPressureWallLength();
+    }
+    const pressure = totalPressure / WEIGHTED_LID_SAMPLED_STEPS;
+    assert.notOk( model.isExplodedProperty.get(), 'the container is intact' );
+
+    // The molecules that are rethermalized by the lid push it with the momentum that they lose, so the average
+    // pressure is that of the weight of the lid and half of the gas, as it is when the lid doesn't rethermalize them.
+    const gasWeight = model.moleculeDataSet.getNumberOfMolecules() * moleculeMass * -model.gravitationalAcceleration.y;
+    const expectedPressure = ( LID_WEIGHT + gasWeight / 2 ) /
+                             ( model.normalizedContainerWidth - 2 * algorithm.sideBounceInset );
+    assert.ok( Math.abs( pressure - expectedPressure ) < 0.1 * expectedPressure,
+      `pressure ${pressure}, expected ${expectedPressure}` );
+  } );
+} );
@@ -17,7 +17,7 @@ define( require => {
   const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
-  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
   const Utils = require( 'DOT/Utils' );
 
   // constants
@@ -619,17 +619,22 @@ define( require => {
      * @protected
      */
     setParticleConfigurationLiquid: function() {
+      const substance = this.multipleParticleModel.substanceProperty.get();
+      const liquidStateName = SubstanceRegistry.get( substance ).liquidStateName;
+      if ( liquidStateName ) {
 
-      let dataSetToLoad;
+        // find the data for this substance
+        const dataSetToLoad = LIQUID_INITIAL_STATES[ liquidStateName ];
+        assert && assert( dataSetToLoad, 'no saved liquid state for substance: ' + substance );
 
-      // find the data for this substance
-      if ( this.multipleParticleModel.substanceProperty.get() === SubstanceType.DIATOMIC_OXYGEN ) {
-        dataSetToLoad = LIQUID_INITIAL_STATES.oxygen;
+        // load the previously saved state
+        this.loadSavedState( dataSetToLoad );
       }
-      assert && assert( dataSetToLoad, 'unhandled substance: ' + this.multipleParticleModel.substanceProperty.get() );
+      else {
 
-      // load the previously saved state
-      this.loadSavedState( dataSetToLoad );
+        // There is no saved state, so start from the solid and let it melt at the liquid temperature.
+        this.setParticleConfigurationSolid();
+      }
     }
   } );
 } );
@@ -14,6 +14,7 @@ define( require => {
   const AbstractVerletAlgorithm = require( 'STATES_OF_MATTER/common/model/engine/AbstractVerletAlgorithm' );
   const DiatomicAtomPositionUpdater = require( 'STATES_OF_MATTER/common/model/engine/DiatomicAtomPositionUpdater' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
 
   /**
@@ -22,7 +23,13 @@ define( require => {
    */
   function DiatomicVerletAlgorithm( multipleParticleModel ) {
     this.positionUpdater = DiatomicAtomPositionUpdater; // @private
-    AbstractVerletAlgorithm.call( this, multipleParticleModel );
+    AbstractVerletAlgorithm.call( this, multipleParticleModel, {
+
+      // The interaction threshold applies to the individual atoms, which can each be up to half of the atom spacing
+      // away from the molecule's center of mass, so the molecules themselves can interact over a larger distance.
+      interactionRange: Math.sqrt( AbstractVerletAlgorithm.prototype.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) +
+                        SOMConstants.DIATOMIC_PARTICLE_DISTANCE
+    } );
   }
 
   statesOfMatter.register( 'DiatomicVerletAlgorithm', DiatomicVerletAlgorithm );
@@ -38,7 +45,7 @@ define( require => {
       const nextMoleculeForces = moleculeDataSet.nextMoleculeForces;
       const nextMoleculeTorques = moleculeDataSet.nextMoleculeTorques;
       for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
-        nextMoleculeForces[ i ].setXY( 0, accelerationDueToGravity );
+        nextMoleculeForces[ i ].setXY( accelerationDueToGravity.x, accelerationDueToGravity.y );
         nextMoleculeTorques[ i ] = 0;
       }
     },
@@ -54,43 +61,49 @@ define( require => {
       const nextMoleculeForces = moleculeDataSet.getNextMoleculeForces();
       const atomPositions = moleculeDataSet.getAtomPositions();
       const nextMoleculeTorques = moleculeDataSet.getNextMoleculeTorques();
-      const numberOfMolecules = moleculeDataSet.numberOfMolecules;
+      const pairCount = this.neighborList.pairCount;
+      const firstMoleculeIndices = this.neighborList.firstMoleculeIndices;
+      const secondMoleculeIndices = this.neighborList.secondMoleculeIndices;
 
-      for ( let i = 0; i < numberOfMolecules; i++ ) {
+      for ( let pairIndex = 0; pairIndex < pairCount; pairIndex++ ) {
+        const i = firstMoleculeIndices[ pairIndex ];
+        const j = secondMoleculeIndices[ pairIndex ];
         const moleculeCenterOfMassIX = moleculeCenterOfMassPositions[ i ].x;
         const moleculeCenterOfMassIY = moleculeCenterOfMassPositions[ i ].y;
-        for ( let j = i + 1; j < numberOfMolecules; j++ ) {
-          const moleculeCenterOfMassJX = moleculeCenterOfMassPositions[ j ].x;
-          const moleculeCenterOfMassJY = moleculeCenterOfMassPositions[ j ].y;
-          for ( let ii = 0; ii < 2; ii++ ) {
-            const atom1PosX = atomPositions[ 2 * i + ii ].x;
-            const atom1PosY = atomPositions[ 2 * i + ii ].y;
-            for ( let jj = 0; jj < 2; jj++ ) {
-              const atom2PosX = atomPositions[ 2 * j + jj ].x;
-              const atom2PosY = atomPositions[ 2 * j + jj ].y;
-
-              // Calculate the distance between the potentially interacting atoms.
-              const dx = atom1PosX - atom2PosX;
-              const dy = atom1PosY - atom2PosY;
-              let distanceSquared = dx * dx + dy * dy;
-              if ( distanceSquared < this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) {
-                if ( distanceSquared < this.MIN_DISTANCE_SQUARED ) {
-                  distanceSquared = this.MIN_DISTANCE_SQUARED;
-                }
-                // Calculate the Lennard-Jones interaction forces.
-                const r2inv = 1 / distanceSquared;
-                const r6inv = r2inv * r2inv * r2inv;
-                const forceScalar = 48 * r2inv * r6inv * (r6inv - 0.5);
-                const fx = dx * forceScalar;
-                const fy = dy * forceScalar;
-                nextMoleculeForces[ i ].addXY( fx, fy );
-                nextMoleculeForces[ j ].subtractXY( fx, fy );
-                nextMoleculeTorques[ i ] += ( atom1PosX - moleculeCenterOfMassIX ) * fy -
-                                            ( atom1PosY - moleculeCenterOfMassIY ) * fx;
-                nextMoleculeTorques[ j ] -= ( atom2PosX - moleculeCenterOfMassJX ) * fy -
-                                            ( atom2PosY - moleculeCenterOfMassJY ) * fx;
-                this.potentialEnergy += 4 * r6inv * ( r6inv - 1 ) + 0.016316891136;
+        const moleculeCenterOfMassJX = moleculeCenterOfMassPositions[ j ].x;
+        const moleculeCenterOfMassJY = moleculeCenterOfMassPositions[ j ].y;
+        for ( let ii = 0; ii < 2; ii++ ) {
+          const atom1PosX = atomPositions[ 2 * i + ii ].x;
+          const atom1PosY = atomPositions[ 2 * i + ii ].y;
+          for ( let jj = 0; jj < 2; jj++ ) {
+            const atom2PosX = atomPositions[ 2 * j + jj ].x;
+            const atom2PosY = atomPositions[ 2 * j + jj ].y;
+
+            // Calculate the distance between the potentially interacting atoms.
+            const dx = atom1PosX - atom2PosX;
+            const dy = atom1PosY - atom2PosY;
+            let distanceSquared = dx * dx + dy * dy;
+            if ( distanceSquared < this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) {
+              if ( distanceSquared < this.MIN_DISTANCE_SQUARED ) {
+                distanceSquared = this.MIN_DISTANCE_SQUARED;
               }
+              // Calculate the Lennard-Jones interaction forces.
+              const r2inv = 1 / distanceSquared;
+              const r6inv = r2inv * r2inv * r2inv;
+              const forceScalar = 48 * r2inv * r6inv * (r6inv - 0.5);
+              const fx = dx * forceScalar;
+              const fy = dy * forceScalar;
+              nextMoleculeForces[ i ].addXY( fx, fy );
+              nextMoleculeForces[ j ].subtractXY( fx, fy );
+              nextMoleculeTorques[ i ] += ( atom1PosX - moleculeCenterOfMassIX ) * fy -
+                                          ( atom1PosY - moleculeCenterOfMassIY ) * fx;
+              nextMoleculeTorques[ j ] -= ( atom2PosX - moleculeCenterOfMassJX ) * fy -
+                                          ( atom2PosY - moleculeCenterOfMassJY ) * fx;
+              this.potentialEnergy += 4 * r6inv * ( r6inv - 1 ) + this.POTENTIAL_ENERGY_CUTOFF_OFFSET;
+
+              // The virial is for the molecules, so it uses the separation of their centers of mass.
+              this.virial += ( moleculeCenterOfMassIX - moleculeCenterOfMassJX ) * fx +
+                             ( moleculeCenterOfMassIY - moleculeCenterOfMassJY ) * fy;
             }
           }
         }
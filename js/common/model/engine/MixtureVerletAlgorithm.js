@@ -0,0 +1,182 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Implementation of the Verlet algorithm for a mixture of monatomic substances.  This differs from the monatomic
+ * version in that the Lennard-Jones sigma and epsilon depend on the components to which the two atoms in each pair
+ * belong, which are given by the component indices in the data set, and that the atoms of each component have their
+ * own mass, so the forces are converted to accelerations and the kinetic energy is weighted by mass.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const MonatomicVerletAlgorithm = require( 'STATES_OF_MATTER/common/model/engine/MonatomicVerletAlgorithm' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel of the simulation
+   * @param {{sigmas: number[][], epsilons: number[][]}} scaledPairParameters - Lennard-Jones parameters for each pair
+   * of components in normalized units, see MixingRules.getScaledPairParameters
+   * @constructor
+   */
+  function MixtureVerletAlgorithm( multipleParticleModel, scaledPairParameters ) {
+
+    // The interaction range grows with sigma so that the potential is cut off at the same relative distance for all
+    // pairs.
+    MonatomicVerletAlgorithm.call( this, multipleParticleModel, {
+      interactionRange: Math.sqrt( this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) *
+                        MixtureVerletAlgorithm.getMaxSigma( scaledPairParameters )
+    } );
+
+    const numberOfComponents = scaledPairParameters.sigmas.length;
+
+    // @private - per-pair values, indexed by firstComponentIndex * numberOfComponents + secondComponentIndex, stored in
+    // flat arrays for fast access in the force calculation
+    this.numberOfComponents = numberOfComponents;
+    this.pairSigmasSquared = [];
+    this.pairEpsilons = [];
+    this.pairInteractionDistancesSquared = [];
+    this.pairMinDistancesSquared = [];
+    for ( let i = 0; i < numberOfComponents; i++ ) {
+      for ( let j = 0; j < numberOfComponents; j++ ) {
+        const sigmaSquared = scaledPairParameters.sigmas[ i ][ j ] * scaledPairParameters.sigmas[ i ][ j ];
+        this.pairSigmasSquared.push( sigmaSquared );
+        this.pairEpsilons.push( scaledPairParameters.epsilons[ i ][ j ] );
+        this.pairInteractionDistancesSquared.push( this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD * sigmaSquared );
+        this.pairMinDistancesSquared.push( this.MIN_DISTANCE_SQUARED * sigmaSquared );
+      }
+    }
+  }
+
+  statesOfMatter.register( 'MixtureVerletAlgorithm', MixtureVerletAlgorithm );
+
+  return inherit( MonatomicVerletAlgorithm, MixtureVerletAlgorithm, {
+
+    /**
+     * @param {MoleculeForcesAndMotionDataSet} moleculeDataSet
+     * @override
+     * @protected
+     */
+    initializeForces: function( moleculeDataSet ) {
+      const accelerationDueToGravity = this.multipleParticleModel.gravitationalAcceleration;
+      const nextAtomForces = moleculeDataSet.nextMoleculeForces;
+      for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
+        const massOfMolecule = moleculeDataSet.getMassOfMolecule( i );
+        nextAtomForces[ i ].set( accelerationDueToGravity ).multiplyScalar( massOfMolecule );
+      }
+    },
+
+    /**
+     * @param {MoleculeForcesAndMotionDataSet} moleculeDataSet
+     * @override
+     * @private
+     */
+    updateInteractionForces: function( moleculeDataSet ) {
+
+      const atomCenterOfMassPositions = moleculeDataSet.moleculeCenterOfMassPositions;
+      const componentIndices = moleculeDataSet.moleculeComponentIndices;
+      const nextAtomForces = moleculeDataSet.nextMoleculeForces;
+      const pairCount = this.neighborList.pairCount;
+      const firstAtomIndices = this.neighborList.firstMoleculeIndices;
+      const secondAtomIndices = this.neighborList.secondMoleculeIndices;
+
+      for ( let pairIndex = 0; pairIndex < pairCount; pairIndex++ ) {
+
+        const i = firstAtomIndices[ pairIndex ];
+        const j = secondAtomIndices[ pairIndex ];
+        const componentPairIndex = componentIndices[ i ] * this.numberOfComponents + componentIndices[ j ];
+
+        let dx = atomCenterOfMassPositions[ i ].x - atomCenterOfMassPositions[ j ].x;
+        let dy = atomCenterOfMassPositions[ i ].y - atomCenterOfMassPositions[ j ].y;
+        let distanceSqrd = Math.max( dx * dx + dy * dy, this.pairMinDistancesSquared[ componentPairIndex ] );
+
+        if ( distanceSqrd === 0 ) {
+          // Handle the special case where the particles are right on top of each other by assigning an arbitrary
+          // spacing. In general, this only happens when injecting new particles.
+          dx = 1;
+          dy = 1;
+          distanceSqrd = 2;
+        }
+
+        if ( distanceSqrd < this.pairInteractionDistancesSquared[ componentPairIndex ] ) {
+
+          // This is the same as the monatomic calculation with the distance expressed in units of sigma for the pair.
+          const r2inv = 1 / distanceSqrd;
+          const sigmaSquaredOverR2 = this.pairSigmasSquared[ componentPairIndex ] * r2inv;
+          const r6inv = sigmaSquaredOverR2 * sigmaSquaredOverR2 * sigmaSquaredOverR2;
+          const scaledEpsilon = this.pairEpsilons[ componentPairIndex ] * this.epsilon;
+          const forceScalar = 48 * r2inv * r6inv * ( r6inv - 0.5 ) * scaledEpsilon;
+          const forceX = dx * forceScalar;
+          const forceY = dy * forceScalar;
+          nextAtomForces[ i ].addXY( forceX, forceY );
+          nextAtomForces[ j ].subtractXY( forceX, forceY );
+
+          // The cutoff scales with sigma, so the same offset makes the potential zero at the cutoff.
+          this.potentialEnergy += ( 4 * r6inv * ( r6inv - 1 ) + this.POTENTIAL_ENERGY_CUTOFF_OFFSET ) * scaledEpsilon;
+          this.virial += dx * forceX + dy * forceY;
+        }
+      }
+    },
+
+    /**
+     * @param {MoleculeForcesAndMotionDataSet} moleculeDataSet
+     * @param {number} timeStep
+     * @override
+     * @protected
+     */
+    updateVelocitiesAndRotationRates: function( moleculeDataSet, timeStep ) {
+
+      const numberOfAtoms = moleculeDataSet.numberOfAtoms;
+      const atomVelocities = moleculeDataSet.moleculeVelocities;
+      const atomForces = moleculeDataSet.moleculeForces;
+      const nextAtomForces = moleculeDataSet.nextMoleculeForces;
+      const timeStepHalf = timeStep / 2;
+      let totalKineticEnergy = 0;
+      const velocityVector = this.velocityVector;
+
+      // Update the atom velocities based upon the forces that are acting on them and the mass of each atom, then
+      // calculate the kinetic energy.
+      for ( let i = 0; i < numberOfAtoms; i++ ) {
+        const atomVelocity = atomVelocities[ i ];
+        const atomForce = atomForces[ i ];
+        const atomMass = moleculeDataSet.getMassOfMolecule( i );
+        velocityVector.setXY(
+          atomVelocity.x + timeStepHalf * ( atomForce.x + nextAtomForces[ i ].x ) / atomMass,
+          atomVelocity.y + timeStepHalf * ( atomForce.y + nextAtomForces[ i ].y ) / atomMass
+        );
+        if ( velocityVector.magnitude > 10 ) {
+          velocityVector.setMagnitude( 10 );
+        }
+
+        atomVelocity.set( velocityVector );
+        totalKineticEnergy += atomMass * ( atomVelocity.x * atomVelocity.x + atomVelocity.y * atomVelocity.y ) / 2;
+
+        // update to the new force value for the next model step
+        atomForce.setXY( nextAtomForces[ i ].x, nextAtomForces[ i ].y );
+      }
+
+      // Update the temperature.
+      if ( numberOfAtoms > 0 ) {
+        this.calculatedTemperature = ( 2 / 3 ) * ( totalKineticEnergy / numberOfAtoms );
+      }
+      else {
+        this.calculatedTemperature = this.multipleParticleModel.minModelTemperature;
+      }
+    }
+  }, {
+
+    /**
+     * Get the largest sigma among the pairs, in normalized units, which is useful for spacing molecules so that they
+     * don't start out overlapping.
+     * @param {{sigmas: number[][], epsilons: number[][]}} scaledPairParameters
+     * @returns {number}
+     * @public
+     */
+    getMaxSigma: function( scaledPairParameters ) {
+      return _.max( _.flatten( scaledPairParameters.sigmas ) );
+    }
+  } );
+} );
@@ -0,0 +1,84 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for MixtureVerletAlgorithm, which check that the atoms of each component of a mixture move according to
+ * their own mass.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MixingRules = require( 'STATES_OF_MATTER/common/model/MixingRules' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+
+  // constants
+  const SEED = 1;
+  const EQUILIBRATION_STEPS = 500;
+  const SAMPLED_STEPS = 1500;
+  const SAMPLE_INTERVAL = 10; // in steps
+
+  /**
+   * Create a model of a gaseous mixture of neon and argon, in which the argon atoms are about twice as heavy.
+   * @returns {MultipleParticleModel}
+   */
+  const createMixtureModel = () => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: SEED } ) } );
+    model.mixtureSubstanceProperty.set( SubstanceType.ARGON );
+    model.mixtureFractionProperty.set( 0.5 );
+    model.substanceProperty.set( SubstanceType.NEON );
+    model.setPhase( PhaseStateEnum.GAS );
+    return model;
+  };
+
+  QUnit.module( 'MixtureVerletAlgorithm' );
+
+  QUnit.test( 'components have the masses of their substances', assert => {
+    const model = createMixtureModel();
+    const expectedMasses = MixingRules.getScaledMasses( [ SubstanceType.NEON, SubstanceType.ARGON ] );
+    assert.ok( model.isMixture(), 'the model holds a mixture' );
+    assert.deepEqual( model.moleculeDataSet.componentMasses, expectedMasses, 'masses of the components' );
+    assert.ok( expectedMasses[ 1 ] > 1.9 && expectedMasses[ 1 ] < 2.1, 'argon is about twice as heavy as neon' );
+  } );
+
+  QUnit.test( 'temperature is calculated from the mass-weighted kinetic energy', assert => {
+
+    // The algorithm is stepped on its own, since the thermostat changes the velocities after the temperature is found.
+    const model = createMixtureModel();
+    model.moleculeForceAndMotionCalculator.updateForcesAndMotion( SOMConstants.NOMINAL_TIME_STEP );
+    const calculatedTemperature = model.moleculeForceAndMotionCalculator.calculatedTemperature;
+    const expectedTemperature = model.moleculeDataSet.getTemperature();
+    assert.ok( Math.abs( calculatedTemperature - expectedTemperature ) < 1E-9 * expectedTemperature,
+      `calculated ${calculatedTemperature}, expected ${expectedTemperature}` );
+  } );
+
+  QUnit.test( 'heavier atoms move more slowly at the same temperature', assert => {
+
+    // At equilibrium the average kinetic energy is the same for both components, so the ratio of the mean squared
+    // speeds is the inverse of the ratio of the masses.
+    const model = createMixtureModel();
+    const moleculeDataSet = model.moleculeDataSet;
+    const sumsOfSquaredSpeeds = [ 0, 0 ];
+    const counts = [ 0, 0 ];
+    for ( let i = 0; i < EQUILIBRATION_STEPS + SAMPLED_STEPS; i++ ) {
+      model.step( SOMConstants.NOMINAL_TIME_STEP );
+      if ( i >= EQUILIBRATION_STEPS && i % SAMPLE_INTERVAL === 0 ) {
+        for ( let j = 0; j < moleculeDataSet.getNumberOfMolecules(); j++ ) {
+          const componentIndex = moleculeDataSet.moleculeComponentIndices[ j ];
+          sumsOfSquaredSpeeds[ componentIndex ] += moleculeDataSet.moleculeVelocities[ j ].magnitudeSquared;
+          counts[ componentIndex ]++;
+        }
+      }
+    }
+    const speedRatio = ( sumsOfSquaredSpeeds[ 1 ] / counts[ 1 ] ) / ( sumsOfSquaredSpeeds[ 0 ] / counts[ 0 ] );
+    const expectedRatio = 1 / moleculeDataSet.componentMasses[ 1 ];
+    assert.ok( Math.abs( speedRatio - expectedRatio ) < 0.3 * expectedRatio,
+      `ratio of mean squared speeds ${speedRatio}, expected about ${expectedRatio}` );
+  } );
+} );
@@ -0,0 +1,2007 @@
+// Copyright 2014-2020, University of Colorado Boulder
+
+/**
+ * Initial positions and velocities for the monatomic substances in the liquid phase, which is hard to create
+ * algorithmically.  This file is generated by scripts/generate-liquid-initial-states.js and should not be edited by
+ * hand.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // static object (no constructor)
+  const MonatomicLiquidInitialStates = {
+    neon: {
+      numberOfMolecules: 100,
+      atomsPerMolecule: 1,
+      moleculeCenterOfMassPositions: [
+        {
+          x: 3.282,
+          y: 1.815
+        },
+        {
+          x: 2.374,
+          y: 2.296
+        },
+        {
+          x: 4.049,
+          y: 2.94
+        },
+        {
+          x: 4.357,
+          y: 1.844
+        },
+        {
+          x: 11.584,
+          y: 2.319
+        },
+        {
+          x: 12.551,
+          y: 1.848
+        },
+        {
+          x: 14.191,
+          y: 1.944
+        },
+        {
+          x: 16.93,
+          y: 2.226
+        },
+        {
+          x: 23.444,
+          y: 3.779
+        },
+        {
+          x: 17.783,
+          y: 1.152
+        },
+        {
+          x: 3.841,
+          y: 4.138
+        },
+        {
+          x: 7.623,
+          y: 1.792
+        },
+        {
+          x: 5.83,
+          y: 1.217
+        },
+        {
+          x: 10.432,
+          y: 2.54
+        },
+        {
+          x: 12.067,
+          y: 4.137
+        },
+        {
+          x: 13.348,
+          y: 3.819
+        },
+        {
+          x: 13.326,
+          y: 2.581
+        },
+        {
+          x: 16.345,
+          y: 3.317
+        },
+        {
+          x: 16.444,
+          y: 1.167
+        },
+        {
+          x: 22.147,
+          y: 4.093
+        },
+        {
+          x: 5.243,
+          y: 2.378
+        },
+        {
+          x: 6.377,
+          y: 2.194
+        },
+        {
+          x: 8.505,
+          y: 1.159
+        },
+        {
+          x: 9.51,
+          y: 1.493
+        },
+        {
+          x: 11.209,
+          y: 3.449
+        },
+        {
+          x: 11.125,
+          y: 4.746
+        },
+        {
+          x: 14.37,
+          y: 6.08
+        },
+        {
+          x: 14.348,
+          y: 3.12
+        },
+        {
+          x: 21.08,
+          y: 1.213
+        },
+        {
+          x: 18.11,
+          y: 2.43
+        },
+        {
+          x: 1.32,
+          y: 2.245
+        },
+        {
+          x: 6.164,
+          y: 3.378
+        },
+        {
+          x: 8.517,
+          y: 2.318
+        },
+        {
+          x: 9.554,
+          y: 3.273
+        },
+        {
+          x: 12.334,
+          y: 3.072
+        },
+        {
+          x: 12.854,
+          y: 4.914
+        },
+        {
+          x: 14.74,
+          y: 4.122
+        },
+        {
+          x: 15.437,
+          y: 2.581
+        },
+        {
+          x: 20.008,
+          y: 1.331
+        },
+        {
+          x: 20.695,
+          y: 4.282
+        },
+        {
+          x: 2.99,
+          y: 3.458
+        },
+        {
+          x: 4.636,
+          y: 5.62
+        },
+        {
+          x: 8.169,
+          y: 3.508
+        },
+        {
+          x: 9.171,
+          y: 4.323
+        },
+        {
+          x: 10.356,
+          y: 4.098
+        },
+        {
+          x: 15.591,
+          y: 6.129
+        },
+        {
+          x: 13.98,
+          y: 5.081
+        },
+        {
+          x: 15.88,
+          y: 4.334
+        },
+        {
+          x: 17.552,
+          y: 3.299
+        },
+        {
+          x: 18.728,
+          y: 3.328
+        },
+        {
+          x: 7.179,
+          y: 3.841
+        },
+        {
+          x: 7.313,
+          y: 2.806
+        },
+        {
+          x: 8.978,
+          y: 5.391
+        },
+        {
+          x: 9.965,
+          y: 5.123
+        },
+        {
+          x: 10.911,
+          y: 5.812
+        },
+        {
+          x: 16.338,
+          y: 5.216
+        },
+        {
+          x: 15.04,
+          y: 5.174
+        },
+        {
+          x: 16.949,
+          y: 4.321
+        },
+        {
+          x: 18.104,
+          y: 4.295
+        },
+        {
+          x: 19.975,
+          y: 3.411
+        },
+        {
+          x: 5.114,
+          y: 3.548
+        },
+        {
+          x: 6.877,
+          y: 4.866
+        },
+        {
+          x: 8.09,
+          y: 4.621
+        },
+        {
+          x: 10.662,
+          y: 6.91
+        },
+        {
+          x: 9.75,
+          y: 6.303
+        },
+        {
+          x: 13.636,
+          y: 6.93
+        },
+        {
+          x: 14.084,
+          y: 7.896
+        },
+        {
+          x: 16.717,
+          y: 6.313
+        },
+        {
+          x: 19.137,
+          y: 6.372
+        },
+        {
+          x: 19.146,
+          y: 4.391
+        },
+        {
+          x: 5.88,
+          y: 4.465
+        },
+        {
+          x: 8.638,
+          y: 6.486
+        },
+        {
+          x: 12.115,
+          y: 8.748
+        },
+        {
+          x: 11.901,
+          y: 5.455
+        },
+        {
+          x: 15.43,
+          y: 8.102
+        },
+        {
+          x: 12.671,
+          y: 7.532
+        },
+        {
+          x: 13.234,
+          y: 8.807
+        },
+        {
+          x: 17.441,
+          y: 5.257
+        },
+        {
+          x: 20.987,
+          y: 5.192
+        },
+        {
+          x: 19.782,
+          y: 5.239
+        },
+        {
+          x: 2.774,
+          y: 4.55
+        },
+        {
+          x: 7.824,
+          y: 5.757
+        },
+        {
+          x: 6.768,
+          y: 6.067
+        },
+        {
+          x: 9.638,
+          y: 7.495
+        },
+        {
+          x: 11.596,
+          y: 7.521
+        },
+        {
+          x: 18.011,
+          y: 6.271
+        },
+        {
+          x: 16.04,
+          y: 7.193
+        },
+        {
+          x: 20.086,
+          y: 6.761
+        },
+        {
+          x: 24.076,
+          y: 4.725
+        },
+        {
+          x: 27.463,
+          y: 3.208
+        },
+        {
+          x: 5.746,
+          y: 5.645
+        },
+        {
+          x: 17.383,
+          y: 7.185
+        },
+        {
+          x: 7.565,
+          y: 6.938
+        },
+        {
+          x: 12.026,
+          y: 6.531
+        },
+        {
+          x: 13.262,
+          y: 5.85
+        },
+        {
+          x: 14.719,
+          y: 7.093
+        },
+        {
+          x: 18.569,
+          y: 5.356
+        },
+        {
+          x: 23.08,
+          y: 5.013
+        },
+        {
+          x: 24.495,
+          y: 3.733
+        },
+        {
+          x: 19.379,
+          y: 2.361
+        }
+      ],
+      moleculeVelocities: [
+        {
+          x: -0.775,
+          y: -0.461
+        },
+        {
+          x: -0.912,
+          y: -0.326
+        },
+        {
+          x: -0.411,
+          y: 0.172
+        },
+        {
+          x: -0.226,
+          y: -0.364
+        },
+        {
+          x: 0.892,
+          y: 0.153
+        },
+        {
+          x: -1.042,
+          y: 0.728
+        },
+        {
+          x: 0.453,
+          y: -0.455
+        },
+        {
+          x: 1.236,
+          y: -0.081
+        },
+        {
+          x: -0.953,
+          y: -0.048
+        },
+        {
+          x: -0.48,
+          y: -0.556
+        },
+        {
+          x: 1.226,
+          y: 0.435
+        },
+        {
+          x: 0.834,
+          y: 0.582
+        },
+        {
+          x: -0.375,
+          y: 1.124
+        },
+        {
+          x: 0.356,
+          y: 0.165
+        },
+        {
+          x: -1.16,
+          y: -0.24
+        },
+        {
+          x: -0.972,
+          y: -0.795
+        },
+        {
+          x: 0.498,
+          y: -0.318
+        },
+        {
+          x: -0.44,
+          y: 0.571
+        },
+        {
+          x: 0.515,
+          y: 0.051
+        },
+        {
+          x: 0.055,
+          y: -0.182
+        },
+        {
+          x: 0.23,
+          y: 0.194
+        },
+        {
+          x: 0.988,
+          y: 0.215
+        },
+        {
+          x: -0.491,
+          y: -1.118
+        },
+        {
+          x: -0.432,
+          y: 0.702
+        },
+        {
+          x: 1.131,
+          y: 0.821
+        },
+        {
+          x: 0.681,
+          y: -0.085
+        },
+        {
+          x: -1.317,
+          y: -0.952
+        },
+        {
+          x: 0.475,
+          y: -0.326
+        },
+        {
+          x: 0.625,
+          y: -0.143
+        },
+        {
+          x: -0.361,
+          y: -0.529
+        },
+        {
+          x: 0.66,
+          y: -1.007
+        },
+        {
+          x: -0.561,
+          y: 0.035
+        },
+        {
+          x: -0.221,
+          y: 0.037
+        },
+        {
+          x: -0.984,
+          y: 0.138
+        },
+        {
+          x: -1.326,
+          y: 0.661
+        },
+        {
+          x: -0.503,
+          y: -1.251
+        },
+        {
+          x: -0.616,
+          y: 0.366
+        },
+        {
+          x: 0.378,
+          y: 0.16
+        },
+        {
+          x: 0.492,
+          y: 0.911
+        },
+        {
+          x: 0.328,
+          y: 0.298
+        },
+        {
+          x: -0.641,
+          y: 0.825
+        },
+        {
+          x: -0.208,
+          y: 0.947
+        },
+        {
+          x: -0.445,
+          y: 0.053
+        },
+        {
+          x: -0.477,
+          y: 0.065
+        },
+        {
+          x: -0.045,
+          y: -0.178
+        },
+        {
+          x: 0.705,
+          y: 0.488
+        },
+        {
+          x: 1.036,
+          y: 0.455
+        },
+        {
+          x: 0.698,
+          y: -0.528
+        },
+        {
+          x: -0.332,
+          y: -0.133
+        },
+        {
+          x: 0.298,
+          y: -0.421
+        },
+        {
+          x: 0.225,
+          y: -0.191
+        },
+        {
+          x: 0.34,
+          y: 0.791
+        },
+        {
+          x: 0.418,
+          y: -0.56
+        },
+        {
+          x: -0.38,
+          y: 0.051
+        },
+        {
+          x: -1.202,
+          y: -0.281
+        },
+        {
+          x: 0.399,
+          y: -0.31
+        },
+        {
+          x: -1.122,
+          y: 0.687
+        },
+        {
+          x: 0.506,
+          y: -0.644
+        },
+        {
+          x: -0.07,
+          y: 0.002
+        },
+        {
+          x: 0.713,
+          y: 0.218
+        },
+        {
+          x: -0.594,
+          y: 0.546
+        },
+        {
+          x: 0.581,
+          y: 0.272
+        },
+        {
+          x: -0.039,
+          y: -0.055
+        },
+        {
+          x: 0.832,
+          y: -0.069
+        },
+        {
+          x: 1.113,
+          y: 0.251
+        },
+        {
+          x: 0.416,
+          y: -0.542
+        },
+        {
+          x: 0.466,
+          y: -1.86
+        },
+        {
+          x: 0.597,
+          y: 1.253
+        },
+        {
+          x: 0.593,
+          y: -0.977
+        },
+        {
+          x: 0.432,
+          y: 0.599
+        },
+        {
+          x: -0.714,
+          y: 0.532
+        },
+        {
+          x: -0.555,
+          y: 0.498
+        },
+        {
+          x: -0.857,
+          y: -0.994
+        },
+        {
+          x: -0.207,
+          y: -0.076
+        },
+        {
+          x: 0.162,
+          y: 0.844
+        },
+        {
+          x: -0.954,
+          y: 0.264
+        },
+        {
+          x: -0.204,
+          y: 0.08
+        },
+        {
+          x: 0.526,
+          y: -0.458
+        },
+        {
+          x: 1.16,
+          y: -0.652
+        },
+        {
+          x: 0.204,
+          y: -0.811
+        },
+        {
+          x: 0.665,
+          y: -0.089
+        },
+        {
+          x: -0.655,
+          y: 0.149
+        },
+        {
+          x: 0.45,
+          y: -0.472
+        },
+        {
+          x: -0.247,
+          y: 0.459
+        },
+        {
+          x: 0.029,
+          y: -0.896
+        },
+        {
+          x: -0.651,
+          y: 0.221
+        },
+        {
+          x: -0.242,
+          y: -0.599
+        },
+        {
+          x: -0.593,
+          y: 0.244
+        },
+        {
+          x: -0.196,
+          y: -0.391
+        },
+        {
+          x: -0.62,
+          y: 0.382
+        },
+        {
+          x: -0.646,
+          y: 0.286
+        },
+        {
+          x: 0.667,
+          y: 0.41
+        },
+        {
+          x: 0.208,
+          y: -0.392
+        },
+        {
+          x: 0.072,
+          y: 0.112
+        },
+        {
+          x: -0.3,
+          y: -0.107
+        },
+        {
+          x: 0.177,
+          y: -0.518
+        },
+        {
+          x: 0.268,
+          y: 0.762
+        },
+        {
+          x: 0.362,
+          y: -0.544
+        },
+        {
+          x: 0.964,
+          y: 1.49
+        },
+        {
+          x: -0.581,
+          y: 0.23
+        }
+      ]
+    },
+    argon: {
+      numberOfMolecules: 64,
+      atomsPerMolecule: 1,
+      moleculeCenterOfMassPositions: [
+        {
+          x: 12.265,
+          y: 1.497
+        },
+        {
+          x: 12.638,
+          y: 2.599
+        },
+        {
+          x: 7.415,
+          y: 2.441
+        },
+        {
+          x: 21.499,
+          y: 2.178
+        },
+        {
+          x: 15.164,
+          y: 6.41
+        },
+        {
+          x: 15.647,
+          y: 4.068
+        },
+        {
+          x: 14.414,
+          y: 2.304
+        },
+        {
+          x: 15.498,
+          y: 7.588
+        },
+        {
+          x: 11.496,
+          y: 3.558
+        },
+        {
+          x: 10.669,
+          y: 2.9
+        },
+        {
+          x: 15.392,
+          y: 2.616
+        },
+        {
+          x: 13.668,
+          y: 3.168
+        },
+        {
+          x: 14.608,
+          y: 3.612
+        },
+        {
+          x: 16.332,
+          y: 3.289
+        },
+        {
+          x: 14.046,
+          y: 5.827
+        },
+        {
+          x: 16.657,
+          y: 4.604
+        },
+        {
+          x: 4.416,
+          y: 1
+        },
+        {
+          x: 9.621,
+          y: 2.467
+        },
+        {
+          x: 6.405,
+          y: 3.299
+        },
+        {
+          x: 11.543,
+          y: 2.223
+        },
+        {
+          x: 11.232,
+          y: 5.85
+        },
+        {
+          x: 13.656,
+          y: 4.201
+        },
+        {
+          x: 15.702,
+          y: 5.338
+        },
+        {
+          x: 19.024,
+          y: 15.283
+        },
+        {
+          x: 10.426,
+          y: 1.703
+        },
+        {
+          x: 7.54,
+          y: 3.616
+        },
+        {
+          x: 9.763,
+          y: 3.694
+        },
+        {
+          x: 10.676,
+          y: 4.541
+        },
+        {
+          x: 11.772,
+          y: 4.732
+        },
+        {
+          x: 12.607,
+          y: 3.846
+        },
+        {
+          x: 14.581,
+          y: 4.799
+        },
+        {
+          x: 12.815,
+          y: 4.977
+        },
+        {
+          x: 8.361,
+          y: 2.874
+        },
+        {
+          x: 7.486,
+          y: 1.406
+        },
+        {
+          x: 8.706,
+          y: 4.011
+        },
+        {
+          x: 5.356,
+          y: 3.725
+        },
+        {
+          x: 7.778,
+          y: 8.548
+        },
+        {
+          x: 10.435,
+          y: 6.846
+        },
+        {
+          x: 16.247,
+          y: 6.342
+        },
+        {
+          x: 12.035,
+          y: 6.649
+        },
+        {
+          x: 5.461,
+          y: 2.591
+        },
+        {
+          x: 4.399,
+          y: 2.138
+        },
+        {
+          x: 3.451,
+          y: 2.744
+        },
+        {
+          x: 4.363,
+          y: 3.34
+        },
+        {
+          x: 9.523,
+          y: 4.816
+        },
+        {
+          x: 10.225,
+          y: 5.587
+        },
+        {
+          x: 8.592,
+          y: 5.522
+        },
+        {
+          x: 9.432,
+          y: 6.358
+        },
+        {
+          x: 3.419,
+          y: 1.497
+        },
+        {
+          x: 2.259,
+          y: 3.24
+        },
+        {
+          x: 13.332,
+          y: 1.762
+        },
+        {
+          x: 5.353,
+          y: 1.489
+        },
+        {
+          x: 7.49,
+          y: 5.175
+        },
+        {
+          x: 6.448,
+          y: 5.623
+        },
+        {
+          x: 7.426,
+          y: 6.408
+        },
+        {
+          x: 8.297,
+          y: 7.033
+        },
+        {
+          x: 1.489,
+          y: 2.241
+        },
+        {
+          x: 6.356,
+          y: 2.107
+        },
+        {
+          x: 2.487,
+          y: 4.771
+        },
+        {
+          x: 4.514,
+          y: 4.437
+        },
+        {
+          x: 3.21,
+          y: 3.913
+        },
+        {
+          x: 6.642,
+          y: 4.36
+        },
+        {
+          x: 16.723,
+          y: 7.998
+        },
+        {
+          x: 2.598,
+          y: 2.023
+        }
+      ],
+      moleculeVelocities: [
+        {
+          x: -0.179,
+          y: 0.142
+        },
+        {
+          x: -0.209,
+          y: -0.161
+        },
+        {
+          x: 0.352,
+          y: 0.057
+        },
+        {
+          x: -0.256,
+          y: -0.109
+        },
+        {
+          x: -0.381,
+          y: -0.138
+        },
+        {
+          x: -0.879,
+          y: -0.749
+        },
+        {
+          x: -0.05,
+          y: 0.711
+        },
+        {
+          x: -0.376,
+          y: 0.614
+        },
+        {
+          x: 0.201,
+          y: -0.293
+        },
+        {
+          x: -0.407,
+          y: -1.177
+        },
+        {
+          x: 0.963,
+          y: 0.487
+        },
+        {
+          x: 0.058,
+          y: -0.248
+        },
+        {
+          x: 1.238,
+          y: -0.338
+        },
+        {
+          x: 0.82,
+          y: -0.263
+        },
+        {
+          x: -0.758,
+          y: 0.387
+        },
+        {
+          x: -1.137,
+          y: -0.007
+        },
+        {
+          x: -0.309,
+          y: 0.39
+        },
+        {
+          x: 0.992,
+          y: 0.293
+        },
+        {
+          x: 0.195,
+          y: 0.722
+        },
+        {
+          x: -0.555,
+          y: 0.332
+        },
+        {
+          x: 0.337,
+          y: -0.49
+        },
+        {
+          x: -0.178,
+          y: -0.511
+        },
+        {
+          x: -1.835,
+          y: 1.079
+        },
+        {
+          x: -1.778,
+          y: 0.938
+        },
+        {
+          x: 0.132,
+          y: -0.723
+        },
+        {
+          x: 0.109,
+          y: -0.321
+        },
+        {
+          x: 0.117,
+          y: 0.724
+        },
+        {
+          x: 0.811,
+          y: 0.499
+        },
+        {
+          x: -1.614,
+          y: 1.148
+        },
+        {
+          x: -0.246,
+          y: 0.23
+        },
+        {
+          x: 0.285,
+          y: 0.673
+        },
+        {
+          x: -0.074,
+          y: -0.203
+        },
+        {
+          x: 0.684,
+          y: -0.084
+        },
+        {
+          x: 0.134,
+          y: 0.452
+        },
+        {
+          x: 0.192,
+          y: 1.777
+        },
+        {
+          x: 0.47,
+          y: -0.482
+        },
+        {
+          x: -0.219,
+          y: 0.43
+        },
+        {
+          x: -0.33,
+          y: -0.402
+        },
+        {
+          x: 1.013,
+          y: -0.261
+        },
+        {
+          x: -0.34,
+          y: -0.597
+        },
+        {
+          x: 0.339,
+          y: -0.32
+        },
+        {
+          x: 0.394,
+          y: -0.031
+        },
+        {
+          x: -0.398,
+          y: -0.506
+        },
+        {
+          x: -0.318,
+          y: -0.687
+        },
+        {
+          x: -1.02,
+          y: -1.274
+        },
+        {
+          x: 1.014,
+          y: 1.903
+        },
+        {
+          x: 0.979,
+          y: 0.313
+        },
+        {
+          x: -0.672,
+          y: -0.396
+        },
+        {
+          x: 0.294,
+          y: -0.757
+        },
+        {
+          x: 0.754,
+          y: -0.284
+        },
+        {
+          x: 0.406,
+          y: -0.742
+        },
+        {
+          x: 0.852,
+          y: -1.165
+        },
+        {
+          x: 0.202,
+          y: 0.579
+        },
+        {
+          x: -0.566,
+          y: 0.219
+        },
+        {
+          x: 0.391,
+          y: -0.548
+        },
+        {
+          x: -0.083,
+          y: -0.578
+        },
+        {
+          x: -0.28,
+          y: 0.301
+        },
+        {
+          x: -0.822,
+          y: -0.647
+        },
+        {
+          x: 0.278,
+          y: 0.552
+        },
+        {
+          x: -0.19,
+          y: 0.261
+        },
+        {
+          x: -0.336,
+          y: -0.973
+        },
+        {
+          x: -0.525,
+          y: 0.533
+        },
+        {
+          x: 1.302,
+          y: -0.885
+        },
+        {
+          x: 1.012,
+          y: 0.604
+        }
+      ]
+    },
+    adjustableAttraction: {
+      numberOfMolecules: 81,
+      atomsPerMolecule: 1,
+      moleculeCenterOfMassPositions: [
+        {
+          x: 1.198,
+          y: 2.369
+        },
+        {
+          x: 11.435,
+          y: 4.644
+        },
+        {
+          x: 14.401,
+          y: 5.631
+        },
+        {
+          x: 13.617,
+          y: 3.463
+        },
+        {
+          x: 12.542,
+          y: 3.198
+        },
+        {
+          x: 11.24,
+          y: 12.137
+        },
+        {
+          x: 9.242,
+          y: 4.003
+        },
+        {
+          x: 10.665,
+          y: 10.481
+        },
+        {
+          x: 2.263,
+          y: 2.415
+        },
+        {
+          x: 13.119,
+          y: 7.328
+        },
+        {
+          x: 11.262,
+          y: 6.343
+        },
+        {
+          x: 12.288,
+          y: 5.297
+        },
+        {
+          x: 12.636,
+          y: 4.291
+        },
+        {
+          x: 10.446,
+          y: 5.435
+        },
+        {
+          x: 8.268,
+          y: 3.516
+        },
+        {
+          x: 19.483,
+          y: 1.97
+        },
+        {
+          x: 14.687,
+          y: 2.371
+        },
+        {
+          x: 24.663,
+          y: 4.37
+        },
+        {
+          x: 16.775,
+          y: 8.742
+        },
+        {
+          x: 15.64,
+          y: 5.48
+        },
+        {
+          x: 11.376,
+          y: 18.13
+        },
+        {
+          x: 18.12,
+          y: 8.791
+        },
+        {
+          x: 13.446,
+          y: 2.374
+        },
+        {
+          x: 8.341,
+          y: 2.175
+        },
+        {
+          x: 11.364,
+          y: 3.569
+        },
+        {
+          x: 21.694,
+          y: 2.617
+        },
+        {
+          x: 25.137,
+          y: 5.352
+        },
+        {
+          x: 20.417,
+          y: 8.993
+        },
+        {
+          x: 16.533,
+          y: 6.145
+        },
+        {
+          x: 14.767,
+          y: 4.602
+        },
+        {
+          x: 13.418,
+          y: 5.208
+        },
+        {
+          x: 10.315,
+          y: 3.88
+        },
+        {
+          x: 1.52,
+          y: 1.286
+        },
+        {
+          x: 3.326,
+          y: 1.704
+        },
+        {
+          x: 11.914,
+          y: 2.256
+        },
+        {
+          x: 17.82,
+          y: 1.108
+        },
+        {
+          x: 17.044,
+          y: 7.373
+        },
+        {
+          x: 20.524,
+          y: 7.763
+        },
+        {
+          x: 19.104,
+          y: 8.338
+        },
+        {
+          x: 16.076,
+          y: 7.836
+        },
+        {
+          x: 15.646,
+          y: 6.634
+        },
+        {
+          x: 8.211,
+          y: 4.681
+        },
+        {
+          x: 14.052,
+          y: 1.437
+        },
+        {
+          x: 9.292,
+          y: 2.919
+        },
+        {
+          x: 23.651,
+          y: 3.862
+        },
+        {
+          x: 20.476,
+          y: 6.459
+        },
+        {
+          x: 18.8,
+          y: 6.101
+        },
+        {
+          x: 13.439,
+          y: 6.298
+        },
+        {
+          x: 16.643,
+          y: 5.037
+        },
+        {
+          x: 16.397,
+          y: 3.109
+        },
+        {
+          x: 15.058,
+          y: 3.407
+        },
+        {
+          x: 16.314,
+          y: 1.667
+        },
+        {
+          x: 17.447,
+          y: 2.666
+        },
+        {
+          x: 23.866,
+          y: 5.086
+        },
+        {
+          x: 17.699,
+          y: 6.48
+        },
+        {
+          x: 21.276,
+          y: 5.642
+        },
+        {
+          x: 19.831,
+          y: 5.617
+        },
+        {
+          x: 18.995,
+          y: 4.83
+        },
+        {
+          x: 18.733,
+          y: 3.765
+        },
+        {
+          x: 17.086,
+          y: 3.941
+        },
+        {
+          x: 15.893,
+          y: 4.113
+        },
+        {
+          x: 18.471,
+          y: 2.253
+        },
+        {
+          x: 15.229,
+          y: 1.404
+        },
+        {
+          x: 25.594,
+          y: 3.309
+        },
+        {
+          x: 21.633,
+          y: 4.566
+        },
+        {
+          x: 17.742,
+          y: 4.814
+        },
+        {
+          x: 18.309,
+          y: 7.519
+        },
+        {
+          x: 20.561,
+          y: 4.852
+        },
+        {
+          x: 19.839,
+          y: 4.033
+        },
+        {
+          x: 20.405,
+          y: 2.664
+        },
+        {
+          x: 22.228,
+          y: 3.632
+        },
+        {
+          x: 23.134,
+          y: 5.875
+        },
+        {
+          x: 19.36,
+          y: 7.021
+        },
+        {
+          x: 22.143,
+          y: 6.278
+        },
+        {
+          x: 24.3,
+          y: 2.76
+        },
+        {
+          x: 21.502,
+          y: 7.144
+        },
+        {
+          x: 22.768,
+          y: 4.611
+        },
+        {
+          x: 19.347,
+          y: 2.979
+        },
+        {
+          x: 25.272,
+          y: 2.196
+        },
+        {
+          x: 21.093,
+          y: 3.621
+        },
+        {
+          x: 22.987,
+          y: 2.778
+        }
+      ],
+      moleculeVelocities: [
+        {
+          x: -1.172,
+          y: 0.051
+        },
+        {
+          x: -0.67,
+          y: 0.671
+        },
+        {
+          x: -0.034,
+          y: -1.192
+        },
+        {
+          x: -0.263,
+          y: 0.614
+        },
+        {
+          x: 0.434,
+          y: -0.262
+        },
+        {
+          x: 0.834,
+          y: -0.066
+        },
+        {
+          x: -1.085,
+          y: 0.315
+        },
+        {
+          x: 0.546,
+          y: 0.068
+        },
+        {
+          x: 0.258,
+          y: 0.902
+        },
+        {
+          x: 0.112,
+          y: -0.343
+        },
+        {
+          x: 0.761,
+          y: 0.405
+        },
+        {
+          x: -0.575,
+          y: 0.057
+        },
+        {
+          x: 0.708,
+          y: -0.204
+        },
+        {
+          x: 0.221,
+          y: 1.037
+        },
+        {
+          x: -1.72,
+          y: -0.157
+        },
+        {
+          x: -0.262,
+          y: 0.235
+        },
+        {
+          x: -0.73,
+          y: 0.251
+        },
+        {
+          x: -0.569,
+          y: -0.454
+        },
+        {
+          x: 0.604,
+          y: 0.436
+        },
+        {
+          x: -0.802,
+          y: 0.825
+        },
+        {
+          x: -0.05,
+          y: 1.332
+        },
+        {
+          x: 0.324,
+          y: -1.266
+        },
+        {
+          x: 0.123,
+          y: -1.04
+        },
+        {
+          x: 0.229,
+          y: -0.305
+        },
+        {
+          x: 0.086,
+          y: 0.011
+        },
+        {
+          x: -0.229,
+          y: 0.757
+        },
+        {
+          x: 0.771,
+          y: 1.911
+        },
+        {
+          x: 0.124,
+          y: 0.41
+        },
+        {
+          x: 0.542,
+          y: -1.436
+        },
+        {
+          x: -0.338,
+          y: -0.402
+        },
+        {
+          x: -0.846,
+          y: 0.295
+        },
+        {
+          x: -0.577,
+          y: -0.899
+        },
+        {
+          x: -0.2,
+          y: -1.085
+        },
+        {
+          x: 0.469,
+          y: -0.647
+        },
+        {
+          x: -0.04,
+          y: -0.233
+        },
+        {
+          x: 0.469,
+          y: -1.158
+        },
+        {
+          x: 0.174,
+          y: 0.276
+        },
+        {
+          x: 0.401,
+          y: -0.638
+        },
+        {
+          x: -0.082,
+          y: -0.306
+        },
+        {
+          x: -0.416,
+          y: 0.154
+        },
+        {
+          x: 0.654,
+          y: -0.52
+        },
+        {
+          x: 0.84,
+          y: -0.231
+        },
+        {
+          x: -0.701,
+          y: 0.133
+        },
+        {
+          x: 0.423,
+          y: 0.025
+        },
+        {
+          x: -0.578,
+          y: -0.131
+        },
+        {
+          x: 0.14,
+          y: 0.015
+        },
+        {
+          x: 0.367,
+          y: -0.354
+        },
+        {
+          x: -0.188,
+          y: 0.186
+        },
+        {
+          x: -0.458,
+          y: -0.56
+        },
+        {
+          x: 0.323,
+          y: 0.355
+        },
+        {
+          x: -0.292,
+          y: 1.167
+        },
+        {
+          x: 0.338,
+          y: -1.109
+        },
+        {
+          x: -0.905,
+          y: 0.305
+        },
+        {
+          x: 0.165,
+          y: -0.064
+        },
+        {
+          x: 0.565,
+          y: -0.551
+        },
+        {
+          x: -0.684,
+          y: 0.578
+        },
+        {
+          x: 0.524,
+          y: 0.87
+        },
+        {
+          x: 0.325,
+          y: 0.096
+        },
+        {
+          x: -0.46,
+          y: -0.824
+        },
+        {
+          x: 0.364,
+          y: -1.307
+        },
+        {
+          x: -0.793,
+          y: -0.733
+        },
+        {
+          x: -0.339,
+          y: -1.063
+        },
+        {
+          x: -0.193,
+          y: -0.111
+        },
+        {
+          x: 0.391,
+          y: 0.376
+        },
+        {
+          x: 0.767,
+          y: -0.61
+        },
+        {
+          x: 1,
+          y: 0.162
+        },
+        {
+          x: -0.951,
+          y: 0.63
+        },
+        {
+          x: -0.294,
+          y: 0.498
+        },
+        {
+          x: -0.581,
+          y: 0.201
+        },
+        {
+          x: 0.457,
+          y: 1.083
+        },
+        {
+          x: 0.603,
+          y: 0.166
+        },
+        {
+          x: 0.354,
+          y: -0.552
+        },
+        {
+          x: 0.142,
+          y: -0.074
+        },
+        {
+          x: 0.281,
+          y: -0.527
+        },
+        {
+          x: 0.86,
+          y: 0.245
+        },
+        {
+          x: 0.197,
+          y: 0.337
+        },
+        {
+          x: 0.159,
+          y: 0.721
+        },
+        {
+          x: -0.203,
+          y: 0.025
+        },
+        {
+          x: -0.325,
+          y: 0.125
+        },
+        {
+          x: 0.878,
+          y: 0.719
+        },
+        {
+          x: -0.702,
+          y: 1.383
+        }
+      ]
+    }
+  };
+
+  statesOfMatter.register( 'MonatomicLiquidInitialStates', MonatomicLiquidInitialStates );
+
+  return MonatomicLiquidInitialStates;
+} );
@@ -19,10 +19,11 @@ define( require => {
 
   /**
    * @param {MultipleParticleModel} multipleParticleModel of the simulation
+   * @param {Object} [options] - passed to AbstractVerletAlgorithm
    * @constructor
    */
-  function MonatomicVerletAlgorithm( multipleParticleModel ) {
-    AbstractVerletAlgorithm.call( this, multipleParticleModel );
+  function MonatomicVerletAlgorithm( multipleParticleModel, options ) {
+    AbstractVerletAlgorithm.call( this, multipleParticleModel, options );
 
     // @private
     this.positionUpdater = MonatomicAtomPositionUpdater;
@@ -50,6 +51,27 @@ define( require => {
       return this.epsilon;
     },
 
+    /**
+     * @returns {Object}
+     * @override
+     * @public
+     */
+    getState: function() {
+      const state = AbstractVerletAlgorithm.prototype.getState.call( this );
+      state.epsilon = this.epsilon;
+      return state;
+    },
+
+    /**
+     * @param {Object} state
+     * @override
+     * @public
+     */
+    setState: function( state ) {
+      AbstractVerletAlgorithm.prototype.setState.call( this, state );
+      this.epsilon = state.epsilon;
+    },
+
     /**
      * @param {MoleculeForcesAndMotionDataSet} moleculeDataSet
      * @override
@@ -59,7 +81,7 @@ define( require => {
       const accelerationDueToGravity = this.multipleParticleModel.gravitationalAcceleration;
       const nextAtomForces = moleculeDataSet.nextMoleculeForces;
       for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
-        nextAtomForces[ i ].setXY( 0, accelerationDueToGravity );
+        nextAtomForces[ i ].setXY( accelerationDueToGravity.x, accelerationDueToGravity.y );
       }
     },
 
@@ -69,40 +91,40 @@ define( require => {
      */
     updateInteractionForces: function( moleculeDataSet ) {
 
-      const numberOfAtoms = moleculeDataSet.numberOfMolecules;
       const atomCenterOfMassPositions = moleculeDataSet.moleculeCenterOfMassPositions;
       const nextAtomForces = moleculeDataSet.nextMoleculeForces;
+      const pairCount = this.neighborList.pairCount;
+      const firstAtomIndices = this.neighborList.firstMoleculeIndices;
+      const secondAtomIndices = this.neighborList.secondMoleculeIndices;
 
-      for ( let i = 0; i < numberOfAtoms; i++ ) {
+      for ( let pairIndex = 0; pairIndex < pairCount; pairIndex++ ) {
+
+        const i = firstAtomIndices[ pairIndex ];
+        const j = secondAtomIndices[ pairIndex ];
+
+        let dx = atomCenterOfMassPositions[ i ].x - atomCenterOfMassPositions[ j ].x;
+        let dy = atomCenterOfMassPositions[ i ].y - atomCenterOfMassPositions[ j ].y;
+        let distanceSqrd = Math.max( dx * dx + dy * dy, this.MIN_DISTANCE_SQUARED );
+
+        if ( distanceSqrd === 0 ) {
+          // Handle the special case where the particles are right on top of each other by assigning an arbitrary
+          // spacing. In general, this only happens when injecting new particles.
+          dx = 1;
+          dy = 1;
+          distanceSqrd = 2;
+        }
 
-        const atomCenterOfMassPositionsIX = atomCenterOfMassPositions[ i ].x;
-        const atomCenterOfMassPositionsIY = atomCenterOfMassPositions[ i ].y;
-        const nextAtomForcesI = nextAtomForces[ i ];
-
-        for ( let j = i + 1; j < numberOfAtoms; j++ ) {
-
-          let dx = atomCenterOfMassPositionsIX - atomCenterOfMassPositions[ j ].x;
-          let dy = atomCenterOfMassPositionsIY - atomCenterOfMassPositions[ j ].y;
-          let distanceSqrd = Math.max( dx * dx + dy * dy, this.MIN_DISTANCE_SQUARED );
-
-          if ( distanceSqrd === 0 ) {
-            // Handle the special case where the particles are right on top of each other by assigning an arbitrary
-            // spacing. In general, this only happens when injecting new particles.
-            dx = 1;
-            dy = 1;
-            distanceSqrd = 2;
-          }
-
-          if ( distanceSqrd < this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) {
-            // This pair of particles is close enough to one another that we need to calculate their interaction forces.
-            const r2inv = 1 / distanceSqrd;
-            const r6inv = r2inv * r2inv * r2inv;
-            const forceScalar = 48 * r2inv * r6inv * ( r6inv - 0.5 ) * this.epsilon;
-            const forceX = dx * forceScalar;
-            const forceY = dy * forceScalar;
-            nextAtomForcesI.addXY( forceX, forceY );
-            nextAtomForces[ j ].subtractXY( forceX, forceY );
-          }
+        if ( distanceSqrd < this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) {
+          // This pair of particles is close enough to one another that we need to calculate their interaction forces.
+          const r2inv = 1 / distanceSqrd;
+          const r6inv = r2inv * r2inv * r2inv;
+          const forceScalar = 48 * r2inv * r6inv * ( r6inv - 0.5 ) * this.epsilon;
+          const forceX = dx * forceScalar;
+          const forceY = dy * forceScalar;
+          nextAtomForces[ i ].addXY( forceX, forceY );
+          nextAtomForces[ j ].subtractXY( forceX, forceY );
+          this.potentialEnergy += ( 4 * r6inv * ( r6inv - 1 ) + this.POTENTIAL_ENERGY_CUTOFF_OFFSET ) * this.epsilon;
+          this.virial += dx * forceX + dy * forceY;
         }
       }
     },
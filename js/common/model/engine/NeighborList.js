@@ -0,0 +1,232 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A list of the pairs of molecules that are close enough to one another that they may interact.  The pairs are found by
+ * sorting the molecules into a grid of square cells (a.k.a. a "cell list") whose size is at least the interaction
+ * range, which means that only molecules in the same or adjacent cells need to be compared.  This makes the cost of
+ * finding the interacting pairs proportional to the number of molecules instead of the square of that number, which
+ * is what allows the Verlet algorithms to handle larger numbers of molecules.
+ *
+ * The pairs are stored in parallel typed arrays so that the force calculations can iterate over them using C-style
+ * loops and without allocating memory on each model step.  The first index of each pair is always less than the
+ * second.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // constants
+  const INITIAL_PAIR_CAPACITY = 1024;
+
+  // Max number of cells in the grid.  This limits the amount of memory used when the molecules are widely dispersed,
+  // such as after the lid has blown off of the container.  When the limit would be exceeded, the cells are made larger.
+  const MAX_NUMBER_OF_CELLS = 10000;
+
+  // Offsets, in columns and rows, of the adjacent cells that are checked for each cell.  Only half of the surrounding
+  // cells are included so that each pair of cells, and thus each pair of molecules, is only considered once.
+  const NEIGHBOR_CELL_OFFSETS = [
+    { column: 1, row: 0 },
+    { column: -1, row: 1 },
+    { column: 0, row: 1 },
+    { column: 1, row: 1 }
+  ];
+
+  /**
+   * @param {number} interactionRange - max distance between molecule centers at which an interaction can occur, in
+   * normalized model units
+   * @constructor
+   */
+  function NeighborList( interactionRange ) {
+
+    assert && assert( interactionRange > 0, 'interaction range must be positive' );
+
+    // @public (read-only) - max center-to-center distance for molecules to be included as a pair
+    this.interactionRange = interactionRange;
+
+    // @public (read-only) - the pairs, see usage in the Verlet algorithms
+    this.pairCount = 0;
+    this.firstMoleculeIndices = new Int32Array( INITIAL_PAIR_CAPACITY );
+    this.secondMoleculeIndices = new Int32Array( INITIAL_PAIR_CAPACITY );
+
+    // @private - The cells are implemented as linked lists where the head of each list is the index of the first
+    // molecule in the cell and the next index for each molecule is held in a separate array.  A value of -1 is used
+    // to indicate the end of a list.
+    this.cellHeads = new Int32Array( 0 );
+    this.nextMoleculeInCell = new Int32Array( 0 );
+
+    // @private - geometry of the grid, updated each time the pairs are found
+    this.cellSize = interactionRange;
+    this.numberOfColumns = 0;
+    this.numberOfRows = 0;
+  }
+
+  statesOfMatter.register( 'NeighborList', NeighborList );
+
+  return inherit( Object, NeighborList, {
+
+    /**
+     * Find all pairs of molecules whose centers of mass are within the interaction range of one another using the
+     * cell-based approach.
+     * @param {Vector2[]} positions - molecule center of mass positions
+     * @param {number} numberOfMolecules
+     * @public
+     */
+    update: function( positions, numberOfMolecules ) {
+
+      this.pairCount = 0;
+
+      if ( numberOfMolecules < 2 ) {
+
+        // no pairs are possible
+        return;
+      }
+
+      let i;
+
+      // Find the extents of the area occupied by the molecules.  This is done on every update instead of using the
+      // container size because molecules can leave the container when the lid has blown off.
+      let minX = Number.POSITIVE_INFINITY;
+      let minY = Number.POSITIVE_INFINITY;
+      let maxX = Number.NEGATIVE_INFINITY;
+      let maxY = Number.NEGATIVE_INFINITY;
+      for ( i = 0; i < numberOfMolecules; i++ ) {
+        const position = positions[ i ];
+        minX = Math.min( minX, position.x );
+        minY = Math.min( minY, position.y );
+        maxX = Math.max( maxX, position.x );
+        maxY = Math.max( maxY, position.y );
+      }
+
+      // Size the grid, making the cells bigger if needed to stay within the max number of cells.
+      let cellSize = this.interactionRange;
+      let numberOfColumns = Math.floor( ( maxX - minX ) / cellSize ) + 1;
+      let numberOfRows = Math.floor( ( maxY - minY ) / cellSize ) + 1;
+      while ( numberOfColumns * numberOfRows > MAX_NUMBER_OF_CELLS ) {
+        cellSize *= 2;
+        numberOfColumns = Math.floor( ( maxX - minX ) / cellSize ) + 1;
+        numberOfRows = Math.floor( ( maxY - minY ) / cellSize ) + 1;
+      }
+      this.cellSize = cellSize;
+      this.numberOfColumns = numberOfColumns;
+      this.numberOfRows = numberOfRows;
+      const numberOfCells = numberOfColumns * numberOfRows;
+
+      // Make sure there is enough space for the cells and the molecules.
+      if ( this.cellHeads.length < numberOfCells ) {
+        this.cellHeads = new Int32Array( numberOfCells );
+      }
+      if ( this.nextMoleculeInCell.length < numberOfMolecules ) {
+        this.nextMoleculeInCell = new Int32Array( numberOfMolecules );
+      }
+      const cellHeads = this.cellHeads;
+      const nextMoleculeInCell = this.nextMoleculeInCell;
+      cellHeads.fill( -1, 0, numberOfCells );
+
+      // Put each molecule into a cell.  This is done in reverse order so that the molecules in each cell end up listed
+      // in order of increasing index, which keeps the order of the pairs (and thus of the force summations) stable.
+      for ( i = numberOfMolecules - 1; i >= 0; i-- ) {
+        const cellIndex = this.getCellIndex( positions[ i ], minX, minY );
+        nextMoleculeInCell[ i ] = cellHeads[ cellIndex ];
+        cellHeads[ cellIndex ] = i;
+      }
+
+      // Go through the cells and find the pairs that are in range.
+      const interactionRangeSquared = this.interactionRange * this.interactionRange;
+      for ( let row = 0; row < numberOfRows; row++ ) {
+        for ( let column = 0; column < numberOfColumns; column++ ) {
+          for ( i = cellHeads[ row * numberOfColumns + column ]; i !== -1; i = nextMoleculeInCell[ i ] ) {
+
+            // pairs within this cell
+            for ( let j = nextMoleculeInCell[ i ]; j !== -1; j = nextMoleculeInCell[ j ] ) {
+              this.addPairIfInRange( positions, i, j, interactionRangeSquared );
+            }
+
+            // pairs with molecules in the adjacent cells
+            for ( let k = 0; k < NEIGHBOR_CELL_OFFSETS.length; k++ ) {
+              const neighborColumn = column + NEIGHBOR_CELL_OFFSETS[ k ].column;
+              const neighborRow = row + NEIGHBOR_CELL_OFFSETS[ k ].row;
+              if ( neighborColumn < 0 || neighborColumn >= numberOfColumns || neighborRow >= numberOfRows ) {
+                continue;
+              }
+              for ( let j = cellHeads[ neighborRow * numberOfColumns + neighborColumn ]; j !== -1;
+                    j = nextMoleculeInCell[ j ] ) {
+                this.addPairIfInRange( positions, i, j, interactionRangeSquared );
+              }
+            }
+          }
+        }
+      }
+    },
+
+    /**
+     * Find all pairs of molecules whose centers of mass are within the interaction range of one another by comparing
+     * every molecule with every other one.  This is slow for large numbers of molecules, and exists so that the
+     * results of the cell-based approach can be verified and so that the two approaches can be compared.
+     * @param {Vector2[]} positions - molecule center of mass positions
+     * @param {number} numberOfMolecules
+     * @public
+     */
+    updateBruteForce: function( positions, numberOfMolecules ) {
+      this.pairCount = 0;
+      const interactionRangeSquared = this.interactionRange * this.interactionRange;
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        for ( let j = i + 1; j < numberOfMolecules; j++ ) {
+          this.addPairIfInRange( positions, i, j, interactionRangeSquared );
+        }
+      }
+    },
+
+    /**
+     * Get the index of the cell that contains the provided position.
+     * @param {Vector2} position
+     * @param {number} minX - x value of the left edge of the grid
+     * @param {number} minY - y value of the bottom edge of the grid
+     * @returns {number}
+     * @private
+     */
+    getCellIndex: function( position, minX, minY ) {
+      const column = Math.min( Math.floor( ( position.x - minX ) / this.cellSize ), this.numberOfColumns - 1 );
+      const row = Math.min( Math.floor( ( position.y - minY ) / this.cellSize ), this.numberOfRows - 1 );
+      return row * this.numberOfColumns + column;
+    },
+
+    /**
+     * Add the specified pair to the list if the molecules are within the interaction range.
+     * @param {Vector2[]} positions
+     * @param {number} index1
+     * @param {number} index2
+     * @param {number} interactionRangeSquared
+     * @private
+     */
+    addPairIfInRange: function( positions, index1, index2, interactionRangeSquared ) {
+      const dx = positions[ index1 ].x - positions[ index2 ].x;
+      const dy = positions[ index1 ].y - positions[ index2 ].y;
+      if ( dx * dx + dy * dy < interactionRangeSquared ) {
+        if ( this.pairCount === this.firstMoleculeIndices.length ) {
+          this.increasePairCapacity();
+        }
+        this.firstMoleculeIndices[ this.pairCount ] = Math.min( index1, index2 );
+        this.secondMoleculeIndices[ this.pairCount ] = Math.max( index1, index2 );
+        this.pairCount++;
+      }
+    },
+
+    /**
+     * Double the size of the arrays that hold the pairs, retaining the existing values.
+     * @private
+     */
+    increasePairCapacity: function() {
+      const firstMoleculeIndices = new Int32Array( this.firstMoleculeIndices.length * 2 );
+      const secondMoleculeIndices = new Int32Array( this.secondMoleculeIndices.length * 2 );
+      firstMoleculeIndices.set( this.firstMoleculeIndices );
+      secondMoleculeIndices.set( this.secondMoleculeIndices );
+      this.firstMoleculeIndices = firstMoleculeIndices;
+      this.secondMoleculeIndices = secondMoleculeIndices;
+    }
+  } );
+} );
@@ -0,0 +1,132 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for NeighborList, which check that the cell-based approach finds the same pairs, and so produces the same
+ * forces, as comparing every molecule with every other one.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const NeighborList = require( 'STATES_OF_MATTER/common/model/engine/NeighborList' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Random = require( 'DOT/Random' );
+  const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const SEED = 1;
+  const FORCE_TOLERANCE = 1E-9; // relative, the same as is used by AbstractVerletAlgorithm.verifyInteractionForces
+
+  /**
+   * Get the pairs in a neighbor list as a sorted array of strings so that two lists can be compared.
+   * @param {NeighborList} neighborList
+   * @returns {string[]}
+   */
+  const getPairs = neighborList => {
+    const pairs = [];
+    for ( let i = 0; i < neighborList.pairCount; i++ ) {
+      pairs.push( `${neighborList.firstMoleculeIndices[ i ]}-${neighborList.secondMoleculeIndices[ i ]}` );
+    }
+    return pairs.sort();
+  };
+
+  /**
+   * Calculate the interaction forces and torques on the molecules in a model using either the cell-based neighbor list
+   * or brute force, and return copies of them along with the potential energy.
+   * @param {MultipleParticleModel} model
+   * @param {boolean} useBruteForce
+   * @returns {{forces: Vector2[], torques: number[], potentialEnergy: number}}
+   */
+  const calculateInteractionForces = ( model, useBruteForce ) => {
+    const algorithm = model.moleculeForceAndMotionCalculator;
+    const moleculeDataSet = model.moleculeDataSet;
+    const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
+    algorithm.initializeForces( moleculeDataSet );
+    if ( useBruteForce ) {
+      algorithm.neighborList.updateBruteForce( moleculeDataSet.moleculeCenterOfMassPositions, numberOfMolecules );
+    }
+    else {
+      algorithm.neighborList.update( moleculeDataSet.moleculeCenterOfMassPositions, numberOfMolecules );
+    }
+    algorithm.potentialEnergy = 0;
+    algorithm.updateInteractionForces( moleculeDataSet );
+    return {
+      forces: moleculeDataSet.nextMoleculeForces.slice( 0, numberOfMolecules ).map( force => force.copy() ),
+      torques: moleculeDataSet.nextMoleculeTorques.slice( 0, numberOfMolecules ),
+      potentialEnergy: algorithm.potentialEnergy
+    };
+  };
+
+  /**
+   * @param {number} value1
+   * @param {number} value2
+   * @returns {boolean}
+   */
+  const isClose = ( value1, value2 ) =>
+    Math.abs( value1 - value2 ) <= FORCE_TOLERANCE * Math.max( 1, Math.abs( value1 ) );
+
+  QUnit.module( 'NeighborList' );
+
+  QUnit.test( 'same pairs as brute force for dispersed molecules', assert => {
+    const random = new Random( { seed: SEED } );
+    const neighborList = new NeighborList( 3 );
+
+    // Spread some of the molecules far enough apart that the cells have to be enlarged to stay within the limit on the
+    // number of cells, as happens after the lid has blown off.
+    [ 20, 2000 ].forEach( spread => {
+      const positions = [];
+      for ( let i = 0; i < 300; i++ ) {
+        positions.push( new Vector2( random.nextDouble() * spread, random.nextDouble() * spread / 2 ) );
+      }
+      neighborList.update( positions, positions.length );
+      const pairs = getPairs( neighborList );
+      neighborList.updateBruteForce( positions, positions.length );
+      assert.deepEqual( pairs, getPairs( neighborList ), `pairs for spread ${spread}` );
+    } );
+  } );
+
+  QUnit.test( 'same forces as brute force', assert => {
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: SEED } ) } );
+    const substances = [ SubstanceType.NEON, SubstanceType.ARGON, SubstanceType.DIATOMIC_OXYGEN, SubstanceType.WATER ];
+    substances.forEach( substance => {
+      model.substanceProperty.set( substance );
+      [ PhaseStateEnum.SOLID, PhaseStateEnum.LIQUID, PhaseStateEnum.GAS ].forEach( phase => {
+        model.setPhase( phase );
+        const description = `${substance} ${phase}`;
+        const neighborListResults = calculateInteractionForces( model, false );
+        const bruteForceResults = calculateInteractionForces( model, true );
+        assert.ok( model.moleculeDataSet.getNumberOfMolecules() > 1, `${description} has molecules to compare` );
+        assert.ok( neighborListResults.forces.every( ( force, i ) =>
+          isClose( force.x, bruteForceResults.forces[ i ].x ) && isClose( force.y, bruteForceResults.forces[ i ].y )
+        ), `${description} forces` );
+        assert.ok( neighborListResults.torques.every( ( torque, i ) =>
+          isClose( torque, bruteForceResults.torques[ i ] )
+        ), `${description} torques` );
+        assert.ok( isClose( neighborListResults.potentialEnergy, bruteForceResults.potentialEnergy ),
+          `${description} potential energy` );
+      } );
+    } );
+  } );
+
+  QUnit.test( 'same forces as brute force for a mixture', assert => {
+
+    // The interaction range of the mixture algorithm is set by the largest molecules, so the cells are larger.
+    const model = new MultipleParticleModel( Tandem.OPT_OUT, { random: new Random( { seed: SEED } ) } );
+    model.mixtureSubstanceProperty.set( SubstanceType.ARGON );
+    model.substanceProperty.set( SubstanceType.NEON );
+    [ PhaseStateEnum.SOLID, PhaseStateEnum.LIQUID, PhaseStateEnum.GAS ].forEach( phase => {
+      model.setPhase( phase );
+      const neighborListResults = calculateInteractionForces( model, false );
+      const bruteForceResults = calculateInteractionForces( model, true );
+      assert.ok( model.isMixture(), `${phase} is a mixture` );
+      assert.ok( neighborListResults.forces.every( ( force, i ) =>
+        isClose( force.x, bruteForceResults.forces[ i ].x ) && isClose( force.y, bruteForceResults.forces[ i ].y )
+      ), `${phase} forces` );
+    } );
+  } );
+} );
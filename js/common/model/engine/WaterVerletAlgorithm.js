@@ -56,18 +56,21 @@ define( require => {
      */
     initializeForces: function( moleculeDataSet ) {
       const temperatureSetPoint = this.multipleParticleModel.temperatureSetPointProperty.get();
-      let accelerationDueToGravity = this.multipleParticleModel.gravitationalAcceleration;
+      const accelerationDueToGravity = this.multipleParticleModel.gravitationalAcceleration;
+      let gravityMultiplier = 1;
       if ( temperatureSetPoint < TEMPERATURE_BELOW_WHICH_GRAVITY_INCREASES ) {
 
         // Below a certain temperature, gravity is increased to counteract some odd-looking behavior caused by the
-        // thermostat.  The multiplier was empirically determined.
-        accelerationDueToGravity = accelerationDueToGravity *
-                                   ( 1 + ( TEMPERATURE_BELOW_WHICH_GRAVITY_INCREASES - temperatureSetPoint ) * 0.32 );
+        // thermostat.  The multiplier was empirically determined, and is applied to whatever gravity the user has set,
+        // so there is still no gravity when it has been turned off.
+        gravityMultiplier = 1 + ( TEMPERATURE_BELOW_WHICH_GRAVITY_INCREASES - temperatureSetPoint ) * 0.32;
       }
+      const accelerationX = accelerationDueToGravity.x * gravityMultiplier;
+      const accelerationY = accelerationDueToGravity.y * gravityMultiplier;
       const nextMoleculeForces = moleculeDataSet.nextMoleculeForces;
       const nextMoleculeTorques = moleculeDataSet.nextMoleculeTorques;
       for ( let i = 0; i < moleculeDataSet.getNumberOfMolecules(); i++ ) {
-        nextMoleculeForces[ i ].setXY( 0, accelerationDueToGravity );
+        nextMoleculeForces[ i ].setXY( accelerationX, accelerationY );
         nextMoleculeTorques[ i ] = 0;
       }
     },
@@ -130,58 +133,63 @@ define( require => {
       this.alteredCharges[ 2 ] = 0.33 * q0;
 
       // Calculate the force and torque due to inter-particle interactions.
-      const numberOfMolecules = moleculeDataSet.getNumberOfMolecules();
-      for ( let i = 0; i < numberOfMolecules; i++ ) {
+      const pairCount = this.neighborList.pairCount;
+      const firstMoleculeIndices = this.neighborList.firstMoleculeIndices;
+      const secondMoleculeIndices = this.neighborList.secondMoleculeIndices;
+      for ( let pairIndex = 0; pairIndex < pairCount; pairIndex++ ) {
+        const i = firstMoleculeIndices[ pairIndex ];
+        const j = secondMoleculeIndices[ pairIndex ];
         const moleculeCenterOfMassPosition1 = moleculeCenterOfMassPositions[ i ];
         const m1x = moleculeCenterOfMassPosition1.x;
         const m1y = moleculeCenterOfMassPosition1.y;
         const nextMoleculeForceI = nextMoleculeForces[ i ];
-
-        // Select which charges to use for this molecule.  This is part of the "hollywooding" to make the solid form
-        // appear more crystalline.
-        var chargesA;
-        if ( i % 2 === 0 ) {
-          chargesA = this.normalCharges;
-        }
-        else {
-          chargesA = this.alteredCharges;
-        }
-
-        for ( let j = i + 1; j < numberOfMolecules; j++ ) {
-          const moleculeCenterOfMassPosition2 = moleculeCenterOfMassPositions[ j ];
-          const m2x = moleculeCenterOfMassPosition2.x;
-          const m2y = moleculeCenterOfMassPosition2.y;
-          const nextMoleculeForceJ = nextMoleculeForces[ j ];
-
-          // Calculate Lennard-Jones potential between mass centers.
-          let dx = m1x - m2x;
-          let dy = m1y - m2y;
-          let distanceSquared = Math.max( dx * dx + dy * dy, this.MIN_DISTANCE_SQUARED );
-          if ( distanceSquared < this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) {
-            // Select charges for the other molecule.
-            var chargesB;
-            if ( j % 2 === 0 ) {
-              chargesB = this.normalCharges;
+        const moleculeCenterOfMassPosition2 = moleculeCenterOfMassPositions[ j ];
+        const m2x = moleculeCenterOfMassPosition2.x;
+        const m2y = moleculeCenterOfMassPosition2.y;
+        const nextMoleculeForceJ = nextMoleculeForces[ j ];
+
+        // Calculate Lennard-Jones potential between mass centers.
+        let dx = m1x - m2x;
+        let dy = m1y - m2y;
+        let distanceSquared = Math.max( dx * dx + dy * dy, this.MIN_DISTANCE_SQUARED );
+        if ( distanceSquared < this.PARTICLE_INTERACTION_DISTANCE_THRESH_SQRD ) {
+
+          // Select which charges to use for each molecule.  This is part of the "hollywooding" to make the solid form
+          // appear more crystalline.
+          const chargesA = i % 2 === 0 ? this.normalCharges : this.alteredCharges;
+          const chargesB = j % 2 === 0 ? this.normalCharges : this.alteredCharges;
+
+          // Calculate the Lennard-Jones interaction forces.
+          let r2inv = 1 / distanceSquared;
+          const r6inv = r2inv * r2inv * r2inv;
+
+          let forceScalar = 48 * r2inv * r6inv * ( ( r6inv * repulsiveForceScalingFactor ) - 0.5 );
+          let forceX = dx * forceScalar;
+          let forceY = dy * forceScalar;
+          nextMoleculeForceI.addXY( forceX, forceY );
+          nextMoleculeForceJ.subtractXY( forceX, forceY );
+          this.potentialEnergy += 4 * r6inv * ( r6inv - 1 ) + this.POTENTIAL_ENERGY_CUTOFF_OFFSET;
+          this.virial += dx * forceX + dy * forceY;
+
+          // Calculate coulomb-like interactions between atoms on individual water molecules.
+          for ( let ii = 0; ii < 3; ii++ ) {
+            const atomIndex1 = 3 * i + ii;
+            if ( ( atomIndex1 + 1 ) % 6 === 0 ) {
+
+              // This is a hydrogen atom that is not going to be included in the calculation in order to try to
+              // create a more crystalline solid.  This is part of the "hollywooding" that we do to create a better
+              // looking water crystal at low temperatures.
+              continue;
             }
-            else {
-              chargesB = this.alteredCharges;
-            }
-
-            // Calculate the Lennard-Jones interaction forces.
-            let r2inv = 1 / distanceSquared;
-            const r6inv = r2inv * r2inv * r2inv;
 
-            let forceScalar = 48 * r2inv * r6inv * ( ( r6inv * repulsiveForceScalingFactor ) - 0.5 );
-            let forceX = dx * forceScalar;
-            let forceY = dy * forceScalar;
-            nextMoleculeForceI.addXY( forceX, forceY );
-            nextMoleculeForceJ.subtractXY( forceX, forceY );
-            this.potentialEnergy += 4 * r6inv * ( r6inv - 1 ) + 0.016316891136;
+            const chargeAii = chargesA[ ii ];
+            const atomPosition1 = atomPositions[ atomIndex1 ];
+            const a1x = atomPosition1.x;
+            const a1y = atomPosition1.y;
 
-            // Calculate coulomb-like interactions between atoms on individual water molecules.
-            for ( let ii = 0; ii < 3; ii++ ) {
-              const atomIndex1 = 3 * i + ii;
-              if ( ( atomIndex1 + 1 ) % 6 === 0 ) {
+            for ( let jj = 0; jj < 3; jj++ ) {
+              const atomIndex2 = 3 * j + jj;
+              if ( ( atomIndex2 + 1 ) % 6 === 0 ) {
 
                 // This is a hydrogen atom that is not going to be included in the calculation in order to try to
                 // create a more crystalline solid.  This is part of the "hollywooding" that we do to create a better
@@ -189,37 +197,27 @@ define( require => {
                 continue;
               }
 
-              const chargeAii = chargesA[ ii ];
-              const atomPosition1 = atomPositions[ atomIndex1 ];
-              const a1x = atomPosition1.x;
-              const a1y = atomPosition1.y;
-
-              for ( let jj = 0; jj < 3; jj++ ) {
-                const atomIndex2 = 3 * j + jj;
-                if ( ( atomIndex2 + 1 ) % 6 === 0 ) {
-
-                  // This is a hydrogen atom that is not going to be included in the calculation in order to try to
-                  // create a more crystalline solid.  This is part of the "hollywooding" that we do to create a better
-                  // looking water crystal at low temperatures.
-                  continue;
-                }
-
-                const atomPosition2 = atomPositions[ atomIndex2 ];
-                const a2x = atomPosition2.x;
-                const a2y = atomPosition2.y;
-
-                dx = atomPosition1.x - atomPosition2.x;
-                dy = atomPosition1.y - atomPosition2.y;
-                distanceSquared = Math.max( dx * dx + dy * dy, this.MIN_DISTANCE_SQUARED );
-                r2inv = 1 / distanceSquared;
-                forceScalar = chargeAii * chargesB[ jj ] * r2inv * r2inv;
-                forceX = dx * forceScalar;
-                forceY = dy * forceScalar;
-                nextMoleculeForceI.addXY( forceX, forceY );
-                nextMoleculeForceJ.subtractXY( forceX, forceY );
-                nextMoleculeTorques[ i ] += ( a1x - m1x ) * forceY - ( a1y - m1y ) * forceX;
-                nextMoleculeTorques[ j ] -= ( a2x - m2x ) * forceY - ( a2y - m2y ) * forceX;
-              }
+              const atomPosition2 = atomPositions[ atomIndex2 ];
+              const a2x = atomPosition2.x;
+              const a2y = atomPosition2.y;
+
+              dx = atomPosition1.x - atomPosition2.x;
+              dy = atomPosition1.y - atomPosition2.y;
+              distanceSquared = Math.max( dx * dx + dy * dy, this.MIN_DISTANCE_SQUARED );
+              r2inv = 1 / distanceSquared;
+              forceScalar = chargeAii * chargesB[ jj ] * r2inv * r2inv;
+              forceX = dx * forceScalar;
+              forceY = dy * forceScalar;
+              nextMoleculeForceI.addXY( forceX, forceY );
+              nextMoleculeForceJ.subtractXY( forceX, forceY );
+              nextMoleculeTorques[ i ] += ( a1x - m1x ) * forceY - ( a1y - m1y ) * forceX;
+              nextMoleculeTorques[ j ] -= ( a2x - m2x ) * forceY - ( a2y - m2y ) * forceX;
+
+              // This force goes as the inverse cube of the distance, so the potential goes as the inverse square.
+              this.potentialEnergy += 0.5 * chargeAii * chargesB[ jj ] * r2inv;
+
+              // The virial is for the molecules, so it uses the separation of their centers of mass.
+              this.virial += ( m1x - m2x ) * forceX + ( m1y - m2y ) * forceY;
             }
           }
         }
@@ -283,6 +281,10 @@ define( require => {
       else {
         this.calculatedTemperature = this.multipleParticleModel.minModelTemperature;
       }
-    }
+    },
+
+    // The temperature of water is calculated from the kinetic energy without the 2/3 factor used for the other
+    // substances, see updateVelocitiesAndRotationRates.
+    KINETIC_ENERGY_PER_TEMPERATURE: 1
   } );
 } );
@@ -14,6 +14,7 @@ define( require => {
 
   // modules
   const inherit = require( 'PHET_CORE/inherit' );
+  const nextGaussian = require( 'STATES_OF_MATTER/common/model/engine/nextGaussian' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
   const Vector2 = require( 'DOT/Vector2' );
@@ -26,9 +27,10 @@ define( require => {
    * Constructor for the Andersen thermostat.
    * @param {MoleculeForceAndMotionDataSet} moleculeDataSet  - Data set on which operations will be performed.
    * @param {number} minTemperature  - The temperature that should be considered absolute zero, below which motion should cease
+   * @param {Random} random - source of the random numbers used to perturb the velocities
    * @constructor
    */
-  function AndersenThermostat( moleculeDataSet, minTemperature ) {
+  function AndersenThermostat( moleculeDataSet, minTemperature, random ) {
 
     // @public target temperature in normalized model units
     this.targetTemperature = SOMConstants.INITIAL_TEMPERATURE;
@@ -45,11 +47,14 @@ define( require => {
     this.moleculeRotationRates = moleculeDataSet.moleculeRotationRates;
 
     // @private - pseudo-random number generator
-    this.random = phet.joist.random;
+    this.random = random;
 
     // @private {Vector2} - reusable vector used for calculating velocity changes
     this.previousParticleVelocity = new Vector2( 0, 0 );
 
+    // @private {number[]} - reusable array of the velocity scaling factors for the components of a mixture
+    this.velocityScalingFactors = [];
+
     // @private {Vector2} - vectors used to correct for a collective drift that can occur
     this.totalVelocityChangePreviousStep = new Vector2( 0, 0 );
     this.totalVelocityChangeThisStep = new Vector2( 0, 0 );
@@ -87,10 +92,15 @@ define( require => {
         temperature = 0;
       }
 
-      const massInverse = 1 / this.moleculeDataSet.moleculeMass;
       const inertiaInverse = 1 / this.moleculeDataSet.moleculeRotationalInertia;
       const scalingFactor = temperature * ( 1 - Math.pow( gamma, 2 ) );
-      const velocityScalingFactor = Math.sqrt( massInverse * scalingFactor );
+
+      // The velocity scaling depends on the mass, which differs between the components of a mixture.
+      const componentMasses = this.moleculeDataSet.componentMasses;
+      const componentIndices = this.moleculeDataSet.moleculeComponentIndices;
+      for ( let i = 0; i < componentMasses.length; i++ ) {
+        this.velocityScalingFactors[ i ] = Math.sqrt( ( 1 / componentMasses[ i ] ) * scalingFactor );
+      }
       const rotationScalingFactor = Math.sqrt( inertiaInverse * scalingFactor );
       const numMolecules = this.moleculeDataSet.getNumberOfMolecules();
 
@@ -106,11 +116,12 @@ define( require => {
         this.previousParticleVelocity.set( moleculeVelocity );
 
         // Calculate the new x and y velocity for this particle.
-        const xVel = moleculeVelocity.x * gamma + this.random.nextGaussian() * velocityScalingFactor + xCompensation;
-        const yVel = moleculeVelocity.y * gamma + this.random.nextGaussian() * velocityScalingFactor;
+        const velocityScalingFactor = this.velocityScalingFactors[ componentIndices[ i ] ];
+        const xVel = moleculeVelocity.x * gamma + nextGaussian( this.random ) * velocityScalingFactor + xCompensation;
+        const yVel = moleculeVelocity.y * gamma + nextGaussian( this.random ) * velocityScalingFactor;
         moleculeVelocity.setXY( xVel, yVel );
         this.moleculeRotationRates[ i ] = gamma * this.moleculeRotationRates[ i ] +
-                                          this.random.nextGaussian() * rotationScalingFactor;
+                                          nextGaussian( this.random ) * rotationScalingFactor;
         this.totalVelocityChangeThisStep.addXY(
           xVel - this.previousParticleVelocity.x,
           yVel - this.previousParticleVelocity.y
@@ -131,6 +142,32 @@ define( require => {
     clearAccumulatedBias: function() {
       this.accumulatedAverageVelocityChange.setXY( 0, 0 );
       this.totalVelocityChangePreviousStep.setXY( 0, 0 );
+    },
+
+    /**
+     * Get the state of this thermostat as an object that can be serialized to JSON.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      return {
+        targetTemperature: this.targetTemperature,
+        totalVelocityChangePreviousStep: this.totalVelocityChangePreviousStep.toStateObject(),
+        totalVelocityChangeThisStep: this.totalVelocityChangeThisStep.toStateObject(),
+        accumulatedAverageVelocityChange: this.accumulatedAverageVelocityChange.toStateObject()
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+      this.targetTemperature = state.targetTemperature;
+      this.totalVelocityChangePreviousStep.set( Vector2.fromStateObject( state.totalVelocityChangePreviousStep ) );
+      this.totalVelocityChangeThisStep.set( Vector2.fromStateObject( state.totalVelocityChangeThisStep ) );
+      this.accumulatedAverageVelocityChange.set( Vector2.fromStateObject( state.accumulatedAverageVelocityChange ) );
     }
   } );
 } );
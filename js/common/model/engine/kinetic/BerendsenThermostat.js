@@ -0,0 +1,106 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model for a Berendsen thermostat, which scales the velocities of all atoms/molecules in the system by the same factor
+ * so that the temperature relaxes exponentially toward the set point rather than being forced to it in a single step
+ * as the isokinetic thermostat does.  This suppresses the fluctuations in kinetic energy, so it doesn't produce a true
+ * canonical ensemble, but it is very stable.  There is a short description of this algorithm at
+ * https://en.wikipedia.org/wiki/Berendsen_thermostat.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // constants
+
+  // ratio of the time between thermostat runs to the relaxation time, i.e. the fraction of the difference between the
+  // measured and target temperatures that is removed each time the thermostat runs, empirically determined
+  const COUPLING_STRENGTH = 0.1;
+
+  /**
+   * @param {MoleculeForceAndMotionDataSet} moleculeDataSet - data set on which operations will be performed
+   * @param {number} minTemperature - the temperature that should be considered absolute zero, below which motion should
+   * cease
+   * @constructor
+   */
+  function BerendsenThermostat( moleculeDataSet, minTemperature ) {
+
+    // @public target temperature in normalized model units
+    this.targetTemperature = SOMConstants.INITIAL_TEMPERATURE;
+
+    // @private minimum temperature in normalized model units, below this is considered absolute 0
+    this.minModelTemperature = minTemperature;
+
+    // @private reference to the molecule data set
+    this.moleculeDataSet = moleculeDataSet;
+
+    // @private references to the various arrays within the data set, set up so that the calculations can be performed
+    // as fast as possible
+    this.moleculeVelocities = moleculeDataSet.moleculeVelocities;
+    this.moleculeRotationRates = moleculeDataSet.moleculeRotationRates;
+  }
+
+  statesOfMatter.register( 'BerendsenThermostat', BerendsenThermostat );
+
+  return inherit( Object, BerendsenThermostat, {
+
+    /**
+     * @param {number} measuredTemperature - measured temperature of particles, in model units
+     * @public
+     */
+    adjustTemperature: function( measuredTemperature ) {
+
+      // If nothing is moving there is nothing to scale, and the scale factor would be infinite, so leave the molecules
+      // alone until the interaction forces or gravity start them moving again.
+      if ( measuredTemperature <= 0 ) {
+        return;
+      }
+
+      // Relax toward zero rather than toward the minimum model temperature so that motion ceases at absolute zero.
+      const targetTemperature = this.targetTemperature > this.minModelTemperature ? this.targetTemperature : 0;
+      const temperatureScaleFactor = Math.sqrt(
+        Math.max( 1 + COUPLING_STRENGTH * ( targetTemperature / measuredTemperature - 1 ), 0 )
+      );
+
+      const numberOfMolecules = this.moleculeDataSet.getNumberOfMolecules();
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        this.moleculeVelocities[ i ].multiplyScalar( temperatureScaleFactor );
+        this.moleculeRotationRates[ i ] *= temperatureScaleFactor;
+      }
+    },
+
+    /**
+     * This thermostat doesn't accumulate anything, so there is nothing to clear.  This exists so that all of the
+     * thermostats can be used interchangeably.
+     * @public
+     */
+    clearAccumulatedBias: function() {
+    },
+
+    /**
+     * Get the state of this thermostat as an object that can be serialized to JSON.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      return {
+        targetTemperature: this.targetTemperature
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+      this.targetTemperature = state.targetTemperature;
+    }
+  } );
+} );
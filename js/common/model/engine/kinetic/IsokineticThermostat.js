@@ -26,11 +26,13 @@ define( require => {
    * Constructor for the Isokinetic thermostat.
    * @param {MoleculeForceAndMotionDataSet} moleculeDataSet -  Data set on which operations will be performed.
    * @param {number} minTemperature - The temperature that should be considered absolute zero, below which motion should cease.
+   * @param {Random} random - source of the random numbers used when warming up from absolute zero
    * @constructor
    */
-  function IsokineticThermostat( moleculeDataSet, minTemperature ) {
+  function IsokineticThermostat( moleculeDataSet, minTemperature, random ) {
 
     this.moleculeDataSet = moleculeDataSet; // @private
+    this.random = random; // @private
 
     // @public, target temperature in normalized model units
     this.targetTemperature = SOMConstants.INITIAL_TEMPERATURE;
@@ -131,7 +133,7 @@ define( require => {
         // get stuck on the bottom of the container since they have no energy to scale.  Only linear kinetic energy is
         // adjusted here, since it is simpler and seems to work.
         for ( i = 0; i < numberOfParticles; i++ ) {
-          let angle = phet.joist.random.nextDouble() * Math.PI;
+          let angle = this.random.nextDouble() * Math.PI;
           if ( angle < 0 ) {
             angle += Math.PI;
           }
@@ -156,6 +158,32 @@ define( require => {
      */
     clearAccumulatedBias: function() {
       this.accumulatedAverageVelocityChange.setXY( 0, 0 );
+    },
+
+    /**
+     * Get the state of this thermostat as an object that can be serialized to JSON.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      return {
+        targetTemperature: this.targetTemperature,
+        previousTemperatureScaleFactor: this.previousTemperatureScaleFactor,
+        totalVelocityChangeThisStep: this.totalVelocityChangeThisStep.toStateObject(),
+        accumulatedAverageVelocityChange: this.accumulatedAverageVelocityChange.toStateObject()
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+      this.targetTemperature = state.targetTemperature;
+      this.previousTemperatureScaleFactor = state.previousTemperatureScaleFactor;
+      this.totalVelocityChangeThisStep.set( Vector2.fromStateObject( state.totalVelocityChangeThisStep ) );
+      this.accumulatedAverageVelocityChange.set( Vector2.fromStateObject( state.accumulatedAverageVelocityChange ) );
     }
   } );
 } );
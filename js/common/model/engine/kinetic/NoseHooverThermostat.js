@@ -0,0 +1,116 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model for a Nosé-Hoover thermostat, which couples the atoms/molecules to a heat bath through a friction coefficient
+ * that has its own dynamics.  The friction grows when the system is hotter than the set point and becomes negative
+ * when it is colder, so the kinetic energy fluctuates around the target value in the way it would for a system in
+ * contact with a large reservoir, i.e. the canonical ensemble.  There is a description of this algorithm at
+ * https://en.wikipedia.org/wiki/Nos%C3%A9%E2%80%93Hoover_thermostat.
+ *
+ * In a full implementation the friction is part of the equations of motion.  Here it is applied to the velocities
+ * once per model step after the Verlet algorithm has run, which is how the other thermostats work, so the time unit
+ * for the friction dynamics is a model step.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // constants
+
+  // "mass" of the heat bath, which sets how quickly the friction responds to a temperature difference.  Smaller values
+  // couple the system more tightly to the bath.  Empirically determined.
+  const BATH_MASS = 20;
+
+  // limit on the magnitude of the friction coefficient, which prevents runaway heating when the temperature set point
+  // jumps, empirically determined
+  const MAX_FRICTION = 0.2;
+
+  /**
+   * @param {MoleculeForceAndMotionDataSet} moleculeDataSet - data set on which operations will be performed
+   * @param {number} minTemperature - the temperature that should be considered absolute zero, below which motion should
+   * cease
+   * @constructor
+   */
+  function NoseHooverThermostat( moleculeDataSet, minTemperature ) {
+
+    // @public target temperature in normalized model units
+    this.targetTemperature = SOMConstants.INITIAL_TEMPERATURE;
+
+    // @private minimum temperature in normalized model units, below this is considered absolute 0
+    this.minModelTemperature = minTemperature;
+
+    // @private reference to the molecule data set
+    this.moleculeDataSet = moleculeDataSet;
+
+    // @private references to the various arrays within the data set, set up so that the calculations can be performed
+    // as fast as possible
+    this.moleculeVelocities = moleculeDataSet.moleculeVelocities;
+    this.moleculeRotationRates = moleculeDataSet.moleculeRotationRates;
+
+    // @private - friction coefficient, i.e. the state of the heat bath, in inverse model steps
+    this.friction = 0;
+  }
+
+  statesOfMatter.register( 'NoseHooverThermostat', NoseHooverThermostat );
+
+  return inherit( Object, NoseHooverThermostat, {
+
+    /**
+     * @param {number} measuredTemperature - measured temperature of particles, in model units
+     * @public
+     */
+    adjustTemperature: function( measuredTemperature ) {
+
+      // Drive toward zero rather than toward the minimum model temperature so that motion ceases at absolute zero.
+      const targetTemperature = this.targetTemperature > this.minModelTemperature ? this.targetTemperature : 0;
+
+      // Advance the friction, then use it to scale the velocities.
+      this.friction += ( measuredTemperature - targetTemperature ) / BATH_MASS;
+      this.friction = Math.min( Math.max( this.friction, -MAX_FRICTION ), MAX_FRICTION );
+      const velocityScaleFactor = Math.exp( -this.friction );
+
+      const numberOfMolecules = this.moleculeDataSet.getNumberOfMolecules();
+      for ( let i = 0; i < numberOfMolecules; i++ ) {
+        this.moleculeVelocities[ i ].multiplyScalar( velocityScaleFactor );
+        this.moleculeRotationRates[ i ] *= velocityScaleFactor;
+      }
+    },
+
+    /**
+     * Clear the state of the heat bath, should be done when this thermostat starts being used for a number of steps in
+     * a row, since the friction that was built up previously no longer reflects the state of the system.
+     * @public
+     */
+    clearAccumulatedBias: function() {
+      this.friction = 0;
+    },
+
+    /**
+     * Get the state of this thermostat as an object that can be serialized to JSON.
+     * @returns {Object}
+     * @public
+     */
+    getState: function() {
+      return {
+        targetTemperature: this.targetTemperature,
+        friction: this.friction
+      };
+    },
+
+    /**
+     * Restore a state previously obtained through getState.
+     * @param {Object} state
+     * @public
+     */
+    setState: function( state ) {
+      this.targetTemperature = state.targetTemperature;
+      this.friction = state.friction;
+    }
+  } );
+} );
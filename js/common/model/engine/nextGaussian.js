@@ -0,0 +1,35 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Function that draws a value from the standard normal distribution using only the nextDouble method of the provided
+ * random number generator.  This is used instead of Random.nextGaussian, which relies on Utils.boxMullerTransform,
+ * and that function keeps every other value that it generates in state that is shared by all generators.  The values
+ * drawn from a seeded generator would then depend on what the other generators had done, so two models with the same
+ * seed wouldn't behave the same.  Here, the second value produced by the Box-Muller transform is simply discarded.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  /**
+   * @param {Random} random
+   * @returns {number} - normally distributed with a mean of 0 and a standard deviation of 1
+   */
+  const nextGaussian = random => {
+
+    // Avoid taking the log of zero, which nextDouble can return.
+    let u1;
+    do {
+      u1 = random.nextDouble();
+    } while ( u1 === 0 );
+    const u2 = random.nextDouble();
+
+    return Math.sqrt( -2 * Math.log( u1 ) ) * Math.cos( 2 * Math.PI * u2 );
+  };
+
+  return statesOfMatter.register( 'nextGaussian', nextGaussian );
+} );
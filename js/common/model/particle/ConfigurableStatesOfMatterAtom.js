@@ -53,7 +53,8 @@ define( require => {
     // statics
     {
       DEFAULT_INTERACTION_POTENTIAL: DEFAULT_INTERACTION_POTENTIAL,
-      DEFAULT_RADIUS: DEFAULT_RADIUS
+      DEFAULT_RADIUS: DEFAULT_RADIUS,
+      MASS: MASS
     } );
 } );
 
@@ -48,6 +48,7 @@ define( require => {
 
     // public static final
     {
-      RADIUS: RADIUS
+      RADIUS: RADIUS,
+      MASS: MASS
     } );
 } );
@@ -45,6 +45,7 @@ define( require => {
 
     // public static final
     {
-      RADIUS: RADIUS
+      RADIUS: RADIUS,
+      MASS: MASS
     } );
 } );
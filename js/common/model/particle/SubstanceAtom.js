@@ -0,0 +1,42 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * An atom whose properties come from a description in the SubstanceRegistry rather than from a class specific to the
+ * element, which allows substances to be added to the simulation as data.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const SOMAtom = require( 'STATES_OF_MATTER/common/model/particle/SOMAtom' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  /**
+   * @param {number} x - position in picometers
+   * @param {number} y - position in picometers
+   * @param {Object} atomDescription - a description from the SubstanceRegistry, i.e. { type, radius, mass, color }
+   * @constructor
+   */
+  function SubstanceAtom( x, y, atomDescription ) {
+    SOMAtom.call( this, x, y, atomDescription.radius, atomDescription.mass, atomDescription.color );
+
+    // @private {string}
+    this.atomType = atomDescription.type;
+  }
+
+  statesOfMatter.register( 'SubstanceAtom', SubstanceAtom );
+
+  return inherit( SOMAtom, SubstanceAtom, {
+
+    /**
+     * @returns {string}
+     * @public
+     */
+    getType: function() {
+      return this.atomType;
+    }
+  } );
+} );
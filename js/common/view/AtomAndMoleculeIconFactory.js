@@ -1,4 +1,4 @@
-// Copyright 2017-2019, University of Colorado Boulder
+// Copyright 2017-2020, University of Colorado Boulder
 
 /**
  * Icons, in the form of Scenery nodes, that are used in multiple places in the simulation to represent the various
@@ -13,8 +13,12 @@ define( require => {
   const Node = require( 'SCENERY/nodes/Node' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
   const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
 
+  // constants
+  const ICON_SCALE = 30; // picometers per unit of icon radius, approximately what the hand-drawn icons use
+
   // define the object where all of the icons will be available
   const AtomAndMoleculeIconFactory = {
 
@@ -54,7 +58,19 @@ define( require => {
           break;
 
         default:
-          assert && assert( false, 'unknown substance, unable to create icon' );
+
+          // Create an icon from the description of the substance, sized relative to the icons above.
+          var substanceDescription = SubstanceRegistry.get( type );
+          var atom = substanceDescription.atoms[ 0 ];
+          if ( substanceDescription.atomsPerMolecule === 1 ) {
+            icon = new Circle( atom.radius / ICON_SCALE, { fill: atom.color } );
+          }
+          else {
+            assert && assert( substanceDescription.atomsPerMolecule === 2, 'unable to create icon for ' + type );
+            var atom1 = new Circle( atom.radius / ICON_SCALE, { fill: atom.color } );
+            var atom2 = new Circle( atom.radius / ICON_SCALE, { fill: atom.color, left: atom1.right - 4 } );
+            icon = new Node( { children: [ atom1, atom2 ] } );
+          }
       }
       return icon;
     }
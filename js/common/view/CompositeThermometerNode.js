@@ -99,7 +99,7 @@ define( require => {
       phetioReadOnly: true
     } );
 
-    // @private
+    // @public (read-only) - units in which the temperature is shown, which other views can follow
     this.temperatureUnitsProperty = new EnumerationProperty(
       TEMPERATURE_UNITS,
       SOMQueryParameters.defaultCelsius ? TEMPERATURE_UNITS.CELSIUS : TEMPERATURE_UNITS.KELVIN,
@@ -171,5 +171,9 @@ define( require => {
     reset: function() {
       this.temperatureUnitsProperty.reset();
     }
+  }, {
+
+    // @public
+    TEMPERATURE_UNITS: TEMPERATURE_UNITS
   } );
 } );
\ No newline at end of file
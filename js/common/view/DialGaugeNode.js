@@ -11,6 +11,7 @@ define( require => {
   'use strict';
 
   // modules
+  const DerivedProperty = require( 'AXON/DerivedProperty' );
   const GaugeNode = require( 'SCENERY_PHET/GaugeNode' );
   const inherit = require( 'PHET_CORE/inherit' );
   const LinearGradient = require( 'SCENERY/util/LinearGradient' );
@@ -21,6 +22,7 @@ define( require => {
   const Range = require( 'DOT/Range' );
   const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const Shape = require( 'KITE/Shape' );
+  const SOMQueryParameters = require( 'STATES_OF_MATTER/common/SOMQueryParameters' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
   const Text = require( 'SCENERY/nodes/Text' );
   const timer = require( 'AXON/timer' );
@@ -49,8 +51,17 @@ define( require => {
     Node.call( this, { tandem: tandem } );
     this.elbowHeight = 0; // @private, set through accessor methods
 
+    // the pressure that is shown, which can be switched to the virial pressure for comparison with the wall-based value
+    const modelPressureProperty = SOMQueryParameters.pressureGauge === 'VIRIAL' ?
+                                  multipleParticleModel.virialPressureProperty :
+                                  multipleParticleModel.pressureProperty;
+
+    // The virial pressure is negative when the attraction between the molecules outweighs their motion, which the gauge
+    // can't show, so it is shown as zero.  The model keeps the negative value.
+    const pressureProperty = new DerivedProperty( [ modelPressureProperty ], pressure => Math.max( pressure, 0 ) );
+
     const gaugeNode = new GaugeNode(
-      multipleParticleModel.pressureProperty,
+      pressureProperty,
       pressureString,
       new Range( 0, MAX_PRESSURE ),
       {
@@ -114,7 +125,7 @@ define( require => {
     // because the readout changes too quickly in that case.
     let previousPressure = -1;
     timer.setInterval( function() {
-      const pressure = multipleParticleModel.pressureProperty.get();
+      const pressure = pressureProperty.get();
       if ( pressure !== previousPressure ) {
         if ( pressure < MAX_PRESSURE ) {
           textualReadout.setText( Utils.toFixed( pressure, 1 ) + ' ' + pressureUnitsInAtmString );
@@ -0,0 +1,217 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * a plot of the mean squared displacement of the molecules versus time with a readout of the diffusion coefficient,
+ * suitable for inclusion on the control panel of a PhET simulation
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AccordionBox = require( 'SUN/AccordionBox' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const MeanSquaredDisplacement = require( 'STATES_OF_MATTER/common/model/MeanSquaredDisplacement' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const Shape = require( 'KITE/Shape' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
+
+  // strings
+  const diffusionCoefficientPatternString = require( 'string!STATES_OF_MATTER/diffusionCoefficientPattern' );
+  const diffusionCoefficientUnitsString = require( 'string!STATES_OF_MATTER/diffusionCoefficientUnits' );
+  const diffusionString = require( 'string!STATES_OF_MATTER/diffusion' );
+  const meanSquaredDisplacementAbbreviationString = require( 'string!STATES_OF_MATTER/meanSquaredDisplacementAbbreviation' );
+  const quantityWithUnitsPatternString = require( 'string!STATES_OF_MATTER/quantityWithUnitsPattern' );
+  const secondsUnitsString = require( 'string!STATES_OF_MATTER/secondsUnits' );
+  const squaredDiametersUnitsString = require( 'string!STATES_OF_MATTER/squaredDiametersUnits' );
+  const timeString = require( 'string!STATES_OF_MATTER/time' );
+
+  // constants that control the size and look of the chart
+  const PLOT_WIDTH = 148;
+  const PLOT_HEIGHT = 70;
+  const LABEL_HEIGHT = 14;
+  const LABEL_FONT = new PhetFont( 10 );
+  const RANGE_FONT = new PhetFont( 9 );
+  const READOUT_FONT = new PhetFont( 12 );
+  const LINE_COLOR = '#33CC33';
+  const DIFFUSION_COEFFICIENT_DECIMAL_PLACES = 3;
+
+  // The vertical range is a multiple of this, which is small enough that the curve for a solid, which stays below one
+  // squared diameter, can be seen.
+  const MAX_VALUE_INCREMENT = 1;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Property<boolean>} expandedProperty - whether the chart is expanded
+   * @param {Object} [options] that can be passed on to the underlying node
+   * @constructor
+   */
+  function DiffusionChart( multipleParticleModel, expandedProperty, options ) {
+
+    const self = this;
+    Node.call( this );
+    const accordionContent = new Node();
+
+    // @private
+    this.meanSquaredDisplacement = multipleParticleModel.meanSquaredDisplacement;
+
+    const yAxisLabelText = fillInUnits( meanSquaredDisplacementAbbreviationString, squaredDiametersUnitsString );
+    accordionContent.addChild( new Text( yAxisLabelText, {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: PLOT_WIDTH * 0.65,
+      left: 0,
+      bottom: LABEL_HEIGHT - 2
+    } ) );
+
+    accordionContent.addChild( new Rectangle( 0, LABEL_HEIGHT, PLOT_WIDTH, PLOT_HEIGHT, {
+      stroke: SOMColorProfile.controlPanelTextProperty,
+      lineWidth: 0.5
+    } ) );
+
+    // @private
+    this.maxValueText = new Text( '', {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty
+    } );
+    accordionContent.addChild( this.maxValueText );
+
+    // @private
+    this.curve = new Path( null, { stroke: LINE_COLOR, lineWidth: 1.5 } );
+    accordionContent.addChild( this.curve );
+
+    // time axis labels
+    const timeAxisLabelTop = LABEL_HEIGHT + PLOT_HEIGHT + 2;
+    accordionContent.addChild( new Text( '0', {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      left: 0,
+      top: timeAxisLabelTop
+    } ) );
+    accordionContent.addChild( new Text( MeanSquaredDisplacement.MAX_TRACKING_TIME.toString(), {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      right: PLOT_WIDTH,
+      top: timeAxisLabelTop
+    } ) );
+    const timeAxisLabel = new Text( fillInUnits( timeString, secondsUnitsString ), {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: PLOT_WIDTH * 0.6,
+      centerX: PLOT_WIDTH / 2,
+      top: timeAxisLabelTop
+    } );
+    accordionContent.addChild( timeAxisLabel );
+
+    // readout of the diffusion coefficient
+    const diffusionCoefficientText = new Text( '', {
+      font: READOUT_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: PLOT_WIDTH,
+      top: timeAxisLabel.bottom + 4
+    } );
+    accordionContent.addChild( diffusionCoefficientText );
+    this.meanSquaredDisplacement.diffusionCoefficientProperty.link( function( diffusionCoefficient ) {
+      diffusionCoefficientText.text = StringUtils.fillIn( diffusionCoefficientPatternString, {
+        value: diffusionCoefficient === null ?
+               '--' :
+               Utils.toFixed( diffusionCoefficient, DIFFUSION_COEFFICIENT_DECIMAL_PLACES ),
+        units: diffusionCoefficientUnitsString
+      } );
+      diffusionCoefficientText.centerX = PLOT_WIDTH / 2;
+    } );
+
+    const titleNode = new Text( diffusionString, {
+      fill: SOMColorProfile.controlPanelTextProperty,
+      font: new PhetFont( { size: 13 } ),
+      maxWidth: PLOT_WIDTH * 0.85
+    } );
+
+    this.accordionBox = new AccordionBox( accordionContent, {
+      titleNode: titleNode,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      expandedProperty: expandedProperty,
+      contentAlign: 'center',
+      titleAlignX: 'center',
+      buttonAlign: 'left',
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      contentYMargin: 5,
+      contentXMargin: 5,
+      minWidth: options.minWidth,
+      maxWidth: options.maxWidth,
+      buttonYMargin: 4,
+      buttonXMargin: 5,
+      expandCollapseButtonOptions: {
+        sideLength: 12,
+        touchAreaXDilation: 15,
+        touchAreaYDilation: 10
+      }
+    } );
+    this.addChild( this.accordionBox );
+
+    // Only redraw when the chart can be seen.
+    const updateIfExpanded = function() {
+      if ( expandedProperty.get() ) {
+        self.update();
+      }
+    };
+    this.meanSquaredDisplacement.changedEmitter.addListener( updateIfExpanded );
+    expandedProperty.link( updateIfExpanded );
+
+    this.mutate( options );
+  }
+
+  /**
+   * Fill in the pattern for a quantity with its units.
+   * @param {string} quantity
+   * @param {string} units
+   * @returns {string}
+   */
+  function fillInUnits( quantity, units ) {
+    return StringUtils.fillIn( quantityWithUnitsPatternString, { quantity: quantity, units: units } );
+  }
+
+  statesOfMatter.register( 'DiffusionChart', DiffusionChart );
+
+  return inherit( Node, DiffusionChart, {
+
+    /**
+     * Draw the mean squared displacement curve for the current tracking period.
+     * @private
+     */
+    update: function() {
+
+      const times = this.meanSquaredDisplacement.times;
+      const values = this.meanSquaredDisplacement.values;
+
+      let maxValue = MAX_VALUE_INCREMENT;
+      for ( let i = 0; i < values.length; i++ ) {
+        maxValue = Math.max( maxValue, values[ i ] );
+      }
+      maxValue = Math.ceil( maxValue / MAX_VALUE_INCREMENT ) * MAX_VALUE_INCREMENT;
+
+      const shape = new Shape();
+      const xScale = PLOT_WIDTH / MeanSquaredDisplacement.MAX_TRACKING_TIME;
+      const bottom = LABEL_HEIGHT + PLOT_HEIGHT;
+      shape.moveTo( 0, bottom );
+      for ( let i = 0; i < values.length; i++ ) {
+        shape.lineTo( times[ i ] * xScale, bottom - values[ i ] / maxValue * PLOT_HEIGHT );
+      }
+      this.curve.shape = shape;
+
+      this.maxValueText.text = maxValue.toString();
+      this.maxValueText.right = PLOT_WIDTH - 2;
+      this.maxValueText.bottom = LABEL_HEIGHT - 2;
+    }
+  } );
+} );
@@ -0,0 +1,174 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * a pair of sliders that control the strength and direction of gravity, suitable for inclusion on the control panel of
+ * a PhET simulation
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AccordionBox = require( 'SUN/AccordionBox' );
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const HSlider = require( 'SUN/HSlider' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const gravityDirectionString = require( 'string!STATES_OF_MATTER/gravityDirection' );
+  const gravityStrengthString = require( 'string!STATES_OF_MATTER/gravityStrength' );
+  const gravityString = require( 'string!STATES_OF_MATTER/gravity' );
+  const normalGravityString = require( 'string!STATES_OF_MATTER/normalGravity' );
+  const strongString = require( 'string!STATES_OF_MATTER/strong' );
+  const zeroGravityString = require( 'string!STATES_OF_MATTER/zeroGravity' );
+
+  // constants
+  const SLIDER_WIDTH = 120;
+  const TICK_TEXT_MAX_WIDTH = 40;
+  const LABEL_FONT = new PhetFont( 12 );
+  const ARROW_LENGTH = 12;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Property<boolean>} expandedProperty - whether the control is expanded
+   * @param {Object} [options] that can be passed on to the underlying node
+   * @constructor
+   */
+  function GravityControl( multipleParticleModel, expandedProperty, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    Node.call( this );
+
+    const labelOptions = {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: SLIDER_WIDTH
+    };
+    const tickTextOptions = {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: TICK_TEXT_MAX_WIDTH
+    };
+
+    // strength, with ticks for no gravity, the normal amount, and the maximum
+    const strengthSlider = createSlider(
+      multipleParticleModel.gravityStrengthProperty,
+      options.tandem.createTandem( 'strengthSlider' )
+    );
+    strengthSlider.addMajorTick( 0, new Text( zeroGravityString, tickTextOptions ) );
+    strengthSlider.addMajorTick( 1, new Text( normalGravityString, tickTextOptions ) );
+    strengthSlider.addMajorTick(
+      MultipleParticleModel.MAX_GRAVITY_STRENGTH,
+      new Text( strongString, tickTextOptions )
+    );
+
+    // direction, with ticks that are labeled with arrows pointing in the direction of gravity at those values
+    const directionSlider = createSlider(
+      multipleParticleModel.gravityDirectionProperty,
+      options.tandem.createTandem( 'directionSlider' )
+    );
+    [ -Math.PI, -Math.PI / 2, 0, Math.PI / 2, Math.PI ].forEach( direction => {
+
+      // The view is inverted in y relative to the model.
+      directionSlider.addMajorTick( direction, new ArrowNode(
+        0,
+        0,
+        ARROW_LENGTH * Math.cos( direction ),
+        -ARROW_LENGTH * Math.sin( direction ),
+        {
+          headHeight: 5,
+          headWidth: 6,
+          tailWidth: 1.5,
+          fill: SOMColorProfile.controlPanelTextProperty,
+          stroke: null
+        }
+      ) );
+    } );
+
+    const accordionContent = new VBox( {
+      children: [
+        new Text( gravityStrengthString, labelOptions ),
+        strengthSlider,
+        new Text( gravityDirectionString, labelOptions ),
+        directionSlider
+      ],
+      spacing: 4
+    } );
+
+    const titleNode = new Text( gravityString, {
+      fill: SOMColorProfile.controlPanelTextProperty,
+      font: new PhetFont( { size: 13 } ),
+      maxWidth: SLIDER_WIDTH * 0.85
+    } );
+
+    // @private
+    this.accordionBox = new AccordionBox( accordionContent, {
+      titleNode: titleNode,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      expandedProperty: expandedProperty,
+      contentAlign: 'center',
+      titleAlignX: 'center',
+      buttonAlign: 'left',
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      contentYMargin: 5,
+      contentXMargin: 5,
+      minWidth: options.minWidth,
+      maxWidth: options.maxWidth,
+      buttonYMargin: 4,
+      buttonXMargin: 5,
+      expandCollapseButtonOptions: {
+        sideLength: 12,
+        touchAreaXDilation: 15,
+        touchAreaYDilation: 10
+      }
+    } );
+    this.addChild( this.accordionBox );
+
+    this.mutate( options );
+  }
+
+  /**
+   * Create a slider for a property of the gravity, styled like the other sliders in the sim.
+   * @param {NumberProperty} property - must have a range
+   * @param {Tandem} tandem
+   * @returns {HSlider}
+   */
+  function createSlider( property, tandem ) {
+    return new HSlider( property, property.range, {
+      trackFill: 'white',
+      thumbSize: new Dimension2( 14, 25 ),
+      majorTickLength: 15,
+      trackSize: new Dimension2( SLIDER_WIDTH, 4 ),
+      trackStroke: SOMColorProfile.controlPanelTextProperty,
+      trackLineWidth: 1,
+      thumbLineWidth: 1,
+      thumbTouchAreaXDilation: 8,
+      thumbTouchAreaYDilation: 8,
+      tickLabelSpacing: 6,
+      majorTickStroke: SOMColorProfile.controlPanelTextProperty,
+      majorTickLineWidth: 1,
+      cursor: 'pointer',
+      tandem: tandem
+    } );
+  }
+
+  statesOfMatter.register( 'GravityControl', GravityControl );
+
+  return inherit( Node, GravityControl );
+} );
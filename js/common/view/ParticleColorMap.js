@@ -0,0 +1,48 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The color scale that is used to tint the molecules when they are colored by a quantity other than their element,
+ * running from blue for low values through green and yellow to red for high ones, so that cold and hot regions look the
+ * way that they usually do on a thermal image.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Color = require( 'SCENERY/util/Color' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Utils = require( 'DOT/Utils' );
+
+  // colors at evenly spaced points along the scale, from the lowest value to the highest
+  const COLORS = [
+    new Color( 40, 60, 255 ),
+    new Color( 0, 200, 255 ),
+    new Color( 40, 220, 60 ),
+    new Color( 255, 230, 0 ),
+    new Color( 255, 40, 0 )
+  ];
+
+  const ParticleColorMap = {
+
+    // @public (read-only)
+    COLORS: COLORS,
+
+    /**
+     * Get the color for a value on the scale.
+     * @param {number} value - between 0 and 1
+     * @returns {Color}
+     * @public
+     */
+    getColor: function( value ) {
+      const position = Utils.clamp( value, 0, 1 ) * ( COLORS.length - 1 );
+      const index = Math.min( Math.floor( position ), COLORS.length - 2 );
+      return Color.interpolateRGBA( COLORS[ index ], COLORS[ index + 1 ], position - index );
+    }
+  };
+
+  statesOfMatter.register( 'ParticleColorMap', ParticleColorMap );
+
+  return ParticleColorMap;
+} );
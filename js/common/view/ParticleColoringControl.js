@@ -0,0 +1,201 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * a set of radio buttons for choosing the quantity by which the molecules are colored, with a legend for the color
+ * scale, suitable for inclusion on the control panel of a PhET simulation
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AccordionBox = require( 'SUN/AccordionBox' );
+  const AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const LinearGradient = require( 'SCENERY/util/LinearGradient' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const ParticleColoringMode = require( 'STATES_OF_MATTER/common/model/ParticleColoringMode' );
+  const ParticleColorMap = require( 'STATES_OF_MATTER/common/view/ParticleColorMap' );
+  const ParticleColorValueCalculator = require( 'STATES_OF_MATTER/common/model/ParticleColorValueCalculator' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const coordinationNumberString = require( 'string!STATES_OF_MATTER/coordinationNumber' );
+  const elementString = require( 'string!STATES_OF_MATTER/element' );
+  const fastString = require( 'string!STATES_OF_MATTER/fast' );
+  const highString = require( 'string!STATES_OF_MATTER/high' );
+  const kelvinUnitsString = require( 'string!STATES_OF_MATTER/kelvinUnits' );
+  const kineticEnergyString = require( 'string!STATES_OF_MATTER/kineticEnergy' );
+  const localTemperatureString = require( 'string!STATES_OF_MATTER/localTemperature' );
+  const lowString = require( 'string!STATES_OF_MATTER/low' );
+  const moleculeColorsString = require( 'string!STATES_OF_MATTER/moleculeColors' );
+  const slowString = require( 'string!STATES_OF_MATTER/slow' );
+  const speedString = require( 'string!STATES_OF_MATTER/speed' );
+  const valueWithUnitsPatternString = require( 'string!STATES_OF_MATTER/valueWithUnitsPattern' );
+
+  // constants
+  const CONTENT_WIDTH = 148;
+  const LABEL_FONT = new PhetFont( 12 );
+  const RANGE_FONT = new PhetFont( 10 );
+  const RADIO_BUTTON_RADIUS = 6;
+  const COLOR_BAR_HEIGHT = 10;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Property<boolean>} expandedProperty - whether the control is expanded
+   * @param {Object} [options] that can be passed on to the underlying node
+   * @constructor
+   */
+  function ParticleColoringControl( multipleParticleModel, expandedProperty, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    Node.call( this );
+
+    const particleColoringModeProperty = multipleParticleModel.particleColoringModeProperty;
+
+    // one radio button for each mode
+    const radioButtonDescriptions = [
+      { mode: ParticleColoringMode.ELEMENT, label: elementString, tandemName: 'elementRadioButton' },
+      { mode: ParticleColoringMode.SPEED, label: speedString, tandemName: 'speedRadioButton' },
+      { mode: ParticleColoringMode.KINETIC_ENERGY, label: kineticEnergyString, tandemName: 'kineticEnergyRadioButton' },
+      {
+        mode: ParticleColoringMode.COORDINATION_NUMBER,
+        label: coordinationNumberString,
+        tandemName: 'coordinationNumberRadioButton'
+      },
+      {
+        mode: ParticleColoringMode.LOCAL_TEMPERATURE,
+        label: localTemperatureString,
+        tandemName: 'localTemperatureRadioButton'
+      }
+    ];
+    const radioButtons = radioButtonDescriptions.map( function( radioButtonDescription ) {
+      const radioButton = new AquaRadioButton(
+        particleColoringModeProperty,
+        radioButtonDescription.mode,
+        new Text( radioButtonDescription.label, {
+          font: LABEL_FONT,
+          fill: SOMColorProfile.controlPanelTextProperty,
+          maxWidth: CONTENT_WIDTH - 20
+        } ),
+        {
+          radius: RADIO_BUTTON_RADIUS,
+          tandem: options.tandem.createTandem( radioButtonDescription.tandemName )
+        }
+      );
+      radioButton.touchArea = radioButton.localBounds.dilatedXY( 8, 2 );
+      return radioButton;
+    } );
+
+    // legend, which is a bar showing the color scale with the values at its ends below it
+    const colorBarFill = new LinearGradient( 0, 0, CONTENT_WIDTH, 0 );
+    ParticleColorMap.COLORS.forEach( function( color, index ) {
+      colorBarFill.addColorStop( index / ( ParticleColorMap.COLORS.length - 1 ), color );
+    } );
+    const colorBar = new Rectangle( 0, 0, CONTENT_WIDTH, COLOR_BAR_HEIGHT, {
+      fill: colorBarFill,
+      stroke: SOMColorProfile.controlPanelTextProperty,
+      lineWidth: 0.5
+    } );
+    const rangeTextOptions = {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: CONTENT_WIDTH * 0.45,
+      top: colorBar.bottom + 2
+    };
+    const minValueText = new Text( '', rangeTextOptions );
+    const maxValueText = new Text( '', rangeTextOptions );
+    const legend = new Node( { children: [ colorBar, minValueText, maxValueText ] } );
+
+    // The values at the ends of the scale for the temperature depend on the substance, since the conversion to Kelvin
+    // does.
+    const formatTemperature = function( modelTemperature ) {
+      return StringUtils.fillIn( valueWithUnitsPatternString, {
+        value: Utils.toFixed( multipleParticleModel.convertModelTemperatureToKelvin( modelTemperature ), 0 ),
+        units: kelvinUnitsString
+      } );
+    };
+    const updateLegend = function() {
+      const mode = particleColoringModeProperty.get();
+      legend.visible = mode !== ParticleColoringMode.ELEMENT;
+      if ( mode === ParticleColoringMode.SPEED ) {
+        minValueText.text = slowString;
+        maxValueText.text = fastString;
+      }
+      else if ( mode === ParticleColoringMode.KINETIC_ENERGY ) {
+        minValueText.text = lowString;
+        maxValueText.text = highString;
+      }
+      else if ( mode === ParticleColoringMode.COORDINATION_NUMBER ) {
+        minValueText.text = '0';
+        maxValueText.text = ParticleColorValueCalculator.MAX_COORDINATION_NUMBER.toString();
+      }
+      else if ( mode === ParticleColoringMode.LOCAL_TEMPERATURE ) {
+        minValueText.text = formatTemperature( 0 );
+        maxValueText.text = formatTemperature( ParticleColorValueCalculator.MAX_LOCAL_TEMPERATURE );
+      }
+      minValueText.left = colorBar.left;
+      maxValueText.right = colorBar.right;
+    };
+    particleColoringModeProperty.link( updateLegend );
+    multipleParticleModel.substanceProperty.link( updateLegend );
+
+    const accordionContent = new VBox( {
+      children: [
+        new VBox( { children: radioButtons, spacing: 3, align: 'left' } ),
+        legend
+      ],
+      spacing: 8
+    } );
+
+    const titleNode = new Text( moleculeColorsString, {
+      fill: SOMColorProfile.controlPanelTextProperty,
+      font: new PhetFont( { size: 13 } ),
+      maxWidth: CONTENT_WIDTH * 0.85
+    } );
+
+    // @private
+    this.accordionBox = new AccordionBox( accordionContent, {
+      titleNode: titleNode,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      expandedProperty: expandedProperty,
+      contentAlign: 'center',
+      titleAlignX: 'center',
+      buttonAlign: 'left',
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      contentYMargin: 5,
+      contentXMargin: 5,
+      minWidth: options.minWidth,
+      maxWidth: options.maxWidth,
+      buttonYMargin: 4,
+      buttonXMargin: 5,
+      expandCollapseButtonOptions: {
+        sideLength: 12,
+        touchAreaXDilation: 15,
+        touchAreaYDilation: 10
+      }
+    } );
+    this.addChild( this.accordionBox );
+
+    this.mutate( options );
+  }
+
+  statesOfMatter.register( 'ParticleColoringControl', ParticleColoringControl );
+
+  return inherit( Node, ParticleColoringControl );
+} );
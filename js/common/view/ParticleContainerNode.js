@@ -21,9 +21,13 @@ define( require => {
   const ParticleImageCanvasNode = require( 'STATES_OF_MATTER/common/view/ParticleImageCanvasNode' );
   const Path = require( 'SCENERY/nodes/Path' );
   const PointingHandNode = require( 'STATES_OF_MATTER/common/view/PointingHandNode' );
+  const Property = require( 'AXON/Property' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const Shape = require( 'KITE/Shape' );
+  const SideWallNode = require( 'STATES_OF_MATTER/common/view/SideWallNode' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const TrackedMoleculeNode = require( 'STATES_OF_MATTER/common/view/TrackedMoleculeNode' );
 
   // constants
   const PRESSURE_METER_ELBOW_OFFSET = 30;
@@ -32,11 +36,15 @@ define( require => {
   const CONTAINER_CUTOUT_X_MARGIN = 25;
   const CONTAINER_CUTOUT_Y_MARGIN = 20;
   const BEVEL_WIDTH = 9;
+  const LID_WEIGHT_WIDTH = 60;
+  const LID_WEIGHT_MIN_HEIGHT = 6; // height of the weight on the lid at no weight, grows in proportion to the weight
+  const LID_WEIGHT_MAX_HEIGHT = 40;
 
   /**
    * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
    * @param {ModelViewTransform2} modelViewTransform
    * @param {boolean} volumeControlEnabled - set true to enable volume control by pushing the lid using a finger from above
+   * and by dragging the side wall
    * @param {boolean} pressureGaugeEnabled - set true to show the pressure gauge
    * @param {Tandem} tandem
    * @constructor
@@ -67,10 +75,31 @@ define( require => {
     // add nodes for the various layers
     const preParticleLayer = new Node();
     this.addChild( preParticleLayer );
-    this.particlesCanvasNode = new ParticleImageCanvasNode( multipleParticleModel.particles, modelViewTransform, {
-      canvasBounds: SOMConstants.SCREEN_VIEW_OPTIONS.layoutBounds.dilated( 500, 500 ) // dilation amount empirically determined
-    } );
+    this.particlesCanvasNode = new ParticleImageCanvasNode(
+      multipleParticleModel.particles,
+      modelViewTransform,
+      multipleParticleModel.particleColoringModeProperty,
+      multipleParticleModel.particleColorValueCalculator.values,
+      {
+        // dilation amount empirically determined
+        canvasBounds: SOMConstants.SCREEN_VIEW_OPTIONS.layoutBounds.dilated( 500, 500 )
+      }
+    );
     this.addChild( this.particlesCanvasNode );
+
+    // Select the molecule that is pressed, or clear the selection if there isn't one where the press occurs.
+    const particlesCanvasNode = this.particlesCanvasNode;
+    particlesCanvasNode.addInputListener( {
+      down: function( event ) {
+        multipleParticleModel.moleculeTracker.selectMoleculeAt(
+          modelViewTransform.viewToModelPosition( particlesCanvasNode.globalToLocalPoint( event.pointer.point ) )
+        );
+      }
+    } );
+
+    // @private
+    this.trackedMoleculeNode = new TrackedMoleculeNode( multipleParticleModel, modelViewTransform );
+    this.addChild( this.trackedMoleculeNode );
     const postParticleLayer = new Node();
     this.addChild( postParticleLayer );
 
@@ -130,6 +159,36 @@ define( require => {
       handleNode.centerX = containerLid.width / 2;
       handleNode.bottom = handleAreaEllipse.centerY + 5; // position tweaked a bit to look better
       containerLid.addChild( handleNode );
+
+      // Add the weight that sits on the lid when it is weighted.  It isn't part of the lid node, since that is
+      // positioned using its bounds.  The lid can't be moved by hand while it is weighted, so the handle and the
+      // pointing hand are hidden.
+      var lidWeightNode = new Rectangle( 0, 0, LID_WEIGHT_WIDTH, 1, {
+        fill: new LinearGradient( 0, 0, LID_WEIGHT_WIDTH, 0 )
+          .addColorStop( 0, '#646565' )
+          .addColorStop( 0.4, '#C8C8C8' )
+          .addColorStop( 1, '#646565' ),
+        stroke: '#444444',
+        lineWidth: 0.5,
+        cornerRadius: 3,
+        centerX: this.particleAreaViewBounds.centerX
+      } );
+      postParticleLayer.addChild( lidWeightNode );
+      multipleParticleModel.lidWeightProperty.link( function( lidWeight ) {
+        const bottom = lidWeightNode.bottom;
+        lidWeightNode.setRectHeight( LID_WEIGHT_MIN_HEIGHT +
+                                     ( LID_WEIGHT_MAX_HEIGHT - LID_WEIGHT_MIN_HEIGHT ) *
+                                     lidWeight / MultipleParticleModel.MAX_LID_WEIGHT );
+        lidWeightNode.bottom = bottom;
+      } );
+      Property.multilink(
+        [ multipleParticleModel.weightedLidEnabledProperty, multipleParticleModel.isExplodedProperty ],
+        function( weightedLidEnabled, isExploded ) {
+          lidWeightNode.visible = weightedLidEnabled && !isExploded;
+          handleNode.visible = !weightedLidEnabled;
+          pointingHandNode.visible = !weightedLidEnabled;
+        }
+      );
     }
 
     let pressureMeter;
@@ -321,6 +380,15 @@ define( require => {
     bevel.top = this.particleAreaViewBounds.minY + cutoutTopY;
     postParticleLayer.addChild( bevel );
 
+    if ( volumeControlEnabled ) {
+
+      // Add the side wall, which can be dragged to change the width of the container.  It is in front of the container
+      // so that it can be grabbed even when it is all the way out.
+      postParticleLayer.addChild( new SideWallNode( multipleParticleModel, modelViewTransform, {
+        tandem: tandem.createTandem( 'sideWallNode' )
+      } ) );
+    }
+
     // Define a function for updating the position and appearance of the pressure gauge.
     function updatePressureGaugePosition() {
 
@@ -370,8 +438,11 @@ define( require => {
         containerLid.rotateAround( containerLid.center, rotationAmount );
       }
 
-      // update the position of the pointing hand
+      // update the position of the pointing hand and the weight on the lid
       pointingHandNode && pointingHandNode.setFingertipYPosition( lidYPosition );
+      if ( lidWeightNode ) {
+        lidWeightNode.bottom = lidYPosition;
+      }
 
       // update the pressure gauge position (if present)
       updatePressureGaugePosition();
@@ -406,6 +477,7 @@ define( require => {
      */
     step: function( dt ) {
       this.particlesCanvasNode.step( dt );
+      this.trackedMoleculeNode.step();
     }
   } );
 } );
\ No newline at end of file
@@ -1,7 +1,9 @@
-// Copyright 2016-2019, University of Colorado Boulder
+// Copyright 2016-2020, University of Colorado Boulder
 
 /**
- * A particle layer rendered on canvas that uses images rather than calling context.arc for improved performance.
+ * A particle layer rendered on canvas that uses images rather than calling context.arc for improved performance.  The
+ * particles are either drawn in the colors of their elements or tinted with a color from a color scale, in which case
+ * the images are taken from a set that has been drawn for evenly spaced points along the scale.
  *
  * @author John Blanco
  */
@@ -9,44 +11,32 @@ define( require => {
   'use strict';
 
   // modules
-  const ArgonAtom = require( 'STATES_OF_MATTER/common/model/particle/ArgonAtom' );
-  const AtomType = require( 'STATES_OF_MATTER/common/model/AtomType' );
   const CanvasNode = require( 'SCENERY/nodes/CanvasNode' );
-  const ConfigurableStatesOfMatterAtom = require( 'STATES_OF_MATTER/common/model/particle/ConfigurableStatesOfMatterAtom' );
-  const HydrogenAtom = require( 'STATES_OF_MATTER/common/model/particle/HydrogenAtom' );
   const inherit = require( 'PHET_CORE/inherit' );
-  const NeonAtom = require( 'STATES_OF_MATTER/common/model/particle/NeonAtom' );
-  const OxygenAtom = require( 'STATES_OF_MATTER/common/model/particle/OxygenAtom' );
+  const ParticleColoringMode = require( 'STATES_OF_MATTER/common/model/ParticleColoringMode' );
+  const ParticleColorMap = require( 'STATES_OF_MATTER/common/view/ParticleColorMap' );
   const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
-  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
 
   // constants
   const PARTICLE_IMAGE_CANVAS_LENGTH = 32; // amount of canvas used to create a particle image, will be squared 
+  const NUMBER_OF_COLOR_MAP_IMAGES = 64; // number of points on the color scale for which particle images are drawn
 
-  // set up the association between atom types and the colors used to represent them
-  const PARTICLE_COLOR_TABLE = {};
-  PARTICLE_COLOR_TABLE[ AtomType.ARGON ] = SOMConstants.ARGON_COLOR;
-  PARTICLE_COLOR_TABLE[ AtomType.NEON ] = SOMConstants.NEON_COLOR;
-  PARTICLE_COLOR_TABLE[ AtomType.OXYGEN ] = SOMConstants.OXYGEN_COLOR;
-  PARTICLE_COLOR_TABLE[ AtomType.HYDROGEN ] = SOMConstants.HYDROGEN_COLOR;
-  PARTICLE_COLOR_TABLE[ AtomType.ADJUSTABLE ] = SOMConstants.ADJUSTABLE_ATTRACTION_COLOR;
-
-  // set up the association between atom types and their radii in the model
-  const PARTICLE_RADIUS_TABLE = {};
-  PARTICLE_RADIUS_TABLE[ AtomType.ARGON ] = ArgonAtom.RADIUS;
-  PARTICLE_RADIUS_TABLE[ AtomType.NEON ] = NeonAtom.RADIUS;
-  PARTICLE_RADIUS_TABLE[ AtomType.OXYGEN ] = OxygenAtom.RADIUS;
-  PARTICLE_RADIUS_TABLE[ AtomType.HYDROGEN ] = HydrogenAtom.RADIUS;
-  PARTICLE_RADIUS_TABLE[ AtomType.ADJUSTABLE ] = ConfigurableStatesOfMatterAtom.DEFAULT_RADIUS;
+  // descriptions of all atoms that can be in the container, which define the color and model radius for each type
+  const ATOM_DESCRIPTIONS = SubstanceRegistry.getAtomDescriptions();
 
   /**
    * @param {ObservableArray<Particle>} particles that need to be rendered on the canvas
    * @param {ModelViewTransform2} modelViewTransform to convert between model and view coordinate frames
+   * @param {Property<ParticleColoringMode>} particleColoringModeProperty
+   * @param {Float64Array} particleColorValues - value on the color scale for each particle, between 0 and 1, only used
+   * when the particles aren't colored by element
    * @param {Object} [options] that can be passed on to the underlying node
    * @constructor
    */
-  function ParticleImageCanvasNode( particles, modelViewTransform, options ) {
+  function ParticleImageCanvasNode( particles, modelViewTransform, particleColoringModeProperty, particleColorValues,
+                                    options ) {
 
     const self = this;
     CanvasNode.call( this, options );
@@ -54,11 +44,15 @@ define( require => {
     // @private
     this.particles = particles;
     this.modelViewTransform = modelViewTransform;
+    this.particleColoringModeProperty = particleColoringModeProperty;
+    this.particleColorValues = particleColorValues;
 
-    // @private canvas where particle images will reside, one row with strokes and one row without
+    // @private canvas where particle images will reside, one row with strokes and one row without for the element
+    // colors, followed by the same two rows for the colors on the color scale
     this.particleImageCanvas = document.createElement( 'canvas' );
-    this.particleImageCanvas.width = Object.getOwnPropertyNames( AtomType ).length * PARTICLE_IMAGE_CANVAS_LENGTH;
-    this.particleImageCanvas.height = PARTICLE_IMAGE_CANVAS_LENGTH * 2;
+    this.particleImageCanvas.width = Math.max( ATOM_DESCRIPTIONS.length, NUMBER_OF_COLOR_MAP_IMAGES ) *
+                                     PARTICLE_IMAGE_CANVAS_LENGTH;
+    this.particleImageCanvas.height = PARTICLE_IMAGE_CANVAS_LENGTH * 4;
 
     // @private create a map of particle types to position in the particle image canvas, will be populated below
     this.mapAtomTypeToImageXPosition = {};
@@ -69,17 +63,13 @@ define( require => {
     // Draw the particles on the canvas, top row is without black stroke, the bottom row is with black stroke (for
     // projector mode).
     const context = this.particleImageCanvas.getContext( '2d' );
-    let index = 0;
-    for ( const atomType in AtomType ) {
+    ATOM_DESCRIPTIONS.forEach( function( atomDescription, index ) {
 
-      if ( !AtomType.hasOwnProperty( atomType ) ) {
-        // skip prototype properties
-        continue;
-      }
+      const atomType = atomDescription.type;
 
       // draw particle with stroke that matches the fill
-      context.strokeStyle = PARTICLE_COLOR_TABLE[ atomType ];
-      context.fillStyle = PARTICLE_COLOR_TABLE[ atomType ];
+      context.strokeStyle = atomDescription.color;
+      context.fillStyle = atomDescription.color;
       context.lineWidth = 1;
       context.beginPath();
       context.arc(
@@ -109,9 +99,26 @@ define( require => {
       self.mapAtomTypeToImageXPosition[ atomType ] = index * PARTICLE_IMAGE_CANVAS_LENGTH;
 
       // set the radius for this atom type
-      self.particleRadii[ atomType ] = modelViewTransform.modelToViewDeltaX( PARTICLE_RADIUS_TABLE[ atomType ] );
+      self.particleRadii[ atomType ] = modelViewTransform.modelToViewDeltaX( atomDescription.radius );
+    } );
 
-      index++;
+    // Draw the particles for the color scale in the same way, below the ones for the elements.
+    for ( let i = 0; i < NUMBER_OF_COLOR_MAP_IMAGES; i++ ) {
+      const color = ParticleColorMap.getColor( i / ( NUMBER_OF_COLOR_MAP_IMAGES - 1 ) ).toCSS();
+      context.fillStyle = color;
+      [ color, 'black' ].forEach( function( strokeColor, row ) {
+        context.strokeStyle = strokeColor;
+        context.beginPath();
+        context.arc(
+          PARTICLE_IMAGE_CANVAS_LENGTH * i + PARTICLE_IMAGE_CANVAS_LENGTH / 2,
+          PARTICLE_IMAGE_CANVAS_LENGTH * ( 2.5 + row ),
+          PARTICLE_IMAGE_CANVAS_LENGTH / 2 * 0.95,
+          0,
+          Math.PI * 2
+        );
+        context.fill();
+        context.stroke();
+      } );
     }
 
     // initiate the first paint
@@ -128,14 +135,25 @@ define( require => {
   return inherit( CanvasNode, ParticleImageCanvasNode, {
 
     /**
+     * @param {CanvasRenderingContext2D} context
+     * @param {Particle} particle
+     * @param {number} particleIndex
+     * @param {boolean} useColorMap - whether to tint the particle with its color from the color scale
      * @private
      */
-    renderParticle: function( context, particle ) {
+    renderParticle: function( context, particle, particleIndex, useColorMap ) {
       const particleViewRadius = this.particleRadii[ particle.getType() ];
+      let imageX = this.mapAtomTypeToImageXPosition[ particle.getType() ];
+      let imageY = this.useStrokedParticles ? PARTICLE_IMAGE_CANVAS_LENGTH : 0;
+      if ( useColorMap ) {
+        imageX = Math.round( this.particleColorValues[ particleIndex ] * ( NUMBER_OF_COLOR_MAP_IMAGES - 1 ) ) *
+                 PARTICLE_IMAGE_CANVAS_LENGTH;
+        imageY += PARTICLE_IMAGE_CANVAS_LENGTH * 2;
+      }
       context.drawImage(
         this.particleImageCanvas,
-        this.mapAtomTypeToImageXPosition[ particle.getType() ],
-        this.useStrokedParticles ? PARTICLE_IMAGE_CANVAS_LENGTH : 0,
+        imageX,
+        imageY,
         PARTICLE_IMAGE_CANVAS_LENGTH,
         PARTICLE_IMAGE_CANVAS_LENGTH,
         this.modelViewTransform.modelToViewX( particle.positionProperty.value.x ) - particleViewRadius,
@@ -151,6 +169,7 @@ define( require => {
      * @public
      */
     paintCanvas: function( context ) {
+      const useColorMap = this.particleColoringModeProperty.get() !== ParticleColoringMode.ELEMENT;
       let particle;
       let i;
 
@@ -162,7 +181,7 @@ define( require => {
       for ( i = 0; i < this.particles.length; i++ ) {
         particle = this.particles.get( i );
         if ( particle.renderBelowOxygen ) {
-          this.renderParticle( context, particle );
+          this.renderParticle( context, particle, i, useColorMap );
         }
       }
 
@@ -170,7 +189,7 @@ define( require => {
       for ( i = 0; i < this.particles.length; i++ ) {
         particle = this.particles.get( i );
         if ( !particle.renderBelowOxygen ) {
-          this.renderParticle( context, particle );
+          this.renderParticle( context, particle, i, useColorMap );
         }
       }
     },
@@ -0,0 +1,119 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The movable wall on the right side of the particle container, which has a handle that can be used to drag it in and
+ * out to change the width of the container.  It spans the container from the bottom to the lid.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const HandleNode = require( 'SCENERY_PHET/HandleNode' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const LinearGradient = require( 'SCENERY/util/LinearGradient' );
+  const merge = require( 'PHET_CORE/merge' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const SimpleDragHandler = require( 'SCENERY/input/SimpleDragHandler' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Tandem = require( 'TANDEM/Tandem' );
+
+  // constants
+  const WALL_THICKNESS = 6; // in screen coords
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {ModelViewTransform2} modelViewTransform to convert between model and view co-ordinate frames
+   * @param {Object} [options]
+   * @constructor
+   */
+  function SideWallNode( multipleParticleModel, modelViewTransform, options ) {
+
+    options = merge( {
+      cursor: 'ew-resize',
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const self = this;
+    Node.call( this );
+
+    // The wall is drawn to the right of its origin, which is placed at the inner edge of the wall.
+    const wall = new Rectangle( 0, 0, WALL_THICKNESS, 1, {
+      fill: new LinearGradient( 0, 0, WALL_THICKNESS, 0 )
+        .addColorStop( 0, '#AEAFAF' )
+        .addColorStop( 0.5, '#8B8B8B' )
+        .addColorStop( 1, '#646565' ),
+      stroke: '#444444',
+      lineWidth: 0.5
+    } );
+    this.addChild( wall );
+
+    // The handle is rotated so that its grip is to the right, with its attachments to the wall.
+    const handleNode = new HandleNode( {
+      scale: 0.28,
+      attachmentFill: 'black',
+      gripLineWidth: 4,
+      rotation: Math.PI / 2
+    } );
+    handleNode.touchArea = handleNode.localBounds.dilated( 10 );
+    this.addChild( handleNode );
+
+    // Set ourself up to listen for and handle mouse dragging events.
+    let startX;
+    let containerWidthAtDragStart;
+    this.addInputListener( new SimpleDragHandler( {
+
+      allowTouchSnag: true,
+
+      start: function( event ) {
+        startX = self.globalToParentPoint( event.pointer.point ).x;
+        containerWidthAtDragStart = multipleParticleModel.particleContainerWidthProperty.get();
+      },
+
+      drag: function( event ) {
+
+        // Resize the container based on the amount that the pointer has moved.
+        const endX = self.globalToParentPoint( event.pointer.point ).x;
+        multipleParticleModel.setTargetParticleContainerWidth(
+          containerWidthAtDragStart + modelViewTransform.viewToModelDeltaX( endX - startX )
+        );
+      },
+
+      end: function() {
+
+        // Set the target size to the current size, which will stop any change in size that is currently underway.
+        multipleParticleModel.setTargetParticleContainerWidth(
+          multipleParticleModel.particleContainerWidthProperty.get()
+        );
+      },
+
+      tandem: options.tandem.createTandem( 'dragHandler' )
+    } ) );
+
+    // Move the wall with the container width and adjust its length to the container height.  Once the lid has blown
+    // off, the wall extends to the top of the container as it was originally.
+    const updateWall = function() {
+      const top = modelViewTransform.modelToViewY( Math.min(
+        multipleParticleModel.particleContainerHeightProperty.get(),
+        MultipleParticleModel.PARTICLE_CONTAINER_INITIAL_HEIGHT
+      ) );
+      const bottom = modelViewTransform.modelToViewY( 0 );
+      wall.setRect( 0, top, WALL_THICKNESS, bottom - top );
+      handleNode.left = WALL_THICKNESS;
+      handleNode.centerY = ( top + bottom ) / 2;
+    };
+    multipleParticleModel.particleContainerHeightProperty.link( updateWall );
+    multipleParticleModel.particleContainerWidthProperty.link( function( containerWidth ) {
+      self.x = modelViewTransform.modelToViewX( containerWidth );
+    } );
+
+    this.mutate( options );
+  }
+
+  statesOfMatter.register( 'SideWallNode', SideWallNode );
+
+  return inherit( Node, SideWallNode );
+} );
@@ -0,0 +1,196 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * a histogram of the speeds of the molecules in the model with the theoretical Maxwell-Boltzmann distribution for the
+ * current temperature drawn over it, suitable for inclusion on the control panel of a PhET simulation
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AccordionBox = require( 'SUN/AccordionBox' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Line = require( 'SCENERY/nodes/Line' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const Shape = require( 'KITE/Shape' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  const maxwellBoltzmannString = require( 'string!STATES_OF_MATTER/maxwellBoltzmann' );
+  const speedDistributionString = require( 'string!STATES_OF_MATTER/speedDistribution' );
+  const speedString = require( 'string!STATES_OF_MATTER/speed' );
+
+  // constants that control the size and look of the chart
+  const PLOT_WIDTH = 148;
+  const PLOT_HEIGHT = 80;
+  const LEGEND_HEIGHT = 14;
+  const LABEL_FONT = new PhetFont( 10 );
+  const BAR_COLOR = '#3399FF';
+  const CURVE_COLOR = '#FF3333';
+  const CURVE_LINE_WIDTH = 1.5;
+  const NUMBER_OF_CURVE_POINTS = 60;
+
+  // The peak of the theoretical distribution is drawn at this proportion of the plot height unless the histogram has
+  // higher bars, which leaves room for the fluctuations of the histogram.
+  const CURVE_PEAK_PROPORTION = 0.7;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Property<boolean>} expandedProperty - whether the chart is expanded
+   * @param {Object} [options] that can be passed on to the underlying node
+   * @constructor
+   */
+  function SpeedHistogramChart( multipleParticleModel, expandedProperty, options ) {
+
+    const self = this;
+    Node.call( this );
+    const accordionContent = new Node();
+
+    // @private
+    this.speedHistogram = multipleParticleModel.speedHistogram;
+    this.expandedProperty = expandedProperty;
+
+    // legend for the theoretical curve
+    accordionContent.addChild( new HBox( {
+      spacing: 4,
+      children: [
+        new Line( 0, 0, 12, 0, { stroke: CURVE_COLOR, lineWidth: CURVE_LINE_WIDTH } ),
+        new Text( maxwellBoltzmannString, {
+          font: LABEL_FONT,
+          fill: SOMColorProfile.controlPanelTextProperty,
+          maxWidth: PLOT_WIDTH * 0.8
+        } )
+      ],
+      right: PLOT_WIDTH,
+      centerY: LEGEND_HEIGHT / 2 - 1
+    } ) );
+
+    accordionContent.addChild( new Rectangle( 0, LEGEND_HEIGHT, PLOT_WIDTH, PLOT_HEIGHT, {
+      stroke: SOMColorProfile.controlPanelTextProperty,
+      lineWidth: 0.5
+    } ) );
+
+    // @private
+    this.bars = new Path( null, { fill: BAR_COLOR } );
+    accordionContent.addChild( this.bars );
+    this.curve = new Path( null, { stroke: CURVE_COLOR, lineWidth: CURVE_LINE_WIDTH } );
+    accordionContent.addChild( this.curve );
+
+    accordionContent.addChild( new Text( speedString, {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: PLOT_WIDTH * 0.6,
+      centerX: PLOT_WIDTH / 2,
+      top: LEGEND_HEIGHT + PLOT_HEIGHT + 2
+    } ) );
+
+    const titleNode = new Text( speedDistributionString, {
+      fill: SOMColorProfile.controlPanelTextProperty,
+      font: new PhetFont( { size: 13 } ),
+      maxWidth: PLOT_WIDTH * 0.85
+    } );
+
+    this.accordionBox = new AccordionBox( accordionContent, {
+      titleNode: titleNode,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      expandedProperty: expandedProperty,
+      contentAlign: 'center',
+      titleAlignX: 'center',
+      buttonAlign: 'left',
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      contentYMargin: 5,
+      contentXMargin: 5,
+      minWidth: options.minWidth,
+      maxWidth: options.maxWidth,
+      buttonYMargin: 4,
+      buttonXMargin: 5,
+      expandCollapseButtonOptions: {
+        sideLength: 12,
+        touchAreaXDilation: 15,
+        touchAreaYDilation: 10
+      }
+    } );
+    this.addChild( this.accordionBox );
+
+    expandedProperty.link( function( expanded ) {
+      if ( expanded ) {
+        self.update();
+      }
+    } );
+
+    this.mutate( options );
+  }
+
+  statesOfMatter.register( 'SpeedHistogramChart', SpeedHistogramChart );
+
+  return inherit( Node, SpeedHistogramChart, {
+
+    /**
+     * Redraw the histogram if the chart is expanded.
+     * @public
+     */
+    step: function() {
+      if ( this.expandedProperty.get() ) {
+        this.update();
+      }
+    },
+
+    /**
+     * Draw the histogram and the theoretical curve for the most recent update of the model's speed histogram.
+     * @private
+     */
+    update: function() {
+
+      const speedHistogram = this.speedHistogram;
+      const densities = speedHistogram.densities;
+      const curvePeak = speedHistogram.getTheoreticalDensity( speedHistogram.getMostProbableSpeed() );
+
+      let maxDensity = curvePeak / CURVE_PEAK_PROPORTION;
+      for ( let i = 0; i < densities.length; i++ ) {
+        maxDensity = Math.max( maxDensity, densities[ i ] );
+      }
+      if ( maxDensity === 0 ) {
+        this.bars.shape = null;
+        this.curve.shape = null;
+        return;
+      }
+
+      const xScale = PLOT_WIDTH / speedHistogram.maxSpeed;
+      const yScale = PLOT_HEIGHT / maxDensity;
+      const bottom = LEGEND_HEIGHT + PLOT_HEIGHT;
+
+      const barsShape = new Shape();
+      const barWidth = PLOT_WIDTH / densities.length;
+      for ( let i = 0; i < densities.length; i++ ) {
+        if ( densities[ i ] > 0 ) {
+          const barHeight = densities[ i ] * yScale;
+          barsShape.rect( i * barWidth, bottom - barHeight, barWidth, barHeight );
+        }
+      }
+      this.bars.shape = barsShape;
+
+      const curveShape = new Shape();
+      for ( let i = 0; i <= NUMBER_OF_CURVE_POINTS; i++ ) {
+        const speed = speedHistogram.maxSpeed * i / NUMBER_OF_CURVE_POINTS;
+        const y = bottom - speedHistogram.getTheoreticalDensity( speed ) * yScale;
+        if ( i === 0 ) {
+          curveShape.moveTo( speed * xScale, y );
+        }
+        else {
+          curveShape.lineTo( speed * xScale, y );
+        }
+      }
+      this.curve.shape = curveShape;
+    }
+  } );
+} );
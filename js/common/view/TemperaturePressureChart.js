@@ -0,0 +1,321 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * a strip chart that plots the recent history of the temperature and pressure in the model, with a button for exporting
+ * the plotted data, suitable for inclusion on the control panel of a PhET simulation
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AccordionBox = require( 'SUN/AccordionBox' );
+  const CompositeThermometerNode = require( 'STATES_OF_MATTER/common/view/CompositeThermometerNode' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const Shape = require( 'KITE/Shape' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const TemperaturePressureHistory = require( 'STATES_OF_MATTER/common/model/TemperaturePressureHistory' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const TextPushButton = require( 'SUN/buttons/TextPushButton' );
+
+  // strings
+  const celsiusUnitsString = require( 'string!STATES_OF_MATTER/celsiusUnits' );
+  const exportString = require( 'string!STATES_OF_MATTER/export' );
+  const historyString = require( 'string!STATES_OF_MATTER/history' );
+  const kelvinUnitsString = require( 'string!STATES_OF_MATTER/kelvinUnits' );
+  const pressureString = require( 'string!STATES_OF_MATTER/pressure' );
+  const pressureUnitsInAtmString = require( 'string!STATES_OF_MATTER/pressureUnitsInAtm' );
+  const quantityWithUnitsPatternString = require( 'string!STATES_OF_MATTER/quantityWithUnitsPattern' );
+  const secondsUnitsString = require( 'string!STATES_OF_MATTER/secondsUnits' );
+  const temperatureString = require( 'string!STATES_OF_MATTER/temperature' );
+  const timeString = require( 'string!STATES_OF_MATTER/time' );
+
+  // constants that control the size and layout of the chart
+  const PLOT_WIDTH = 148;
+  const PLOT_HEIGHT = 50;
+  const LABEL_HEIGHT = 14;
+  const PLOT_SPACING = 6;
+  const LABEL_FONT = new PhetFont( 10 );
+  const RANGE_FONT = new PhetFont( 9 );
+  const TEMPERATURE_LINE_COLOR = '#FF3333';
+  const PRESSURE_LINE_COLOR = '#3399FF';
+  const EXPORT_FILE_NAME = 'states-of-matter-history.csv';
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Property<boolean>} expandedProperty - whether the chart is expanded
+   * @param {Property<Object>} temperatureUnitsProperty - one of CompositeThermometerNode.TEMPERATURE_UNITS
+   * @param {Object} [options] that can be passed on to the underlying node
+   * @constructor
+   */
+  function TemperaturePressureChart( multipleParticleModel, expandedProperty, temperatureUnitsProperty, options ) {
+
+    const self = this;
+    Node.call( this );
+    const accordionContent = new Node();
+
+    // @private
+    this.history = multipleParticleModel.temperaturePressureHistory;
+    this.temperatureUnitsProperty = temperatureUnitsProperty;
+
+    // @private - plots for temperature and pressure, one above the other
+    this.temperaturePlot = new Plot( TEMPERATURE_LINE_COLOR );
+    this.pressurePlot = new Plot( PRESSURE_LINE_COLOR );
+    this.pressurePlot.y = LABEL_HEIGHT + PLOT_HEIGHT + PLOT_SPACING;
+    accordionContent.addChild( this.temperaturePlot );
+    accordionContent.addChild( this.pressurePlot );
+    this.pressurePlot.setLabel( fillInUnits( pressureString, pressureUnitsInAtmString ) );
+
+    // time axis labels, the time runs from the left edge of the plots to the present at the right edge
+    const timeAxisLabelTop = this.pressurePlot.y + LABEL_HEIGHT + PLOT_HEIGHT + 2;
+    accordionContent.addChild( new Text( '-' + TemperaturePressureHistory.TIME_SPAN, {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      left: 0,
+      top: timeAxisLabelTop
+    } ) );
+    accordionContent.addChild( new Text( '0', {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      right: PLOT_WIDTH,
+      top: timeAxisLabelTop
+    } ) );
+    const timeAxisLabel = new Text( fillInUnits( timeString, secondsUnitsString ), {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: PLOT_WIDTH * 0.6,
+      centerX: PLOT_WIDTH / 2,
+      top: timeAxisLabelTop
+    } );
+    accordionContent.addChild( timeAxisLabel );
+
+    // button for saving the plotted data to a file
+    const exportButton = new TextPushButton( exportString, {
+      font: LABEL_FONT,
+      baseColor: 'yellow',
+      maxWidth: PLOT_WIDTH,
+      listener: function() {
+        downloadTextFile( self.history.toCSV(), EXPORT_FILE_NAME );
+      },
+      centerX: PLOT_WIDTH / 2,
+      top: timeAxisLabel.bottom + 4
+    } );
+    accordionContent.addChild( exportButton );
+
+    const titleNode = new Text( historyString, {
+      fill: SOMColorProfile.controlPanelTextProperty,
+      font: new PhetFont( { size: 13 } ),
+      maxWidth: PLOT_WIDTH * 0.85
+    } );
+
+    this.accordionBox = new AccordionBox( accordionContent, {
+      titleNode: titleNode,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      expandedProperty: expandedProperty,
+      contentAlign: 'center',
+      titleAlignX: 'center',
+      buttonAlign: 'left',
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      contentYMargin: 5,
+      contentXMargin: 5,
+      minWidth: options.minWidth,
+      maxWidth: options.maxWidth,
+      buttonYMargin: 4,
+      buttonXMargin: 5,
+      expandCollapseButtonOptions: {
+        sideLength: 12,
+        touchAreaXDilation: 15,
+        touchAreaYDilation: 10
+      }
+    } );
+    this.addChild( this.accordionBox );
+
+    // Only redraw when the chart can be seen, since it plots quite a few points.
+    const updateIfExpanded = function() {
+      if ( expandedProperty.get() ) {
+        self.update();
+      }
+    };
+    this.history.changedEmitter.addListener( updateIfExpanded );
+    expandedProperty.link( updateIfExpanded );
+    temperatureUnitsProperty.link( function( temperatureUnits ) {
+      self.temperaturePlot.setLabel( fillInUnits(
+        temperatureString,
+        temperatureUnits === CompositeThermometerNode.TEMPERATURE_UNITS.CELSIUS ? celsiusUnitsString : kelvinUnitsString
+      ) );
+      updateIfExpanded();
+    } );
+
+    this.mutate( options );
+  }
+
+  /**
+   * Fill in the pattern for a quantity with its units.
+   * @param {string} quantity
+   * @param {string} units
+   * @returns {string}
+   */
+  function fillInUnits( quantity, units ) {
+    return StringUtils.fillIn( quantityWithUnitsPatternString, { quantity: quantity, units: units } );
+  }
+
+  /**
+   * Get a round number that is greater than or equal to the magnitude of the provided value, used for the plot ranges.
+   * @param {number} value
+   * @returns {number}
+   */
+  function roundUpMagnitude( value ) {
+    const magnitude = Math.abs( value );
+    if ( magnitude === 0 ) {
+      return 0;
+    }
+    const powerOfTen = Math.pow( 10, Math.floor( Math.log( magnitude ) / Math.LN10 ) );
+    const multiplier = [ 1, 2, 5, 10 ].find( multiplier => multiplier * powerOfTen >= magnitude );
+    return multiplier * powerOfTen;
+  }
+
+  /**
+   * Have the browser save a text file.
+   * @param {string} text
+   * @param {string} fileName
+   */
+  function downloadTextFile( text, fileName ) {
+    const url = window.URL.createObjectURL( new window.Blob( [ text ], { type: 'text/csv' } ) );
+    const link = document.createElement( 'a' );
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild( link );
+    link.click();
+    document.body.removeChild( link );
+    window.URL.revokeObjectURL( url );
+  }
+
+  /**
+   * A single plot with a label above it and the range of the vertical axis shown at its right edge.
+   * @param {string} lineColor
+   * @constructor
+   */
+  function Plot( lineColor ) {
+
+    Node.call( this );
+
+    // @private
+    this.label = new Text( '', {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: PLOT_WIDTH * 0.65
+    } );
+    this.addChild( this.label );
+    this.addChild( new Rectangle( 0, LABEL_HEIGHT, PLOT_WIDTH, PLOT_HEIGHT, {
+      stroke: SOMColorProfile.controlPanelTextProperty,
+      lineWidth: 0.5
+    } ) );
+
+    // @private
+    this.maxText = new Text( '', { font: RANGE_FONT, fill: SOMColorProfile.controlPanelTextProperty } );
+    this.minText = new Text( '', { font: RANGE_FONT, fill: SOMColorProfile.controlPanelTextProperty } );
+    this.addChild( this.maxText );
+    this.addChild( this.minText );
+
+    // @private
+    this.line = new Path( null, { stroke: lineColor, lineWidth: 1.5 } );
+    this.addChild( this.line );
+  }
+
+  inherit( Node, Plot, {
+
+    /**
+     * @param {string} label
+     * @public
+     */
+    setLabel: function( label ) {
+      this.label.text = label;
+      this.label.left = 0;
+      this.label.bottom = LABEL_HEIGHT - 2;
+    },
+
+    /**
+     * Plot the provided values, which are in chronological order.  The vertical range always includes zero and is
+     * extended to round numbers.  Null values leave a gap in the line.
+     * @param {number[]} times - in the range [0, PLOT_WIDTH]
+     * @param {Array.<number|null>} values
+     * @public
+     */
+    plot: function( times, values ) {
+
+      let minValue = 0;
+      let maxValue = 0;
+      values.forEach( value => {
+        if ( value !== null ) {
+          minValue = Math.min( value, minValue );
+          maxValue = Math.max( value, maxValue );
+        }
+      } );
+      minValue = -roundUpMagnitude( minValue );
+      maxValue = roundUpMagnitude( maxValue );
+      if ( maxValue === minValue ) {
+        maxValue = 1;
+      }
+
+      const shape = new Shape();
+      let penDown = false;
+      for ( let i = 0; i < values.length; i++ ) {
+        if ( values[ i ] === null ) {
+          penDown = false;
+        }
+        else {
+          const y = LABEL_HEIGHT + PLOT_HEIGHT * ( maxValue - values[ i ] ) / ( maxValue - minValue );
+          if ( penDown ) {
+            shape.lineTo( times[ i ], y );
+          }
+          else {
+            shape.moveTo( times[ i ], y );
+            penDown = true;
+          }
+        }
+      }
+      this.line.shape = shape;
+
+      this.maxText.text = maxValue.toString();
+      this.maxText.right = PLOT_WIDTH - 2;
+      this.maxText.bottom = LABEL_HEIGHT - 2;
+      this.minText.text = minValue.toString();
+      this.minText.right = PLOT_WIDTH - 2;
+      this.minText.bottom = LABEL_HEIGHT + PLOT_HEIGHT - 2;
+    }
+  } );
+
+  statesOfMatter.register( 'TemperaturePressureChart', TemperaturePressureChart );
+
+  return inherit( Node, TemperaturePressureChart, {
+
+    /**
+     * Plot the data that is currently in the history.
+     * @private
+     */
+    update: function() {
+      const inCelsius = this.temperatureUnitsProperty.get() === CompositeThermometerNode.TEMPERATURE_UNITS.CELSIUS;
+      const samples = this.history.getSamples();
+      const startTime = this.history.elapsedTime - TemperaturePressureHistory.TIME_SPAN;
+      const times = samples.map( sample => {
+        return PLOT_WIDTH * ( sample.time - startTime ) / TemperaturePressureHistory.TIME_SPAN;
+      } );
+      this.temperaturePlot.plot( times, samples.map( sample => {
+        if ( sample.temperature === null ) {
+          return null;
+        }
+        return inCelsius ? sample.temperature - 273.15 : sample.temperature;
+      } ) );
+      this.pressurePlot.plot( times, samples.map( sample => sample.pressure ) );
+    }
+  } );
+} );
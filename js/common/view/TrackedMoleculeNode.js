@@ -0,0 +1,205 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Shows the molecule that is being followed by the molecule tracker with a highlight ring, its recent path, its
+ * velocity vector, and a readout of its speed, kinetic energy, and number of neighbors.  Nothing is shown when no
+ * molecule is selected.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const Circle = require( 'SCENERY/nodes/Circle' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Panel = require( 'SUN/Panel' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Shape = require( 'KITE/Shape' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const diametersPerSecondUnitsString = require( 'string!STATES_OF_MATTER/diametersPerSecondUnits' );
+  const epsilonString = require( 'string!STATES_OF_MATTER/epsilon' );
+  const kineticEnergyString = require( 'string!STATES_OF_MATTER/kineticEnergy' );
+  const labeledValuePatternString = require( 'string!STATES_OF_MATTER/labeledValuePattern' );
+  const neighborsString = require( 'string!STATES_OF_MATTER/neighbors' );
+  const speedString = require( 'string!STATES_OF_MATTER/speed' );
+  const valueWithUnitsPatternString = require( 'string!STATES_OF_MATTER/valueWithUnitsPattern' );
+
+  // constants
+  const HIGHLIGHT_COLOR = '#FFFF00';
+  const TRAIL_COLOR = 'rgba( 255, 255, 0, 0.6 )';
+  const VELOCITY_COLOR = '#FF6600';
+  const READOUT_FONT = new PhetFont( 11 );
+  const READOUT_MAX_WIDTH = 120;
+  const READOUT_OFFSET = 4; // distance between the highlight ring and the readout, in screen coords
+
+  // The velocity vector shows how far the molecule would move in this much time, in seconds.
+  const VELOCITY_VECTOR_TIME = 0.25;
+
+  // radius of the highlight ring in particle diameters, large enough to surround any of the molecules
+  const HIGHLIGHT_RADIUS = 1;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {ModelViewTransform2} modelViewTransform to convert between model and view co-ordinate frames
+   * @param {Object} [options]
+   * @constructor
+   */
+  function TrackedMoleculeNode( multipleParticleModel, modelViewTransform, options ) {
+
+    options = merge( {
+      pickable: false
+    }, options );
+
+    Node.call( this );
+
+    // @private
+    this.multipleParticleModel = multipleParticleModel;
+    this.moleculeTracker = multipleParticleModel.moleculeTracker;
+    this.modelViewTransform = modelViewTransform;
+
+    // @private
+    this.trail = new Path( null, { stroke: TRAIL_COLOR, lineWidth: 2, lineJoin: 'round' } );
+    this.addChild( this.trail );
+
+    // @private
+    this.highlight = new Circle( 1, { stroke: HIGHLIGHT_COLOR, lineWidth: 2 } );
+    this.addChild( this.highlight );
+
+    // @private
+    this.velocityArrow = new ArrowNode( 0, 0, 1, 0, {
+      headHeight: 8,
+      headWidth: 8,
+      tailWidth: 2,
+      fill: VELOCITY_COLOR,
+      stroke: null
+    } );
+    this.addChild( this.velocityArrow );
+
+    // readouts
+    const textOptions = {
+      font: READOUT_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: READOUT_MAX_WIDTH
+    };
+    const speedText = new Text( '', textOptions );
+    const kineticEnergyText = new Text( '', textOptions );
+    const neighborsText = new Text( '', textOptions );
+    this.moleculeTracker.speedProperty.link( function( speed ) {
+      speedText.text = fillInLabeledValue(
+        speedString,
+        fillInValueWithUnits( speed, 1, diametersPerSecondUnitsString )
+      );
+    } );
+    this.moleculeTracker.kineticEnergyProperty.link( function( kineticEnergy ) {
+      kineticEnergyText.text = fillInLabeledValue(
+        kineticEnergyString,
+        fillInValueWithUnits( kineticEnergy, 2, epsilonString )
+      );
+    } );
+    this.moleculeTracker.neighborCountProperty.link( function( neighborCount ) {
+      neighborsText.text = fillInLabeledValue( neighborsString, neighborCount.toString() );
+    } );
+
+    // @private
+    this.readout = new Panel(
+      new VBox( { children: [ speedText, kineticEnergyText, neighborsText ], spacing: 2, align: 'left' } ),
+      {
+        fill: SOMColorProfile.controlPanelBackgroundProperty,
+        stroke: HIGHLIGHT_COLOR,
+        lineWidth: 1,
+        xMargin: 5,
+        yMargin: 3,
+        cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+        opacity: 0.85
+      }
+    );
+    this.addChild( this.readout );
+
+    this.step();
+
+    this.mutate( options );
+  }
+
+  /**
+   * @param {string} label
+   * @param {string} value
+   * @returns {string}
+   */
+  function fillInLabeledValue( label, value ) {
+    return StringUtils.fillIn( labeledValuePatternString, { label: label, value: value } );
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} decimalPlaces
+   * @param {string} units
+   * @returns {string}
+   */
+  function fillInValueWithUnits( value, decimalPlaces, units ) {
+    return StringUtils.fillIn( valueWithUnitsPatternString, {
+      value: Utils.toFixed( value, decimalPlaces ),
+      units: units
+    } );
+  }
+
+  statesOfMatter.register( 'TrackedMoleculeNode', TrackedMoleculeNode );
+
+  return inherit( Node, TrackedMoleculeNode, {
+
+    /**
+     * Move the highlight, trail, velocity vector, and readout to match the tracked molecule.
+     * @public
+     */
+    step: function() {
+      const moleculeTracker = this.moleculeTracker;
+      this.visible = moleculeTracker.selectedMoleculeIdProperty.get() !== null;
+      if ( !this.visible ) {
+        return;
+      }
+      const modelViewTransform = this.modelViewTransform;
+
+      const trailShape = new Shape();
+      moleculeTracker.trailPositions.forEach( function( position ) {
+        trailShape.lineToPoint( modelViewTransform.modelToViewPosition( position ) );
+      } );
+      this.trail.shape = trailShape;
+
+      const center = modelViewTransform.modelToViewPosition( moleculeTracker.position );
+      this.highlight.radius = modelViewTransform.modelToViewDeltaX(
+        HIGHLIGHT_RADIUS * this.multipleParticleModel.particleDiameter
+      );
+      this.highlight.center = center;
+
+      const tip = modelViewTransform.modelToViewPosition(
+        moleculeTracker.position.plus( moleculeTracker.velocity.times( VELOCITY_VECTOR_TIME ) )
+      );
+      this.velocityArrow.setTailAndTip( center.x, center.y, tip.x, tip.y );
+
+      // The readout is put on the side of the molecule toward the middle of the container so that it doesn't extend
+      // past the side walls.
+      const containerCenterX = modelViewTransform.modelToViewX(
+        this.multipleParticleModel.particleContainerWidthProperty.get() / 2
+      );
+      if ( center.x < containerCenterX ) {
+        this.readout.left = this.highlight.right + READOUT_OFFSET;
+      }
+      else {
+        this.readout.right = this.highlight.left - READOUT_OFFSET;
+      }
+      this.readout.bottom = this.highlight.top;
+    }
+  } );
+} );
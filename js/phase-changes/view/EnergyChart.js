@@ -0,0 +1,220 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * a bar chart that shows the kinetic, potential, and total energy of the molecules in the model, suitable for inclusion
+ * on the control panel of a PhET simulation
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AccordionBox = require( 'SUN/AccordionBox' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Line = require( 'SCENERY/nodes/Line' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  const energyString = require( 'string!STATES_OF_MATTER/energy' );
+  const kineticString = require( 'string!STATES_OF_MATTER/kinetic' );
+  const potentialString = require( 'string!STATES_OF_MATTER/potential' );
+  const rotationalString = require( 'string!STATES_OF_MATTER/rotational' );
+  const totalString = require( 'string!STATES_OF_MATTER/total' );
+
+  // constants that control the size of the chart
+  const WIDTH = 148;
+  const HEIGHT = 100;
+  const BAR_WIDTH = 18;
+
+  // smallest energy magnitude, in units of epsilon per molecule, that can be shown at full bar length.  The scale grows
+  // beyond this if needed, since a container full of hot gas has more energy than this.  Empirically determined.
+  const MIN_SCALE_MAGNITUDE = 2;
+
+  // amount by which the scale is set beyond the value that exceeded it so that it doesn't need to grow constantly
+  const SCALE_GROWTH_FACTOR = 1.25;
+
+  const LABEL_FONT = new PhetFont( 10 );
+
+  // colors of the bars
+  const KINETIC_ENERGY_COLOR = '#FF3333';
+  const ROTATIONAL_ENERGY_COLOR = '#FF9933';
+  const POTENTIAL_ENERGY_COLOR = '#3399FF';
+  const TOTAL_ENERGY_COLOR = '#33CC33';
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Property<boolean>} expandedProperty - whether the chart is expanded
+   * @param {Object} [options] that can be passed on to the underlying node
+   * @constructor
+   */
+  function EnergyChart( multipleParticleModel, expandedProperty, options ) {
+
+    const self = this;
+    Node.call( this );
+    const accordionContent = new Node();
+
+    // @private - energy magnitude that corresponds to a bar that is half the height of the chart
+    this.scaleMagnitude = MIN_SCALE_MAGNITUDE;
+
+    // Create the background, which defines the size of the chart, and the line that shows zero energy.
+    accordionContent.addChild( new Rectangle( 0, 0, WIDTH, HEIGHT ) );
+    accordionContent.addChild( new Line( 0, HEIGHT / 2, WIDTH, HEIGHT / 2, {
+      stroke: SOMColorProfile.controlPanelTextProperty,
+      lineWidth: 1
+    } ) );
+
+    // @private - a bar and a label for each of the energies, in the order in which they appear from left to right
+    this.bars = [
+      createBar( kineticString, KINETIC_ENERGY_COLOR, multipleParticleModel.kineticEnergyProperty ),
+      createBar( rotationalString, ROTATIONAL_ENERGY_COLOR, multipleParticleModel.rotationalKineticEnergyProperty ),
+      createBar( potentialString, POTENTIAL_ENERGY_COLOR, multipleParticleModel.potentialEnergyProperty ),
+      createBar( totalString, TOTAL_ENERGY_COLOR, multipleParticleModel.totalEnergyProperty )
+    ];
+    this.bars.forEach( function( bar ) {
+      accordionContent.addChild( bar.rectangle );
+      accordionContent.addChild( bar.label );
+    } );
+
+    // @private - the rotational energy bar is only shown for substances whose molecules can rotate
+    this.rotationalBar = this.bars[ 1 ];
+
+    const titleNode = new Text( energyString, {
+      fill: SOMColorProfile.controlPanelTextProperty,
+      font: new PhetFont( { size: 13 } ),
+      maxWidth: WIDTH * 0.85
+    } );
+
+    this.accordionBox = new AccordionBox( accordionContent, {
+      titleNode: titleNode,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      expandedProperty: expandedProperty,
+      contentAlign: 'center',
+      titleAlignX: 'center',
+      buttonAlign: 'left',
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      contentYMargin: 5,
+      contentXMargin: 5,
+      minWidth: options.minWidth,
+      maxWidth: options.maxWidth,
+      buttonYMargin: 4,
+      buttonXMargin: 5,
+      expandCollapseButtonOptions: {
+        sideLength: 12,
+        touchAreaXDilation: 15,
+        touchAreaYDilation: 10
+      }
+    } );
+    this.addChild( this.accordionBox );
+
+    // Show the rotational energy only when it can be non-zero, and start over with the scale, since the energies of
+    // the new substance may be very different.
+    multipleParticleModel.substanceProperty.link( function( substance ) {
+      self.rotationalBar.visible = SubstanceRegistry.get( substance ).atomsPerMolecule > 1;
+      self.layoutBars();
+      self.resetScale();
+    } );
+    multipleParticleModel.resetEmitter.addListener( function() {
+      self.resetScale();
+    } );
+
+    Property.multilink( [
+      multipleParticleModel.kineticEnergyProperty,
+      multipleParticleModel.rotationalKineticEnergyProperty,
+      multipleParticleModel.potentialEnergyProperty,
+      multipleParticleModel.totalEnergyProperty
+    ], function() {
+      self.updateBars();
+    } );
+
+    this.mutate( options );
+  }
+
+  /**
+   * Create the nodes that depict an energy.
+   * @param {string} labelString
+   * @param {string} color
+   * @param {Property<number>} energyProperty
+   * @returns {{rectangle: Rectangle, label: Text, energyProperty: Property<number>, visible: boolean}}
+   */
+  function createBar( labelString, color, energyProperty ) {
+    return {
+      rectangle: new Rectangle( 0, 0, BAR_WIDTH, 0, { fill: color } ),
+      label: new Text( labelString, {
+        font: LABEL_FONT,
+        fill: SOMColorProfile.controlPanelTextProperty,
+        top: HEIGHT + 2
+      } ),
+      energyProperty: energyProperty,
+      visible: true
+    };
+  }
+
+  statesOfMatter.register( 'EnergyChart', EnergyChart );
+
+  return inherit( Node, EnergyChart, {
+
+    /**
+     * Spread the visible bars evenly across the width of the chart.
+     * @private
+     */
+    layoutBars: function() {
+      const visibleBars = this.bars.filter( function( bar ) { return bar.visible; } );
+      const slotWidth = WIDTH / visibleBars.length;
+      this.bars.forEach( function( bar ) {
+        bar.rectangle.visible = bar.visible;
+        bar.label.visible = bar.visible;
+      } );
+      visibleBars.forEach( function( bar, index ) {
+        const centerX = slotWidth * ( index + 0.5 );
+        bar.rectangle.setRectX( centerX - BAR_WIDTH / 2 );
+        bar.label.maxWidth = slotWidth - 2;
+        bar.label.centerX = centerX;
+      } );
+    },
+
+    /**
+     * Set the heights of the bars based on the energies in the model, growing the scale if any of them won't fit.
+     * @private
+     */
+    updateBars: function() {
+
+      let maxMagnitude = 0;
+      this.bars.forEach( function( bar ) {
+        if ( bar.visible ) {
+          maxMagnitude = Math.max( maxMagnitude, Math.abs( bar.energyProperty.get() ) );
+        }
+      } );
+      if ( maxMagnitude > this.scaleMagnitude ) {
+        this.scaleMagnitude = maxMagnitude * SCALE_GROWTH_FACTOR;
+      }
+
+      const self = this;
+      this.bars.forEach( function( bar ) {
+        const barHeight = bar.energyProperty.get() / self.scaleMagnitude * HEIGHT / 2;
+
+        // Positive energies go up from the zero line and negative ones go down from it.
+        bar.rectangle.setRectY( barHeight > 0 ? HEIGHT / 2 - barHeight : HEIGHT / 2 );
+        bar.rectangle.setRectHeight( Math.abs( barHeight ) );
+      } );
+    },
+
+    /**
+     * Return the scale to its minimum and update the bars accordingly.
+     * @private
+     */
+    resetScale: function() {
+      this.scaleMagnitude = MIN_SCALE_MAGNITUDE;
+      this.updateBars();
+    }
+  } );
+} );
@@ -0,0 +1,105 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * panel with a checkbox that turns the weighted lid on and off and a slider that sets its weight, which together set
+ * the pressure at which the substance is held
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Checkbox = require( 'SUN/Checkbox' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const HSlider = require( 'SUN/HSlider' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
+  const Panel = require( 'SUN/Panel' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Range = require( 'DOT/Range' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const heavyString = require( 'string!STATES_OF_MATTER/heavy' );
+  const lightString = require( 'string!STATES_OF_MATTER/light' );
+  const weightedLidString = require( 'string!STATES_OF_MATTER/weightedLid' );
+
+  // constants
+  const SLIDER_WIDTH = 100;
+  const TICK_TEXT_MAX_WIDTH = 40;
+  const FONT = new PhetFont( 12 );
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Object} [options]
+   * @constructor
+   */
+  function LidWeightControl( multipleParticleModel, options ) {
+
+    options = merge( {
+      xMargin: 8,
+      yMargin: 6,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      lineWidth: 1,
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const checkbox = new Checkbox(
+      new Text( weightedLidString, {
+        font: FONT,
+        fill: SOMColorProfile.controlPanelTextProperty,
+        maxWidth: SLIDER_WIDTH
+      } ),
+      multipleParticleModel.weightedLidEnabledProperty,
+      {
+        boxWidth: 14,
+        checkboxColor: SOMColorProfile.controlPanelTextProperty,
+        checkboxColorBackground: SOMColorProfile.controlPanelBackgroundProperty,
+        tandem: options.tandem.createTandem( 'checkbox' )
+      }
+    );
+
+    // The weight only has an effect when the lid is weighted, so the slider is disabled otherwise.
+    const slider = new HSlider(
+      multipleParticleModel.lidWeightProperty,
+      new Range( MultipleParticleModel.MIN_LID_WEIGHT, MultipleParticleModel.MAX_LID_WEIGHT ), {
+        enabledProperty: multipleParticleModel.weightedLidEnabledProperty,
+        trackFill: 'white',
+        thumbSize: new Dimension2( 14, 25 ),
+        majorTickLength: 15,
+        trackSize: new Dimension2( SLIDER_WIDTH, 4 ),
+        trackStroke: SOMColorProfile.controlPanelTextProperty,
+        trackLineWidth: 1,
+        thumbLineWidth: 1,
+        thumbTouchAreaXDilation: 8,
+        thumbTouchAreaYDilation: 8,
+        tickLabelSpacing: 6,
+        majorTickStroke: SOMColorProfile.controlPanelTextProperty,
+        majorTickLineWidth: 1,
+        cursor: 'pointer',
+        tandem: options.tandem.createTandem( 'slider' )
+      } );
+    const tickTextOptions = {
+      font: FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: TICK_TEXT_MAX_WIDTH
+    };
+    slider.addMajorTick( MultipleParticleModel.MIN_LID_WEIGHT, new Text( lightString, tickTextOptions ) );
+    slider.addMajorTick( MultipleParticleModel.MAX_LID_WEIGHT, new Text( heavyString, tickTextOptions ) );
+
+    Panel.call( this, new VBox( { children: [ checkbox, slider ], spacing: 8, align: 'left' } ), options );
+  }
+
+  statesOfMatter.register( 'LidWeightControl', LidWeightControl );
+
+  return inherit( Panel, LidWeightControl );
+} );
@@ -25,7 +25,9 @@ define( require => {
   const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SOMQueryParameters = require( 'STATES_OF_MATTER/common/SOMQueryParameters' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
   const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
   const Tandem = require( 'TANDEM/Tandem' );
   const Text = require( 'SCENERY/nodes/Text' );
@@ -204,6 +206,21 @@ define( require => {
       ];
     }
 
+    // add any substances that were requested via query parameter
+    SOMQueryParameters.additionalSubstances.forEach( substance => {
+      if ( !_.some( radioButtonContent, item => item.value === substance ) ) {
+        const substanceDescription = SubstanceRegistry.get( substance );
+        radioButtonContent.push( {
+          value: substance,
+          node: createLabelAndIconNode( {
+            label: new Text( substanceDescription.displayName, textOptions ),
+            icon: AtomAndMoleculeIconFactory.createIcon( substance )
+          } ),
+          tandemName: substanceDescription.name + 'Selector'
+        } );
+      }
+    } );
+
     const radioButtonGroup = new RadioButtonGroup( multipleParticleModel.substanceProperty, radioButtonContent, {
       orientation: 'vertical',
       spacing: 3,
@@ -14,27 +14,35 @@ define( require => {
   const BicyclePumpNode = require( 'SCENERY_PHET/BicyclePumpNode' );
   const Bounds2 = require( 'DOT/Bounds2' );
   const CompositeThermometerNode = require( 'STATES_OF_MATTER/common/view/CompositeThermometerNode' );
+  const EnergyChart = require( 'STATES_OF_MATTER/phase-changes/view/EnergyChart' );
   const EpsilonControlInteractionPotentialDiagram = require( 'STATES_OF_MATTER/phase-changes/view/EpsilonControlInteractionPotentialDiagram' );
   const HeaterCoolerNode = require( 'SCENERY_PHET/HeaterCoolerNode' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const LidWeightControl = require( 'STATES_OF_MATTER/phase-changes/view/LidWeightControl' );
   const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
   const MultiLineText = require( 'SCENERY_PHET/MultiLineText' );
   const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
   const NumberProperty = require( 'AXON/NumberProperty' );
   const ObservableArray = require( 'AXON/ObservableArray' );
+  const ParticleColoringControl = require( 'STATES_OF_MATTER/common/view/ParticleColoringControl' );
   const ParticleContainerNode = require( 'STATES_OF_MATTER/common/view/ParticleContainerNode' );
   const PhaseChangesMoleculesControlPanel = require( 'STATES_OF_MATTER/phase-changes/view/PhaseChangesMoleculesControlPanel' );
+  const PhaseBoundaries = require( 'STATES_OF_MATTER/common/model/PhaseBoundaries' );
   const PhaseDiagram = require( 'STATES_OF_MATTER/phase-changes/view/PhaseDiagram' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const RadialDistributionFunctionChart = require( 'STATES_OF_MATTER/phase-changes/view/RadialDistributionFunctionChart' );
   const Range = require( 'DOT/Range' );
   const ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
   const ScreenView = require( 'JOIST/ScreenView' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const SOMPlayPauseStepControl = require( 'STATES_OF_MATTER/common/view/SOMPlayPauseStepControl' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
   const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
+  const TemperaturePressureChart = require( 'STATES_OF_MATTER/common/view/TemperaturePressureChart' );
   const TextPushButton = require( 'SUN/buttons/TextPushButton' );
   const Vector2 = require( 'DOT/Vector2' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
   const returnLidString = require( 'string!STATES_OF_MATTER/returnLid' );
@@ -43,10 +51,6 @@ define( require => {
   const PANEL_WIDTH = 170; // empirically determined to be wide enough for all contents using English strings with some margin
   const INTER_PANEL_SPACING = 8;
 
-  // constants used when mapping the model pressure and temperature to the phase diagram.
-  const TRIPLE_POINT_TEMPERATURE_ON_DIAGRAM = 0.375;
-  const CRITICAL_POINT_TEMPERATURE_ON_DIAGRAM = 0.8;
-
   // Used for calculating moving averages needed to mellow out the graph behavior.  Value empirically determined.
   const MAX_NUM_HISTORY_SAMPLES = 100;
 
@@ -105,6 +109,11 @@ define( require => {
       multipleParticleModel.setHeatingCoolingAmount( heat );
     } );
 
+    // The model can also set the amount when it is moving toward a target state, so show that on the heater/cooler.
+    multipleParticleModel.heatingCoolingAmountProperty.lazyLink( function( heat ) {
+      heaterCoolerNode.heatCoolAmountProperty.set( heat );
+    } );
+
     // add the thermometer node
     this.compositeThermometerNode = new CompositeThermometerNode( multipleParticleModel, modelViewTransform, {
       font: new PhetFont( 20 ),
@@ -118,6 +127,7 @@ define( require => {
       listener: function() {
         self.modelTemperatureHistory.clear();
         self.compositeThermometerNode.reset();
+        self.phaseDiagram.clearTrail();
         multipleParticleModel.reset();
         // Reset phase diagram state in SOM basic version.
         multipleParticleModel.phaseDiagramExpandedProperty.value = isInteractionDiagramEnabled;
@@ -130,10 +140,17 @@ define( require => {
     } );
     this.addChild( resetAllButton );
 
+    // add the control for the weighted lid, which holds the substance at a constant pressure
+    this.addChild( new LidWeightControl( multipleParticleModel, {
+      right: resetAllButton.left - 20,
+      bottom: resetAllButton.bottom,
+      tandem: tandem.createTandem( 'lidWeightControl' )
+    } ) );
+
     // add play pause button and step button
     this.addChild( new SOMPlayPauseStepControl(
       multipleParticleModel.isPlayingProperty,
-      multipleParticleModel.stepInternal.bind( multipleParticleModel ),
+      multipleParticleModel.stepAndRecordHistory.bind( multipleParticleModel ),
       {
         right: heaterCoolerNode.left - 50,
         centerY: heaterCoolerNode.centerY,
@@ -164,6 +181,51 @@ define( require => {
       } );
     this.addChild( this.pumpNode );
 
+    // add the energy, history, and radial distribution charts, which are behind the return lid button so that they
+    // don't obscure it
+    this.energyChart = new EnergyChart( multipleParticleModel, multipleParticleModel.energyChartExpandedProperty, {
+      minWidth: PANEL_WIDTH,
+      maxWidth: PANEL_WIDTH
+    } );
+    const temperaturePressureChart = new TemperaturePressureChart(
+      multipleParticleModel,
+      multipleParticleModel.historyChartExpandedProperty,
+      this.compositeThermometerNode.temperatureUnitsProperty,
+      {
+        minWidth: PANEL_WIDTH,
+        maxWidth: PANEL_WIDTH
+      }
+    );
+    this.radialDistributionFunctionChart = new RadialDistributionFunctionChart(
+      multipleParticleModel,
+      multipleParticleModel.radialDistributionExpandedProperty,
+      {
+        minWidth: PANEL_WIDTH,
+        maxWidth: PANEL_WIDTH
+      }
+    );
+    const particleColoringControl = new ParticleColoringControl(
+      multipleParticleModel,
+      multipleParticleModel.particleColoringControlExpandedProperty,
+      {
+        minWidth: PANEL_WIDTH,
+        maxWidth: PANEL_WIDTH,
+        tandem: tandem.createTandem( 'particleColoringControl' )
+      }
+    );
+    this.addChild( new VBox( {
+      children: [
+        this.energyChart,
+        temperaturePressureChart,
+        this.radialDistributionFunctionChart,
+        particleColoringControl
+      ],
+      spacing: INTER_PANEL_SPACING,
+      align: 'left',
+      left: this.layoutBounds.left + CONTROL_PANEL_X_INSET,
+      top: 5
+    } ) );
+
     // add return lid button
     this.returnLidButton = new TextPushButton( returnLidString, {
       font: new PhetFont( 14 ),
@@ -214,44 +276,32 @@ define( require => {
 
     // add phase diagram - in SOM basic version by default phase diagram should be closed.
     multipleParticleModel.phaseDiagramExpandedProperty.value = isInteractionDiagramEnabled;
-    this.phaseDiagram = new PhaseDiagram( multipleParticleModel.phaseDiagramExpandedProperty, {
-      minWidth: PANEL_WIDTH,
-      maxWidth: PANEL_WIDTH,
-      right: phaseChangesMoleculesControlPanel.right,
-      top: phaseChangesMoleculesControlPanel.top + INTER_PANEL_SPACING,
-      tandem: tandem.createTandem( 'phaseDiagram' )
-    } );
+    this.phaseDiagram = new PhaseDiagram(
+      multipleParticleModel.phaseDiagramExpandedProperty,
+      multipleParticleModel.stateTargetController.targetProperty,
+      {
+        minWidth: PANEL_WIDTH,
+        maxWidth: PANEL_WIDTH,
+        right: phaseChangesMoleculesControlPanel.right,
+        top: phaseChangesMoleculesControlPanel.top + INTER_PANEL_SPACING,
+        tandem: tandem.createTandem( 'phaseDiagram' )
+      }
+    );
     this.addChild( this.phaseDiagram );
 
-    // @private - variables used to map temperature on to the phase diagram
-    this.triplePointTemperatureInModelUnits = 0;
-    this.criticalPointTemperatureInModelUnits = 0;
-    this.slopeInFirstRegion = 0;
-    this.slopeInSecondRegion = 0;
-    this.offsetInSecondRegion = 0;
+    // @private {PhaseBoundaries|null} - boundaries of the phases of the substance, null if there is no data for it
+    this.phaseBoundaries = null;
 
-    // monitor the substance and update the mappings to triple and critical points when changes occur
+    // monitor the substance and update the phase boundaries when changes occur
     multipleParticleModel.substanceProperty.link( function( substance ) {
-
-      if ( substance === SubstanceType.NEON ||
-           substance === SubstanceType.ARGON ||
-           substance === SubstanceType.ADJUSTABLE_ATOM ) {
-        self.triplePointTemperatureInModelUnits = SOMConstants.TRIPLE_POINT_MONATOMIC_MODEL_TEMPERATURE;
-        self.criticalPointTemperatureInModelUnits = SOMConstants.CRITICAL_POINT_MONATOMIC_MODEL_TEMPERATURE;
+      const substanceDescription = SubstanceRegistry.get( substance );
+      if ( substanceDescription.triplePointInAtmospheres === null ) {
+        self.phaseBoundaries = null;
       }
-      else if ( substance === SubstanceType.DIATOMIC_OXYGEN ) {
-        self.triplePointTemperatureInModelUnits = SOMConstants.TRIPLE_POINT_DIATOMIC_MODEL_TEMPERATURE;
-        self.criticalPointTemperatureInModelUnits = SOMConstants.CRITICAL_POINT_DIATOMIC_MODEL_TEMPERATURE;
-      }
-      else if ( substance === SubstanceType.WATER ) {
-        self.triplePointTemperatureInModelUnits = SOMConstants.TRIPLE_POINT_WATER_MODEL_TEMPERATURE;
-        self.criticalPointTemperatureInModelUnits = SOMConstants.CRITICAL_POINT_WATER_MODEL_TEMPERATURE;
+      else {
+        self.phaseBoundaries = new PhaseBoundaries( substanceDescription );
+        self.phaseDiagram.setPhaseBoundaries( self.phaseBoundaries );
       }
-      self.slopeInFirstRegion = TRIPLE_POINT_TEMPERATURE_ON_DIAGRAM / self.triplePointTemperatureInModelUnits;
-      self.slopeInSecondRegion = ( CRITICAL_POINT_TEMPERATURE_ON_DIAGRAM - TRIPLE_POINT_TEMPERATURE_ON_DIAGRAM ) /
-                                 ( self.criticalPointTemperatureInModelUnits - self.triplePointTemperatureInModelUnits );
-      self.offsetInSecondRegion = TRIPLE_POINT_TEMPERATURE_ON_DIAGRAM -
-                                  ( self.slopeInSecondRegion * self.triplePointTemperatureInModelUnits );
     } );
 
     // handle explosions of the container
@@ -271,16 +321,8 @@ define( require => {
     multipleParticleModel.substanceProperty.link( function( substance ) {
       self.modelTemperatureHistory.clear();
       self.updatePhaseDiagram();
-      self.phaseDiagram.setDepictingWater( substance === SubstanceType.WATER );
       if ( isInteractionDiagramEnabled ) {
-        if ( substance === SubstanceType.ADJUSTABLE_ATOM ||
-             substance === SubstanceType.DIATOMIC_OXYGEN ||
-             substance === SubstanceType.WATER ) {
-          epsilonControlInteractionPotentialDiagram.setMolecular( true );
-        }
-        else {
-          epsilonControlInteractionPotentialDiagram.setMolecular( false );
-        }
+        epsilonControlInteractionPotentialDiagram.setMolecular( SubstanceRegistry.get( substance ).molecular );
       }
 
       // don't show the phase diagram for adjustable attraction, since we need the space for other things
@@ -348,6 +390,14 @@ define( require => {
     multipleParticleModel.particles.lengthProperty.link( function() {
       self.updatePhaseDiagram();
     } );
+
+    multipleParticleModel.pressureProperty.link( function() {
+      self.updatePhaseDiagram();
+    } );
+
+    multipleParticleModel.phaseClassifier.phaseProperty.link( function() {
+      self.updatePhaseDiagram();
+    } );
   }
 
   statesOfMatter.register( 'PhaseChangesScreenView', PhaseChangesScreenView );
@@ -357,17 +407,20 @@ define( require => {
     // @public
     step: function( dt ) {
       this.particleContainerNode.step( dt );
+      this.radialDistributionFunctionChart.step();
     },
 
     /**
      * Update the position of the marker on the phase diagram based on the temperature and pressure values within the
-     * model.
+     * model and the phase that the molecules are actually in.
      * @private
      */
     updatePhaseDiagram: function() {
 
       // If the container has exploded, don't bother showing the dot.
-      if ( this.multipleParticleModel.isExplodedProperty.get() || this.multipleParticleModel.particles.length === 0 ) {
+      if ( this.multipleParticleModel.isExplodedProperty.get() ||
+           this.multipleParticleModel.particles.length === 0 ||
+           this.phaseBoundaries === null ) {
         this.phaseDiagram.setStateMarkerVisible( false );
       }
       else {
@@ -375,10 +428,13 @@ define( require => {
         const movingAverageTemperature = this.updateMovingAverageTemperature(
           this.multipleParticleModel.temperatureSetPointProperty.get()
         );
-        const modelPressure = this.multipleParticleModel.getModelPressure();
-        const mappedTemperature = this.mapModelTemperatureToPhaseDiagramTemperature( movingAverageTemperature );
-        const mappedPressure = this.mapModelTempAndPressureToPhaseDiagramPressure( modelPressure, movingAverageTemperature );
-        this.phaseDiagram.setStateMarkerPos( mappedTemperature, mappedPressure );
+        const phase = this.multipleParticleModel.phaseClassifier.phaseProperty.get();
+        const markerState = this.phaseBoundaries.constrainToPhase(
+          this.multipleParticleModel.convertModelTemperatureToKelvin( movingAverageTemperature ),
+          this.multipleParticleModel.getPressureInAtmospheres(),
+          phase
+        );
+        this.phaseDiagram.setStateMarkerPos( markerState.x, markerState.y, phase );
       }
     },
 
@@ -398,49 +454,6 @@ define( require => {
         totalOfAllTemperatures += this.modelTemperatureHistory.get( i );
       }
       return totalOfAllTemperatures / this.modelTemperatureHistory.length;
-    },
-
-    /**
-     * Map the model temperature to phase diagram temperature based on the phase chart shape.
-     * @param {number} modelTemperature
-     * @returns {number}
-     * @private
-     */
-    mapModelTemperatureToPhaseDiagramTemperature: function( modelTemperature ) {
-
-      let mappedTemperature;
-      if ( modelTemperature < this.triplePointTemperatureInModelUnits ) {
-        mappedTemperature = this.slopeInFirstRegion * modelTemperature;
-      }
-      else {
-        mappedTemperature = modelTemperature * this.slopeInSecondRegion + this.offsetInSecondRegion;
-      }
-
-      return Math.min( mappedTemperature, 1 );
-    },
-
-    /**
-     * Map the model temperature and pressure to a normalized pressure value suitable for use in setting the marker
-     * position on the phase chart.
-     * @param {number} modelPressure
-     * @param {number} modelTemperature
-     * @returns {number}
-     * @private
-     */
-    mapModelTempAndPressureToPhaseDiagramPressure: function( modelPressure, modelTemperature ) {
-
-      // This method is a total tweak fest.  All values and equations are made to map to the phase diagram, and are NOT
-      // based on any real-world equations that define phases of matter.
-      const cutOverTemperature = TRIPLE_POINT_TEMPERATURE_ON_DIAGRAM - 0.025;
-      const mappedTemperature = this.mapModelTemperatureToPhaseDiagramTemperature( modelTemperature );
-      let mappedPressure;
-      if ( mappedTemperature <= cutOverTemperature ) {
-        mappedPressure = Math.pow( mappedTemperature, 1.6 );
-      }
-      else {
-        mappedPressure = Math.pow( mappedTemperature - cutOverTemperature, 1.75 ) + 0.192;
-      }
-      return Math.min( mappedPressure, 1 );
     }
   } );
 } );
\ No newline at end of file
@@ -1,7 +1,10 @@
 // Copyright 2014-2020, University of Colorado Boulder
 
 /**
- * a phase diagram suitable for inclusion on the control panel of a PhET simulation
+ * a phase diagram suitable for inclusion on the control panel of a PhET simulation.  The boundaries between the phases
+ * are drawn for the substance being simulated using PhaseBoundaries, with the temperature on a linear axis and the
+ * pressure on a logarithmic one so that the triple point, which is often at a very low pressure, can be seen.  Pressing
+ * a point on the graph sets it as the target state, which the model then moves the substance toward.
  *
  * @author John Blanco
  * @author Siddhartha Chinthapally (Actual Concepts)
@@ -12,24 +15,31 @@ define( require => {
   // modules
   const AccordionBox = require( 'SUN/AccordionBox' );
   const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const EraserButton = require( 'SCENERY_PHET/buttons/EraserButton' );
   const inherit = require( 'PHET_CORE/inherit' );
   const MultiLineText = require( 'SCENERY_PHET/MultiLineText' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Path = require( 'SCENERY/nodes/Path' );
+  const PhaseDiagramTrail = require( 'STATES_OF_MATTER/phase-changes/view/PhaseDiagramTrail' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const Shape = require( 'KITE/Shape' );
   const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
   const Vector2 = require( 'DOT/Vector2' );
 
   // strings
   const criticalPointString = require( 'string!STATES_OF_MATTER/criticalPoint' );
   const gasString = require( 'string!STATES_OF_MATTER/gas' );
+  const kelvinUnitsString = require( 'string!STATES_OF_MATTER/kelvinUnits' );
   const liquidString = require( 'string!STATES_OF_MATTER/liquid' );
   const phaseDiagramString = require( 'string!STATES_OF_MATTER/phaseDiagram' );
   const pressureString = require( 'string!STATES_OF_MATTER/pressure' );
+  const pressureUnitsInAtmString = require( 'string!STATES_OF_MATTER/pressureUnitsInAtm' );
+  const quantityWithUnitsPatternString = require( 'string!STATES_OF_MATTER/quantityWithUnitsPattern' );
   const solidString = require( 'string!STATES_OF_MATTER/solid' );
   const temperatureString = require( 'string!STATES_OF_MATTER/temperature' );
   const triplePointString = require( 'string!STATES_OF_MATTER/triplePoint' );
@@ -44,7 +54,7 @@ define( require => {
   const HORIZ_AXIS_SIZE_PROPORTION = 0.85;
   const VERT_AXIS_SIZE_PROPORTION = 0.85;
   const LIQUID_AND_GAS_LABEL_MAX_WIDTH = 35;
-  const SOLID_LABEL_MAX_WIDTH = 30;  // has to be narrow enough to fit on the graph when modified for water
+  const SOLID_LABEL_MAX_WIDTH = 30;  // has to be narrow enough to fit left of the melting curve
   const SMALLER_INNER_TEXT_WIDTH = 30;
 
   // constants that control the location of the origin for the graph.
@@ -63,89 +73,84 @@ define( require => {
   const SMALLER_INNER_FONT_SIZE = 10;
   const SMALLER_INNER_FONT = new PhetFont( SMALLER_INNER_FONT_SIZE );
 
-  // constants that control the appearance of the phase diagram for the various substances.  Note that all points are
-  // controlled as proportions of the overall graph size and not as absolute values.
+  // constants that control the appearance of the phase diagram
   const POINT_MARKER_DIAMETER = 2.5;
   const CURRENT_STATE_MARKER_DIAMETER = 3.5;
-  const DEFAULT_TOP_OF_SOLID_LIQUID_LINE = new Vector2(
-    X_USABLE_RANGE * 0.40 + X_ORIGIN_OFFSET,
-    Y_ORIGIN_OFFSET - Y_USABLE_RANGE
-  );
-  const TOP_OF_SOLID_LIQUID_LINE_FOR_WATER = new Vector2(
-    X_USABLE_RANGE * 0.30 + X_ORIGIN_OFFSET,
-    Y_ORIGIN_OFFSET - Y_USABLE_RANGE
-  );
-  const DEFAULT_TRIPLE_POINT = new Vector2(
-    X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.35 ),
-    Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.2 )
-  );
-  const DEFAULT_CRITICAL_POINT = new Vector2(
-    X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.8 ),
-    Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.45 )
-  );
-  const DEFAULT_SOLID_LABEL_LOCATION = new Vector2(
-    X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.195 ),
-    Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.9 )
-  );
-  const WATER_SOLID_LABEL_LOCATION = new Vector2(
-    X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.16 ),
-    Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.9 )
-  );
-  const DEFAULT_LIQUID_LABEL_LOCATION = new Vector2(
-    X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.65 ),
-    Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.9 )
-  );
-  const DEFAULT_GAS_LABEL_LOCATION = new Vector2(
-    X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.7 ),
-    Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.15 )
-  );
+  const TRAIL_COLOR = 'red';
+  const TRANSITION_MARKER_RADIUS = 2;
+  const TARGET_MARKER_RADIUS = 4;
+  const NUMBER_OF_CURVE_POINTS = 30;
+  const RANGE_FONT = new PhetFont( 9 );
+
+  // The temperature axis starts at absolute zero and extends this far past the critical point, rounded up to a multiple
+  // of the increment.
+  const MAX_TEMPERATURE_PROPORTION = 1.25;
+  const MAX_TEMPERATURE_INCREMENT = 10;
+
+  // The pressure axis is logarithmic and extends this many decades beyond the triple and critical points, so that the
+  // boundaries of all of the phases can be seen.
+  const PRESSURE_MARGIN_IN_DECADES = 1;
+
+  // The trail of recent states is drawn in groups of segments with increasing opacity so that it fades with age.
+  const NUMBER_OF_TRAIL_GROUPS = 6;
+
+  // vertical positions of the labels for the phases, as proportions of the height of the graph
+  const CONDENSED_PHASE_LABEL_HEIGHT_PROPORTION = 0.8;
+  const GAS_LABEL_HEIGHT_PROPORTION = 0.12;
 
   /**
    * @param {Property<boolean>} expandedProperty - is to expand the phase diagram
+   * @param {Property<Vector2|null>} targetProperty - target state set by pressing the graph, with the temperature in
+   * Kelvin as x and the pressure in atmospheres as y
    * @param {Object} [options] that can be passed on to the underlying node
    * @constructor
    */
-  function PhaseDiagram( expandedProperty, options ) {
+  function PhaseDiagram( expandedProperty, targetProperty, options ) {
 
+    const self = this;
     Node.call( this );
     const accordionContent = new Node();
 
+    // The regions and boundaries make up the area of the graph that can be pressed to set the target state.
+    const graphArea = new Node( { cursor: 'pointer' } );
+    accordionContent.addChild( graphArea );
+
     // @private gas area background
     this.gasAreaBackground = new Path( null, {
       fill: '#FFBC00',
       stroke: '#FFBC00'
     } );
-    accordionContent.addChild( this.gasAreaBackground );
+    graphArea.addChild( this.gasAreaBackground );
 
     // @private super critical area background
     this.superCriticalAreaBackground = new Path( null, {
       fill: '#C3DF53'
     } );
-    accordionContent.addChild( this.superCriticalAreaBackground );
+    graphArea.addChild( this.superCriticalAreaBackground );
 
     // @private liquid area background
     this.liquidAreaBackground = new Path( null, {
       fill: '#83FFB9'
     } );
-    accordionContent.addChild( this.liquidAreaBackground );
+    graphArea.addChild( this.liquidAreaBackground );
 
     // @private solid area background
     this.solidAreaBackground = new Path( null, {
       fill: '#AB9CC4'
     } );
-    accordionContent.addChild( this.solidAreaBackground );
+    graphArea.addChild( this.solidAreaBackground );
 
     // @private
     this.solidLiquidLine = new Path( null, { lineWidth: 1, stroke: 'black' } );
-    accordionContent.addChild( this.solidLiquidLine );
+    graphArea.addChild( this.solidLiquidLine );
 
     // @private
     this.solidGasLine = new Path( null, { lineWidth: 1, stroke: 'black' } );
-    accordionContent.addChild( this.solidGasLine );
+    graphArea.addChild( this.solidGasLine );
 
     // @private
     this.liquidGasLine = new Path( null, { lineWidth: 1, stroke: 'black' } );
-    accordionContent.addChild( this.liquidGasLine );
+    graphArea.addChild( this.liquidGasLine );
 
     // @private
     this.triplePoint = new Path( new Shape()
@@ -201,8 +206,25 @@ define( require => {
     } );
     accordionContent.addChild( this.criticalPointLabel );
 
-    // @private - flag that indicates whether water is being depicted, which alters aspects of the diagram
-    this.depictingWater = false;
+    // @private - ranges of the axes, labeled at their ends
+    this.maxTemperature = 1;
+    this.minPressure = 1;
+    this.maxPressure = 10;
+    this.maxTemperatureText = new Text( '', {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty
+    } );
+    accordionContent.addChild( this.maxTemperatureText );
+    this.minPressureText = new Text( '', { font: RANGE_FONT, fill: 'black' } );
+    accordionContent.addChild( this.minPressureText );
+    this.maxPressureText = new Text( '', {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty
+    } );
+    accordionContent.addChild( this.maxPressureText );
+
+    // @private {PhaseBoundaries|null} - boundaries of the phases of the substance being depicted
+    this.phaseBoundaries = null;
 
     const horizontalAxis = new ArrowNode(
       X_ORIGIN_OFFSET,
@@ -235,7 +257,7 @@ define( require => {
     accordionContent.addChild( verticalAxis );
 
     // Create and add the labels for the axes.
-    const horizontalAxisLabel = new Text( temperatureString, {
+    const horizontalAxisLabel = new Text( fillInUnits( temperatureString, kelvinUnitsString ), {
       font: AXIS_LABEL_FONT,
       fill: SOMColorProfile.controlPanelTextProperty,
       maxWidth: horizontalAxis.width
@@ -243,7 +265,7 @@ define( require => {
     horizontalAxisLabel.setTranslation( horizontalAxis.centerX - horizontalAxisLabel.width / 2, Y_ORIGIN_OFFSET + horizontalAxisLabel.height * 1.2 );
     accordionContent.addChild( horizontalAxisLabel );
 
-    const verticalAxisLabel = new Text( pressureString, {
+    const verticalAxisLabel = new Text( fillInUnits( pressureString, pressureUnitsInAtmString ), {
       font: AXIS_LABEL_FONT,
       fill: SOMColorProfile.controlPanelTextProperty,
       maxWidth: verticalAxis.height
@@ -252,6 +274,59 @@ define( require => {
     verticalAxisLabel.setRotation( 3 * Math.PI / 2 );
     accordionContent.addChild( verticalAxisLabel );
 
+    // @private - the trail of recent states, and the nodes for the groups of the trail with increasing opacity
+    this.trail = new PhaseDiagramTrail();
+    this.trailSegmentPaths = [];
+    this.transitionMarkerPaths = [];
+    for ( let i = 0; i < NUMBER_OF_TRAIL_GROUPS; i++ ) {
+      const trailSegmentPath = new Path( null, { stroke: TRAIL_COLOR, lineWidth: 1 } );
+      const transitionMarkerPath = new Path( null, { fill: 'white', stroke: 'black', lineWidth: 0.75 } );
+      accordionContent.addChild( new Node( {
+        children: [ trailSegmentPath, transitionMarkerPath ],
+        opacity: ( i + 1 ) / NUMBER_OF_TRAIL_GROUPS
+      } ) );
+      this.trailSegmentPaths.push( trailSegmentPath );
+      this.transitionMarkerPaths.push( transitionMarkerPath );
+    }
+
+    // button for clearing the trail, in the upper right corner of the graph where there are no labels
+    const clearTrailButton = new EraserButton( {
+      iconWidth: 12,
+      xMargin: 3,
+      yMargin: 2,
+      listener: this.clearTrail.bind( this ),
+      right: X_ORIGIN_OFFSET + X_USABLE_RANGE - 2,
+      top: Y_ORIGIN_OFFSET - Y_USABLE_RANGE + 2,
+      tandem: options.tandem.createTandem( 'clearTrailButton' )
+    } );
+    accordionContent.addChild( clearTrailButton );
+
+    // @private - marker for the target state, if there is one
+    this.targetMarker = new Path( new Shape()
+      .circle( 0, 0, TARGET_MARKER_RADIUS )
+      .moveTo( -TARGET_MARKER_RADIUS * 2, 0 )
+      .lineTo( TARGET_MARKER_RADIUS * 2, 0 )
+      .moveTo( 0, -TARGET_MARKER_RADIUS * 2 )
+      .lineTo( 0, TARGET_MARKER_RADIUS * 2 ), {
+      stroke: 'black',
+      lineWidth: 1,
+      pickable: false
+    } );
+    accordionContent.addChild( this.targetMarker );
+
+    // @private
+    this.targetProperty = targetProperty;
+    targetProperty.link( this.updateTargetMarker.bind( this ) );
+
+    graphArea.addInputListener( {
+      down: function( event ) {
+        if ( self.phaseBoundaries !== null ) {
+          const point = graphArea.globalToParentPoint( event.pointer.point );
+          targetProperty.set( new Vector2( self.xToTemperature( point.x ), self.yToPressure( point.y ) ) );
+        }
+      }
+    } );
+
     // Create and add the marker that shows the current phase state.
     this.currentStateMarker = new Path( new Shape()
       .ellipse( 0, 0, CURRENT_STATE_MARKER_DIAMETER, CURRENT_STATE_MARKER_DIAMETER ), { fill: 'red' } );
@@ -288,170 +363,336 @@ define( require => {
     } );
     this.addChild( this.accordionBox );
 
-    // Draw the initial phase diagram.
-    this.drawPhaseDiagram();
-
-    // Set the initial position of the current phase state marker.
-    this.setStateMarkerPos( 0, 0 );
+    // The marker is shown once there is a substance to depict.
+    this.currentStateMarker.visible = false;
     this.mutate( options );
   }
 
+  /**
+   * Fill in the pattern for a quantity with its units.
+   * @param {string} quantity
+   * @param {string} units
+   * @returns {string}
+   */
+  function fillInUnits( quantity, units ) {
+    return StringUtils.fillIn( quantityWithUnitsPatternString, { quantity: quantity, units: units } );
+  }
+
+  /**
+   * Format a pressure that is a power of ten, using as many decimal places as are needed for values less than one.
+   * @param {number} pressure
+   * @returns {string}
+   */
+  function formatPressure( pressure ) {
+    return Utils.toFixed( pressure, Math.max( -Utils.roundSymmetric( Math.log10( pressure ) ), 0 ) );
+  }
+
+  /**
+   * Create the points along a boundary.
+   * @param {function(number):Vector2} getPoint - gets the point at a proportion of the length of the boundary
+   * @returns {Vector2[]}
+   */
+  function createPoints( getPoint ) {
+    const points = [];
+    for ( let i = 0; i <= NUMBER_OF_CURVE_POINTS; i++ ) {
+      points.push( getPoint( i / NUMBER_OF_CURVE_POINTS ) );
+    }
+    return points;
+  }
+
+  /**
+   * @param {Vector2[]} points
+   * @returns {Shape}
+   */
+  function createPolyline( points ) {
+    const shape = new Shape();
+    points.forEach( point => shape.lineToPoint( point ) );
+    return shape;
+  }
+
   statesOfMatter.register( 'PhaseDiagram', PhaseDiagram );
 
   return inherit( Node, PhaseDiagram, {
 
     /**
+     * Set the substance to be depicted, which determines the ranges of the axes and the shapes of the phase regions.
+     * @param {PhaseBoundaries} phaseBoundaries
      * @public
      */
+    setPhaseBoundaries: function( phaseBoundaries ) {
+      this.phaseBoundaries = phaseBoundaries;
+
+      this.maxTemperature = Math.ceil(
+        phaseBoundaries.criticalPointTemperature * MAX_TEMPERATURE_PROPORTION / MAX_TEMPERATURE_INCREMENT
+      ) * MAX_TEMPERATURE_INCREMENT;
+      this.minPressure = Math.pow(
+        10,
+        Math.floor( Math.log10( phaseBoundaries.triplePointPressure ) ) - PRESSURE_MARGIN_IN_DECADES
+      );
+      this.maxPressure = Math.pow(
+        10,
+        Math.ceil( Math.log10( phaseBoundaries.criticalPointPressure ) ) + PRESSURE_MARGIN_IN_DECADES
+      );
+
+      this.maxTemperatureText.text = Utils.toFixed( this.maxTemperature, 0 );
+      this.maxTemperatureText.right = X_ORIGIN_OFFSET + X_USABLE_RANGE;
+      this.maxTemperatureText.top = Y_ORIGIN_OFFSET + 2;
+      this.minPressureText.text = formatPressure( this.minPressure );
+      this.minPressureText.left = X_ORIGIN_OFFSET + 3;
+      this.minPressureText.bottom = Y_ORIGIN_OFFSET - 2;
+      this.maxPressureText.text = formatPressure( this.maxPressure );
+      this.maxPressureText.left = X_ORIGIN_OFFSET + 6;
+      this.maxPressureText.bottom = Y_ORIGIN_OFFSET - Y_USABLE_RANGE;
+
+      // The trail was drawn on the axes for the previous substance.
+      this.clearTrail();
+      this.drawPhaseDiagram();
+      this.updateTargetMarker();
+    },
+
+    /**
+     * Draw the phase boundaries and regions for the current substance.
+     * @private
+     */
     drawPhaseDiagram: function() {
 
-      // Handle the variations due to water vs. non-water
-      const topOfSolidLiquidLine = this.depictingWater ?
-                                 TOP_OF_SOLID_LIQUID_LINE_FOR_WATER :
-                                 DEFAULT_TOP_OF_SOLID_LIQUID_LINE;
-      const solidLabelCenter = this.depictingWater ? WATER_SOLID_LABEL_LOCATION : DEFAULT_SOLID_LABEL_LOCATION;
-
-      // Place the triple point marker.
-      this.triplePoint.setTranslation( DEFAULT_TRIPLE_POINT.x, DEFAULT_TRIPLE_POINT.y );
-
-      // Add the curve that separates the solid and gaseous regions.
-      const solidGasCurve = new Shape()
-        .moveTo( X_ORIGIN_OFFSET, Y_ORIGIN_OFFSET )
-        .quadraticCurveTo(
-          X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.2 ),
-          Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.02 ),
-          DEFAULT_TRIPLE_POINT.x,
-          DEFAULT_TRIPLE_POINT.y
-        );
-      this.solidGasLine.setShape( solidGasCurve );
-
-      // Add the line that separates solid and liquid.
-      const solidLiquidLine = new Shape()
-        .lineTo( DEFAULT_TRIPLE_POINT.x, DEFAULT_TRIPLE_POINT.y )
-        .lineToPoint( topOfSolidLiquidLine );
-      this.solidLiquidLine.setShape( solidLiquidLine );
-
-      // Update the shape of the background for the area that represents the solid phase.
-      const solidBackground = new Shape()
-        .moveTo( X_ORIGIN_OFFSET, Y_ORIGIN_OFFSET )
-        .quadraticCurveTo(
-          X_ORIGIN_OFFSET + ( X_USABLE_RANGE * 0.2 ),
-          Y_ORIGIN_OFFSET - ( Y_USABLE_RANGE * 0.02 ),
-          DEFAULT_TRIPLE_POINT.x,
-          DEFAULT_TRIPLE_POINT.y
-        )
-        .lineToPoint( topOfSolidLiquidLine )
-        .lineTo( X_ORIGIN_OFFSET, Y_ORIGIN_OFFSET - Y_USABLE_RANGE )
-        .lineTo( X_ORIGIN_OFFSET, Y_ORIGIN_OFFSET )
-        .close();
-      this.solidAreaBackground.setShape( solidBackground );
-
-      // Place the critical point marker.
-      this.criticalPoint.setTranslation( DEFAULT_CRITICAL_POINT.x, DEFAULT_CRITICAL_POINT.y );
-
-      // Add the curve that separates liquid and gas.
-      const controlCurveXPos = DEFAULT_TRIPLE_POINT.x + ( ( DEFAULT_CRITICAL_POINT.x - DEFAULT_TRIPLE_POINT.x ) / 2 );
-      const controlCurveYPos = DEFAULT_TRIPLE_POINT.y;
-      const liquidGasCurve = new Shape()
-        .moveTo( DEFAULT_TRIPLE_POINT.x - 1, DEFAULT_TRIPLE_POINT.y )
-        .quadraticCurveTo(
-          controlCurveXPos,
-          controlCurveYPos,
-          DEFAULT_CRITICAL_POINT.x,
-          DEFAULT_CRITICAL_POINT.y
+      const self = this;
+      const phaseBoundaries = this.phaseBoundaries;
+      const triplePoint = this.mapToGraph(
+        phaseBoundaries.triplePointTemperature,
+        phaseBoundaries.triplePointPressure
+      );
+      const criticalPoint = this.mapToGraph(
+        phaseBoundaries.criticalPointTemperature,
+        phaseBoundaries.criticalPointPressure
+      );
+      const graphLeft = X_ORIGIN_OFFSET;
+      const graphRight = X_ORIGIN_OFFSET + X_USABLE_RANGE;
+      const graphTop = Y_ORIGIN_OFFSET - Y_USABLE_RANGE;
+      const graphBottom = Y_ORIGIN_OFFSET;
+
+      // Find the points along each boundary.  The sublimation curve starts where it enters the bottom of the graph,
+      // and the points on the melting curve are spaced evenly in the logarithm of the pressure, since it is nearly
+      // vertical.
+      const sublimationStartTemperature = phaseBoundaries.getSublimationTemperature( this.minPressure );
+      const sublimationPoints = createPoints( function( proportion ) {
+        const temperature = sublimationStartTemperature +
+                            proportion * ( phaseBoundaries.triplePointTemperature - sublimationStartTemperature );
+        return self.mapToGraph( temperature, phaseBoundaries.getSublimationPressure( temperature ) );
+      } );
+      const vaporizationPoints = createPoints( function( proportion ) {
+        const temperature = phaseBoundaries.triplePointTemperature + proportion *
+                            ( phaseBoundaries.criticalPointTemperature - phaseBoundaries.triplePointTemperature );
+        return self.mapToGraph( temperature, phaseBoundaries.getVaporizationPressure( temperature ) );
+      } );
+      const meltingPoints = createPoints( function( proportion ) {
+        const pressure = phaseBoundaries.triplePointPressure *
+                         Math.pow( self.maxPressure / phaseBoundaries.triplePointPressure, proportion );
+        return self.mapToGraph( phaseBoundaries.getMeltingTemperature( pressure ), pressure );
+      } );
+
+      // Place the triple and critical point markers.
+      this.triplePoint.setTranslation( triplePoint );
+      this.criticalPoint.setTranslation( criticalPoint );
+
+      // Draw the boundaries.
+      this.solidGasLine.shape = createPolyline( sublimationPoints );
+      this.liquidGasLine.shape = createPolyline( vaporizationPoints );
+      this.solidLiquidLine.shape = createPolyline( meltingPoints );
+
+      // The gas region is the background for the whole graph, and the regions for the other phases are drawn over it.
+      this.gasAreaBackground.shape = Shape.rect( graphLeft, graphTop, X_USABLE_RANGE, Y_USABLE_RANGE );
+      this.superCriticalAreaBackground.shape = Shape.rect(
+        criticalPoint.x,
+        graphTop,
+        graphRight - criticalPoint.x,
+        criticalPoint.y - graphTop
+      );
+      this.liquidAreaBackground.shape = Shape.polygon( vaporizationPoints.concat( [
+        new Vector2( criticalPoint.x, graphTop )
+      ] ).concat( meltingPoints.slice().reverse() ) );
+      this.solidAreaBackground.shape = Shape.polygon( [ new Vector2( graphLeft, graphBottom ) ]
+        .concat( sublimationPoints )
+        .concat( meltingPoints )
+        .concat( [ new Vector2( graphLeft, graphTop ) ] ) );
+
+      // Position the labels for the phases within their regions.
+      const condensedPhaseLabelPressure = this.getPressureAtProportion( CONDENSED_PHASE_LABEL_HEIGHT_PROPORTION );
+      const meltingTemperatureAtLabel = Math.min(
+        phaseBoundaries.getMeltingTemperature( condensedPhaseLabelPressure ),
+        this.maxTemperature
+      );
+      const condensedPhaseLabelY = this.pressureToY( condensedPhaseLabelPressure );
+      this.solidLabel.center = new Vector2(
+        ( graphLeft + this.temperatureToX( meltingTemperatureAtLabel ) ) / 2,
+        condensedPhaseLabelY
+      );
+      this.liquidLabel.center = new Vector2(
+        ( this.temperatureToX( meltingTemperatureAtLabel ) + criticalPoint.x ) / 2,
+        condensedPhaseLabelY
+      );
+      this.gasLabel.center = new Vector2(
+        this.temperatureToX( ( phaseBoundaries.triplePointTemperature + this.maxTemperature ) / 2 ),
+        this.pressureToY( this.getPressureAtProportion( GAS_LABEL_HEIGHT_PROPORTION ) )
+      );
+      this.triplePointLabel.right = triplePoint.x - 7;
+      this.triplePointLabel.bottom = triplePoint.y;
+      this.criticalPointLabel.right = criticalPoint.x - 7;
+      this.criticalPointLabel.bottom = criticalPoint.y;
+    },
+
+    /**
+     * Map a temperature and pressure to a position on the graph, limited to the area of the graph.
+     * @param {number} temperature - in Kelvin
+     * @param {number} pressure - in atmospheres
+     * @returns {Vector2}
+     * @private
+     */
+    mapToGraph: function( temperature, pressure ) {
+      return new Vector2( this.temperatureToX( temperature ), this.pressureToY( pressure ) );
+    },
+
+    /**
+     * @param {number} temperature - in Kelvin
+     * @returns {number}
+     * @private
+     */
+    temperatureToX: function( temperature ) {
+      const proportion = Utils.clamp( temperature / this.maxTemperature, 0, 1 );
+      return X_ORIGIN_OFFSET + proportion * X_USABLE_RANGE;
+    },
+
+    /**
+     * @param {number} pressure - in atmospheres
+     * @returns {number}
+     * @private
+     */
+    pressureToY: function( pressure ) {
+      let proportion = 0;
+      if ( pressure > this.minPressure ) {
+        proportion = Math.min(
+          Math.log( pressure / this.minPressure ) / Math.log( this.maxPressure / this.minPressure ),
+          1
         );
-      this.liquidGasLine.setShape( liquidGasCurve );
-
-      // liquid phase (it is expected that the solid shape overlays this one)
-      const liquidBackground = new Shape()
-        .moveTo( DEFAULT_TRIPLE_POINT.x - 1, DEFAULT_TRIPLE_POINT.y )
-        .quadraticCurveTo(
-          controlCurveXPos,
-          controlCurveYPos,
-          DEFAULT_CRITICAL_POINT.x,
-          DEFAULT_CRITICAL_POINT.y
-        )
-        .lineTo( X_ORIGIN_OFFSET + X_USABLE_RANGE, Y_ORIGIN_OFFSET - Y_USABLE_RANGE )
-        .lineTo( topOfSolidLiquidLine.x, Y_ORIGIN_OFFSET - Y_USABLE_RANGE )
-        .lineTo( DEFAULT_TRIPLE_POINT.x, DEFAULT_TRIPLE_POINT.y )
-        .close();
-      this.liquidAreaBackground.setShape( liquidBackground );
-
-      // gas phase
-      const gasBackground = new Shape()
-        .moveTo( X_ORIGIN_OFFSET, Y_ORIGIN_OFFSET )
-        .lineToPoint( DEFAULT_TRIPLE_POINT )
-        .lineToPoint( DEFAULT_CRITICAL_POINT )
-        .lineTo( X_ORIGIN_OFFSET + X_USABLE_RANGE, Y_ORIGIN_OFFSET )
-        .lineTo( X_ORIGIN_OFFSET, Y_ORIGIN_OFFSET )
-        .close();
-      this.gasAreaBackground.setShape( gasBackground );
-
-      const superCriticalBackground = new Shape()
-        .moveToPoint( DEFAULT_CRITICAL_POINT )
-        .lineTo( X_ORIGIN_OFFSET + X_USABLE_RANGE, Y_ORIGIN_OFFSET )
-        .lineTo( X_ORIGIN_OFFSET + X_USABLE_RANGE, Y_ORIGIN_OFFSET - Y_USABLE_RANGE )
-        .lineToPoint( DEFAULT_CRITICAL_POINT )
-        .close();
-
-      this.superCriticalAreaBackground.setShape( superCriticalBackground );
-
-      // position the labels - some of the values were empirically determined for optimal layout
-      this.solidLabel.center = solidLabelCenter;
-      this.liquidLabel.center = DEFAULT_LIQUID_LABEL_LOCATION;
-      this.gasLabel.center = DEFAULT_GAS_LABEL_LOCATION;
-      this.triplePointLabel.right = DEFAULT_TRIPLE_POINT.x - 7;
-      this.triplePointLabel.bottom = DEFAULT_TRIPLE_POINT.y;
-      this.criticalPointLabel.right = DEFAULT_CRITICAL_POINT.x - 7;
-      this.criticalPointLabel.bottom = DEFAULT_CRITICAL_POINT.y;
+      }
+      return Y_ORIGIN_OFFSET - proportion * Y_USABLE_RANGE;
     },
 
     /**
-     * Set the normalized position for this marker.
-     * @param normalizedTemperature - Temperature (X position) value between 0 and 1 (inclusive).
-     * @param normalizedPressure    - Pressure (Y position) value between 0 and 1 (inclusive).
-     * @public
+     * Map a horizontal position on the graph to a temperature, which is the inverse of temperatureToX.
+     * @param {number} x
+     * @returns {number} - in Kelvin
+     * @private
      */
-    setStateMarkerPos: function( normalizedTemperature, normalizedPressure ) {
+    xToTemperature: function( x ) {
+      return Utils.clamp( ( x - X_ORIGIN_OFFSET ) / X_USABLE_RANGE, 0, 1 ) * this.maxTemperature;
+    },
 
-      // parameter checking
-      assert && assert( normalizedTemperature >= 0 && normalizedTemperature <= 1, 'temperature value out of range' );
-      assert && assert( normalizedPressure >= 0 && normalizedPressure <= 1, 'pressure value out of range' );
+    /**
+     * Map a vertical position on the graph to a pressure, which is the inverse of pressureToY.
+     * @param {number} y
+     * @returns {number} - in atmospheres
+     * @private
+     */
+    yToPressure: function( y ) {
+      return this.getPressureAtProportion( Utils.clamp( ( Y_ORIGIN_OFFSET - y ) / Y_USABLE_RANGE, 0, 1 ) );
+    },
 
-      // map the normalized temperature and pressure values to x and y positions on the graph
-      let markerXPos = normalizedTemperature * X_USABLE_RANGE + X_ORIGIN_OFFSET;
-      let markerYPos = -normalizedPressure * Y_USABLE_RANGE + Y_ORIGIN_OFFSET;
+    /**
+     * Get the pressure at a proportion of the height of the graph.
+     * @param {number} proportion
+     * @returns {number} - in atmospheres
+     * @private
+     */
+    getPressureAtProportion: function( proportion ) {
+      return this.minPressure * Math.pow( this.maxPressure / this.minPressure, proportion );
+    },
 
-      // prevent marker from going off graph on right side
-      markerXPos = Math.min( markerXPos, X_USABLE_RANGE + X_ORIGIN_OFFSET - CURRENT_STATE_MARKER_DIAMETER );
-      markerYPos = Math.max( markerYPos, Y_ORIGIN_OFFSET - Y_USABLE_RANGE - CURRENT_STATE_MARKER_DIAMETER );
+    /**
+     * Show the marker for the target state at its position on the graph, or hide it if there is no target.
+     * @private
+     */
+    updateTargetMarker: function() {
+      const target = this.targetProperty.get();
+      this.targetMarker.visible = target !== null;
+      if ( target !== null ) {
+        this.targetMarker.translation = this.mapToGraph( target.x, target.y );
+      }
+    },
 
-      // set the position of the marker node
-      this.currentStateMarker.centerX = markerXPos;
-      this.currentStateMarker.centerY = markerYPos;
+    /**
+     * Set the position of the marker that shows the current state of the substance and add it to the trail.
+     * @param {number} temperature - in Kelvin
+     * @param {number} pressure - in atmospheres
+     * @param {PhaseStateEnum} phase - the phase that the molecules are in, used to mark the transitions on the trail
+     * @public
+     */
+    setStateMarkerPos: function( temperature, pressure, phase ) {
+
+      // Keep the marker from going off of the top or right side of the graph.
+      this.currentStateMarker.centerX = Math.min(
+        this.temperatureToX( temperature ),
+        X_ORIGIN_OFFSET + X_USABLE_RANGE - CURRENT_STATE_MARKER_DIAMETER
+      );
+      this.currentStateMarker.centerY = Math.max(
+        this.pressureToY( pressure ),
+        Y_ORIGIN_OFFSET - Y_USABLE_RANGE + CURRENT_STATE_MARKER_DIAMETER
+      );
+
+      if ( this.trail.addPoint( this.currentStateMarker.center, phase ) ) {
+        this.drawTrail();
+      }
     },
 
     /**
-     * Set the visibility of the state marker.
-     * @param {boolean} isVisible
+     * Draw the trail of recent states, with a marker at each point where the molecules changed from one phase to
+     * another.
+     * @private
+     */
+    drawTrail: function() {
+      const trailPoints = this.trail.points;
+      const numberOfPoints = trailPoints.length;
+      const pointsPerGroup = this.trail.maxPoints / NUMBER_OF_TRAIL_GROUPS;
+
+      // The newest points are in the last, most opaque, group, so the groups are filled from the end.
+      const firstGroupOffset = this.trail.maxPoints - numberOfPoints;
+      for ( let groupIndex = 0; groupIndex < NUMBER_OF_TRAIL_GROUPS; groupIndex++ ) {
+        const startIndex = Math.max( Math.ceil( groupIndex * pointsPerGroup ) - firstGroupOffset, 0 );
+        const endIndex = Math.min(
+          Math.ceil( ( groupIndex + 1 ) * pointsPerGroup ) - firstGroupOffset,
+          numberOfPoints
+        );
+        const segmentsShape = new Shape();
+        const transitionMarkersShape = new Shape();
+
+        // Each group includes the segment that connects it to the previous group.
+        for ( let i = Math.max( startIndex, 1 ); i < endIndex; i++ ) {
+          segmentsShape.moveToPoint( trailPoints[ i - 1 ] ).lineToPoint( trailPoints[ i ] );
+          if ( this.trail.isTransition( i ) ) {
+            transitionMarkersShape.circle( trailPoints[ i ].x, trailPoints[ i ].y, TRANSITION_MARKER_RADIUS );
+          }
+        }
+        this.trailSegmentPaths[ groupIndex ].shape = segmentsShape;
+        this.transitionMarkerPaths[ groupIndex ].shape = transitionMarkersShape;
+      }
+    },
+
+    /**
+     * Remove all of the points from the trail of recent states.
      * @public
      */
-    setStateMarkerVisible: function( isVisible ) {
-      this.currentStateMarker.setVisible( isVisible );
+    clearTrail: function() {
+      this.trail.clear();
+      this.drawTrail();
     },
 
     /**
-     * Set the phase diagram to be shaped such that it looks more like the phase diagram water, which is to say that the
-     * solid-liquid line leans to the left rather than to the right.  Note that this is a very non-general approach - it
-     * would be more general to allow the various points in the graph (e.g. triple point, critical point) to be
-     * positioned anywhere, but currently it isn't worth the extra effort to do so.  Feel free if it is ever needed.
-     * @param {boolean} depictingWater
+     * Set the visibility of the state marker.
+     * @param {boolean} isVisible
      * @public
      */
-    setDepictingWater: function( depictingWater ) {
-      this.depictingWater = depictingWater;
-      this.drawPhaseDiagram();
+    setStateMarkerVisible: function( isVisible ) {
+      this.currentStateMarker.setVisible( isVisible );
     }
-
   } );
 } );
@@ -0,0 +1,95 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The trail of recent states that is drawn on the phase diagram, holding the positions of the points on the graph and
+ * the phases that the molecules were in.  A point is only added when the state has moved at least a minimum distance
+ * or the phase has changed, so that a stationary marker doesn't push the older points out of the trail.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  /**
+   * @param {Object} [options]
+   * @constructor
+   */
+  function PhaseDiagramTrail( options ) {
+
+    options = merge( {
+      maxPoints: 150, // the oldest point is removed when a point is added to a full trail
+      minPointDistance: 1.5 // in the coordinates of the graph
+    }, options );
+
+    // @public (read-only)
+    this.maxPoints = options.maxPoints;
+
+    // @private
+    this.minPointDistance = options.minPointDistance;
+
+    // @public (read-only) {Vector2[]} - the positions of the points, starting with the oldest
+    this.points = [];
+
+    // @public (read-only) {PhaseStateEnum[]} - the phase that the molecules were in at each point
+    this.phases = [];
+  }
+
+  statesOfMatter.register( 'PhaseDiagramTrail', PhaseDiagramTrail );
+
+  return inherit( Object, PhaseDiagramTrail, {
+
+    /**
+     * Add a point to the end of the trail if it is far enough from the last one or the phase has changed.
+     * @param {Vector2} point - in the coordinates of the graph
+     * @param {PhaseStateEnum} phase
+     * @returns {boolean} - whether the point was added
+     * @public
+     */
+    addPoint: function( point, phase ) {
+      const numberOfPoints = this.points.length;
+      if ( numberOfPoints > 0 &&
+           this.points[ numberOfPoints - 1 ].distance( point ) < this.minPointDistance &&
+           phase === this.phases[ numberOfPoints - 1 ] ) {
+        return false;
+      }
+      if ( numberOfPoints === this.maxPoints ) {
+        this.points.shift();
+        this.phases.shift();
+      }
+      this.points.push( point );
+      this.phases.push( phase );
+      return true;
+    },
+
+    /**
+     * Whether the molecules changed from one phase to another at a point, which is not counted as a transition when
+     * either phase is unknown.
+     * @param {number} index
+     * @returns {boolean}
+     * @public
+     */
+    isTransition: function( index ) {
+      if ( index === 0 ) {
+        return false;
+      }
+      const previousPhase = this.phases[ index - 1 ];
+      const phase = this.phases[ index ];
+      return phase !== previousPhase && phase !== PhaseStateEnum.UNKNOWN && previousPhase !== PhaseStateEnum.UNKNOWN;
+    },
+
+    /**
+     * Remove all of the points.
+     * @public
+     */
+    clear: function() {
+      this.points.length = 0;
+      this.phases.length = 0;
+    }
+  } );
+} );
@@ -0,0 +1,59 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for PhaseDiagramTrail, which check which points are added to the trail and where the transitions between
+ * phases are.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const PhaseDiagramTrail = require( 'STATES_OF_MATTER/phase-changes/view/PhaseDiagramTrail' );
+  const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  QUnit.module( 'PhaseDiagramTrail' );
+
+  QUnit.test( 'points are only added when the state has moved or the phase has changed', assert => {
+    const trail = new PhaseDiagramTrail( { minPointDistance: 1 } );
+    assert.ok( trail.addPoint( new Vector2( 0, 0 ), PhaseStateEnum.SOLID ), 'the first point is added' );
+    assert.notOk( trail.addPoint( new Vector2( 0.5, 0.5 ), PhaseStateEnum.SOLID ), 'a nearby point is not added' );
+    assert.ok( trail.addPoint( new Vector2( 1, 0 ), PhaseStateEnum.SOLID ), 'a point at the distance is added' );
+    assert.ok( trail.addPoint( new Vector2( 1, 0 ), PhaseStateEnum.LIQUID ), 'a change of phase is added' );
+    assert.deepEqual( trail.phases, [ PhaseStateEnum.SOLID, PhaseStateEnum.SOLID, PhaseStateEnum.LIQUID ], 'phases' );
+    assert.equal( trail.points[ 1 ].x, 1, 'points are added to the end' );
+
+    trail.clear();
+    assert.equal( trail.points.length, 0, 'no points after clearing' );
+    assert.equal( trail.phases.length, 0, 'no phases after clearing' );
+    assert.ok( trail.addPoint( new Vector2( 1, 0 ), PhaseStateEnum.LIQUID ), 'the first point is added again' );
+  } );
+
+  QUnit.test( 'the oldest points are removed from a full trail', assert => {
+    const trail = new PhaseDiagramTrail( { maxPoints: 5 } );
+    for ( let i = 0; i < 8; i++ ) {
+      trail.addPoint( new Vector2( i * 10, 0 ), PhaseStateEnum.GAS );
+    }
+    assert.equal( trail.points.length, 5, 'points' );
+    assert.equal( trail.phases.length, 5, 'phases' );
+    assert.equal( trail.points[ 0 ].x, 30, 'the oldest remaining point' );
+    assert.equal( trail.points[ 4 ].x, 70, 'the newest point' );
+  } );
+
+  QUnit.test( 'transitions are the changes between known phases', assert => {
+    const trail = new PhaseDiagramTrail();
+    [
+      PhaseStateEnum.UNKNOWN,
+      PhaseStateEnum.SOLID,
+      PhaseStateEnum.SOLID,
+      PhaseStateEnum.LIQUID,
+      PhaseStateEnum.UNKNOWN,
+      PhaseStateEnum.GAS,
+      PhaseStateEnum.LIQUID
+    ].forEach( ( phase, i ) => trail.addPoint( new Vector2( i * 10, 0 ), phase ) );
+    const transitionIndices = trail.points.map( ( point, i ) => i ).filter( i => trail.isTransition( i ) );
+    assert.deepEqual( transitionIndices, [ 3, 6 ], 'solid to liquid and gas to liquid' );
+  } );
+} );
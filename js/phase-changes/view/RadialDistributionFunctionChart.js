@@ -0,0 +1,214 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * a plot of the radial distribution function, g(r), of the molecules in the model, suitable for inclusion on the
+ * control panel of a PhET simulation
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AccordionBox = require( 'SUN/AccordionBox' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Line = require( 'SCENERY/nodes/Line' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const Shape = require( 'KITE/Shape' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
+  const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  const distanceString = require( 'string!STATES_OF_MATTER/distance' );
+  const quantityWithUnitsPatternString = require( 'string!STATES_OF_MATTER/quantityWithUnitsPattern' );
+  const radialDistributionString = require( 'string!STATES_OF_MATTER/radialDistribution' );
+  const radialDistributionSymbolString = require( 'string!STATES_OF_MATTER/radialDistributionSymbol' );
+  const sigmaString = require( 'string!STATES_OF_MATTER/sigma' );
+
+  // constants that control the size and look of the plot
+  const PLOT_WIDTH = 148;
+  const PLOT_HEIGHT = 80;
+  const LABEL_HEIGHT = 14;
+  const LABEL_FONT = new PhetFont( 10 );
+  const RANGE_FONT = new PhetFont( 9 );
+  const LINE_COLOR = '#FF9933';
+
+  // The vertical range is at least this large so that the plot of a gas, which is close to 1 everywhere, doesn't look
+  // like a series of large peaks.  It grows in these increments when the peaks of a solid are higher.
+  const MIN_MAX_VALUE = 3;
+  const MAX_VALUE_INCREMENT = 2;
+
+  /**
+   * @param {MultipleParticleModel} multipleParticleModel - model of the simulation
+   * @param {Property<boolean>} expandedProperty - whether the chart is expanded
+   * @param {Object} [options] that can be passed on to the underlying node
+   * @constructor
+   */
+  function RadialDistributionFunctionChart( multipleParticleModel, expandedProperty, options ) {
+
+    const self = this;
+    Node.call( this );
+    const accordionContent = new Node();
+
+    // @private
+    this.multipleParticleModel = multipleParticleModel;
+    this.radialDistributionFunction = multipleParticleModel.radialDistributionFunction;
+    this.expandedProperty = expandedProperty;
+
+    const yAxisLabel = new Text( radialDistributionSymbolString, {
+      font: LABEL_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: PLOT_WIDTH * 0.6,
+      left: 0,
+      bottom: LABEL_HEIGHT - 2
+    } );
+    accordionContent.addChild( yAxisLabel );
+
+    accordionContent.addChild( new Rectangle( 0, LABEL_HEIGHT, PLOT_WIDTH, PLOT_HEIGHT, {
+      stroke: SOMColorProfile.controlPanelTextProperty,
+      lineWidth: 0.5
+    } ) );
+
+    // @private - dashed line where g(r) is 1, which is the value everywhere for an ideal gas
+    this.idealGasLine = new Line( 0, 0, PLOT_WIDTH, 0, {
+      stroke: SOMColorProfile.controlPanelTextProperty,
+      lineWidth: 0.5,
+      lineDash: [ 3, 3 ]
+    } );
+    accordionContent.addChild( this.idealGasLine );
+
+    // @private
+    this.maxValueText = new Text( '', {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty
+    } );
+    accordionContent.addChild( this.maxValueText );
+
+    // @private
+    this.curve = new Path( null, { stroke: LINE_COLOR, lineWidth: 1.5 } );
+    accordionContent.addChild( this.curve );
+
+    // horizontal axis labels
+    const xAxisLabelTop = LABEL_HEIGHT + PLOT_HEIGHT + 2;
+    accordionContent.addChild( new Text( '0', {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      left: 0,
+      top: xAxisLabelTop
+    } ) );
+    accordionContent.addChild( new Text( this.radialDistributionFunction.maxRadius.toString(), {
+      font: RANGE_FONT,
+      fill: SOMColorProfile.controlPanelTextProperty,
+      right: PLOT_WIDTH,
+      top: xAxisLabelTop
+    } ) );
+    accordionContent.addChild( new Text(
+      StringUtils.fillIn( quantityWithUnitsPatternString, { quantity: distanceString, units: sigmaString } ),
+      {
+        font: LABEL_FONT,
+        fill: SOMColorProfile.controlPanelTextProperty,
+        maxWidth: PLOT_WIDTH * 0.6,
+        centerX: PLOT_WIDTH / 2,
+        top: xAxisLabelTop
+      }
+    ) );
+
+    const titleNode = new Text( radialDistributionString, {
+      fill: SOMColorProfile.controlPanelTextProperty,
+      font: new PhetFont( { size: 13 } ),
+      maxWidth: PLOT_WIDTH * 0.85
+    } );
+
+    this.accordionBox = new AccordionBox( accordionContent, {
+      titleNode: titleNode,
+      fill: SOMColorProfile.controlPanelBackgroundProperty,
+      stroke: SOMColorProfile.controlPanelStrokeProperty,
+      expandedProperty: expandedProperty,
+      contentAlign: 'center',
+      titleAlignX: 'center',
+      buttonAlign: 'left',
+      cornerRadius: SOMConstants.PANEL_CORNER_RADIUS,
+      contentYMargin: 5,
+      contentXMargin: 5,
+      minWidth: options.minWidth,
+      maxWidth: options.maxWidth,
+      buttonYMargin: 4,
+      buttonXMargin: 5,
+      expandCollapseButtonOptions: {
+        sideLength: 12,
+        touchAreaXDilation: 15,
+        touchAreaYDilation: 10
+      }
+    } );
+    this.addChild( this.accordionBox );
+
+    // Start over when the chart is opened, since no samples were taken while it was closed.
+    expandedProperty.link( function( expanded ) {
+      if ( expanded ) {
+        self.radialDistributionFunction.clear();
+        self.update();
+      }
+    } );
+
+    this.mutate( options );
+  }
+
+  statesOfMatter.register( 'RadialDistributionFunctionChart', RadialDistributionFunctionChart );
+
+  return inherit( Node, RadialDistributionFunctionChart, {
+
+    /**
+     * Redraw the curve if the chart is expanded.  This is done on each step of the view rather than when samples are
+     * added so that the curve is drawn at most once per frame.
+     * @public
+     */
+    step: function() {
+      if ( this.expandedProperty.get() ) {
+        this.update();
+      }
+    },
+
+    /**
+     * Draw the curve for the current values of the radial distribution function.
+     * @private
+     */
+    update: function() {
+
+      const radialDistributionFunction = this.radialDistributionFunction;
+      const values = radialDistributionFunction.getValues();
+
+      let maxValue = MIN_MAX_VALUE;
+      for ( let i = 0; i < values.length; i++ ) {
+        maxValue = Math.max( maxValue, values[ i ] );
+      }
+      maxValue = Math.ceil( maxValue / MAX_VALUE_INCREMENT ) * MAX_VALUE_INCREMENT;
+
+      const shape = new Shape();
+      if ( !this.multipleParticleModel.isExplodedProperty.get() ) {
+        const xScale = PLOT_WIDTH / radialDistributionFunction.maxRadius;
+        for ( let i = 0; i < values.length; i++ ) {
+          const x = radialDistributionFunction.getBinCenter( i ) * xScale;
+          const y = LABEL_HEIGHT + PLOT_HEIGHT * ( 1 - values[ i ] / maxValue );
+          if ( i === 0 ) {
+            shape.moveTo( x, y );
+          }
+          else {
+            shape.lineTo( x, y );
+          }
+        }
+      }
+      this.curve.shape = shape;
+
+      this.idealGasLine.y = LABEL_HEIGHT + PLOT_HEIGHT * ( 1 - 1 / maxValue );
+      this.maxValueText.text = maxValue.toString();
+      this.maxValueText.right = PLOT_WIDTH - 2;
+      this.maxValueText.bottom = LABEL_HEIGHT - 2;
+    }
+  } );
+} );
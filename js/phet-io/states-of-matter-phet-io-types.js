@@ -347,6 +347,22 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ActionIO<NullableIO<SceneryEventIO>>",
       "typeName": "EmitterIO<NullableIO<SceneryEventIO>>"
     },
+    "EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)": {
+      "documentation": "Possible values: ADAPTIVE,ISOKINETIC,ANDERSEN,NOSE_HOOVER,BERENDSEN,NONE,THERMAL_WALL.",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "supertype": "ObjectIO",
+      "typeName": "EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)"
+    },
+    "EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)": {
+      "documentation": "Possible values: BOTTOM,LEFT,RIGHT,TOP.",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "supertype": "ObjectIO",
+      "typeName": "EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)"
+    },
     "EnumerationIO(COMPONENTS|TOTAL|HIDDEN)": {
       "documentation": "Possible values: COMPONENTS,TOTAL,HIDDEN.",
       "events": [],
@@ -355,6 +371,14 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "EnumerationIO(COMPONENTS|TOTAL|HIDDEN)"
     },
+    "EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)": {
+      "documentation": "Possible values: ELEMENT,SPEED,KINETIC_ENERGY,COORDINATION_NUMBER,LOCAL_TEMPERATURE.",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "supertype": "ObjectIO",
+      "typeName": "EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)"
+    },
     "EnumerationIO(KELVIN|CELSIUS)": {
       "documentation": "Possible values: KELVIN,CELSIUS.",
       "events": [],
@@ -371,13 +395,13 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "EnumerationIO(NEON_NEON|ARGON_ARGON|OXYGEN_OXYGEN|NEON_ARGON|NEON_OXYGEN|ARGON_OXYGEN|ADJUSTABLE)"
     },
-    "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)": {
-      "documentation": "Possible values: NEON,ARGON,DIATOMIC_OXYGEN,WATER,ADJUSTABLE_ATOM.",
+    "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)": {
+      "documentation": "Possible values: NEON,ARGON,DIATOMIC_OXYGEN,WATER,ADJUSTABLE_ATOM,KRYPTON,XENON,DIATOMIC_NITROGEN,METHANE.",
       "events": [],
       "methodOrder": [],
       "methods": {},
       "supertype": "ObjectIO",
-      "typeName": "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)"
+      "typeName": "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)"
     },
     "EnumerationIO(NORMAL|SLOW_MOTION)": {
       "documentation": "Possible values: NORMAL,SLOW_MOTION.",
@@ -435,6 +459,32 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "FunctionIO(BooleanIO,NullableIO<BooleanIO>)=>VoidIO"
     },
+    "FunctionIO(EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL),NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>)=>VoidIO": {
+      "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL), NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)><br><strong>Return Type:</strong> VoidIO",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "parameterTypes": [
+        "EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)",
+        "NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>",
+        "VoidIO"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "FunctionIO(EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL),NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>)=>VoidIO"
+    },
+    "FunctionIO(EnumerationIO(BOTTOM|LEFT|RIGHT|TOP),NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>)=>VoidIO": {
+      "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(BOTTOM|LEFT|RIGHT|TOP), NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)><br><strong>Return Type:</strong> VoidIO",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "parameterTypes": [
+        "EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)",
+        "NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>",
+        "VoidIO"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "FunctionIO(EnumerationIO(BOTTOM|LEFT|RIGHT|TOP),NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>)=>VoidIO"
+    },
     "FunctionIO(EnumerationIO(COMPONENTS|TOTAL|HIDDEN),NullableIO<EnumerationIO(COMPONENTS|TOTAL|HIDDEN)>)=>VoidIO": {
       "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(COMPONENTS|TOTAL|HIDDEN), NullableIO<EnumerationIO(COMPONENTS|TOTAL|HIDDEN)><br><strong>Return Type:</strong> VoidIO",
       "events": [],
@@ -448,6 +498,19 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "FunctionIO(EnumerationIO(COMPONENTS|TOTAL|HIDDEN),NullableIO<EnumerationIO(COMPONENTS|TOTAL|HIDDEN)>)=>VoidIO"
     },
+    "FunctionIO(EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE),NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>)=>VoidIO": {
+      "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE), NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)><br><strong>Return Type:</strong> VoidIO",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "parameterTypes": [
+        "EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)",
+        "NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>",
+        "VoidIO"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "FunctionIO(EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE),NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>)=>VoidIO"
+    },
     "FunctionIO(EnumerationIO(KELVIN|CELSIUS),NullableIO<EnumerationIO(KELVIN|CELSIUS)>)=>VoidIO": {
       "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(KELVIN|CELSIUS), NullableIO<EnumerationIO(KELVIN|CELSIUS)><br><strong>Return Type:</strong> VoidIO",
       "events": [],
@@ -474,18 +537,18 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "FunctionIO(EnumerationIO(NEON_NEON|ARGON_ARGON|OXYGEN_OXYGEN|NEON_ARGON|NEON_OXYGEN|ARGON_OXYGEN|ADJUSTABLE),NullableIO<EnumerationIO(NEON_NEON|ARGON_ARGON|OXYGEN_OXYGEN|NEON_ARGON|NEON_OXYGEN|ARGON_OXYGEN|ADJUSTABLE)>)=>VoidIO"
     },
-    "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>)=>VoidIO": {
-      "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM), NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)><br><strong>Return Type:</strong> VoidIO",
+    "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>)=>VoidIO": {
+      "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE), NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)><br><strong>Return Type:</strong> VoidIO",
       "events": [],
       "methodOrder": [],
       "methods": {},
       "parameterTypes": [
-        "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)",
-        "NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>",
+        "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)",
+        "NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>",
         "VoidIO"
       ],
       "supertype": "ObjectIO",
-      "typeName": "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>)=>VoidIO"
+      "typeName": "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>)=>VoidIO"
     },
     "FunctionIO(EnumerationIO(NORMAL|SLOW_MOTION),NullableIO<EnumerationIO(NORMAL|SLOW_MOTION)>)=>VoidIO": {
       "documentation": "Wrapper for the built-in JS function type.<br><strong>Arguments:</strong> EnumerationIO(NORMAL|SLOW_MOTION), NullableIO<EnumerationIO(NORMAL|SLOW_MOTION)><br><strong>Return Type:</strong> VoidIO",
@@ -643,6 +706,28 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "NullableIO<BooleanIO>"
     },
+    "NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>": {
+      "documentation": "A wrapper to wrap another IOType, adding support for null.",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "parameterTypes": [
+        "EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>"
+    },
+    "NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>": {
+      "documentation": "A wrapper to wrap another IOType, adding support for null.",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "parameterTypes": [
+        "EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>"
+    },
     "NullableIO<EnumerationIO(COMPONENTS|TOTAL|HIDDEN)>": {
       "documentation": "A wrapper to wrap another IOType, adding support for null.",
       "events": [],
@@ -654,6 +739,17 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "NullableIO<EnumerationIO(COMPONENTS|TOTAL|HIDDEN)>"
     },
+    "NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>": {
+      "documentation": "A wrapper to wrap another IOType, adding support for null.",
+      "events": [],
+      "methodOrder": [],
+      "methods": {},
+      "parameterTypes": [
+        "EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>"
+    },
     "NullableIO<EnumerationIO(KELVIN|CELSIUS)>": {
       "documentation": "A wrapper to wrap another IOType, adding support for null.",
       "events": [],
@@ -676,16 +772,16 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "NullableIO<EnumerationIO(NEON_NEON|ARGON_ARGON|OXYGEN_OXYGEN|NEON_ARGON|NEON_OXYGEN|ARGON_OXYGEN|ADJUSTABLE)>"
     },
-    "NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>": {
+    "NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>": {
       "documentation": "A wrapper to wrap another IOType, adding support for null.",
       "events": [],
       "methodOrder": [],
       "methods": {},
       "parameterTypes": [
-        "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)"
+        "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)"
       ],
       "supertype": "ObjectIO",
-      "typeName": "NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>"
+      "typeName": "NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>"
     },
     "NullableIO<EnumerationIO(NORMAL|SLOW_MOTION)>": {
       "documentation": "A wrapper to wrap another IOType, adding support for null.",
@@ -1126,6 +1222,94 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "PropertyIO<BooleanIO>"
     },
+    "PropertyIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>": {
+      "documentation": "Observable values that send out notifications when the value changes. This differs from the traditional listener pattern in that added listeners also receive a callback with the current value when the listeners are registered. This is a widely-used pattern in PhET-iO simulations.",
+      "events": [
+        "changed"
+      ],
+      "methodOrder": [
+        "link",
+        "lazyLink"
+      ],
+      "methods": {
+        "getValue": {
+          "documentation": "Gets the current value.",
+          "parameterTypes": [],
+          "returnType": "EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)"
+        },
+        "lazyLink": {
+          "documentation": "Adds a listener which will be called when the value changes. This method is like \"link\", but without the current-value callback on registration. The listener takes two arguments, the new value and the previous value.",
+          "parameterTypes": [
+            "FunctionIO(EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL),NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>)=>VoidIO"
+          ],
+          "returnType": "VoidIO"
+        },
+        "link": {
+          "documentation": "Adds a listener which will be called when the value changes. On registration, the listener is also called with the current value. The listener takes two arguments, the new value and the previous value.",
+          "parameterTypes": [
+            "FunctionIO(EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL),NullableIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>)=>VoidIO"
+          ],
+          "returnType": "VoidIO"
+        },
+        "setValue": {
+          "documentation": "Sets the value of the Property. If the value differs from the previous value, listeners are notified with the new value.",
+          "invocableForReadOnlyElements": false,
+          "parameterTypes": [
+            "EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)"
+          ],
+          "returnType": "VoidIO"
+        }
+      },
+      "parameterTypes": [
+        "EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "PropertyIO<EnumerationIO(ADAPTIVE|ISOKINETIC|ANDERSEN|NOSE_HOOVER|BERENDSEN|NONE|THERMAL_WALL)>"
+    },
+    "PropertyIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>": {
+      "documentation": "Observable values that send out notifications when the value changes. This differs from the traditional listener pattern in that added listeners also receive a callback with the current value when the listeners are registered. This is a widely-used pattern in PhET-iO simulations.",
+      "events": [
+        "changed"
+      ],
+      "methodOrder": [
+        "link",
+        "lazyLink"
+      ],
+      "methods": {
+        "getValue": {
+          "documentation": "Gets the current value.",
+          "parameterTypes": [],
+          "returnType": "EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)"
+        },
+        "lazyLink": {
+          "documentation": "Adds a listener which will be called when the value changes. This method is like \"link\", but without the current-value callback on registration. The listener takes two arguments, the new value and the previous value.",
+          "parameterTypes": [
+            "FunctionIO(EnumerationIO(BOTTOM|LEFT|RIGHT|TOP),NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>)=>VoidIO"
+          ],
+          "returnType": "VoidIO"
+        },
+        "link": {
+          "documentation": "Adds a listener which will be called when the value changes. On registration, the listener is also called with the current value. The listener takes two arguments, the new value and the previous value.",
+          "parameterTypes": [
+            "FunctionIO(EnumerationIO(BOTTOM|LEFT|RIGHT|TOP),NullableIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>)=>VoidIO"
+          ],
+          "returnType": "VoidIO"
+        },
+        "setValue": {
+          "documentation": "Sets the value of the Property. If the value differs from the previous value, listeners are notified with the new value.",
+          "invocableForReadOnlyElements": false,
+          "parameterTypes": [
+            "EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)"
+          ],
+          "returnType": "VoidIO"
+        }
+      },
+      "parameterTypes": [
+        "EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "PropertyIO<EnumerationIO(BOTTOM|LEFT|RIGHT|TOP)>"
+    },
     "PropertyIO<EnumerationIO(COMPONENTS|TOTAL|HIDDEN)>": {
       "documentation": "Observable values that send out notifications when the value changes. This differs from the traditional listener pattern in that added listeners also receive a callback with the current value when the listeners are registered. This is a widely-used pattern in PhET-iO simulations.",
       "events": [
@@ -1170,6 +1354,50 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "PropertyIO<EnumerationIO(COMPONENTS|TOTAL|HIDDEN)>"
     },
+    "PropertyIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>": {
+      "documentation": "Observable values that send out notifications when the value changes. This differs from the traditional listener pattern in that added listeners also receive a callback with the current value when the listeners are registered. This is a widely-used pattern in PhET-iO simulations.",
+      "events": [
+        "changed"
+      ],
+      "methodOrder": [
+        "link",
+        "lazyLink"
+      ],
+      "methods": {
+        "getValue": {
+          "documentation": "Gets the current value.",
+          "parameterTypes": [],
+          "returnType": "EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)"
+        },
+        "lazyLink": {
+          "documentation": "Adds a listener which will be called when the value changes. This method is like \"link\", but without the current-value callback on registration. The listener takes two arguments, the new value and the previous value.",
+          "parameterTypes": [
+            "FunctionIO(EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE),NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>)=>VoidIO"
+          ],
+          "returnType": "VoidIO"
+        },
+        "link": {
+          "documentation": "Adds a listener which will be called when the value changes. On registration, the listener is also called with the current value. The listener takes two arguments, the new value and the previous value.",
+          "parameterTypes": [
+            "FunctionIO(EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE),NullableIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>)=>VoidIO"
+          ],
+          "returnType": "VoidIO"
+        },
+        "setValue": {
+          "documentation": "Sets the value of the Property. If the value differs from the previous value, listeners are notified with the new value.",
+          "invocableForReadOnlyElements": false,
+          "parameterTypes": [
+            "EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)"
+          ],
+          "returnType": "VoidIO"
+        }
+      },
+      "parameterTypes": [
+        "EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)"
+      ],
+      "supertype": "ObjectIO",
+      "typeName": "PropertyIO<EnumerationIO(ELEMENT|SPEED|KINETIC_ENERGY|COORDINATION_NUMBER|LOCAL_TEMPERATURE)>"
+    },
     "PropertyIO<EnumerationIO(KELVIN|CELSIUS)>": {
       "documentation": "Observable values that send out notifications when the value changes. This differs from the traditional listener pattern in that added listeners also receive a callback with the current value when the listeners are registered. This is a widely-used pattern in PhET-iO simulations.",
       "events": [
@@ -1258,7 +1486,7 @@ window.phet.phetio.phetioTypes = assert &&
       "supertype": "ObjectIO",
       "typeName": "PropertyIO<EnumerationIO(NEON_NEON|ARGON_ARGON|OXYGEN_OXYGEN|NEON_ARGON|NEON_OXYGEN|ARGON_OXYGEN|ADJUSTABLE)>"
     },
-    "PropertyIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>": {
+    "PropertyIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>": {
       "documentation": "Observable values that send out notifications when the value changes. This differs from the traditional listener pattern in that added listeners also receive a callback with the current value when the listeners are registered. This is a widely-used pattern in PhET-iO simulations.",
       "events": [
         "changed"
@@ -1271,19 +1499,19 @@ window.phet.phetio.phetioTypes = assert &&
         "getValue": {
           "documentation": "Gets the current value.",
           "parameterTypes": [],
-          "returnType": "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)"
+          "returnType": "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)"
         },
         "lazyLink": {
           "documentation": "Adds a listener which will be called when the value changes. This method is like \"link\", but without the current-value callback on registration. The listener takes two arguments, the new value and the previous value.",
           "parameterTypes": [
-            "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>)=>VoidIO"
+            "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>)=>VoidIO"
           ],
           "returnType": "VoidIO"
         },
         "link": {
           "documentation": "Adds a listener which will be called when the value changes. On registration, the listener is also called with the current value. The listener takes two arguments, the new value and the previous value.",
           "parameterTypes": [
-            "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>)=>VoidIO"
+            "FunctionIO(EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE),NullableIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>)=>VoidIO"
           ],
           "returnType": "VoidIO"
         },
@@ -1291,16 +1519,16 @@ window.phet.phetio.phetioTypes = assert &&
           "documentation": "Sets the value of the Property. If the value differs from the previous value, listeners are notified with the new value.",
           "invocableForReadOnlyElements": false,
           "parameterTypes": [
-            "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)"
+            "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)"
           ],
           "returnType": "VoidIO"
         }
       },
       "parameterTypes": [
-        "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)"
+        "EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)"
       ],
       "supertype": "ObjectIO",
-      "typeName": "PropertyIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM)>"
+      "typeName": "PropertyIO<EnumerationIO(NEON|ARGON|DIATOMIC_OXYGEN|WATER|ADJUSTABLE_ATOM|KRYPTON|XENON|DIATOMIC_NITROGEN|METHANE)>"
     },
     "PropertyIO<EnumerationIO(NORMAL|SLOW_MOTION)>": {
       "documentation": "Observable values that send out notifications when the value changes. This differs from the traditional listener pattern in that added listeners also receive a callback with the current value when the listeners are registered. This is a widely-used pattern in PhET-iO simulations.",
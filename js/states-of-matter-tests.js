@@ -0,0 +1,32 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Unit tests for states-of-matter.  Please run once in phet brand and once in brand=phet-io to cover all functionality.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  require( 'STATES_OF_MATTER/common/model/engine/AbstractVerletAlgorithmTests' );
+  require( 'STATES_OF_MATTER/common/model/engine/MixtureVerletAlgorithmTests' );
+  require( 'STATES_OF_MATTER/common/model/engine/NeighborListTests' );
+  require( 'STATES_OF_MATTER/common/model/MeanSquaredDisplacementTests' );
+  require( 'STATES_OF_MATTER/common/model/MoleculeForceAndMotionDataSetTests' );
+  require( 'STATES_OF_MATTER/common/model/MoleculeTrackerTests' );
+  require( 'STATES_OF_MATTER/common/model/MultipleParticleModelTests' );
+  require( 'STATES_OF_MATTER/common/model/ParticleColorValueCalculatorTests' );
+  require( 'STATES_OF_MATTER/common/model/PhaseBoundariesTests' );
+  require( 'STATES_OF_MATTER/common/model/PhaseClassifierTests' );
+  require( 'STATES_OF_MATTER/common/model/RadialDistributionFunctionTests' );
+  require( 'STATES_OF_MATTER/common/model/SpeedHistogramTests' );
+  require( 'STATES_OF_MATTER/common/model/StateTargetControllerTests' );
+  require( 'STATES_OF_MATTER/common/model/TemperaturePressureHistoryTests' );
+  require( 'STATES_OF_MATTER/common/model/UnitConverterTests' );
+  require( 'STATES_OF_MATTER/phase-changes/view/PhaseDiagramTrailTests' );
+  const qunitStart = require( 'PHET_CORE/qunitStart' );
+
+  // Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+  qunitStart();
+} );
@@ -22,7 +22,9 @@ define( require => {
   const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
+  const SOMQueryParameters = require( 'STATES_OF_MATTER/common/SOMQueryParameters' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const SubstanceRegistry = require( 'STATES_OF_MATTER/common/model/SubstanceRegistry' );
   const SubstanceType = require( 'STATES_OF_MATTER/common/SubstanceType' );
   const Tandem = require( 'TANDEM/Tandem' );
   const Text = require( 'SCENERY/nodes/Text' );
@@ -132,6 +134,25 @@ define( require => {
       { value: SubstanceType.WATER, node: createSelectionNode( waterSelectionNodeSpec ), tandemName: 'waterSelector' }
     ];
 
+    // add any substances that were requested via query parameter
+    SOMQueryParameters.additionalSubstances.forEach( substance => {
+      if ( !_.some( radioButtonContent, item => item.value === substance ) ) {
+        const substanceDescription = SubstanceRegistry.get( substance );
+        const selectionNodeSpec = {
+          label: new Text(
+            substanceDescription.displayName,
+            merge( { tandem: tandem.createTandem( substanceDescription.name + 'Text' ) }, textOptions )
+          ),
+          icon: AtomAndMoleculeIconFactory.createIcon( substance )
+        };
+        radioButtonContent.push( {
+          value: substance,
+          node: createSelectionNode( selectionNodeSpec ),
+          tandemName: substanceDescription.name + 'Selector'
+        } );
+      }
+    } );
+
     const radioButtonGroup = new RadioButtonGroup( substanceProperty, radioButtonContent, {
       orientation: 'vertical',
       cornerRadius: 5,
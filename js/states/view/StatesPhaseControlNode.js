@@ -21,14 +21,18 @@ define( require => {
   const PhaseStateEnum = require( 'STATES_OF_MATTER/common/PhaseStateEnum' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const Property = require( 'AXON/Property' );
+  const SOMColorProfile = require( 'STATES_OF_MATTER/common/view/SOMColorProfile' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   const Tandem = require( 'TANDEM/Tandem' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
   const VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
   const gasString = require( 'string!STATES_OF_MATTER/Gas' );
   const liquidString = require( 'string!STATES_OF_MATTER/Liquid' );
+  const phaseFractionsPatternString = require( 'string!STATES_OF_MATTER/phaseFractionsPattern' );
   const solidString = require( 'string!STATES_OF_MATTER/Solid' );
 
   // images
@@ -62,9 +66,6 @@ define( require => {
 
     Node.call( this );
 
-    // state of the atoms/molecules
-    const stateProperty = new Property( PhaseStateEnum.UNKNOWN );
-
     // boolean properties corresponding to each state
     const solidSelectedProperty = new BooleanProperty( false, {
       tandem: options.tandem.createTandem( 'solidSelectedProperty' )
@@ -103,16 +104,23 @@ define( require => {
       tandem: tandem.createTandem( 'gasStateButton' )
     } );
 
-    // set the state when the buttons are pushed
-    solidSelectedProperty.link( function( selected ) { if ( selected ) { stateProperty.value = PhaseStateEnum.SOLID; } } );
-    liquidSelectedProperty.link( function( selected ) { if ( selected ) { stateProperty.value = PhaseStateEnum.LIQUID; } } );
-    gasSelectedProperty.link( function( selected ) { if ( selected ) { stateProperty.value = PhaseStateEnum.GAS; } } );
-
-    // Set the model state and update the button appearances when the user presses one of the buttons.
-    stateProperty.link( function( state ) {
-      if ( state !== PhaseStateEnum.UNKNOWN ) {
+    // Set the model state when the user presses one of the buttons.  The buttons are also set when the phase of the
+    // molecules changes, which shouldn't set the model state, so this is ignored while that is happening.
+    let updatingButtons = false;
+    const setPhaseIfPressed = function( selected, state ) {
+      if ( selected && !updatingButtons ) {
         model.setPhase( state );
       }
+    };
+    solidSelectedProperty.link( function( selected ) { setPhaseIfPressed( selected, PhaseStateEnum.SOLID ); } );
+    liquidSelectedProperty.link( function( selected ) { setPhaseIfPressed( selected, PhaseStateEnum.LIQUID ); } );
+    gasSelectedProperty.link( function( selected ) { setPhaseIfPressed( selected, PhaseStateEnum.GAS ); } );
+
+    // Update the button appearances to show the phase that the molecules are actually in, which changes as they are
+    // heated or cooled.  The phase is unknown after a reset until the molecules have been classified.
+    const phaseClassifier = model.phaseClassifier;
+    phaseClassifier.phaseProperty.link( function( state ) {
+      updatingButtons = true;
       solidStateButton.baseColor = state === PhaseStateEnum.SOLID ? SELECTED_BUTTON_COLOR : DESELECTED_BUTTON_COLOR;
       solidStateButton.pickable = state !== PhaseStateEnum.SOLID;
       liquidStateButton.baseColor = state === PhaseStateEnum.LIQUID ? SELECTED_BUTTON_COLOR : DESELECTED_BUTTON_COLOR;
@@ -122,19 +130,35 @@ define( require => {
       solidSelectedProperty.value = state === PhaseStateEnum.SOLID;
       liquidSelectedProperty.value = state === PhaseStateEnum.LIQUID;
       gasSelectedProperty.value = state === PhaseStateEnum.GAS;
+      updatingButtons = false;
     } );
 
-    // if the user changes the temperature, the phase state becomes undefined
-    model.heatingCoolingAmountProperty.lazyLink( function() {
-      stateProperty.value = PhaseStateEnum.UNKNOWN;
+    // readout of the fraction of the molecules in each phase, which shows when phases are coexisting
+    const phaseFractionsText = new Text( '', {
+      font: new PhetFont( 12 ),
+      fill: SOMColorProfile.controlPanelTextProperty,
+      maxWidth: options.buttonWidth
     } );
-
-    // if the model gets reset, set the local phase state value to be undefined until the user selects a phase
-    model.resetEmitter.addListener( function() { stateProperty.value = PhaseStateEnum.UNKNOWN; } );
+    Property.multilink(
+      [
+        phaseClassifier.phaseProperty,
+        phaseClassifier.solidFractionProperty,
+        phaseClassifier.liquidFractionProperty,
+        phaseClassifier.gasFractionProperty
+      ],
+      function( phase, solidFraction, liquidFraction, gasFraction ) {
+        phaseFractionsText.text = StringUtils.fillIn( phaseFractionsPatternString, {
+          solid: Utils.toFixed( solidFraction * 100, 0 ),
+          liquid: Utils.toFixed( liquidFraction * 100, 0 ),
+          gas: Utils.toFixed( gasFraction * 100, 0 )
+        } );
+        phaseFractionsText.visible = phase !== PhaseStateEnum.UNKNOWN;
+      }
+    );
 
     // put the buttons together in a single VBox
     const buttons = new VBox( {
-      children: [ solidStateButton, liquidStateButton, gasStateButton ],
+      children: [ solidStateButton, liquidStateButton, gasStateButton, phaseFractionsText ],
       spacing: 10,
       align: 'center'
     } );
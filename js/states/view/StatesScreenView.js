@@ -13,11 +13,14 @@ define( require => {
   // modules
   const Bounds2 = require( 'DOT/Bounds2' );
   const CompositeThermometerNode = require( 'STATES_OF_MATTER/common/view/CompositeThermometerNode' );
+  const DiffusionChart = require( 'STATES_OF_MATTER/common/view/DiffusionChart' );
+  const GravityControl = require( 'STATES_OF_MATTER/common/view/GravityControl' );
   const HeaterCoolerNode = require( 'SCENERY_PHET/HeaterCoolerNode' );
   const inherit = require( 'PHET_CORE/inherit' );
   const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
   const MultipleParticleModel = require( 'STATES_OF_MATTER/common/model/MultipleParticleModel' );
   const NumberProperty = require( 'AXON/NumberProperty' );
+  const ParticleColoringControl = require( 'STATES_OF_MATTER/common/view/ParticleColoringControl' );
   const ParticleContainerNode = require( 'STATES_OF_MATTER/common/view/ParticleContainerNode' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const Range = require( 'DOT/Range' );
@@ -25,10 +28,13 @@ define( require => {
   const ScreenView = require( 'JOIST/ScreenView' );
   const SOMConstants = require( 'STATES_OF_MATTER/common/SOMConstants' );
   const SOMPlayPauseStepControl = require( 'STATES_OF_MATTER/common/view/SOMPlayPauseStepControl' );
+  const SpeedHistogramChart = require( 'STATES_OF_MATTER/common/view/SpeedHistogramChart' );
   const StatesMoleculesControlPanel = require( 'STATES_OF_MATTER/states/view/StatesMoleculesControlPanel' );
   const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
   const StatesPhaseControlNode = require( 'STATES_OF_MATTER/states/view/StatesPhaseControlNode' );
+  const TemperaturePressureChart = require( 'STATES_OF_MATTER/common/view/TemperaturePressureChart' );
   const Vector2 = require( 'DOT/Vector2' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
 
   // constants
   const CONTROL_PANEL_X_INSET = 15;
@@ -97,6 +103,52 @@ define( require => {
     } );
     this.addChild( this.compositeThermometerNode );
 
+    // charts that show the recent history of temperature and pressure, the distribution of speeds, and the diffusion of
+    // the molecules, at the top left
+    const temperaturePressureChart = new TemperaturePressureChart(
+      multipleParticleModel,
+      multipleParticleModel.historyChartExpandedProperty,
+      this.compositeThermometerNode.temperatureUnitsProperty,
+      {
+        minWidth: CONTROL_PANEL_WIDTH,
+        maxWidth: CONTROL_PANEL_WIDTH
+      }
+    );
+
+    // @private
+    this.speedHistogramChart = new SpeedHistogramChart(
+      multipleParticleModel,
+      multipleParticleModel.speedHistogramExpandedProperty,
+      {
+        minWidth: CONTROL_PANEL_WIDTH,
+        maxWidth: CONTROL_PANEL_WIDTH
+      }
+    );
+    const diffusionChart = new DiffusionChart(
+      multipleParticleModel,
+      multipleParticleModel.diffusionChartExpandedProperty,
+      {
+        minWidth: CONTROL_PANEL_WIDTH,
+        maxWidth: CONTROL_PANEL_WIDTH
+      }
+    );
+    const particleColoringControl = new ParticleColoringControl(
+      multipleParticleModel,
+      multipleParticleModel.particleColoringControlExpandedProperty,
+      {
+        minWidth: CONTROL_PANEL_WIDTH,
+        maxWidth: CONTROL_PANEL_WIDTH,
+        tandem: tandem.createTandem( 'particleColoringControl' )
+      }
+    );
+    this.addChild( new VBox( {
+      children: [ temperaturePressureChart, this.speedHistogramChart, diffusionChart, particleColoringControl ],
+      spacing: CONTROL_PANEL_Y_INSET,
+      align: 'left',
+      left: this.layoutBounds.left + CONTROL_PANEL_X_INSET,
+      top: this.layoutBounds.top + CONTROL_PANEL_Y_INSET
+    } ) );
+
     // selection panel for the atoms/molecules
     const atomsAndMoleculesSelectionPanel = new StatesMoleculesControlPanel( multipleParticleModel.substanceProperty, {
       right: this.layoutBounds.right - CONTROL_PANEL_X_INSET,
@@ -116,6 +168,15 @@ define( require => {
     } );
     this.addChild( solidLiquidGasPhaseControlNode );
 
+    // control for the strength and direction of gravity
+    this.addChild( new GravityControl( multipleParticleModel, multipleParticleModel.gravityControlExpandedProperty, {
+      right: atomsAndMoleculesSelectionPanel.right,
+      top: solidLiquidGasPhaseControlNode.bottom + CONTROL_PANEL_Y_INSET,
+      minWidth: CONTROL_PANEL_WIDTH,
+      maxWidth: CONTROL_PANEL_WIDTH,
+      tandem: tandem.createTandem( 'gravityControl' )
+    } ) );
+
     const resetAllButton = new ResetAllButton( {
       listener: function() {
         multipleParticleModel.reset();
@@ -130,7 +191,7 @@ define( require => {
 
     this.addChild( new SOMPlayPauseStepControl(
       multipleParticleModel.isPlayingProperty,
-      multipleParticleModel.stepInternal.bind( multipleParticleModel ),
+      multipleParticleModel.stepAndRecordHistory.bind( multipleParticleModel ),
       {
         right: heaterCoolerNode.left - 50,
         centerY: heaterCoolerNode.centerY,
@@ -173,6 +234,7 @@ define( require => {
      */
     step: function() {
       this.particleContainerNode.step();
+      this.speedHistogramChart.step();
     }
   } );
 } );
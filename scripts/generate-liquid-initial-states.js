@@ -0,0 +1,192 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Regenerates the saved liquid states that MonatomicPhaseStateChanger loads when a monatomic substance is put into the
+ * liquid phase.  Each state is created by LiquidInitialStateGenerator, which equilibrates the substance at the liquid
+ * temperature and validates the result, and the states are written to MonatomicLiquidInitialStates.js.
+ *
+ * Usage:
+ *
+ *   node scripts/generate-liquid-initial-states.js [--<option>=<value> ...]
+ *
+ * Options:
+ *
+ *   --states             comma-separated names of the states to regenerate, e.g. neon,argon, defaults to all of them.
+ *                        States that aren't regenerated are copied from the existing file.
+ *   --molecules          comma-separated name:count pairs, e.g. neon:120, defaults to the sim's count for the substance
+ *   --equilibrationTime  seconds of sim time to run before capturing each state
+ *   --seed               random number seed, defaults to 1 so that the output is reproducible
+ *   --output             file to write, defaults to the one used by the sim
+ *
+ * To add a state for a substance, add an entry to STATE_SUBSTANCES below, set the liquidStateName of the substance in
+ * SubstanceRegistry to the name of the state, then run this script with --states=<name>.  The sim code is loaded using
+ * load-sim-modules.js, see that file for requirements.
+ *
+ * @author John Blanco
+ */
+
+/* eslint-env node */
+'use strict';
+
+const fs = require( 'fs' );
+const loadSimModules = require( './load-sim-modules' );
+const path = require( 'path' );
+
+// constants
+const DEFAULT_OUTPUT_FILE = path.join( __dirname, '../js/common/model/engine/MonatomicLiquidInitialStates.js' );
+const DEFAULT_SEED = 1;
+
+// names of the states in the generated file and the substance for each, in the order in which they appear in the file
+const STATE_SUBSTANCES = {
+  neon: 'NEON',
+  argon: 'ARGON',
+  adjustableAttraction: 'ADJUSTABLE_ATOM'
+};
+
+/**
+ * Parse the command line arguments into an object.
+ * @param {string[]} args
+ * @returns {Object}
+ */
+const parseArguments = args => {
+  const parsedArguments = {};
+  args.forEach( arg => {
+    const match = arg.match( /^--([^=]+)=(.*)$/ );
+    if ( !match ) {
+      throw new Error( `unrecognized argument: ${arg}` );
+    }
+    parsedArguments[ match[ 1 ] ] = match[ 2 ];
+  } );
+  return parsedArguments;
+};
+
+/**
+ * Format a saved state as the body of an object literal in the style used by the sim's source code.
+ * @param {Object} state
+ * @param {string} indent
+ * @returns {string[]} - lines
+ */
+const formatState = ( state, indent ) => {
+  const lines = [
+    `${indent}numberOfMolecules: ${state.numberOfMolecules},`,
+    `${indent}atomsPerMolecule: ${state.atomsPerMolecule},`
+  ];
+  const arrayNames = [
+    'moleculeCenterOfMassPositions',
+    'moleculeVelocities',
+    'moleculeRotationAngles',
+    'moleculeRotationRates'
+  ].filter( arrayName => state[ arrayName ] );
+  arrayNames.forEach( ( arrayName, arrayIndex ) => {
+    lines.push( `${indent}${arrayName}: [` );
+    state[ arrayName ].forEach( ( value, valueIndex ) => {
+      const separator = valueIndex < state[ arrayName ].length - 1 ? ',' : '';
+      if ( typeof value === 'number' ) {
+        lines.push( `${indent}  ${value}${separator}` );
+      }
+      else {
+        lines.push( `${indent}  {` );
+        lines.push( `${indent}    x: ${value.x},` );
+        lines.push( `${indent}    y: ${value.y}` );
+        lines.push( `${indent}  }${separator}` );
+      }
+    } );
+    lines.push( `${indent}]${arrayIndex < arrayNames.length - 1 ? ',' : ''}` );
+  } );
+  return lines;
+};
+
+/**
+ * Create the contents of the states module.
+ * @param {Object} states - saved states by name
+ * @returns {string}
+ */
+const createModule = states => {
+  const names = Object.keys( states );
+  const stateLines = [];
+  names.forEach( ( name, index ) => {
+    stateLines.push( `    ${name}: {` );
+    formatState( states[ name ], '      ' ).forEach( line => stateLines.push( line ) );
+    stateLines.push( `    }${index < names.length - 1 ? ',' : ''}` );
+  } );
+  return `// Copyright 2014-2020, University of Colorado Boulder
+
+/**
+ * Initial positions and velocities for the monatomic substances in the liquid phase, which is hard to create
+ * algorithmically.  This file is generated by scripts/generate-liquid-initial-states.js and should not be edited by
+ * hand.
+ *
+ * @author John Blanco
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const statesOfMatter = require( 'STATES_OF_MATTER/statesOfMatter' );
+
+  // static object (no constructor)
+  const MonatomicLiquidInitialStates = {
+${stateLines.join( '\n' )}
+  };
+
+  statesOfMatter.register( 'MonatomicLiquidInitialStates', MonatomicLiquidInitialStates );
+
+  return MonatomicLiquidInitialStates;
+} );
+`;
+};
+
+const main = async () => {
+
+  const parsedArguments = parseArguments( process.argv.slice( 2 ) );
+  const outputFile = parsedArguments.output || DEFAULT_OUTPUT_FILE;
+  const seed = parsedArguments.seed ? Number( parsedArguments.seed ) : DEFAULT_SEED;
+  const stateNames = parsedArguments.states ? parsedArguments.states.split( ',' ) : Object.keys( STATE_SUBSTANCES );
+  const moleculeCounts = {};
+  if ( parsedArguments.molecules ) {
+    parsedArguments.molecules.split( ',' ).forEach( entry => {
+      const values = entry.split( ':' );
+      moleculeCounts[ values[ 0 ] ] = Number( values[ 1 ] );
+    } );
+  }
+  stateNames.forEach( stateName => {
+    if ( !STATE_SUBSTANCES[ stateName ] ) {
+      throw new Error( `unknown state: ${stateName}` );
+    }
+  } );
+
+  const { window, modules } = await loadSimModules( [
+    'STATES_OF_MATTER/common/model/LiquidInitialStateGenerator',
+    'STATES_OF_MATTER/common/model/engine/MonatomicLiquidInitialStates',
+    'STATES_OF_MATTER/common/SubstanceType'
+  ] );
+  const [ LiquidInitialStateGenerator, MonatomicLiquidInitialStates, SubstanceType ] = modules;
+
+  const states = {};
+  Object.keys( STATE_SUBSTANCES ).forEach( stateName => {
+    if ( stateNames.indexOf( stateName ) >= 0 ) {
+      console.log( `generating ${stateName}` );
+      const generatorOptions = {
+        substance: SubstanceType[ STATE_SUBSTANCES[ stateName ] ],
+        numberOfMolecules: moleculeCounts[ stateName ] || null,
+        seed: seed
+      };
+      if ( parsedArguments.equilibrationTime ) {
+        generatorOptions.equilibrationTime = Number( parsedArguments.equilibrationTime );
+      }
+      states[ stateName ] = new LiquidInitialStateGenerator( generatorOptions ).generate();
+    }
+    else if ( MonatomicLiquidInitialStates[ stateName ] ) {
+      states[ stateName ] = MonatomicLiquidInitialStates[ stateName ];
+    }
+  } );
+
+  fs.writeFileSync( outputFile, createModule( states ) );
+  console.log( `wrote ${outputFile}` );
+  window.close();
+};
+
+main().catch( error => {
+  console.error( error );
+  process.exit( 1 );
+} );
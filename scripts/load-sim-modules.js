@@ -0,0 +1,97 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Loads modules from the sim into a jsdom window using RequireJS so that the model can be run headlessly from Node
+ * scripts.  The PhET repositories that this sim depends upon must be checked out as siblings of this one, the same as
+ * is required for running the sim from source in a browser.
+ *
+ * @author John Blanco
+ */
+
+/* eslint-env node */
+'use strict';
+
+const jsdom = require( 'jsdom' );
+const path = require( 'path' );
+
+// constants
+const SIM_ROOT = path.join( __dirname, '..' );
+const PHET_ROOT = path.join( SIM_ROOT, '..' );
+
+// scripts that are needed before RequireJS is used, a subset of the preloads in states-of-matter_en.html
+const PRELOADS = [
+  'sherpa/lib/lodash-4.17.4.js',
+  'assert/js/assert.js',
+  'query-string-machine/js/QueryStringMachine.js',
+  'chipper/js/initialize-globals.js',
+  'phet-core/js/copyWithSortedKeys.js',
+  'sherpa/lib/seedrandom-2.4.2.js',
+  'tandem/js/PhetioIDUtils.js',
+  'sherpa/lib/require-2.3.6.js'
+];
+
+// RequireJS paths, relative to the sim's js directory, matching those in states-of-matter-config.js
+const REQUIREJS_PATHS = {
+  AXON: '../../axon/js',
+  BRAND: '../../brand/adapted-from-phet/js',
+  DOT: '../../dot/js',
+  JOIST: '../../joist/js',
+  KITE: '../../kite/js',
+  NITROGLYCERIN: '../../nitroglycerin/js',
+  PHETCOMMON: '../../phetcommon/js',
+  PHET_CORE: '../../phet-core/js',
+  PHET_IO: '../../phet-io/js',
+  REPOSITORY: '..',
+  SCENERY: '../../scenery/js',
+  SCENERY_PHET: '../../scenery-phet/js',
+  STATES_OF_MATTER: '.',
+  SUN: '../../sun/js',
+  TAMBO: '../../tambo/js',
+  TANDEM: '../../tandem/js',
+  UTTERANCE_QUEUE: '../../utterance-queue/js',
+
+  // plugins, needed because some model modules load strings
+  string: '../../chipper/js/requirejs-plugins/string',
+  text: '../../sherpa/lib/text-2.0.12'
+};
+
+/**
+ * Create a window in which the sim code can be loaded and wait for the preloads to finish.
+ * @returns {Promise.<Window>}
+ */
+const createWindow = () => {
+  const scriptTags = PRELOADS.map( preload => `<script src="${path.join( PHET_ROOT, preload )}"></script>` );
+  const dom = new jsdom.JSDOM( `<!DOCTYPE HTML><html><head></head><body>${scriptTags.join( '' )}</body></html>`, {
+    url: `file://${path.join( SIM_ROOT, 'states-of-matter_en.html' )}`,
+    runScripts: 'dangerously',
+    resources: 'usable'
+  } );
+  return new Promise( resolve => {
+    dom.window.addEventListener( 'load', () => resolve( dom.window ) );
+  } );
+};
+
+/**
+ * Load the specified modules into a new window.  The sim-wide random number generator, which is normally created by
+ * joist's Sim, is created as well so that model code that relies on it can be run.
+ * @param {string[]} moduleNames - RequireJS module names, e.g. 'STATES_OF_MATTER/common/SubstanceType'
+ * @returns {Promise.<{window: Window, modules: Object[]}>} - the modules are in the same order as the names
+ */
+const loadSimModules = async moduleNames => {
+  const window = await createWindow();
+  window.requirejs.config( {
+    baseUrl: `file://${path.join( SIM_ROOT, 'js' )}`,
+    paths: REQUIREJS_PATHS
+  } );
+  const modules = await new Promise( ( resolve, reject ) => {
+    window.requirejs( [ 'DOT/Random' ].concat( moduleNames ), ( ...loadedModules ) => {
+      resolve( loadedModules );
+    }, reject );
+  } );
+  const Random = modules.shift();
+  window.phet.joist = window.phet.joist || {};
+  window.phet.joist.random = new Random();
+  return { window: window, modules: modules };
+};
+
+module.exports = loadSimModules;
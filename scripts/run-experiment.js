@@ -0,0 +1,175 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Runs a States of Matter experiment headlessly (i.e. with no view) in Node and writes the resulting time series of
+ * temperature, pressure, and phase to a CSV or JSON file.  See ExperimentRunner.js for details of the experiment
+ * configuration.
+ *
+ * Usage:
+ *
+ *   node scripts/run-experiment.js [--config=<file>] [--<option>=<value> ...] [--output=<file>] [--format=csv|json]
+ *
+ * Options, which override any values in the config file:
+ *
+ *   --substance        NEON, ARGON, DIATOMIC_OXYGEN, WATER, or ADJUSTABLE_ATOM
+ *   --phase            SOLID, LIQUID, or GAS
+ *   --mixture          substance to mix with the main one and the fraction of molecules that are of it, e.g. ARGON:0.4
+ *   --combiningRule    TABLE or LORENTZ_BERTHELOT, how the interactions between unlike molecules in a mixture are set
+ *   --molecules        number of molecules
+ *   --containerHeight  target container height in model units
+ *   --heating          heating schedule as comma-separated time:amount pairs, e.g. 0:0.5,30:-0.5
+ *   --thermostat       ADAPTIVE, ISOKINETIC, ANDERSEN, NOSE_HOOVER, BERENDSEN, or NONE
+ *   --duration         seconds of sim time to run
+ *   --sampleInterval   seconds of sim time between samples
+ *   --timeStep         seconds of sim time per model step
+ *   --seed             random number seed, runs with the same seed and options produce identical results
+ *   --snapshot         file containing a model snapshot from which to start, overrides the substance, phase, and seed
+ *   --saveSnapshot     file to which a snapshot of the model is written at the end of the run
+ *
+ * The config file is JSON with the same option names, except that "molecules" is "numberOfMolecules" and the heating
+ * schedule is an array of { "time": <number>, "amount": <number> } objects named "heatingSchedule".  The mixture is an
+ * object of the form { "substance": <key>, "fraction": <number>, "combiningRule": <key> }.
+ *
+ * The sim code is loaded using load-sim-modules.js, see that file for requirements.  If no output file is specified,
+ * the results are written to stdout.
+ *
+ * @author John Blanco
+ */
+
+/* eslint-env node */
+'use strict';
+
+const fs = require( 'fs' );
+const loadSimModules = require( './load-sim-modules' );
+const path = require( 'path' );
+
+// constants
+const NUMERIC_OPTIONS = [ 'containerHeight', 'duration', 'sampleInterval', 'timeStep', 'seed' ];
+
+/**
+ * Parse the command line arguments into an object.
+ * @param {string[]} args
+ * @returns {Object}
+ */
+const parseArguments = args => {
+  const parsedArguments = {};
+  args.forEach( arg => {
+    const match = arg.match( /^--([^=]+)=(.*)$/ );
+    if ( !match ) {
+      throw new Error( `unrecognized argument: ${arg}` );
+    }
+    parsedArguments[ match[ 1 ] ] = match[ 2 ];
+  } );
+  return parsedArguments;
+};
+
+/**
+ * Create the experiment configuration from the config file (if any) and the command line arguments.
+ * @param {Object} parsedArguments
+ * @returns {Object}
+ */
+const createConfiguration = parsedArguments => {
+  const configuration = parsedArguments.config ?
+                        JSON.parse( fs.readFileSync( parsedArguments.config, 'utf8' ) ) :
+                        {};
+  if ( parsedArguments.substance ) {
+    configuration.substance = parsedArguments.substance;
+  }
+  if ( parsedArguments.phase ) {
+    configuration.phase = parsedArguments.phase;
+  }
+  if ( parsedArguments.mixture ) {
+    const values = parsedArguments.mixture.split( ':' );
+    configuration.mixture = { substance: values[ 0 ] };
+    if ( values.length > 1 ) {
+      configuration.mixture.fraction = Number( values[ 1 ] );
+    }
+  }
+  if ( parsedArguments.combiningRule ) {
+    configuration.mixture = configuration.mixture || {};
+    configuration.mixture.combiningRule = parsedArguments.combiningRule;
+  }
+  if ( parsedArguments.thermostat ) {
+    configuration.thermostat = parsedArguments.thermostat;
+  }
+  if ( parsedArguments.molecules ) {
+    configuration.numberOfMolecules = Number( parsedArguments.molecules );
+  }
+  NUMERIC_OPTIONS.forEach( optionName => {
+    if ( parsedArguments[ optionName ] ) {
+      configuration[ optionName ] = Number( parsedArguments[ optionName ] );
+    }
+  } );
+  if ( parsedArguments.snapshot ) {
+    configuration.snapshot = JSON.parse( fs.readFileSync( parsedArguments.snapshot, 'utf8' ) );
+  }
+  if ( parsedArguments.heating ) {
+    configuration.heatingSchedule = parsedArguments.heating.split( ',' ).map( entry => {
+      const values = entry.split( ':' );
+      return { time: Number( values[ 0 ] ), amount: Number( values[ 1 ] ) };
+    } );
+  }
+  return configuration;
+};
+
+const main = async () => {
+
+  const parsedArguments = parseArguments( process.argv.slice( 2 ) );
+  const configuration = createConfiguration( parsedArguments );
+  const outputFile = parsedArguments.output || null;
+  const format = parsedArguments.format || ( outputFile && path.extname( outputFile ) === '.json' ? 'json' : 'csv' );
+
+  const { window, modules } = await loadSimModules( [
+    'STATES_OF_MATTER/common/model/CombiningRule',
+    'STATES_OF_MATTER/common/model/ExperimentRunner',
+    'STATES_OF_MATTER/common/model/ThermostatType',
+    'STATES_OF_MATTER/common/SubstanceType'
+  ] );
+  const [ CombiningRule, ExperimentRunner, ThermostatType, SubstanceType ] = modules;
+
+  if ( configuration.substance ) {
+    if ( SubstanceType.KEYS.indexOf( configuration.substance ) === -1 ) {
+      throw new Error( `unknown substance: ${configuration.substance}` );
+    }
+    configuration.substance = SubstanceType[ configuration.substance ];
+  }
+  if ( configuration.thermostat ) {
+    if ( ThermostatType.KEYS.indexOf( configuration.thermostat ) === -1 ) {
+      throw new Error( `unknown thermostat: ${configuration.thermostat}` );
+    }
+    configuration.thermostat = ThermostatType[ configuration.thermostat ];
+  }
+  if ( configuration.mixture ) {
+    const mixture = configuration.mixture;
+    if ( SubstanceType.KEYS.indexOf( mixture.substance ) === -1 ) {
+      throw new Error( `unknown mixture substance: ${mixture.substance}` );
+    }
+    mixture.substance = SubstanceType[ mixture.substance ];
+    if ( mixture.combiningRule !== undefined ) {
+      if ( CombiningRule.KEYS.indexOf( mixture.combiningRule ) === -1 ) {
+        throw new Error( `unknown combining rule: ${mixture.combiningRule}` );
+      }
+      mixture.combiningRule = CombiningRule[ mixture.combiningRule ];
+    }
+  }
+
+  const experimentRunner = new ExperimentRunner( configuration );
+  experimentRunner.run();
+
+  const output = format === 'json' ? experimentRunner.toJSON() : experimentRunner.toCSV();
+  if ( outputFile ) {
+    fs.writeFileSync( outputFile, output );
+  }
+  else {
+    process.stdout.write( output );
+  }
+  if ( parsedArguments.saveSnapshot ) {
+    fs.writeFileSync( parsedArguments.saveSnapshot, JSON.stringify( experimentRunner.model.saveSnapshot() ) );
+  }
+  window.close();
+};
+
+main().catch( error => {
+  console.error( error );
+  process.exit( 1 );
+} );